@@ -3,9 +3,15 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { useAuth } from './contexts/AuthContext';
 import Landing from './pages/Landing';
 import Dashboard from './pages/Dashboard';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
+import Admin from './pages/Admin';
+import JoinGroup from './pages/JoinGroup';
 import LoadingSpinner from './components/LoadingSpinner';
 import './App.css';
 
+const STAFF_ROLES = ['moderator', 'admin'];
+
 function App() {
   const { user, loading } = useAuth();
 
@@ -29,6 +35,15 @@ function App() {
             path="/dashboard" 
             element={user ? <Dashboard /> : <Navigate to="/" replace />} 
           />
+          <Route 
+            path="/admin" 
+            element={STAFF_ROLES.includes(user?.role) ? <Admin /> : <Navigate to="/" replace />} 
+          />
+          {/* Signed-out visitors are sent to sign in and brought back after */}
+          <Route path="/join/:code" element={<JoinGroup />} />
+          {/* Email links work whether or not the user is signed in */}
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route 
             path="*" 
             element={<Navigate to="/" replace />} 
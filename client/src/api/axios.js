@@ -1,6 +1,7 @@
 import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+const DEVICE_ID_KEY = 'deviceId';
 
 const axiosInstance = axios.create({
   baseURL: `${API_URL}/api`,
@@ -9,6 +10,71 @@ const axiosInstance = axios.create({
   },
 });
 
+// A 401 from these means bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/change-password', '/auth/2fa/verify'];
+
+// Set by AuthContext so it hears about new tokens and ended sessions
+let authHandlers = {};
+
+export const setAuthHandlers = (handlers) => {
+  authHandlers = handlers;
+};
+
+// This browser's id, kept across sign-ins so the server sees one device
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID();
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+export const clearStoredTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Only one refresh runs at a time; concurrent 401s wait for the same one
+let refreshPromise = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = (async () => {
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+
+      try {
+        // Plain axios, so a failed refresh doesn't loop back through the interceptor
+        const response = await axios.post(`${API_URL}/api/auth/refresh`, { refreshToken });
+        const { token, refreshToken: nextRefreshToken } = response.data;
+
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        authHandlers.onTokenRefreshed?.(token);
+
+        return token;
+      } catch (error) {
+        // Another tab may have rotated the token first and saved the new pair
+        const latest = localStorage.getItem('refreshToken');
+        if (latest && latest !== refreshToken) {
+          const token = localStorage.getItem('token');
+          authHandlers.onTokenRefreshed?.(token);
+          return token;
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  return refreshPromise;
+};
+
 // Request interceptor
 axiosInstance.interceptors.request.use(
   (config) => {
@@ -16,6 +82,8 @@ axiosInstance.interceptors.request.use(
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Lets the server tell which of the user's devices messages reached
+    config.headers['X-Device-Id'] = getDeviceId();
     return config;
   },
   (error) => {
@@ -23,14 +91,35 @@ axiosInstance.interceptors.request.use(
   }
 );
 
-// Response interceptor
+// Response interceptor: refresh the access token on a 401 and retry once.
+// Only a refresh the server rejects ends the session; a network error
+// while refreshing leaves the user signed in.
 axiosInstance.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/';
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      !NO_REFRESH_PATHS.some(path => original.url?.startsWith(path))
+    ) {
+      original._retried = true;
+
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return axiosInstance(original);
+      } catch (refreshError) {
+        const rejected = refreshError.response?.status === 401;
+        if (rejected || !localStorage.getItem('refreshToken')) {
+          clearStoredTokens();
+          authHandlers.onSessionEnded?.();
+        }
+      }
     }
+
     return Promise.reject(error);
   }
 );
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Rough "Browser on OS" label from a user agent string
+const describeDevice = (session) => {
+  if (session.deviceName) return session.deviceName;
+
+  const ua = session.userAgent || '';
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari', 'Expo', 'okhttp']
+    .find(name => ua.includes(name));
+  const os = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux']
+    .find(name => ua.includes(name));
+
+  const browserName = { Edg: 'Edge', okhttp: 'Android app', Expo: 'Mobile app' }[browser] || browser;
+
+  if (browserName && os) return `${browserName} on ${os}`;
+  return browserName || os || 'Unknown device';
+};
+
+const isMobile = (session) => /Android|iPhone|iPad|Expo|okhttp/.test(session.userAgent || '');
+
+const ActiveSessions = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get('/auth/sessions');
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revokeSession = async (session) => {
+    if (!window.confirm(`Sign out ${describeDevice(session)}?`)) return;
+
+    try {
+      setRevoking(session._id);
+      await axios.delete(`/auth/sessions/${session._id}`);
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <h3 className="text-sm font-medium text-gray-700 mb-3">Signed-in devices</h3>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="w-6 h-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {sessions.map(session => {
+            const Icon = isMobile(session) ? Smartphone : Monitor;
+
+            return (
+              <div key={session._id} className="flex items-center space-x-3 p-3 bg-gray-50 rounded-lg">
+                <Icon className="w-5 h-5 text-gray-500 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {describeDevice(session)}
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {session.current
+                      ? 'This device'
+                      : `Active ${formatDistanceToNow(new Date(session.lastUsedAt), { addSuffix: true })}`}
+                    {session.ip && ` · ${session.ip}`}
+                  </p>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession(session)}
+                    disabled={revoking === session._id}
+                    className="p-2 hover:bg-red-50 rounded-lg text-red-600 disabled:opacity-50 flex-shrink-0"
+                    title="Sign out this device"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Flag, X } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useSocket } from '../contexts/SocketContext';
+
+const STATUS_STYLES = {
+  open: 'bg-yellow-100 text-yellow-800',
+  actioned: 'bg-green-100 text-green-700',
+  dismissed: 'bg-gray-100 text-gray-600'
+};
+
+const ACTION_LABELS = {
+  delete_message: 'Delete message for everyone',
+  suspend_user: 'Suspend user',
+  remove_group: 'Remove group',
+  none: 'Mark actioned',
+  dismiss: 'Dismiss'
+};
+
+const SUSPEND_DURATIONS = [
+  { label: '24 hours', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+  { label: 'Until lifted', hours: null }
+];
+
+// What a report is about, in a few words
+const describeTarget = (report) => {
+  if (report.targetType === 'user') return `User ${report.reportedUser?.username || 'unknown'}`;
+  if (report.targetType === 'group') return `Group ${report.chat?.name || 'unknown'}`;
+  return `Message by ${report.reportedUser?.username || 'unknown'}`;
+};
+
+// One message from a report snapshot
+const SnapshotMessage = ({ message, highlighted = false }) => (
+  <div className={`text-sm rounded-lg px-3 py-2 ${highlighted ? 'bg-red-50 border border-red-200' : 'bg-gray-50'}`}>
+    <p className="text-xs text-gray-500 mb-0.5">
+      {message.sender?.username || 'unknown'}
+      {' · '}{new Date(message.createdAt).toLocaleString()}
+      {message.edited && ' · edited'}
+    </p>
+    {message.deleted ? (
+      <p className="italic text-gray-400">Deleted before it was reported</p>
+    ) : (
+      <p className="text-gray-900 whitespace-pre-wrap break-words">
+        {message.type !== 'text' && <span className="text-gray-500">[{message.type}] </span>}
+        {message.content}
+        {message.file?.url && (
+          <a href={message.file.url} target="_blank" rel="noopener noreferrer" className="ml-1 text-primary-600 underline">
+            {message.file.filename || 'attachment'}
+          </a>
+        )}
+      </p>
+    )}
+  </div>
+);
+
+// What the reporter saw when they reported it
+const ReportSnapshot = ({ report }) => {
+  const snapshot = report.snapshot || {};
+
+  if (report.targetType === 'message' && snapshot.message) {
+    return (
+      <div className="space-y-2">
+        <p className="text-xs font-medium text-gray-500 uppercase">
+          In {snapshot.chat?.type === 'group' ? snapshot.chat.name : 'a private chat'}
+        </p>
+        {snapshot.context?.before?.map(message => <SnapshotMessage key={message._id} message={message} />)}
+        <SnapshotMessage message={snapshot.message} highlighted />
+        {snapshot.context?.after?.map(message => <SnapshotMessage key={message._id} message={message} />)}
+      </div>
+    );
+  }
+
+  const profile = snapshot.user || snapshot.group;
+  return (
+    <div className="space-y-2">
+      {profile && (
+        <div className="flex items-center space-x-3">
+          <img
+            src={profile.avatar || `https://ui-avatars.com/api/?name=${profile.username || profile.name}&background=random`}
+            alt=""
+            className="w-10 h-10 rounded-full object-cover"
+          />
+          <div className="min-w-0">
+            <p className="font-medium text-gray-900">{profile.username || profile.name}</p>
+            <p className="text-xs text-gray-500 truncate">
+              {snapshot.group
+                ? `${profile.participantCount} members · created by ${profile.creator?.username || 'unknown'}`
+                : profile.status || profile.bio || `Friend ID ${profile.friendId}`}
+            </p>
+          </div>
+        </div>
+      )}
+      {snapshot.group?.description && (
+        <p className="text-sm text-gray-700">{snapshot.group.description}</p>
+      )}
+      <p className="text-xs font-medium text-gray-500 uppercase pt-2">Recent messages</p>
+      {snapshot.recentMessages?.length ? (
+        snapshot.recentMessages.map(message => <SnapshotMessage key={message._id} message={message} />)
+      ) : (
+        <p className="text-sm text-gray-500">None the reporter could see</p>
+      )}
+    </div>
+  );
+};
+
+// A report with its snapshot and the actions moderators can take on it
+const ReportDetail = ({ reportId, onClose, onResolved }) => {
+  const [detail, setDetail] = useState(null);
+  const [note, setNote] = useState('');
+  const [suspendForm, setSuspendForm] = useState({ reason: '', hours: 24 });
+  const [working, setWorking] = useState(false);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        const response = await axios.get(`/admin/reports/${reportId}`);
+        setDetail(response.data);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load report');
+        onClose();
+      }
+    };
+
+    fetchReport();
+  }, [reportId, onClose]);
+
+  const resolve = async (action) => {
+    if (action === 'remove_group' &&
+        !window.confirm('Remove this group and all of its messages for every member?')) return;
+
+    try {
+      setWorking(true);
+      const response = await axios.post(`/admin/reports/${reportId}/resolve`, {
+        action,
+        note: note.trim() || undefined,
+        ...(action === 'suspend_user' ? {
+          reason: suspendForm.reason.trim() || undefined,
+          durationHours: suspendForm.hours
+        } : {})
+      });
+      toast.success(response.data.message);
+      onResolved(response.data.report);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const report = detail?.report;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between p-4 border-b">
+          <h3 className="text-lg font-semibold text-gray-900">
+            {report ? describeTarget(report) : 'Report'}
+          </h3>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {!report ? (
+          <div className="flex justify-center py-8">
+            <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+          </div>
+        ) : (
+          <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
+            <div className="text-sm text-gray-600">
+              <p>
+                <span className="capitalize font-medium text-gray-900">{report.reason}</span>
+                {' · reported by '}{report.reporter?.username || 'unknown'}
+                {' '}{formatDistanceToNow(new Date(report.createdAt), { addSuffix: true })}
+              </p>
+              {detail.timesReported > 1 && (
+                <p className="text-red-600">Reported {detail.timesReported} times in total</p>
+              )}
+              {report.details && (
+                <p className="text-gray-800 mt-2 whitespace-pre-wrap">{report.details}</p>
+              )}
+            </div>
+
+            <ReportSnapshot report={report} />
+
+            {report.status === 'open' ? (
+              <div className="pt-4 border-t space-y-3">
+                <textarea
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  className="input-primary resize-none"
+                  rows={2}
+                  maxLength={500}
+                  placeholder="Note for other moderators (optional)"
+                />
+
+                {detail.actions.includes('suspend_user') && (
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <select
+                      value={suspendForm.hours ?? ''}
+                      onChange={(e) => setSuspendForm({
+                        ...suspendForm,
+                        hours: e.target.value ? parseInt(e.target.value, 10) : null
+                      })}
+                      className="input-primary sm:w-40"
+                    >
+                      {SUSPEND_DURATIONS.map(({ label, hours }) => (
+                        <option key={label} value={hours ?? ''}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={suspendForm.reason}
+                      onChange={(e) => setSuspendForm({ ...suspendForm, reason: e.target.value })}
+                      className="input-primary flex-1"
+                      maxLength={500}
+                      placeholder="Suspension reason (shown to the user)"
+                    />
+                  </div>
+                )}
+
+                <div className="flex flex-wrap gap-2">
+                  {detail.actions.map(action => (
+                    <button
+                      key={action}
+                      onClick={() => resolve(action)}
+                      disabled={working}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50 text-sm"
+                    >
+                      {ACTION_LABELS[action]}
+                    </button>
+                  ))}
+                  <button onClick={() => resolve('none')} disabled={working} className="btn-secondary text-sm">
+                    {ACTION_LABELS.none}
+                  </button>
+                  <button onClick={() => resolve('dismiss')} disabled={working} className="btn-secondary text-sm">
+                    {ACTION_LABELS.dismiss}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="pt-4 border-t text-sm text-gray-600">
+                <p>
+                  <span className="capitalize">{report.status}</span>
+                  {report.action && report.action !== 'none' && ` (${ACTION_LABELS[report.action].toLowerCase()})`}
+                  {' by '}{report.resolvedBy?.username || 'unknown'}
+                  {report.resolvedAt && ` ${formatDistanceToNow(new Date(report.resolvedAt), { addSuffix: true })}`}
+                </p>
+                {report.resolutionNote && (
+                  <p className="text-gray-800 mt-1 whitespace-pre-wrap">{report.resolutionNote}</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Moderation queue for the admin console
+const AdminReports = () => {
+  const [reports, setReports] = useState([]);
+  const [status, setStatus] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const { on } = useSocket();
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/admin/reports', {
+        params: status ? { status } : {}
+      });
+      setReports(response.data.reports);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  // New reports come in live
+  useEffect(() => {
+    const unsubscribe = on('report_created', () => {
+      if (status === 'open' || !status) fetchReports();
+    });
+
+    return () => unsubscribe?.();
+  }, [on, status, fetchReports]);
+
+  const closeDetail = useCallback(() => setSelectedId(null), []);
+
+  // Resolving one report settles the others on the same target too
+  const handleResolved = () => {
+    setSelectedId(null);
+    fetchReports();
+  };
+
+  return (
+    <div>
+      <div className="flex space-x-2 mb-4">
+        {['open', 'actioned', 'dismissed', ''].map(value => (
+          <button
+            key={value || 'all'}
+            onClick={() => setStatus(value)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium capitalize ${
+              status === value ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {value || 'All'}
+          </button>
+        ))}
+      </div>
+
+      {loading && reports.length === 0 ? (
+        <div className="flex justify-center py-8">
+          <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : reports.length === 0 ? (
+        <div className="text-center text-gray-500 py-8">
+          <Flag className="w-10 h-10 mx-auto mb-2 text-gray-300" />
+          <p>No reports</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow divide-y">
+          {reports.map(report => (
+            <button
+              key={report._id}
+              onClick={() => setSelectedId(report._id)}
+              className="w-full text-left p-4 hover:bg-gray-50"
+            >
+              <div className="flex items-center justify-between mb-1">
+                <p className="font-medium text-gray-900">{describeTarget(report)}</p>
+                <span className={`badge capitalize ${STATUS_STYLES[report.status]}`}>{report.status}</span>
+              </div>
+              <p className="text-sm text-gray-600">
+                <span className="capitalize">{report.reason}</span>
+                {' · reported by '}{report.reporter?.username || 'unknown'}
+                {' '}{formatDistanceToNow(new Date(report.createdAt), { addSuffix: true })}
+              </p>
+              {report.details && (
+                <p className="text-sm text-gray-800 mt-2 whitespace-pre-wrap line-clamp-2">{report.details}</p>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedId && (
+        <ReportDetail
+          reportId={selectedId}
+          onClose={closeDetail}
+          onResolved={handleResolved}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AdminReports;
@@ -0,0 +1,296 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Search, Ban, CheckCircle, LogOut, Unlock } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+const SUSPEND_DURATIONS = [
+  { label: '24 hours', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+  { label: 'Until lifted', hours: null }
+];
+
+// User list for the admin console: search, suspend, sign out and roles
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const isAdmin = currentUser.role === 'admin';
+
+  const [users, setUsers] = useState([]);
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ role: '', status: '' });
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  // The user being suspended, while the form is open
+  const [suspending, setSuspending] = useState(null);
+  const [suspendForm, setSuspendForm] = useState({ reason: '', hours: 24 });
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20 };
+      if (query.trim()) params.q = query.trim();
+      if (filters.role) params.role = filters.role;
+      if (filters.status) params.status = filters.status;
+
+      const response = await axios.get('/admin/users', { params });
+      setUsers(response.data.users);
+      setTotalPages(response.data.totalPages || 1);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, query, filters]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(fetchUsers, 300);
+    return () => clearTimeout(timer);
+  }, [fetchUsers]);
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(u => (u._id === updated._id ? updated : u)));
+  };
+
+  const canManage = (target) =>
+    target._id !== currentUser._id && ROLE_RANK[target.role] < ROLE_RANK[currentUser.role];
+
+  const runAction = async (request, successMessage) => {
+    try {
+      const response = await request();
+      if (response.data.user) replaceUser(response.data.user);
+      toast.success(response.data.message || successMessage);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Action failed');
+    }
+  };
+
+  const submitSuspend = async (e) => {
+    e.preventDefault();
+    await runAction(() => axios.post(`/admin/users/${suspending._id}/suspend`, {
+      reason: suspendForm.reason,
+      durationHours: suspendForm.hours
+    }));
+    setSuspending(null);
+  };
+
+  const unsuspend = (target) =>
+    runAction(() => axios.post(`/admin/users/${target._id}/unsuspend`));
+
+  const forceLogout = (target) => {
+    if (!window.confirm(`Sign ${target.username} out on every device?`)) return;
+    runAction(() => axios.post(`/admin/users/${target._id}/logout`));
+  };
+
+  const unlock = (target) =>
+    runAction(() => axios.post(`/admin/users/${target._id}/unlock`));
+
+  const changeRole = (target, role) =>
+    runAction(() => axios.put(`/admin/users/${target._id}/role`, { role }));
+
+  return (
+    <div>
+      {/* Search and filters */}
+      <div className="flex flex-col sm:flex-row gap-2 mb-4">
+        <div className="relative flex-1">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setPage(1);
+            }}
+            className="input-primary pl-9"
+            placeholder="Search by username, email or Friend ID"
+          />
+        </div>
+        <select
+          value={filters.role}
+          onChange={(e) => {
+            setFilters({ ...filters, role: e.target.value });
+            setPage(1);
+          }}
+          className="input-primary sm:w-40"
+        >
+          <option value="">All roles</option>
+          <option value="user">Users</option>
+          <option value="moderator">Moderators</option>
+          <option value="admin">Admins</option>
+        </select>
+        <select
+          value={filters.status}
+          onChange={(e) => {
+            setFilters({ ...filters, status: e.target.value });
+            setPage(1);
+          }}
+          className="input-primary sm:w-40"
+        >
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="suspended">Suspended</option>
+        </select>
+      </div>
+
+      {loading && users.length === 0 ? (
+        <div className="flex justify-center py-8">
+          <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : users.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No users found</p>
+      ) : (
+        <div className="bg-white rounded-lg shadow divide-y">
+          {users.map(target => (
+            <div key={target._id} className="p-4 flex flex-col md:flex-row md:items-center gap-3">
+              <div className="flex items-center space-x-3 flex-1 min-w-0">
+                <img
+                  src={target.avatar?.url || `https://ui-avatars.com/api/?name=${target.username}&background=random`}
+                  alt={target.username}
+                  className="w-10 h-10 rounded-full object-cover flex-shrink-0"
+                />
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <p className="font-medium text-gray-900 truncate">{target.username}</p>
+                    {target.role !== 'user' && (
+                      <span className="badge bg-primary-100 text-primary-700 capitalize">{target.role}</span>
+                    )}
+                    {target.isSuspended && (
+                      <span className="badge bg-red-100 text-red-700">Suspended</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-500 truncate">
+                    {target.email} · joined {formatDistanceToNow(new Date(target.createdAt), { addSuffix: true })}
+                  </p>
+                  {target.isSuspended && (
+                    <p className="text-xs text-red-600 truncate">
+                      {target.suspension.until
+                        ? `Until ${new Date(target.suspension.until).toLocaleString()}`
+                        : 'Until lifted'}
+                      {target.suspension.reason && ` · ${target.suspension.reason}`}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              {canManage(target) && (
+                <div className="flex items-center space-x-1 flex-shrink-0">
+                  {isAdmin && (
+                    <select
+                      value={target.role}
+                      onChange={(e) => changeRole(target, e.target.value)}
+                      className="text-sm border border-gray-300 rounded-lg px-2 py-1"
+                      title="Role"
+                    >
+                      <option value="user">User</option>
+                      <option value="moderator">Moderator</option>
+                    </select>
+                  )}
+                  {target.isSuspended ? (
+                    <button
+                      onClick={() => unsuspend(target)}
+                      className="p-2 hover:bg-green-50 rounded-lg text-green-600"
+                      title="Lift suspension"
+                    >
+                      <CheckCircle className="w-4 h-4" />
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        setSuspending(target);
+                        setSuspendForm({ reason: '', hours: 24 });
+                      }}
+                      className="p-2 hover:bg-red-50 rounded-lg text-red-600"
+                      title="Suspend"
+                    >
+                      <Ban className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => forceLogout(target)}
+                    className="p-2 hover:bg-gray-100 rounded-lg text-gray-600"
+                    title="Sign out everywhere"
+                  >
+                    <LogOut className="w-4 h-4" />
+                  </button>
+                  {isAdmin && (
+                    <button
+                      onClick={() => unlock(target)}
+                      className="p-2 hover:bg-gray-100 rounded-lg text-gray-600"
+                      title="Clear sign-in lockout"
+                    >
+                      <Unlock className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-4">
+          <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn-secondary disabled:opacity-50">
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={page >= totalPages} className="btn-secondary disabled:opacity-50">
+            Next
+          </button>
+        </div>
+      )}
+
+      {/* Suspend form */}
+      {suspending && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <form onSubmit={submitSuspend} className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900">Suspend {suspending.username}</h3>
+            <p className="text-sm text-gray-600">
+              They'll be signed out everywhere and can't sign in until the suspension ends.
+            </p>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Duration</label>
+              <select
+                value={suspendForm.hours ?? ''}
+                onChange={(e) => setSuspendForm({
+                  ...suspendForm,
+                  hours: e.target.value ? parseInt(e.target.value, 10) : null
+                })}
+                className="input-primary"
+              >
+                {SUSPEND_DURATIONS.map(({ label, hours }) => (
+                  <option key={label} value={hours ?? ''}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason (shown to the user)</label>
+              <textarea
+                value={suspendForm.reason}
+                onChange={(e) => setSuspendForm({ ...suspendForm, reason: e.target.value })}
+                className="input-primary resize-none"
+                rows={3}
+                maxLength={500}
+              />
+            </div>
+            <div className="flex space-x-2">
+              <button type="button" onClick={() => setSuspending(null)} className="flex-1 btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700">
+                Suspend
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
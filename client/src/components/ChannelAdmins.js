@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { LogOut, Users } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { GROUP_ROLE_LABELS, getGroupRole } from './GroupMembers';
+
+// Who posts in a channel, in its info view. Subscribers are only counted,
+// never listed. The owner adds and removes admins, other admins can step
+// down, and subscribers can unsubscribe.
+const ChannelAdmins = ({ chat, onViewProfile, onLeft }) => {
+  const [admins, setAdmins] = useState(chat.participants || []);
+  const [contacts, setContacts] = useState([]);
+  const [working, setWorking] = useState(false);
+  const { user } = useAuth();
+
+  const myRole = getGroupRole(chat, user._id);
+  const isOwner = myRole === 'owner';
+
+  useEffect(() => {
+    if (!isOwner) return;
+
+    const fetchContacts = async () => {
+      try {
+        const response = await axios.get('/users/contacts/list');
+        setContacts(response.data.contacts || []);
+      } catch (error) {
+        console.error('Error fetching contacts:', error);
+      }
+    };
+
+    fetchContacts();
+  }, [isOwner]);
+
+  const run = async (request, successMessage) => {
+    try {
+      setWorking(true);
+      const response = await request();
+      toast.success(successMessage);
+      return response;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+      return null;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const addAdmin = async (contact) => {
+    const response = await run(
+      () => axios.post(`/channels/${chat._id}/admins`, { userId: contact._id }),
+      `${contact.username} can now post in the channel`
+    );
+    if (response) setAdmins(response.data.chat.participants);
+  };
+
+  const removeAdmin = async (admin) => {
+    if (!window.confirm(`Stop ${admin.username} posting in the channel?`)) return;
+
+    const response = await run(
+      () => axios.delete(`/channels/${chat._id}/admins/${admin._id}`),
+      `${admin.username} is no longer an admin`
+    );
+    if (response) setAdmins(prev => prev.filter(a => a._id !== admin._id));
+  };
+
+  const stepDown = async () => {
+    if (!window.confirm('Stop posting in this channel?')) return;
+
+    const response = await run(
+      () => axios.delete(`/channels/${chat._id}/admins/${user._id}`),
+      'You are no longer an admin'
+    );
+    if (response) onLeft?.();
+  };
+
+  const unsubscribe = async () => {
+    if (!window.confirm('Unsubscribe from this channel?')) return;
+
+    const response = await run(
+      () => axios.delete(`/channels/${chat._id}/subscribe`),
+      'Unsubscribed'
+    );
+    if (response) onLeft?.();
+  };
+
+  const addableContacts = contacts.filter(contact => !admins.some(admin => admin._id === contact._id));
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-gray-500 flex items-center space-x-1">
+        <Users className="w-4 h-4" />
+        <span>{chat.subscriberCount} subscribers</span>
+      </p>
+
+      <h4 className="font-medium text-gray-900">
+        {admins.length} {admins.length === 1 ? 'admin' : 'admins'}
+      </h4>
+      <ul className="divide-y divide-gray-100">
+        {admins.map(admin => {
+          const isMe = admin._id === user._id;
+          const role = getGroupRole({ ...chat, admins }, admin._id);
+
+          return (
+            <li key={admin._id} className="flex items-center space-x-3 py-2">
+              <img
+                src={admin.avatar?.url || `https://ui-avatars.com/api/?name=${admin.username}`}
+                alt={admin.username}
+                className="w-8 h-8 rounded-full object-cover"
+              />
+              <button
+                onClick={onViewProfile && !isMe ? () => onViewProfile(admin._id) : undefined}
+                className={`flex-1 min-w-0 text-left text-sm text-gray-900 truncate ${
+                  onViewProfile && !isMe ? 'hover:underline' : 'cursor-default'
+                }`}
+              >
+                {admin.username}{isMe && ' (you)'}
+              </button>
+              <span className="text-xs text-primary-600">{GROUP_ROLE_LABELS[role]}</span>
+              {isOwner && !isMe && (
+                <button
+                  onClick={() => removeAdmin(admin)}
+                  disabled={working}
+                  className="text-xs text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {isOwner && addableContacts.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => addAdmin(addableContacts.find(contact => contact._id === e.target.value))}
+          disabled={working}
+          className="input-primary text-sm"
+        >
+          <option value="" disabled>Add an admin from your contacts...</option>
+          {addableContacts.map(contact => (
+            <option key={contact._id} value={contact._id}>{contact.username}</option>
+          ))}
+        </select>
+      )}
+
+      {myRole === 'subscriber' ? (
+        <button
+          onClick={unsubscribe}
+          disabled={working}
+          className="w-full flex items-center space-x-3 p-3 hover:bg-gray-50 rounded-lg transition-colors text-gray-700"
+        >
+          <LogOut className="w-5 h-5" />
+          <span>Unsubscribe</span>
+        </button>
+      ) : !isOwner && (
+        <button
+          onClick={stepDown}
+          disabled={working}
+          className="w-full flex items-center space-x-3 p-3 hover:bg-gray-50 rounded-lg transition-colors text-gray-700"
+        >
+          <LogOut className="w-5 h-5" />
+          <span>Step down as admin</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ChannelAdmins;
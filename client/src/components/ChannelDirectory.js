@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Search, Megaphone, Users } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Browse channels that are listed in the directory, and subscribe
+const ChannelDirectory = ({ onClose, onSubscribed }) => {
+  const [channels, setChannels] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [subscribingId, setSubscribingId] = useState(null);
+
+  const fetchChannels = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/channels/directory', {
+        params: query.trim() ? { q: query.trim() } : {}
+      });
+      setChannels(response.data.channels);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load channels');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(fetchChannels, 300);
+    return () => clearTimeout(timer);
+  }, [fetchChannels]);
+
+  const handleSubscribe = async (channel) => {
+    try {
+      setSubscribingId(channel._id);
+      const response = await axios.post(`/channels/${channel._id}/subscribe`);
+      toast.success(response.data.message);
+      onSubscribed?.(response.data.chat);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to subscribe');
+    } finally {
+      setSubscribingId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Megaphone className="w-6 h-6 text-primary-600" />
+            <span>Browse Channels</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 pb-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search channels..."
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 pb-6 custom-scrollbar">
+          {loading && channels.length === 0 ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-6 h-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            </div>
+          ) : channels.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              {query ? 'No channels found' : 'No channels are listed yet'}
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {channels.map(channel => (
+                <li key={channel._id} className="flex items-center space-x-3 py-3">
+                  <img
+                    src={channel.avatar?.url || `https://ui-avatars.com/api/?name=${channel.name}&background=random`}
+                    alt={channel.name}
+                    className="w-10 h-10 rounded-full object-cover"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{channel.name}</p>
+                    <p className="text-xs text-gray-500 flex items-center space-x-1">
+                      <Users className="w-3.5 h-3.5" />
+                      <span>{channel.subscriberCount} subscribers</span>
+                    </p>
+                    {channel.description && (
+                      <p className="text-sm text-gray-600 truncate">{channel.description}</p>
+                    )}
+                  </div>
+                  {channel.isAdmin ? (
+                    <span className="text-xs text-gray-500">Admin</span>
+                  ) : channel.isSubscribed ? (
+                    <span className="text-xs text-gray-500">Subscribed</span>
+                  ) : (
+                    <button
+                      onClick={() => handleSubscribe(channel)}
+                      disabled={subscribingId === channel._id}
+                      className="px-3 py-1.5 bg-primary-600 text-white text-sm rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      Subscribe
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelDirectory;
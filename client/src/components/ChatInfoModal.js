@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { X, Info, Timer, Flag } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import ReportModal from './ReportModal';
+import GroupInviteLinks from './GroupInviteLinks';
+import GroupJoinRequests from './GroupJoinRequests';
+import GroupMembers, { GROUP_ROLE_RANK, getGroupRole, canInGroup } from './GroupMembers';
+import GroupPermissions from './GroupPermissions';
+import ChannelAdmins from './ChannelAdmins';
+
+export const DISAPPEARING_TIMERS = [
+  { value: 0, label: 'Off' },
+  { value: 3600, label: '1 hour' },
+  { value: 86400, label: '24 hours' },
+  { value: 604800, label: '7 days' }
+];
+
+const INFO_TITLES = {
+  private: 'Chat Info',
+  group: 'Group Info',
+  channel: 'Channel Info'
+};
+
+const ChatInfoModal = ({ chat, settings, onClose, onSettingsUpdated, onViewProfile, onLeft }) => {
+  const disappearing = settings?.disappearingMessages || { timer: 0, startOn: 'sent' };
+  const [timer, setTimer] = useState(disappearing.timer);
+  const [startOn, setStartOn] = useState(disappearing.startOn);
+  const [saving, setSaving] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const { user } = useAuth();
+
+  const isAdmin = GROUP_ROLE_RANK[getGroupRole(chat, user._id)] >= GROUP_ROLE_RANK.admin;
+  const canInvite = chat.type === 'group' && canInGroup(chat, settings, user._id, 'addMembers');
+  const canEdit = canInGroup(chat, settings, user._id, 'changeSettings');
+  const otherParticipant = chat.type === 'private'
+    ? chat.participants?.find(participant => participant._id !== user._id)
+    : null;
+  const changed = timer !== disappearing.timer || (timer > 0 && startOn !== disappearing.startOn);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await axios.put(`/chats/${chat._id}/disappearing`, { timer, startOn });
+      onSettingsUpdated?.(response.data.settings);
+      toast.success(timer ? 'Disappearing messages turned on' : 'Disappearing messages turned off');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update setting');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Info className="w-6 h-6 text-primary-600" />
+            <span>{INFO_TITLES[chat.type]}</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6 custom-scrollbar">
+          {/* Chat details */}
+          <div className="flex flex-col items-center text-center">
+            <img
+              src={chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random`}
+              alt={chat.name}
+              className="w-20 h-20 rounded-full object-cover mb-3"
+            />
+            <h3 className="text-lg font-semibold text-gray-900">{chat.name}</h3>
+            {chat.description && (
+              <p className="text-sm text-gray-600 mt-1">{chat.description}</p>
+            )}
+            {otherParticipant && onViewProfile && (
+              <button
+                onClick={() => onViewProfile(otherParticipant._id)}
+                className="mt-2 text-sm text-primary-600 hover:underline"
+              >
+                View profile
+              </button>
+            )}
+          </div>
+
+          {/* Disappearing messages, hidden from channel subscribers */}
+          {(chat.type !== 'channel' || canEdit) && (
+            <div className="space-y-3">
+              <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+                <Timer className="w-5 h-5 text-gray-600" />
+                <span>Disappearing messages</span>
+              </h4>
+              <p className="text-sm text-gray-500">
+                New messages in this chat are deleted for everyone once the timer runs out.
+              </p>
+
+              <select
+                value={timer}
+                onChange={(e) => setTimer(parseInt(e.target.value))}
+                disabled={!canEdit || saving}
+                className="input-primary"
+              >
+                {DISAPPEARING_TIMERS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              {timer > 0 && (
+                <div className="flex items-center space-x-4 text-sm text-gray-700">
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="radio"
+                      name="startOn"
+                      value="sent"
+                      checked={startOn === 'sent'}
+                      onChange={() => setStartOn('sent')}
+                      disabled={!canEdit || saving}
+                    />
+                    <span>After sending</span>
+                  </label>
+                  <label className="flex items-center space-x-1">
+                    <input
+                      type="radio"
+                      name="startOn"
+                      value="read"
+                      checked={startOn === 'read'}
+                      onChange={() => setStartOn('read')}
+                      disabled={!canEdit || saving}
+                    />
+                    <span>After reading</span>
+                  </label>
+                </div>
+              )}
+
+              {canEdit ? (
+                <button
+                  onClick={handleSave}
+                  disabled={!changed || saving}
+                  className="btn-primary w-full"
+                >
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+              ) : (
+                <p className="text-xs text-gray-500">You can't change this setting in this group.</p>
+              )}
+            </div>
+          )}
+
+          {/* Who can join, for admins */}
+          {chat.type === 'group' && isAdmin && (
+            <GroupJoinRequests chat={chat} settings={settings} onSettingsUpdated={onSettingsUpdated} />
+          )}
+
+          {/* Who can do what */}
+          {chat.type === 'group' && canEdit && (
+            <GroupPermissions chat={chat} settings={settings} onSettingsUpdated={onSettingsUpdated} />
+          )}
+
+          {/* Invite links */}
+          {canInvite && <GroupInviteLinks chat={chat} />}
+
+          {/* Members */}
+          {chat.type === 'group' && (
+            <GroupMembers
+              chat={chat}
+              settings={settings}
+              onViewProfile={onViewProfile}
+              onLeft={onLeft}
+            />
+          )}
+
+          {/* Admins, and the subscriber count */}
+          {chat.type === 'channel' && (
+            <ChannelAdmins
+              chat={chat}
+              onViewProfile={onViewProfile}
+              onLeft={onLeft}
+            />
+          )}
+
+          {chat.type === 'group' && (
+            <div className="pt-4 border-t">
+              <button
+                onClick={() => setShowReport(true)}
+                className="w-full flex items-center space-x-3 p-3 hover:bg-red-50 rounded-lg transition-colors text-red-600"
+              >
+                <Flag className="w-5 h-5" />
+                <span>Report group</span>
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showReport && (
+        <ReportModal
+          targetType="group"
+          targetId={chat._id}
+          targetName={chat.name}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ChatInfoModal;
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import axios from '../api/axios';
 import { useSocket } from '../contexts/SocketContext';
 import { formatDistanceToNow } from 'date-fns';
-import { Search, MessageCircle, Users } from 'lucide-react';
+import { Search, MessageCircle, Users, Megaphone } from 'lucide-react';
 import LoadingSpinner from './LoadingSpinner';
 
 const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
@@ -37,6 +37,29 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
     return () => unsubscribe?.();
   }, [on, selectedChatId]);
 
+  useEffect(() => {
+    // Mentions are counted separately so they stand out from ordinary unreads.
+    // Thread mentions are left to the thread's own notifications.
+    const unsubscribe = on('mentioned', ({ chatId, threadRoot }) => {
+      if (threadRoot || chatId === selectedChatId) return;
+
+      setChats(prev => prev.map(chat =>
+        chat._id === chatId ? { ...chat, mentionCount: (chat.mentionCount || 0) + 1 } : chat
+      ));
+    });
+
+    return () => unsubscribe?.();
+  }, [on, selectedChatId]);
+
+  useEffect(() => {
+    // Opening a chat reads its mentions
+    if (selectedChatId) {
+      setChats(prev => prev.map(chat =>
+        chat._id === selectedChatId ? { ...chat, mentionCount: 0 } : chat
+      ));
+    }
+  }, [selectedChatId]);
+
   useEffect(() => {
     // Listen for group updates
     const unsubscribe = on('group_updated', ({ chatId }) => {
@@ -46,6 +69,15 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
     return () => unsubscribe?.();
   }, [on]);
 
+  // Groups removed by a moderator disappear from the list
+  useEffect(() => {
+    const unsubscribe = on('chat_removed', ({ chatId }) => {
+      setChats(prev => prev.filter(chat => chat._id !== chatId));
+    });
+
+    return () => unsubscribe?.();
+  }, [on]);
+
   const fetchChats = async () => {
     try {
       const response = await axios.get('/chats');
@@ -67,6 +99,8 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
       return chat.type === 'private';
     } else if (filterType === 'groups') {
       return chat.type === 'group';
+    } else if (filterType === 'channels') {
+      return chat.type === 'channel';
     }
     return true;
   });
@@ -111,6 +145,12 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
                 <p className="text-center">No groups yet</p>
                 <p className="text-sm text-center mt-2">Create a group to get started</p>
               </>
+            ) : filterType === 'channels' ? (
+              <>
+                <Megaphone className="w-16 h-16 mb-4 text-gray-300" />
+                <p className="text-center">No channels yet</p>
+                <p className="text-sm text-center mt-2">Browse channels to find some to follow</p>
+              </>
             ) : (
               <>
                 <MessageCircle className="w-16 h-16 mb-4 text-gray-300" />
@@ -142,6 +182,10 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
                         <div className="w-12 h-12 rounded-full bg-primary-100 flex items-center justify-center">
                           <Users className="w-6 h-6 text-primary-600" />
                         </div>
+                      ) : chat.type === 'channel' ? (
+                        <div className="w-12 h-12 rounded-full bg-primary-100 flex items-center justify-center">
+                          <Megaphone className="w-6 h-6 text-primary-600" />
+                        </div>
                       ) : (
                         <img
                           src={chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random`}
@@ -164,6 +208,11 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
                               ({chat.participants?.length})
                             </span>
                           )}
+                          {chat.type === 'channel' && (
+                            <span className="text-xs text-gray-500">
+                              ({chat.subscriberCount})
+                            </span>
+                          )}
                         </h3>
                         {lastMessage && (
                           <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
@@ -175,11 +224,21 @@ const ChatList = ({ onSelectChat, selectedChatId, filterType = 'chats' }) => {
                         <p className="text-sm text-gray-600 truncate">
                           {lastMessage?.content || 'No messages yet'}
                         </p>
-                        {chat.unreadCount > 0 && (
-                          <span className="ml-2 px-2 py-1 text-xs font-medium text-white bg-primary-600 rounded-full flex-shrink-0">
-                            {chat.unreadCount}
-                          </span>
-                        )}
+                        <div className="flex items-center space-x-1 ml-2 flex-shrink-0">
+                          {chat.mentionCount > 0 && (
+                            <span
+                              className="w-6 h-6 flex items-center justify-center text-xs font-bold text-white bg-primary-600 rounded-full"
+                              title={`${chat.mentionCount} unread ${chat.mentionCount === 1 ? 'mention' : 'mentions'}`}
+                            >
+                              @
+                            </span>
+                          )}
+                          {chat.unreadCount > 0 && (
+                            <span className="px-2 py-1 text-xs font-medium text-white bg-primary-600 rounded-full">
+                              {chat.unreadCount}
+                            </span>
+                          )}
+                        </div>
                       </div>
                     </div>
                   </div>
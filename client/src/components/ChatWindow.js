@@ -1,72 +1,289 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import axios from '../api/axios';
 import { useSocket } from '../contexts/SocketContext';
 import { useAuth } from '../contexts/AuthContext';
+import { useOutbox, applyOutbox } from '../contexts/OutboxContext';
 import Message from './Message';
 import MessageInput from './MessageInput';
 import CallModal from './CallModal';
-import { Phone, Video, MoreVertical, ArrowLeft } from 'lucide-react';
+import ThreadPanel from './ThreadPanel';
+import ScheduledMessagesList from './ScheduledMessagesList';
+import ChatInfoModal, { DISAPPEARING_TIMERS } from './ChatInfoModal';
+import { canInGroup, getGroupRole } from './GroupMembers';
+import PinnedMessagesBanner from './PinnedMessagesBanner';
+import ForwardMessagesModal from './ForwardMessagesModal';
+import { Phone, Video, MoreVertical, ArrowLeft, Timer, Forward, X } from 'lucide-react';
 import LoadingSpinner from './LoadingSpinner';
 import toast from 'react-hot-toast';
 
-const ChatWindow = ({ chat, onBack }) => {
+const ChatWindow = ({ chat, onBack, focusMessageId = null, onViewProfile }) => {
   const [messages, setMessages] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [hasMoreBefore, setHasMoreBefore] = useState(false);
+  const [hasMoreAfter, setHasMoreAfter] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [loadingNewer, setLoadingNewer] = useState(false);
+  const [highlightedId, setHighlightedId] = useState(null);
   const [typingUsers, setTypingUsers] = useState(new Set());
   const [showCallModal, setShowCallModal] = useState(false);
   const [callType, setCallType] = useState(null);
   const [incomingCall, setIncomingCall] = useState(null);
+  const [activeThreadId, setActiveThreadId] = useState(null);
+  const [showChatInfo, setShowChatInfo] = useState(false);
+  const [chatSettings, setChatSettings] = useState(chat?.settings);
+  const [groupChanges, setGroupChanges] = useState({}); // Roles and members changed since the chat was loaded
+  const [pins, setPins] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [showForwardModal, setShowForwardModal] = useState(false);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
+  const pendingScrollRef = useRef(null); // Scroll adjustment to apply after the next render
   const { user } = useAuth();
-  const { on, joinChat, leaveChat, markAsRead, onlineUsers } = useSocket();
+  const { on, joinChat, leaveChat, markAsRead, onlineUsers, trackChatSync, untrackChatSync, onSync } = useSocket();
+  const { entries: outboxEntries } = useOutbox();
+
+  // What the user has queued shows as if it were already sent. Queued
+  // messages wait with the newest page while viewing older history.
+  const shownMessages = useMemo(() => (
+    chat ? applyOutbox(messages, outboxEntries, {
+      chatId: chat._id,
+      sender: user,
+      includeQueued: !hasMoreAfter,
+    }) : messages
+  ), [messages, outboxEntries, chat, user, hasMoreAfter]);
+
+  const queuedCount = shownMessages.length - messages.length;
 
   const scrollToBottom = useCallback(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, []);
 
-  const fetchMessages = useCallback(async () => {
+  // Apply pending scroll adjustments once the new messages are in the DOM
+  useLayoutEffect(() => {
+    const pending = pendingScrollRef.current;
+    const container = messagesContainerRef.current;
+    if (!pending || !container) return;
+
+    pendingScrollRef.current = null;
+
+    if (pending.type === 'bottom') {
+      messagesEndRef.current?.scrollIntoView();
+    } else if (pending.type === 'message') {
+      document.getElementById(`message-${pending.messageId}`)?.scrollIntoView({ block: 'center' });
+    } else if (pending.type === 'preserve') {
+      // Keep the viewport anchored when older messages are prepended
+      container.scrollTop = pending.scrollTop + (container.scrollHeight - pending.scrollHeight);
+    }
+  }, [messages, loading]);
+
+  const markUnreadAsRead = useCallback((loadedMessages) => {
+    const unreadIds = loadedMessages
+      .filter(msg => msg.sender._id !== user._id && !msg.readBy?.some(r => r.user === user._id))
+      .map(msg => msg._id);
+
+    if (unreadIds.length > 0) {
+      markAsRead(chat._id, unreadIds);
+    }
+  }, [chat?._id, user?._id, markAsRead]);
+
+  // Load the newest page, or the page around anchorId when jumping to a message
+  const fetchMessages = useCallback(async (anchorId = focusMessageId) => {
     if (!chat?._id) return;
     
     try {
       setLoading(true);
-      const response = await axios.get(`/messages/${chat._id}`);
-      setMessages(response.data.messages || []);
-      
-      // Mark all as read
-      const unreadIds = response.data.messages
-        .filter(msg => msg.sender._id !== user._id && !msg.readBy?.some(r => r.user === user._id))
-        .map(msg => msg._id);
-      
-      if (unreadIds.length > 0) {
-        markAsRead(chat._id, unreadIds);
-      }
-      
-      scrollToBottom();
+      const response = await axios.get(`/messages/${chat._id}`, {
+        params: anchorId ? { around: anchorId } : {}
+      });
+      const loaded = response.data.messages || [];
+
+      pendingScrollRef.current = anchorId
+        ? { type: 'message', messageId: anchorId }
+        : { type: 'bottom' };
+      setMessages(loaded);
+      setHasMoreBefore(response.data.hasMoreBefore);
+      setHasMoreAfter(response.data.hasMoreAfter);
+      setHighlightedId(anchorId);
+      trackChatSync(chat._id, response.data.syncCursor);
+
+      markUnreadAsRead(loaded);
     } catch (error) {
       console.error('Error fetching messages:', error);
       toast.error('Failed to load messages');
     } finally {
       setLoading(false);
     }
-  }, [chat?._id, user?._id, markAsRead, scrollToBottom]);
+  }, [chat?._id, focusMessageId, markUnreadAsRead, trackChatSync]);
+
+  const fetchPins = useCallback(async () => {
+    if (!chat?._id) return;
+
+    try {
+      const response = await axios.get(`/chats/${chat._id}/pins`);
+      setPins(response.data.pins || []);
+    } catch (error) {
+      console.error('Error fetching pinned messages:', error);
+    }
+  }, [chat?._id]);
+
+  useEffect(() => {
+    fetchPins();
+  }, [fetchPins]);
+
+  // Scroll to a message, loading the page around it if it isn't loaded
+  const jumpToMessage = useCallback((messageId) => {
+    if (messages.some(msg => msg._id === messageId)) {
+      setHighlightedId(messageId);
+      document.getElementById(`message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+      fetchMessages(messageId);
+    }
+  }, [messages, fetchMessages]);
+
+  const handleTogglePin = useCallback(async (message) => {
+    const isPinned = pins.some(pin => pin.message._id === message._id);
+
+    try {
+      if (isPinned) {
+        await axios.delete(`/chats/${chat._id}/pins/${message._id}`);
+      } else {
+        await axios.post(`/chats/${chat._id}/pins/${message._id}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update pin');
+    }
+  }, [chat?._id, pins]);
+
+  const handleUnpin = useCallback((messageId) => {
+    handleTogglePin({ _id: messageId });
+  }, [handleTogglePin]);
+
+  // Load older history when scrolled to the top
+  const loadOlderMessages = useCallback(async () => {
+    if (!hasMoreBefore || loadingOlder || messages.length === 0) return;
+
+    try {
+      setLoadingOlder(true);
+      const response = await axios.get(`/messages/${chat._id}`, {
+        params: { before: messages[0]._id }
+      });
+      const container = messagesContainerRef.current;
+
+      pendingScrollRef.current = {
+        type: 'preserve',
+        scrollTop: container?.scrollTop || 0,
+        scrollHeight: container?.scrollHeight || 0
+      };
+      setMessages(prev => [...response.data.messages, ...prev]);
+      setHasMoreBefore(response.data.hasMoreBefore);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+      toast.error('Failed to load older messages');
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [chat?._id, messages, hasMoreBefore, loadingOlder]);
+
+  // Load newer messages when scrolled to the bottom of a jumped-to page
+  const loadNewerMessages = useCallback(async () => {
+    if (!hasMoreAfter || loadingNewer || messages.length === 0) return;
+
+    try {
+      setLoadingNewer(true);
+      const response = await axios.get(`/messages/${chat._id}`, {
+        params: { after: messages[messages.length - 1]._id }
+      });
+      const loaded = response.data.messages || [];
+
+      setMessages(prev => [...prev, ...loaded]);
+      setHasMoreAfter(response.data.hasMoreAfter);
+      markUnreadAsRead(loaded);
+    } catch (error) {
+      console.error('Error loading newer messages:', error);
+      toast.error('Failed to load newer messages');
+    } finally {
+      setLoadingNewer(false);
+    }
+  }, [chat?._id, messages, hasMoreAfter, loadingNewer, markUnreadAsRead]);
+
+  const handleScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.currentTarget;
+
+    if (scrollTop < 100) {
+      loadOlderMessages();
+    }
+    if (scrollHeight - scrollTop - clientHeight < 100) {
+      loadNewerMessages();
+    }
+  };
 
   useEffect(() => {
     if (chat) {
+      setActiveThreadId(null);
+      setSelectedIds([]);
       fetchMessages();
       joinChat(chat._id);
 
       return () => {
         leaveChat(chat._id);
+        untrackChatSync(chat._id);
       };
     }
-  }, [chat, fetchMessages, joinChat, leaveChat]);
+  }, [chat, fetchMessages, joinChat, leaveChat, untrackChatSync]);
+
+  // Bring newly queued messages into view
+  useEffect(() => {
+    if (queuedCount > 0) {
+      scrollToBottom();
+    }
+  }, [queuedCount, scrollToBottom]);
+
+  // Merge in what changed while the connection was down
+  useEffect(() => {
+    if (!chat) return;
+
+    return onSync(({ chatId, messages: changed, removedIds }) => {
+      if (chatId !== chat._id) return;
+
+      // Thread replies show in the thread panel, not the timeline
+      const timelineChanges = changed.filter(msg => !msg.threadRoot);
+      const now = new Date();
+
+      setMessages(prev => {
+        const byId = new Map(prev.map(msg => [msg._id, msg]));
+
+        timelineChanges.forEach(msg => {
+          const existing = byId.get(msg._id);
+          if (existing) {
+            byId.set(msg._id, { ...existing, ...msg });
+          } else if (!msg.deleted && !hasMoreAfter) {
+            // Like live messages, new ones wait for the newest page while viewing older history
+            byId.set(msg._id, msg);
+          }
+        });
+        removedIds.forEach(id => byId.delete(id));
+
+        // Disappearing messages that ran out meanwhile aren't listed, so drop them here
+        return [...byId.values()]
+          .filter(msg => !msg.expiresAt || new Date(msg.expiresAt) > now)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a._id.localeCompare(b._id));
+      });
+      setSelectedIds(prev => prev.filter(id => !removedIds.includes(id)));
+
+      if (!hasMoreAfter) {
+        markUnreadAsRead(timelineChanges.filter(msg => !msg.deleted));
+      }
+    });
+  }, [chat, onSync, hasMoreAfter, markUnreadAsRead]);
 
   useEffect(() => {
     if (!chat) return;
 
     // Listen for new messages
     const unsubscribeNewMessage = on('new_message', (message) => {
-      if (message.chat === chat._id) {
+      // While viewing older history the newest page isn't loaded yet;
+      // the message arrives with it when scrolling down
+      if (message.chat === chat._id && !hasMoreAfter) {
         setMessages(prev => [...prev, message]);
         scrollToBottom();
         
@@ -89,6 +306,8 @@ const ChatWindow = ({ chat, onBack }) => {
       setMessages(prev => prev.map(msg => 
         msg._id === messageId ? { ...msg, deleted: true, content: 'This message was deleted' } : msg
       ));
+      setPins(prev => prev.filter(pin => pin.message._id !== messageId));
+      setSelectedIds(prev => prev.filter(id => id !== messageId));
     });
 
     // Listen for reactions
@@ -115,6 +334,70 @@ const ChatWindow = ({ chat, onBack }) => {
       }
     });
 
+    // Listen for messages removed by the disappearing messages timer
+    const unsubscribeExpired = on('messages_expired', ({ chatId, messageIds }) => {
+      if (chatId === chat._id) {
+        setMessages(prev => prev.filter(msg => !messageIds.includes(msg._id)));
+        setPins(prev => prev.filter(pin => !messageIds.includes(pin.message._id)));
+        setSelectedIds(prev => prev.filter(id => !messageIds.includes(id)));
+      }
+    });
+
+    // Listen for pinned messages
+    const unsubscribePinned = on('message_pinned', ({ chatId, pin }) => {
+      if (chatId === chat._id) {
+        setPins(prev => [...prev.filter(p => p.message._id !== pin.message._id), pin]);
+      }
+    });
+
+    const unsubscribeUnpinned = on('message_unpinned', ({ chatId, messageId }) => {
+      if (chatId === chat._id) {
+        setPins(prev => prev.filter(pin => pin.message._id !== messageId));
+      }
+    });
+
+    // Listen for poll tallies
+    const unsubscribePoll = on('poll_updated', ({ chatId, messageId, poll }) => {
+      if (chatId === chat._id) {
+        setMessages(prev => prev.map(msg =>
+          msg._id === messageId ? { ...msg, poll } : msg
+        ));
+      }
+    });
+
+    // Listen for chat settings changes
+    const unsubscribeSettings = on('chat_settings_updated', ({ chatId, settings }) => {
+      if (chatId === chat._id) {
+        setChatSettings(settings);
+      }
+    });
+
+    // Listen for group role changes
+    const unsubscribeRoles = on('group_roles_updated', ({ chatId, ...roles }) => {
+      if (chatId === chat._id) {
+        setGroupChanges(prev => ({ ...prev, ...roles }));
+      }
+    });
+
+    // Drop members who leave or are removed
+    const unsubscribeGroup = on('group_updated', ({ chatId, action, userId }) => {
+      if (chatId === chat._id && action === 'user_removed') {
+        setGroupChanges(prev => ({
+          ...prev,
+          participants: (prev.participants || chat.participants || []).filter(p => p._id !== userId)
+        }));
+      }
+    });
+
+    // Listen for thread activity to keep reply counts current
+    const unsubscribeThreadUpdated = on('thread_updated', ({ chatId, rootId, replyCount, lastReplyAt }) => {
+      if (chatId === chat._id) {
+        setMessages(prev => prev.map(msg =>
+          msg._id === rootId ? { ...msg, thread: { ...msg.thread, replyCount, lastReplyAt } } : msg
+        ));
+      }
+    });
+
     return () => {
       unsubscribeNewMessage?.();
       unsubscribeEdit?.();
@@ -122,8 +405,63 @@ const ChatWindow = ({ chat, onBack }) => {
       unsubscribeReaction?.();
       unsubscribeTypingStart?.();
       unsubscribeTypingStop?.();
+      unsubscribeThreadUpdated?.();
+      unsubscribeExpired?.();
+      unsubscribePinned?.();
+      unsubscribeRoles?.();
+      unsubscribeGroup?.();
+      unsubscribeUnpinned?.();
+      unsubscribePoll?.();
+      unsubscribeSettings?.();
     };
-  }, [chat, on, user, markAsRead, scrollToBottom]);
+  }, [chat, on, user, markAsRead, scrollToBottom, hasMoreAfter]);
+
+  // Listen for replies in threads the user follows
+  useEffect(() => {
+    if (!chat) return;
+
+    const unsubscribe = on('thread_reply', ({ chatId, rootId }) => {
+      if (chatId === chat._id && rootId !== activeThreadId) {
+        setMessages(prev => prev.map(msg =>
+          msg._id === rootId ? { ...msg, threadUnreadCount: (msg.threadUnreadCount || 0) + 1 } : msg
+        ));
+      }
+    });
+
+    return () => unsubscribe?.();
+  }, [chat, on, activeThreadId]);
+
+  const handleOpenThread = useCallback((message) => {
+    setActiveThreadId(message._id);
+  }, []);
+
+  const handleCloseThread = useCallback(() => {
+    setActiveThreadId(null);
+  }, []);
+
+  // Selecting a message starts selection mode; it ends when nothing is selected
+  const handleToggleSelect = useCallback((message) => {
+    setSelectedIds(prev => (
+      prev.includes(message._id)
+        ? prev.filter(id => id !== message._id)
+        : [...prev, message._id]
+    ));
+  }, []);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+  }, []);
+
+  const handleForwarded = useCallback(() => {
+    setShowForwardModal(false);
+    setSelectedIds([]);
+  }, []);
+
+  const handleThreadRead = useCallback((rootId) => {
+    setMessages(prev => prev.map(msg =>
+      msg._id === rootId ? { ...msg, threadUnreadCount: 0 } : msg
+    ));
+  }, []);
 
   // Listen for incoming calls
   useEffect(() => {
@@ -188,116 +526,255 @@ const ChatWindow = ({ chat, onBack }) => {
     );
   }
 
-  return (
-    <div className="h-full flex flex-col bg-white relative">
-      {/* Header */}
-      <div className="flex items-center justify-between px-4 py-3 border-b bg-white z-10">
-        <div className="flex items-center space-x-3">
-          <button
-            onClick={onBack}
-            className="lg:hidden p-2 hover:bg-gray-100 rounded-lg transition-colors"
-          >
-            <ArrowLeft className="w-5 h-5" />
-          </button>
-          
-          <div className="relative">
-            <img
-              src={chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random`}
-              alt={chat.name}
-              className="w-10 h-10 rounded-full object-cover"
-            />
-            {isUserOnline() && (
-              <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white rounded-full"></span>
-            )}
-          </div>
-          
-          <div>
-            <h2 className="font-semibold text-gray-900">{chat.name}</h2>
-            {chat.type === 'group' ? (
-              <p className="text-sm text-gray-500">{chat.participants?.length} members</p>
-            ) : (
-              <p className="text-sm text-gray-500">
-                {isUserOnline() ? 'Online' : 'Offline'}
-              </p>
-            )}
-          </div>
-        </div>
+  const disappearingTimer = chatSettings?.disappearingMessages?.timer || 0;
+  const groupChat = { ...chat, ...groupChanges };
+  // Channel posts show views and counted reactions, and can't be replied to
+  const isChannel = chat.type === 'channel';
+  const canPin = canInGroup(groupChat, chatSettings, user._id, 'pinMessages');
+  const canSend = canInGroup(groupChat, chatSettings, user._id, 'sendMessages');
 
-        <div className="flex items-center space-x-2">
-          {/* Voice call button - only for private chats */}
-          {chat.type === 'private' && (
-            <button 
-              onClick={startVoiceCall}
-              className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              title="Voice Call"
+  return (
+    <div className="h-full flex bg-white relative">
+      <div className="flex-1 min-w-0 flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-4 py-3 border-b bg-white z-10">
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={onBack}
+              className="lg:hidden p-2 hover:bg-gray-100 rounded-lg transition-colors"
             >
-              <Phone className="w-5 h-5 text-gray-600" />
+              <ArrowLeft className="w-5 h-5" />
             </button>
-          )}
-          
-          {/* Video call button - only for private chats */}
-          {chat.type === 'private' && (
-            <button 
-              onClick={startVideoCall}
+            
+            <div className="relative">
+              <img
+                src={chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random`}
+                alt={chat.name}
+                className="w-10 h-10 rounded-full object-cover"
+              />
+              {isUserOnline() && (
+                <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 border-2 border-white rounded-full"></span>
+              )}
+            </div>
+            
+            <div>
+              <h2 className="font-semibold text-gray-900 flex items-center space-x-1">
+                <span>{chat.name}</span>
+                {disappearingTimer > 0 && (
+                  <span
+                    className="inline-flex items-center text-xs font-normal text-gray-500"
+                    title="Disappearing messages are on"
+                  >
+                    <Timer className="w-3.5 h-3.5 mr-0.5" />
+                    {DISAPPEARING_TIMERS.find(option => option.value === disappearingTimer)?.label}
+                  </span>
+                )}
+              </h2>
+              {chat.type === 'group' ? (
+                <p className="text-sm text-gray-500">{chat.participants?.length} members</p>
+              ) : isChannel ? (
+                <p className="text-sm text-gray-500">{chat.subscriberCount} subscribers</p>
+              ) : (
+                <p className="text-sm text-gray-500">
+                  {isUserOnline() ? 'Online' : 'Offline'}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            {/* Voice call button - only for private chats */}
+            {chat.type === 'private' && (
+              <button 
+                onClick={startVoiceCall}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Voice Call"
+              >
+                <Phone className="w-5 h-5 text-gray-600" />
+              </button>
+            )}
+            
+            {/* Video call button - only for private chats */}
+            {chat.type === 'private' && (
+              <button 
+                onClick={startVideoCall}
+                className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+                title="Video Call"
+              >
+                <Video className="w-5 h-5 text-gray-600" />
+              </button>
+            )}
+            
+            <button
+              onClick={() => setShowChatInfo(true)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              title="Video Call"
+              title="Chat info"
             >
-              <Video className="w-5 h-5 text-gray-600" />
+              <MoreVertical className="w-5 h-5 text-gray-600" />
             </button>
+          </div>
+        </div>
+
+        {/* Pinned messages */}
+        <PinnedMessagesBanner
+          pins={pins}
+          canUnpin={canPin}
+          onJump={jumpToMessage}
+          onUnpin={handleUnpin}
+        />
+
+        {/* Messages */}
+        <div
+          ref={messagesContainerRef}
+          onScroll={handleScroll}
+          className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar bg-gray-50"
+        >
+          {loading ? (
+            <div className="h-full flex items-center justify-center">
+              <LoadingSpinner />
+            </div>
+          ) : shownMessages.length === 0 ? (
+            <div className="h-full flex items-center justify-center text-gray-500">
+              <div className="text-center">
+                <p className="text-lg mb-2">No messages yet</p>
+                <p className="text-sm">Start the conversation!</p>
+              </div>
+            </div>
+          ) : (
+            <>
+              {loadingOlder && (
+                <div className="flex justify-center py-2">
+                  <LoadingSpinner size="sm" />
+                </div>
+              )}
+
+              {shownMessages.map((message, index) => (
+                <div
+                  key={message._id}
+                  id={`message-${message._id}`}
+                  className={message._id === highlightedId ? 'rounded-lg bg-yellow-50 ring-2 ring-yellow-200' : ''}
+                >
+                  <Message
+                    message={message}
+                    isOwn={message.sender._id === user._id}
+                    showAvatar={
+                      index === 0 ||
+                      shownMessages[index - 1].sender._id !== message.sender._id
+                    }
+                    isBroadcast={isChannel}
+                    onOpenThread={isChannel ? undefined : handleOpenThread}
+                    isPinned={pins.some(pin => pin.message._id === message._id)}
+                    onTogglePin={canPin ? handleTogglePin : undefined}
+                    selectionMode={selectedIds.length > 0}
+                    isSelected={selectedIds.includes(message._id)}
+                    onToggleSelect={handleToggleSelect}
+                  />
+                </div>
+              ))}
+
+              {loadingNewer && (
+                <div className="flex justify-center py-2">
+                  <LoadingSpinner size="sm" />
+                </div>
+              )}
+              
+              {/* Typing indicator */}
+              {typingUsers.size > 0 && (
+                <div className="flex items-center space-x-2 text-gray-500 text-sm">
+                  <div className="flex space-x-1">
+                    <div className="typing-dot"></div>
+                    <div className="typing-dot"></div>
+                    <div className="typing-dot"></div>
+                  </div>
+                  <span>Someone is typing...</span>
+                </div>
+              )}
+              
+              <div ref={messagesEndRef} />
+            </>
           )}
-          
-          <button className="p-2 hover:bg-gray-100 rounded-lg transition-colors">
-            <MoreVertical className="w-5 h-5 text-gray-600" />
-          </button>
         </div>
-      </div>
 
-      {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar bg-gray-50">
-        {loading ? (
-          <div className="h-full flex items-center justify-center">
-            <LoadingSpinner />
-          </div>
-        ) : messages.length === 0 ? (
-          <div className="h-full flex items-center justify-center text-gray-500">
-            <div className="text-center">
-              <p className="text-lg mb-2">No messages yet</p>
-              <p className="text-sm">Start the conversation!</p>
+        {/* Pending scheduled messages */}
+        <ScheduledMessagesList chatId={chat._id} />
+
+        {/* Selection actions replace the input while messages are selected */}
+        {selectedIds.length > 0 ? (
+          <div className="flex items-center justify-between px-4 py-3 border-t bg-white">
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={clearSelection}
+                className="p-2 hover:bg-gray-100 rounded-lg"
+                title="Cancel selection"
+              >
+                <X className="w-5 h-5 text-gray-600" />
+              </button>
+              <span className="text-sm font-medium text-gray-700">
+                {selectedIds.length} selected
+              </span>
             </div>
+            <button
+              onClick={() => setShowForwardModal(true)}
+              className="btn-primary flex items-center space-x-2"
+            >
+              <Forward className="w-4 h-4" />
+              <span>Forward</span>
+            </button>
           </div>
+        ) : canSend ? (
+          <MessageInput
+            chatId={chat._id}
+            participants={groupChat.participants}
+            canSendMedia={canInGroup(groupChat, chatSettings, user._id, 'sendMedia')}
+          />
         ) : (
-          <>
-            {messages.map((message, index) => (
-              <Message
-                key={message._id}
-                message={message}
-                isOwn={message.sender._id === user._id}
-                showAvatar={
-                  index === 0 ||
-                  messages[index - 1].sender._id !== message.sender._id
-                }
-              />
-            ))}
-            
-            {/* Typing indicator */}
-            {typingUsers.size > 0 && (
-              <div className="flex items-center space-x-2 text-gray-500 text-sm">
-                <div className="flex space-x-1">
-                  <div className="typing-dot"></div>
-                  <div className="typing-dot"></div>
-                  <div className="typing-dot"></div>
-                </div>
-                <span>Someone is typing...</span>
-              </div>
-            )}
-            
-            <div ref={messagesEndRef} />
-          </>
+          <div className="px-4 py-3 border-t bg-gray-50 text-center text-sm text-gray-500">
+            {isChannel
+              ? 'Only admins can post in this channel'
+              : getGroupRole(groupChat, user._id) === 'readonly'
+                ? 'You are a read-only member of this group'
+                : 'Only some members can send messages in this group'}
+          </div>
         )}
       </div>
 
-      {/* Message Input */}
-      <MessageInput chatId={chat._id} />
+      {/* Thread side panel */}
+      {activeThreadId && (
+        <div className="absolute inset-0 z-20 lg:static lg:w-96 lg:border-l">
+          <ThreadPanel
+            key={activeThreadId}
+            chat={groupChat}
+            settings={chatSettings}
+            rootId={activeThreadId}
+            onClose={handleCloseThread}
+            onThreadRead={handleThreadRead}
+          />
+        </div>
+      )}
+
+      {/* Chat info */}
+      {showChatInfo && (
+        <ChatInfoModal
+          chat={groupChat}
+          settings={chatSettings}
+          onClose={() => setShowChatInfo(false)}
+          onSettingsUpdated={setChatSettings}
+          onLeft={onBack}
+          onViewProfile={onViewProfile && ((userId) => {
+            setShowChatInfo(false);
+            onViewProfile(userId);
+          })}
+        />
+      )}
+
+      {/* Forward selected messages */}
+      {showForwardModal && (
+        <ForwardMessagesModal
+          messageIds={selectedIds}
+          onClose={() => setShowForwardModal(false)}
+          onForwarded={handleForwarded}
+        />
+      )}
 
       {/* Call Modal */}
       {showCallModal && (
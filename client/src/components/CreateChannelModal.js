@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { X, Megaphone } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+const CreateChannelModal = ({ onClose, onChannelCreated }) => {
+  const [channelName, setChannelName] = useState('');
+  const [channelDescription, setChannelDescription] = useState('');
+  const [discoverable, setDiscoverable] = useState(true);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!channelName.trim()) {
+      toast.error('Please enter a channel name');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/channels', {
+        name: channelName.trim(),
+        description: channelDescription.trim(),
+        discoverable
+      });
+
+      toast.success('Channel created successfully!');
+      onChannelCreated?.(response.data.chat);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create channel');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Megaphone className="w-6 h-6 text-primary-600" />
+            <span>Create New Channel</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex flex-col">
+          <div className="p-6 space-y-4">
+            <p className="text-sm text-gray-500">
+              Only you and the admins you add can post. Subscribers can react but not reply, and can't see each other.
+            </p>
+
+            {/* Channel Name */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Channel Name *
+              </label>
+              <input
+                type="text"
+                value={channelName}
+                onChange={(e) => setChannelName(e.target.value)}
+                placeholder="Enter channel name"
+                className="input-primary"
+                maxLength={100}
+                required
+              />
+            </div>
+
+            {/* Channel Description */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Description (Optional)
+              </label>
+              <textarea
+                value={channelDescription}
+                onChange={(e) => setChannelDescription(e.target.value)}
+                placeholder="What will you post here?"
+                className="input-primary"
+                rows="2"
+                maxLength={500}
+              />
+            </div>
+
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={discoverable}
+                onChange={(e) => setDiscoverable(e.target.checked)}
+                className="mt-0.5"
+              />
+              <span>
+                List in the channel directory
+                <span className="block text-xs text-gray-500">Anyone can find this channel and subscribe</span>
+              </span>
+            </label>
+          </div>
+
+          {/* Footer */}
+          <div className="border-t p-6">
+            <button
+              type="submit"
+              disabled={loading || !channelName.trim()}
+              className="w-full btn-primary py-3 flex items-center justify-center space-x-2"
+            >
+              {loading ? (
+                <>
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  <span>Creating...</span>
+                </>
+              ) : (
+                <>
+                  <Megaphone className="w-5 h-5" />
+                  <span>Create Channel</span>
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreateChannelModal;
@@ -7,6 +7,8 @@ import toast from 'react-hot-toast';
 const CreateGroupModal = ({ onClose, onGroupCreated }) => {
   const [groupName, setGroupName] = useState('');
   const [groupDescription, setGroupDescription] = useState('');
+  const [discoverable, setDiscoverable] = useState(false);
+  const [joinApproval, setJoinApproval] = useState(false);
   const [contacts, setContacts] = useState([]);
   const [selectedContacts, setSelectedContacts] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
@@ -59,7 +61,9 @@ const CreateGroupModal = ({ onClose, onGroupCreated }) => {
       const response = await axios.post('/chats/group', {
         name: groupName.trim(),
         description: groupDescription.trim(),
-        participants: selectedContacts
+        participants: selectedContacts,
+        discoverable,
+        joinApproval
       });
 
       toast.success('Group created successfully!');
@@ -127,6 +131,34 @@ const CreateGroupModal = ({ onClose, onGroupCreated }) => {
               />
             </div>
 
+            {/* Who can join */}
+            <div className="space-y-2">
+              <label className="flex items-start space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={discoverable}
+                  onChange={(e) => setDiscoverable(e.target.checked)}
+                  className="mt-0.5"
+                />
+                <span>
+                  List in the group directory
+                  <span className="block text-xs text-gray-500">Anyone can find this group and ask to join</span>
+                </span>
+              </label>
+              <label className="flex items-start space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={joinApproval}
+                  onChange={(e) => setJoinApproval(e.target.checked)}
+                  className="mt-0.5"
+                />
+                <span>
+                  Admins approve new members
+                  <span className="block text-xs text-gray-500">Applies to the directory and to invite links</span>
+                </span>
+              </label>
+            </div>
+
             {/* Selected Count */}
             <div className="flex items-center justify-between text-sm">
               <span className="font-medium text-gray-700">Select Members</span>
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { X, BarChart2, Plus, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+const MAX_OPTIONS = 10;
+
+const CreatePollModal = ({ chatId, threadRoot = null, onClose }) => {
+  const [question, setQuestion] = useState('');
+  const [options, setOptions] = useState(['', '']);
+  const [multipleChoice, setMultipleChoice] = useState(false);
+  const [anonymous, setAnonymous] = useState(false);
+  const [closesAt, setClosesAt] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const filledOptions = options.map(option => option.trim()).filter(Boolean);
+
+  const updateOption = (index, value) => {
+    setOptions(prev => prev.map((option, i) => (i === index ? value : option)));
+  };
+
+  const addOption = () => {
+    if (options.length < MAX_OPTIONS) {
+      setOptions(prev => [...prev, '']);
+    }
+  };
+
+  const removeOption = (index) => {
+    setOptions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!question.trim()) {
+      toast.error('Please enter a question');
+      return;
+    }
+
+    if (filledOptions.length < 2) {
+      toast.error('Please add at least two options');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const messageData = {
+        chatId,
+        type: 'poll',
+        content: question.trim(),
+        poll: {
+          question: question.trim(),
+          options: filledOptions,
+          multipleChoice,
+          anonymous,
+          closesAt: closesAt ? new Date(closesAt).toISOString() : undefined
+        }
+      };
+
+      if (threadRoot) {
+        messageData.threadRoot = threadRoot;
+      }
+
+      await axios.post('/messages', messageData);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create poll');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <BarChart2 className="w-6 h-6 text-primary-600" />
+            <span>Create Poll</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Form */}
+        <form onSubmit={handleSubmit} className="flex-1 overflow-hidden flex flex-col">
+          <div className="flex-1 overflow-y-auto p-6 space-y-4">
+            {/* Question */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Question *
+              </label>
+              <input
+                type="text"
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                placeholder="Ask a question"
+                className="input-primary"
+                maxLength={300}
+                required
+              />
+            </div>
+
+            {/* Options */}
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Options *
+              </label>
+              {options.map((option, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => updateOption(index, e.target.value)}
+                    placeholder={`Option ${index + 1}`}
+                    className="input-primary"
+                    maxLength={100}
+                  />
+                  {options.length > 2 && (
+                    <button
+                      type="button"
+                      onClick={() => removeOption(index)}
+                      className="p-2 hover:bg-gray-100 rounded-lg flex-shrink-0"
+                      title="Remove option"
+                    >
+                      <Trash2 className="w-4 h-4 text-gray-500" />
+                    </button>
+                  )}
+                </div>
+              ))}
+              {options.length < MAX_OPTIONS && (
+                <button
+                  type="button"
+                  onClick={addOption}
+                  className="flex items-center space-x-1 text-sm text-primary-600 hover:underline"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>Add option</span>
+                </button>
+              )}
+            </div>
+
+            {/* Settings */}
+            <div className="space-y-2 text-sm text-gray-700">
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={multipleChoice}
+                  onChange={(e) => setMultipleChoice(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Allow multiple answers</span>
+              </label>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={anonymous}
+                  onChange={(e) => setAnonymous(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Anonymous voting</span>
+              </label>
+            </div>
+
+            {/* Close time */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Closes at (Optional)
+              </label>
+              <input
+                type="datetime-local"
+                value={closesAt}
+                min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+                onChange={(e) => setClosesAt(e.target.value)}
+                className="input-primary"
+              />
+            </div>
+          </div>
+
+          {/* Footer */}
+          <div className="border-t p-6">
+            <button
+              type="submit"
+              disabled={loading || !question.trim() || filledOptions.length < 2}
+              className="w-full btn-primary py-3 flex items-center justify-center space-x-2"
+            >
+              {loading ? (
+                <>
+                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  <span>Creating...</span>
+                </>
+              ) : (
+                <>
+                  <BarChart2 className="w-5 h-5" />
+                  <span>Create Poll</span>
+                </>
+              )}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CreatePollModal;
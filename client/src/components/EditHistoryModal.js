@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { X, History } from 'lucide-react';
+import axios from '../api/axios';
+import LoadingSpinner from './LoadingSpinner';
+import toast from 'react-hot-toast';
+
+// Word-level diff of two strings via longest common subsequence.
+// Returns [{ type: 'same' | 'added' | 'removed', text }]
+const diffWords = (before, after) => {
+  const a = before.split(/(\s+)/);
+  const b = after.split(/(\s+)/);
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+};
+
+const RevisionDiff = ({ before, after }) => (
+  <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+    {diffWords(before, after).map((part, index) => {
+      if (part.type === 'added') {
+        return <ins key={index} className="bg-green-100 text-green-800 no-underline">{part.text}</ins>;
+      }
+      if (part.type === 'removed') {
+        return <del key={index} className="bg-red-100 text-red-700">{part.text}</del>;
+      }
+      return <span key={index}>{part.text}</span>;
+    })}
+  </p>
+);
+
+const EditHistoryModal = ({ messageId, onClose }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showDiff, setShowDiff] = useState(true);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        const response = await axios.get(`/messages/${messageId}/history`);
+        setRevisions(response.data.revisions || []);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load edit history');
+        onClose();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [messageId, onClose]);
+
+  // Newest first, each compared with the revision it replaced
+  const entries = revisions
+    .map((revision, index) => ({ ...revision, previous: revisions[index - 1] }))
+    .reverse();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full max-h-[80vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <History className="w-6 h-6 text-primary-600" />
+            <span>Edit History</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Revisions */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-4 custom-scrollbar">
+          {loading ? (
+            <div className="flex items-center justify-center py-6">
+              <LoadingSpinner />
+            </div>
+          ) : (
+            <>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showDiff}
+                  onChange={(e) => setShowDiff(e.target.checked)}
+                  className="rounded"
+                />
+                <span>Highlight changes</span>
+              </label>
+
+              {entries.map((entry, index) => (
+                <div key={index} className="border rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-1 text-xs text-gray-500">
+                    <span>
+                      {entry.current ? 'Current' : entry.previous ? 'Edited' : 'Original'}
+                    </span>
+                    <span>{format(new Date(entry.createdAt), 'MMM d, yyyy HH:mm:ss')}</span>
+                  </div>
+                  {showDiff && entry.previous ? (
+                    <RevisionDiff before={entry.previous.content} after={entry.content} />
+                  ) : (
+                    <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+                      {entry.content}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditHistoryModal;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { X, Forward, Search, Check } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Matches the server's limit on target chats per forward
+const MAX_TARGET_CHATS = 10;
+
+const ForwardMessagesModal = ({ messageIds, onClose, onForwarded }) => {
+  const [chats, setChats] = useState([]);
+  const [selectedChats, setSelectedChats] = useState([]);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [fetchingChats, setFetchingChats] = useState(true);
+
+  useEffect(() => {
+    fetchChats();
+  }, []);
+
+  const fetchChats = async () => {
+    try {
+      const response = await axios.get('/chats', { params: { limit: 100 } });
+      setChats(response.data.chats || []);
+    } catch (error) {
+      console.error('Error fetching chats:', error);
+      toast.error('Failed to load chats');
+    } finally {
+      setFetchingChats(false);
+    }
+  };
+
+  const toggleChat = (chatId) => {
+    setSelectedChats(prev => {
+      if (prev.includes(chatId)) {
+        return prev.filter(id => id !== chatId);
+      }
+      if (prev.length >= MAX_TARGET_CHATS) {
+        toast.error(`You can forward to up to ${MAX_TARGET_CHATS} chats at once`);
+        return prev;
+      }
+      return [...prev, chatId];
+    });
+  };
+
+  const handleForward = async () => {
+    if (selectedChats.length === 0) {
+      toast.error('Please select at least one chat');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/messages/forward', {
+        messageIds,
+        chatIds: selectedChats
+      });
+
+      reportResults(response.data.results);
+      onForwarded?.();
+    } catch (error) {
+      if (error.response?.data?.results) {
+        reportResults(error.response.data.results);
+      } else {
+        toast.error(error.response?.data?.error || 'Failed to forward messages');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Some targets can fail (blocked users, admin-only chats) while others succeed
+  const reportResults = (results) => {
+    const failed = results.filter(result => !result.success);
+    const sent = results.length - failed.length;
+
+    if (sent > 0) {
+      toast.success(`Forwarded to ${sent} ${sent === 1 ? 'chat' : 'chats'}`);
+    }
+
+    failed.forEach(result => {
+      const chat = chats.find(c => c._id === result.chatId);
+      toast.error(`${chat?.name || 'Chat'}: ${result.error}`);
+    });
+  };
+
+  const filteredChats = chats.filter(chat =>
+    (chat.name || '').toLowerCase().includes(searchQuery.toLowerCase())
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Forward className="w-6 h-6 text-primary-600" />
+            <span>
+              Forward {messageIds.length} {messageIds.length === 1 ? 'message' : 'messages'}
+            </span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {/* Selected Count */}
+          <div className="flex items-center justify-between text-sm">
+            <span className="font-medium text-gray-700">Forward to</span>
+            <span className="text-primary-600">
+              {selectedChats.length} selected
+            </span>
+          </div>
+
+          {/* Search Chats */}
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search chats..."
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+        </div>
+
+        {/* Chats List */}
+        <div className="flex-1 overflow-y-auto px-6 pb-6">
+          {fetchingChats ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-6 h-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            </div>
+          ) : filteredChats.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              {searchQuery ? 'No chats found' : 'No chats yet'}
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {filteredChats.map((chat) => {
+                const isSelected = selectedChats.includes(chat._id);
+
+                return (
+                  <div
+                    key={chat._id}
+                    onClick={() => toggleChat(chat._id)}
+                    className={`flex items-center space-x-3 p-3 rounded-lg cursor-pointer transition-colors ${
+                      isSelected
+                        ? 'bg-primary-50 border-2 border-primary-500'
+                        : 'bg-gray-50 hover:bg-gray-100 border-2 border-transparent'
+                    }`}
+                  >
+                    <img
+                      src={chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random`}
+                      alt={chat.name}
+                      className="w-10 h-10 rounded-full object-cover"
+                    />
+
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium text-gray-900 truncate">
+                        {chat.name}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {chat.type === 'group' ? `${chat.participants?.length} members` : 'Private chat'}
+                      </p>
+                    </div>
+
+                    {isSelected && (
+                      <div className="flex-shrink-0 w-6 h-6 bg-primary-600 rounded-full flex items-center justify-center">
+                        <Check className="w-4 h-4 text-white" />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="border-t p-6">
+          <button
+            onClick={handleForward}
+            disabled={loading || selectedChats.length === 0}
+            className="w-full btn-primary py-3 flex items-center justify-center space-x-2"
+          >
+            {loading ? (
+              <>
+                <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                <span>Forwarding...</span>
+              </>
+            ) : (
+              <>
+                <Forward className="w-5 h-5" />
+                <span>Forward</span>
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForwardMessagesModal;
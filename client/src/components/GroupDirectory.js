@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Search, Compass, Users } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Browse groups that are listed in the directory, and join or ask to
+const GroupDirectory = ({ onClose, onJoined }) => {
+  const [groups, setGroups] = useState([]);
+  const [query, setQuery] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [joiningId, setJoiningId] = useState(null);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/chats/directory', {
+        params: query.trim() ? { q: query.trim() } : {}
+      });
+      setGroups(response.data.groups);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to load groups');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  // Debounce typing in the search box
+  useEffect(() => {
+    const timer = setTimeout(fetchGroups, 300);
+    return () => clearTimeout(timer);
+  }, [fetchGroups]);
+
+  const handleJoin = async (group) => {
+    try {
+      setJoiningId(group._id);
+      const response = await axios.post(`/chats/${group._id}/join`);
+      toast.success(response.data.message);
+
+      if (response.data.status === 'pending') {
+        setGroups(prev => prev.map(g => (g._id === group._id ? { ...g, hasPendingRequest: true } : g)));
+      } else {
+        onJoined?.(response.data.chat);
+        onClose();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to join group');
+    } finally {
+      setJoiningId(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Compass className="w-6 h-6 text-primary-600" />
+            <span>Browse Groups</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 pb-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search groups..."
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 pb-6 custom-scrollbar">
+          {loading && groups.length === 0 ? (
+            <div className="flex items-center justify-center py-8">
+              <div className="w-6 h-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            </div>
+          ) : groups.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              {query ? 'No groups found' : 'No groups are listed yet'}
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {groups.map(group => (
+                <li key={group._id} className="flex items-center space-x-3 py-3">
+                  <img
+                    src={group.avatar?.url || `https://ui-avatars.com/api/?name=${group.name}&background=random`}
+                    alt={group.name}
+                    className="w-10 h-10 rounded-full object-cover"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{group.name}</p>
+                    <p className="text-xs text-gray-500 flex items-center space-x-1">
+                      <Users className="w-3.5 h-3.5" />
+                      <span>{group.memberCount} members</span>
+                      {group.joinApproval && <span>· approval needed</span>}
+                    </p>
+                    {group.description && (
+                      <p className="text-sm text-gray-600 truncate">{group.description}</p>
+                    )}
+                  </div>
+                  {group.isMember ? (
+                    <span className="text-xs text-gray-500">Joined</span>
+                  ) : group.hasPendingRequest ? (
+                    <span className="text-xs text-gray-500">Requested</span>
+                  ) : (
+                    <button
+                      onClick={() => handleJoin(group)}
+                      disabled={joiningId === group._id}
+                      className="px-3 py-1.5 bg-primary-600 text-white text-sm rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      {group.joinApproval ? 'Ask to join' : 'Join'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GroupDirectory;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { Link2, Copy, Trash2, Plus } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+  { label: '1 hour', hours: 1 },
+  { label: '1 day', hours: 24 },
+  { label: '7 days', hours: 24 * 7 },
+  { label: '30 days', hours: 24 * 30 },
+  { label: 'Never', hours: null }
+];
+
+const MAX_USE_OPTIONS = [1, 5, 10, 25, 100, null];
+
+export const inviteUrl = (code) => `${window.location.origin}/join/${code}`;
+
+// Describe the limits on a link, e.g. "3/10 uses · expires in 2 days"
+const describeInvite = (invite) => {
+  const parts = [invite.maxUses ? `${invite.uses}/${invite.maxUses} uses` : `${invite.uses} uses`];
+  if (invite.expiresAt) {
+    const expiresAt = new Date(invite.expiresAt);
+    parts.push(expiresAt > new Date()
+      ? `expires ${formatDistanceToNow(expiresAt, { addSuffix: true })}`
+      : 'expired');
+  }
+  if (invite.requiresApproval) parts.push('needs approval');
+  return parts.join(' · ');
+};
+
+// Invite links for a group, in the group info view
+const GroupInviteLinks = ({ chat }) => {
+  const [invites, setInvites] = useState([]);
+  const [creating, setCreating] = useState(false);
+  const [form, setForm] = useState({ hours: 24 * 7, maxUses: null, requiresApproval: false });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchInvites = async () => {
+      try {
+        const response = await axios.get(`/chats/${chat._id}/invites`);
+        setInvites(response.data.invites);
+      } catch (error) {
+        console.error('Error fetching invite links:', error);
+      }
+    };
+
+    fetchInvites();
+  }, [chat._id]);
+
+  const copyLink = (code) => {
+    navigator.clipboard.writeText(inviteUrl(code));
+    toast.success('Invite link copied');
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await axios.post(`/chats/${chat._id}/invites`, {
+        expiresInHours: form.hours,
+        maxUses: form.maxUses,
+        requiresApproval: form.requiresApproval
+      });
+      setInvites(prev => [response.data.invite, ...prev]);
+      setCreating(false);
+      copyLink(response.data.invite.code);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to create invite link');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (invite) => {
+    if (!window.confirm('Revoke this link? Anyone who has it will no longer be able to join.')) return;
+
+    try {
+      await axios.delete(`/chats/${chat._id}/invites/${invite._id}`);
+      setInvites(prev => prev.filter(i => i._id !== invite._id));
+      toast.success('Invite link revoked');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to revoke invite link');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+          <Link2 className="w-5 h-5 text-gray-600" />
+          <span>Invite links</span>
+        </h4>
+        {!creating && (
+          <button
+            onClick={() => setCreating(true)}
+            className="text-sm text-primary-600 hover:underline flex items-center space-x-1"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New link</span>
+          </button>
+        )}
+      </div>
+
+      {creating && (
+        <form onSubmit={handleCreate} className="p-3 bg-gray-50 rounded-lg space-y-3">
+          <div className="grid grid-cols-2 gap-2">
+            <label className="text-sm text-gray-700">
+              Expires after
+              <select
+                value={form.hours ?? ''}
+                onChange={(e) => setForm({ ...form, hours: e.target.value ? parseInt(e.target.value, 10) : null })}
+                className="input-primary mt-1"
+              >
+                {EXPIRY_OPTIONS.map(({ label, hours }) => (
+                  <option key={label} value={hours ?? ''}>{label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Maximum uses
+              <select
+                value={form.maxUses ?? ''}
+                onChange={(e) => setForm({ ...form, maxUses: e.target.value ? parseInt(e.target.value, 10) : null })}
+                className="input-primary mt-1"
+              >
+                {MAX_USE_OPTIONS.map(uses => (
+                  <option key={uses ?? 'none'} value={uses ?? ''}>{uses ?? 'No limit'}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.requiresApproval}
+              onChange={(e) => setForm({ ...form, requiresApproval: e.target.checked })}
+            />
+            <span>Admins approve new members</span>
+          </label>
+          <div className="flex space-x-2">
+            <button type="button" onClick={() => setCreating(false)} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="flex-1 btn-primary">
+              {saving ? 'Creating...' : 'Create link'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {invites.length === 0 ? (
+        !creating && <p className="text-sm text-gray-500">No active links</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {invites.map(invite => (
+            <li key={invite._id} className="flex items-center space-x-2 py-2">
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-mono text-gray-900 truncate">{inviteUrl(invite.code)}</p>
+                <p className="text-xs text-gray-500">
+                  {describeInvite(invite)}
+                  {invite.createdBy?.username && ` · by ${invite.createdBy.username}`}
+                </p>
+              </div>
+              <button
+                onClick={() => copyLink(invite.code)}
+                className="p-2 hover:bg-gray-100 rounded-lg text-gray-600"
+                title="Copy link"
+              >
+                <Copy className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => handleRevoke(invite)}
+                className="p-2 hover:bg-red-50 rounded-lg text-red-600"
+                title="Revoke link"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GroupInviteLinks;
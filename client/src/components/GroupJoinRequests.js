@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { UserPlus } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useSocket } from '../contexts/SocketContext';
+
+// Admin panel in the group info view: who can join, and pending requests
+const GroupJoinRequests = ({ chat, settings, onSettingsUpdated }) => {
+  const [requests, setRequests] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [working, setWorking] = useState(false);
+  const { on } = useSocket();
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      const response = await axios.get(`/chats/${chat._id}/join-requests`);
+      setRequests(response.data.requests);
+    } catch (error) {
+      console.error('Error fetching join requests:', error);
+    }
+  }, [chat._id]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  useEffect(() => {
+    const unsubscribe = on('group_join_request', ({ chatId }) => {
+      if (chatId === chat._id) fetchRequests();
+    });
+
+    return () => unsubscribe?.();
+  }, [on, chat._id, fetchRequests]);
+
+  const updateSetting = async (name, value) => {
+    try {
+      const response = await axios.put(`/chats/${chat._id}`, { [name]: value });
+      onSettingsUpdated?.(response.data.chat.settings);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update setting');
+    }
+  };
+
+  const toggleSelected = (userId) => {
+    setSelected(prev => (prev.includes(userId)
+      ? prev.filter(id => id !== userId)
+      : [...prev, userId]));
+  };
+
+  const allSelected = requests.length > 0 && selected.length === requests.length;
+
+  const review = async (action) => {
+    try {
+      setWorking(true);
+      const response = await axios.post(`/chats/${chat._id}/join-requests/review`, {
+        userIds: selected,
+        action
+      });
+      toast.success(response.data.message);
+      setRequests(prev => prev.filter(request => !selected.includes(request.user._id)));
+      setSelected([]);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to review requests');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+        <UserPlus className="w-5 h-5 text-gray-600" />
+        <span>Joining</span>
+      </h4>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(settings?.discoverable)}
+          onChange={(e) => updateSetting('discoverable', e.target.checked)}
+        />
+        <span>List in the group directory</span>
+      </label>
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={Boolean(settings?.joinApproval)}
+          onChange={(e) => updateSetting('joinApproval', e.target.checked)}
+        />
+        <span>Admins approve new members</span>
+      </label>
+
+      {requests.length > 0 && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm">
+            <label className="flex items-center space-x-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? [] : requests.map(request => request.user._id))}
+              />
+              <span>{requests.length} pending {requests.length === 1 ? 'request' : 'requests'}</span>
+            </label>
+            {selected.length > 0 && (
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => review('accept')}
+                  disabled={working}
+                  className="px-3 py-1 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => review('reject')}
+                  disabled={working}
+                  className="px-3 py-1 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+          </div>
+
+          <ul className="divide-y divide-gray-100">
+            {requests.map(request => (
+              <li key={request._id} className="flex items-center space-x-3 py-2">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(request.user._id)}
+                  onChange={() => toggleSelected(request.user._id)}
+                />
+                <img
+                  src={request.user.avatar?.url || `https://ui-avatars.com/api/?name=${request.user.username}`}
+                  alt={request.user.username}
+                  className="w-8 h-8 rounded-full object-cover"
+                />
+                <span className="flex-1 text-sm text-gray-900">{request.user.username}</span>
+                <span className="text-xs text-gray-500">
+                  {formatDistanceToNow(new Date(request.createdAt), { addSuffix: true })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupJoinRequests;
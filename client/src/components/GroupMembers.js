@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { Crown, LogOut } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+// Mirrors the server's group roles, least to most powerful
+export const GROUP_ROLE_RANK = { readonly: 0, member: 1, moderator: 2, admin: 3, owner: 4 };
+
+export const GROUP_ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Admin',
+  moderator: 'Moderator',
+  member: 'Member',
+  readonly: 'Read-only',
+  subscriber: 'Subscriber'
+};
+
+const includesUser = (list, userId) => list?.some(item => (item._id || item) === userId);
+
+// A participant's role in the chat. Both people in a private chat are members,
+// and everyone following a channel without posting in it is a subscriber.
+export const getGroupRole = (chat, userId) => {
+  if (chat.type === 'private') return 'member';
+  if ((chat.creator?._id || chat.creator) === userId) return 'owner';
+  if (includesUser(chat.admins, userId)) return 'admin';
+  if (chat.type === 'channel') return 'subscriber';
+  if (includesUser(chat.moderators, userId)) return 'moderator';
+  if (includesUser(chat.readOnlyMembers, userId)) return 'readonly';
+  return 'member';
+};
+
+// Whether the group's permissions let the user do something. The server
+// checks again; this only decides what to show.
+export const canInGroup = (chat, settings, userId, permission) => {
+  if (chat.type === 'private') return true;
+  if (chat.type === 'channel') return includesUser(chat.participants, userId);
+  const role = getGroupRole(chat, userId);
+  if (role === 'readonly') return false;
+  return GROUP_ROLE_RANK[role] >= GROUP_ROLE_RANK[settings?.permissions?.[permission] || 'member'];
+};
+
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'member', 'readonly'];
+
+// Member list in the group info view, with role changes, removal,
+// ownership transfer and leaving
+const GroupMembers = ({ chat, settings, onViewProfile, onLeft }) => {
+  const [working, setWorking] = useState(false);
+  const { user } = useAuth();
+
+  const myRole = getGroupRole(chat, user._id);
+  const canManageRoles = GROUP_ROLE_RANK[myRole] >= GROUP_ROLE_RANK.admin;
+  const canRemove = canInGroup(chat, settings, user._id, 'removeMembers');
+
+  const run = async (request, successMessage) => {
+    try {
+      setWorking(true);
+      await request();
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+      return false;
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const changeRole = (participant, role) => run(
+    () => axios.put(`/chats/${chat._id}/members/${participant._id}/role`, { role }),
+    `${participant.username} is now ${GROUP_ROLE_LABELS[role].toLowerCase()}`
+  );
+
+  const makeOwner = (participant) => {
+    if (!window.confirm(`Make ${participant.username} the owner? You will stay on as an admin.`)) return;
+    run(
+      () => axios.post(`/chats/${chat._id}/owner`, { userId: participant._id }),
+      `${participant.username} now owns the group`
+    );
+  };
+
+  const removeMember = (participant) => {
+    if (!window.confirm(`Remove ${participant.username} from the group?`)) return;
+    run(
+      () => axios.delete(`/chats/${chat._id}/participants/${participant._id}`),
+      `${participant.username} was removed`
+    );
+  };
+
+  const leaveGroup = async () => {
+    const confirmation = myRole === 'owner'
+      ? 'Leave the group? Ownership will pass to the longest-standing admin, or to another member if there are none.'
+      : 'Leave the group?';
+    if (!window.confirm(confirmation)) return;
+
+    const left = await run(
+      () => axios.delete(`/chats/${chat._id}/participants/${user._id}`),
+      'You left the group'
+    );
+    if (left) onLeft?.();
+  };
+
+  return (
+    <div className="space-y-2">
+      <h4 className="font-medium text-gray-900">
+        {chat.participants?.length} members
+      </h4>
+      <ul className="divide-y divide-gray-100">
+        {chat.participants?.map(participant => {
+          const isMe = participant._id === user._id;
+          const role = getGroupRole(chat, participant._id);
+          const isBelowMe = GROUP_ROLE_RANK[myRole] > GROUP_ROLE_RANK[role];
+
+          return (
+            <li key={participant._id} className="flex items-center space-x-3 py-2">
+              <img
+                src={participant.avatar?.url || `https://ui-avatars.com/api/?name=${participant.username}`}
+                alt={participant.username}
+                className="w-8 h-8 rounded-full object-cover"
+              />
+              <button
+                onClick={onViewProfile && !isMe ? () => onViewProfile(participant._id) : undefined}
+                className={`flex-1 min-w-0 text-left text-sm text-gray-900 truncate ${
+                  onViewProfile && !isMe ? 'hover:underline' : 'cursor-default'
+                }`}
+              >
+                {participant.username}{isMe && ' (you)'}
+              </button>
+
+              {canManageRoles && !isMe && isBelowMe ? (
+                <select
+                  value={role}
+                  onChange={(e) => changeRole(participant, e.target.value)}
+                  disabled={working}
+                  className="text-xs border border-gray-300 rounded px-1 py-0.5"
+                >
+                  {ASSIGNABLE_ROLES.map(option => (
+                    <option key={option} value={option}>{GROUP_ROLE_LABELS[option]}</option>
+                  ))}
+                </select>
+              ) : role !== 'member' && (
+                <span className={`text-xs ${role === 'readonly' ? 'text-gray-500' : 'text-primary-600'}`}>
+                  {GROUP_ROLE_LABELS[role]}
+                </span>
+              )}
+
+              {myRole === 'owner' && !isMe && (
+                <button
+                  onClick={() => makeOwner(participant)}
+                  disabled={working}
+                  className="p-1 hover:bg-gray-100 rounded text-gray-500"
+                  title="Make owner"
+                >
+                  <Crown className="w-4 h-4" />
+                </button>
+              )}
+              {canRemove && !isMe && isBelowMe && (
+                <button
+                  onClick={() => removeMember(participant)}
+                  disabled={working}
+                  className="text-xs text-red-600 hover:underline"
+                >
+                  Remove
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <button
+        onClick={leaveGroup}
+        disabled={working}
+        className="w-full flex items-center space-x-3 p-3 hover:bg-gray-50 rounded-lg transition-colors text-gray-700"
+      >
+        <LogOut className="w-5 h-5" />
+        <span>Leave group</span>
+      </button>
+    </div>
+  );
+};
+
+export default GroupMembers;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { GROUP_ROLE_RANK, getGroupRole } from './GroupMembers';
+
+const PERMISSIONS = [
+  { key: 'sendMessages', label: 'Send messages' },
+  { key: 'sendMedia', label: 'Send photos and files' },
+  { key: 'addMembers', label: 'Add members and share links' },
+  { key: 'removeMembers', label: 'Remove members' },
+  { key: 'pinMessages', label: 'Pin messages' },
+  { key: 'deleteMessages', label: 'Delete others\' messages' },
+  { key: 'startCalls', label: 'Start calls' },
+  { key: 'changeSettings', label: 'Change group settings' }
+];
+
+const LEVELS = [
+  { value: 'member', label: 'Everyone' },
+  { value: 'moderator', label: 'Moderators and up' },
+  { value: 'admin', label: 'Admins and owner' },
+  { value: 'owner', label: 'Owner only' }
+];
+
+// Who can do what in a group, for members allowed to change settings.
+// Nobody can move a permission to or from a role above their own.
+const GroupPermissions = ({ chat, settings, onSettingsUpdated }) => {
+  const [savingKey, setSavingKey] = useState(null);
+  const { user } = useAuth();
+
+  const myRank = GROUP_ROLE_RANK[getGroupRole(chat, user._id)];
+
+  const updatePermission = async (key, level) => {
+    try {
+      setSavingKey(key);
+      const response = await axios.put(`/chats/${chat._id}/permissions`, {
+        permissions: { [key]: level }
+      });
+      onSettingsUpdated?.(response.data.settings);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update permission');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="font-medium text-gray-900 flex items-center space-x-2">
+        <SlidersHorizontal className="w-5 h-5 text-gray-600" />
+        <span>Permissions</span>
+      </h4>
+      <p className="text-sm text-gray-500">
+        Read-only members can't do any of these.
+      </p>
+
+      <ul className="space-y-2">
+        {PERMISSIONS.map(({ key, label }) => {
+          const current = settings?.permissions?.[key] || 'member';
+
+          return (
+            <li key={key} className="flex items-center justify-between space-x-3 text-sm">
+              <span className="text-gray-700">{label}</span>
+              <select
+                value={current}
+                onChange={(e) => updatePermission(key, e.target.value)}
+                disabled={savingKey === key || GROUP_ROLE_RANK[current] > myRank}
+                className="text-xs border border-gray-300 rounded px-1 py-0.5"
+              >
+                {LEVELS.map(({ value, label: levelLabel }) => (
+                  <option key={value} value={value} disabled={GROUP_ROLE_RANK[value] > myRank}>
+                    {levelLabel}
+                  </option>
+                ))}
+              </select>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default GroupPermissions;
@@ -1,21 +1,88 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback } from 'react';
 import { formatDistanceToNow } from 'date-fns';
-import { MoreVertical, Reply, Smile, Check, CheckCheck } from 'lucide-react';
+import { MoreVertical, Reply, Smile, Check, CheckCheck, MessageSquare, Pin, Forward, CheckSquare, Flag, Eye, Clock, AlertCircle, Pencil } from 'lucide-react';
 import EmojiPicker from 'emoji-picker-react';
-import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useOutbox } from '../contexts/OutboxContext';
+import EditHistoryModal from './EditHistoryModal';
+import PollMessage from './PollMessage';
+import ReportModal from './ReportModal';
 
-const Message = ({ message, isOwn, showAvatar }) => {
+// Forward counts at or above this are labelled "Forwarded many times"
+const FREQUENTLY_FORWARDED = 5;
+
+// Split on @mentions, keeping them, so they can be styled
+const MENTION_SPLIT = /((?<![\w@])@[a-zA-Z0-9_]{3,20}\b)/;
+
+const renderContent = (content, isOwn) => (
+  content.split(MENTION_SPLIT).map((part, index) => (
+    index % 2 === 1 ? (
+      <span key={index} className={`font-semibold ${isOwn ? 'text-white' : 'text-primary-600'}`}>
+        {part}
+      </span>
+    ) : part
+  ))
+);
+
+// What a failed outbox entry didn't manage to do
+const FAILED_LABELS = {
+  message: 'Not sent',
+  reaction: 'Reaction not sent',
+  edit: 'Edit not saved',
+};
+
+// One chip per emoji, with how many people used it
+const countReactions = (reactions) => {
+  const counts = new Map();
+  reactions.forEach(({ emoji }) => counts.set(emoji, (counts.get(emoji) || 0) + 1));
+  return Array.from(counts, ([emoji, count]) => ({ emoji, count }));
+};
+
+const Message = ({
+  message,
+  isOwn,
+  showAvatar,
+  isBroadcast = false,
+  onOpenThread,
+  isPinned = false,
+  onTogglePin,
+  selectionMode = false,
+  isSelected = false,
+  onToggleSelect
+}) => {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
-  const { addReaction } = useSocket();
+  const [showHistory, setShowHistory] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [editDraft, setEditDraft] = useState(null); // Content being edited, null when not editing
+  const { queueReaction, queueEdit, retry, discard } = useOutbox();
+  const { user } = useAuth();
+
+  // Messages still in the outbox aren't on the server yet, so can't be acted on
+  const isQueued = message.outbox?.kind === 'message';
+  const failed = message.outbox?.status === 'failed' ? message.outbox : null;
+  const canEdit = isOwn && !isQueued && !message.deleted && message.type === 'text';
 
   const handleEmojiClick = (emojiData) => {
-    addReaction(message._id, emojiData.emoji);
+    queueReaction(message.chat, message._id, emojiData.emoji);
     setShowEmojiPicker(false);
   };
 
+  const saveEdit = () => {
+    const content = editDraft.trim();
+    if (content && content !== message.content) {
+      queueEdit(message.chat, message._id, content);
+    }
+    setEditDraft(null);
+  };
+
+  const closeHistory = useCallback(() => setShowHistory(false), []);
+  const closeReport = useCallback(() => setShowReport(false), []);
+
   const getStatusIcon = () => {
-    if (message.readBy && message.readBy.length > 0) {
+    if (message.outbox && !failed) {
+      return <Clock className="w-4 h-4 text-gray-400" />;
+    } else if (message.readBy && message.readBy.length > 0) {
       return <CheckCheck className="w-4 h-4 text-blue-500" />;
     } else if (message.deliveredTo && message.deliveredTo.length > 0) {
       return <CheckCheck className="w-4 h-4 text-gray-400" />;
@@ -24,9 +91,41 @@ const Message = ({ message, isOwn, showAvatar }) => {
     }
   };
 
+  const replyCount = message.thread?.replyCount || 0;
+
+  // System notices (settings changes and the like) render as a centred note
+  if (message.type === 'system') {
+    return (
+      <div className="flex justify-center">
+        <span className="px-3 py-1 bg-gray-200 text-gray-600 text-xs rounded-full text-center">
+          {message.content}
+        </span>
+      </div>
+    );
+  }
+
+  const canSelect = onToggleSelect && !message.deleted && !isQueued;
+  const mentionsMe = !isOwn && message.mentions?.includes(user?._id);
+
   return (
-    <div className={`flex ${isOwn ? 'justify-end' : 'justify-start'} group`}>
-      <div className={`flex items-end space-x-2 max-w-md ${isOwn ? 'flex-row-reverse space-x-reverse' : ''}`}>
+    <div
+      onClick={selectionMode && canSelect ? () => onToggleSelect(message) : undefined}
+      className={`flex items-center ${isOwn ? 'justify-end' : 'justify-start'} group ${
+        selectionMode ? `cursor-pointer rounded-lg ${isSelected ? 'bg-primary-50' : ''}` : ''
+      }`}
+    >
+      {/* Selection checkbox */}
+      {selectionMode && canSelect && (
+        <div className={`flex-shrink-0 ${isOwn ? 'mr-auto' : 'mr-2'}`}>
+          <div className={`w-5 h-5 rounded-full border-2 flex items-center justify-center ${
+            isSelected ? 'bg-primary-600 border-primary-600' : 'border-gray-300 bg-white'
+          }`}>
+            {isSelected && <Check className="w-3 h-3 text-white" />}
+          </div>
+        </div>
+      )}
+
+      <div className={`flex items-end space-x-2 max-w-md ${isOwn ? 'flex-row-reverse space-x-reverse' : ''} ${selectionMode ? 'pointer-events-none' : ''}`}>
         {/* Avatar */}
         {showAvatar && !isOwn && (
           <img
@@ -40,7 +139,7 @@ const Message = ({ message, isOwn, showAvatar }) => {
         {/* Message bubble */}
         <div className="relative">
           <div
-            className={`chat-message ${isOwn ? 'message-sent' : 'message-received'} relative`}
+            className={`chat-message ${isOwn ? 'message-sent' : 'message-received'} relative ${mentionsMe ? 'ring-2 ring-primary-300' : ''}`}
           >
             {/* Sender name for group chats */}
             {!isOwn && showAvatar && (
@@ -49,6 +148,16 @@ const Message = ({ message, isOwn, showAvatar }) => {
               </p>
             )}
 
+            {/* Forwarded marker */}
+            {message.forwarded && (
+              <p className={`flex items-center space-x-1 text-xs italic mb-1 ${isOwn ? 'text-white/70' : 'text-gray-500'}`}>
+                <Forward className="w-3 h-3" />
+                <span>
+                  {message.forwardCount >= FREQUENTLY_FORWARDED ? 'Forwarded many times' : 'Forwarded'}
+                </span>
+              </p>
+            )}
+
             {/* Reply preview */}
             {message.replyTo && (
               <div className="mb-2 pb-2 border-l-2 border-gray-300 pl-2 text-sm opacity-75">
@@ -58,9 +167,36 @@ const Message = ({ message, isOwn, showAvatar }) => {
             )}
 
             {/* Message content */}
-            <p className="message-content whitespace-pre-wrap break-words">
-              {message.content}
-            </p>
+            {editDraft !== null ? (
+              <div className="space-y-1">
+                <textarea
+                  value={editDraft}
+                  onChange={(e) => setEditDraft(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                      e.preventDefault();
+                      saveEdit();
+                    } else if (e.key === 'Escape') {
+                      setEditDraft(null);
+                    }
+                  }}
+                  rows={2}
+                  maxLength={5000}
+                  autoFocus
+                  className="w-full p-1 rounded text-sm text-gray-900"
+                />
+                <div className="flex justify-end space-x-2 text-xs">
+                  <button onClick={() => setEditDraft(null)} className="hover:underline">Cancel</button>
+                  <button onClick={saveEdit} className="font-medium hover:underline">Save</button>
+                </div>
+              </div>
+            ) : message.type === 'poll' && message.poll ? (
+              <PollMessage message={message} isOwn={isOwn} />
+            ) : (
+              <p className="message-content whitespace-pre-wrap break-words">
+                {message.mentions?.length > 0 ? renderContent(message.content, isOwn) : message.content}
+              </p>
+            )}
 
             {/* File preview */}
             {message.file && (
@@ -88,50 +224,170 @@ const Message = ({ message, isOwn, showAvatar }) => {
             {/* Reactions */}
             {message.reactions && message.reactions.length > 0 && (
               <div className="flex flex-wrap gap-1 mt-2">
-                {message.reactions.map((reaction, index) => (
-                  <span
-                    key={index}
-                    className="inline-flex items-center px-2 py-1 bg-gray-100 rounded-full text-sm"
-                  >
-                    {reaction.emoji}
-                  </span>
-                ))}
+                {isBroadcast ? (
+                  countReactions(message.reactions).map(({ emoji, count }) => (
+                    <span
+                      key={emoji}
+                      className="inline-flex items-center px-2 py-1 bg-gray-100 rounded-full text-sm text-gray-700"
+                    >
+                      {emoji} <span className="ml-1 text-xs">{count}</span>
+                    </span>
+                  ))
+                ) : (
+                  message.reactions.map((reaction, index) => (
+                    <span
+                      key={index}
+                      className="inline-flex items-center px-2 py-1 bg-gray-100 rounded-full text-sm"
+                    >
+                      {reaction.emoji}
+                    </span>
+                  ))
+                )}
               </div>
             )}
 
             {/* Timestamp and status */}
             <div className={`flex items-center space-x-1 mt-1 text-xs ${isOwn ? 'text-white/70' : 'text-gray-500'}`}>
               <span>{formatDistanceToNow(new Date(message.createdAt), { addSuffix: true })}</span>
-              {message.edited && <span>(edited)</span>}
-              {isOwn && getStatusIcon()}
+              {message.edited && (
+                <button
+                  onClick={() => setShowHistory(true)}
+                  className="hover:underline"
+                  title="View edit history"
+                >
+                  (edited)
+                </button>
+              )}
+              {isBroadcast ? (
+                <span className="inline-flex items-center" title="Views">
+                  <Eye className="w-3.5 h-3.5 mr-0.5" />
+                  {message.viewCount || 0}
+                </span>
+              ) : (
+                isOwn && getStatusIcon()
+              )}
             </div>
           </div>
 
-          {/* Message actions */}
-          <div className={`absolute top-0 ${isOwn ? 'left-0 -translate-x-full' : 'right-0 translate-x-full'} opacity-0 group-hover:opacity-100 transition-opacity`}>
-            <div className="flex items-center space-x-1 px-2">
-              <button
-                onClick={() => setShowEmojiPicker(!showEmojiPicker)}
-                className="p-1 hover:bg-gray-100 rounded"
-                title="React"
-              >
-                <Smile className="w-4 h-4 text-gray-600" />
+          {/* Failed outbox entry: try again or give up */}
+          {failed && (
+            <div className={`mt-1 flex items-center space-x-2 text-xs text-red-600 ${isOwn ? 'justify-end' : ''}`}>
+              <AlertCircle className="w-3.5 h-3.5" />
+              <span title={failed.error || undefined}>{FAILED_LABELS[failed.kind]}</span>
+              <button onClick={() => retry(failed.id)} className="font-medium hover:underline">
+                Retry
               </button>
-              <button
-                className="p-1 hover:bg-gray-100 rounded"
-                title="Reply"
-              >
-                <Reply className="w-4 h-4 text-gray-600" />
-              </button>
-              <button
-                onClick={() => setShowMenu(!showMenu)}
-                className="p-1 hover:bg-gray-100 rounded"
-                title="More"
-              >
-                <MoreVertical className="w-4 h-4 text-gray-600" />
+              <button onClick={() => discard(failed.id)} className="text-gray-500 hover:underline">
+                Discard
               </button>
             </div>
-          </div>
+          )}
+
+          {/* Thread summary */}
+          {replyCount > 0 && onOpenThread && (
+            <button
+              onClick={() => onOpenThread(message)}
+              className={`mt-1 flex items-center space-x-1 text-xs text-primary-600 hover:underline ${isOwn ? 'ml-auto' : ''}`}
+            >
+              <MessageSquare className="w-3 h-3" />
+              <span>{replyCount} {replyCount === 1 ? 'reply' : 'replies'}</span>
+              {message.thread.lastReplyAt && (
+                <span className="text-gray-500">
+                  · {formatDistanceToNow(new Date(message.thread.lastReplyAt), { addSuffix: true })}
+                </span>
+              )}
+              {message.threadUnreadCount > 0 && (
+                <span className="ml-1 px-1.5 bg-primary-600 text-white rounded-full">
+                  {message.threadUnreadCount}
+                </span>
+              )}
+            </button>
+          )}
+
+          {/* Message actions */}
+          {!isQueued && (
+            <div className={`absolute top-0 ${isOwn ? 'left-0 -translate-x-full' : 'right-0 translate-x-full'} opacity-0 group-hover:opacity-100 transition-opacity`}>
+              <div className="flex items-center space-x-1 px-2">
+                <button
+                  onClick={() => setShowEmojiPicker(!showEmojiPicker)}
+                  className="p-1 hover:bg-gray-100 rounded"
+                  title="React"
+                >
+                  <Smile className="w-4 h-4 text-gray-600" />
+                </button>
+                {onOpenThread && (
+                  <button
+                    onClick={() => onOpenThread(message)}
+                    className="p-1 hover:bg-gray-100 rounded"
+                    title="Reply in thread"
+                  >
+                    <Reply className="w-4 h-4 text-gray-600" />
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowMenu(!showMenu)}
+                  className="p-1 hover:bg-gray-100 rounded"
+                  title="More"
+                >
+                  <MoreVertical className="w-4 h-4 text-gray-600" />
+                </button>
+              </div>
+
+              {/* Message menu */}
+              {showMenu && (onTogglePin || onToggleSelect || canEdit || !isOwn) && !message.deleted && (
+                <div className={`absolute z-10 top-8 ${isOwn ? 'right-0' : 'left-0'} bg-white border rounded-lg shadow-lg py-1 w-40`}>
+                  {canEdit && (
+                    <button
+                      onClick={() => {
+                        setEditDraft(message.content);
+                        setShowMenu(false);
+                      }}
+                      className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <Pencil className="w-4 h-4" />
+                      <span>Edit</span>
+                    </button>
+                  )}
+                  {onToggleSelect && (
+                    <button
+                      onClick={() => {
+                        onToggleSelect(message);
+                        setShowMenu(false);
+                      }}
+                      className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <CheckSquare className="w-4 h-4" />
+                      <span>Select</span>
+                    </button>
+                  )}
+                  {onTogglePin && (
+                    <button
+                      onClick={() => {
+                        onTogglePin(message);
+                        setShowMenu(false);
+                      }}
+                      className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <Pin className="w-4 h-4" />
+                      <span>{isPinned ? 'Unpin message' : 'Pin message'}</span>
+                    </button>
+                  )}
+                  {!isOwn && (
+                    <button
+                      onClick={() => {
+                        setShowReport(true);
+                        setShowMenu(false);
+                      }}
+                      className="w-full flex items-center space-x-2 px-3 py-2 text-sm text-red-600 hover:bg-red-50"
+                    >
+                      <Flag className="w-4 h-4" />
+                      <span>Report</span>
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Emoji picker */}
           {showEmojiPicker && (
@@ -141,6 +397,20 @@ const Message = ({ message, isOwn, showAvatar }) => {
           )}
         </div>
       </div>
+
+      {/* Edit history */}
+      {showHistory && (
+        <EditHistoryModal messageId={message._id} onClose={closeHistory} />
+      )}
+
+      {showReport && (
+        <ReportModal
+          targetType="message"
+          targetId={message._id}
+          targetName={`this message from ${message.sender?.username || 'this user'}`}
+          onClose={closeReport}
+        />
+      )}
     </div>
   );
 };
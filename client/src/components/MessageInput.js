@@ -1,19 +1,91 @@
 import React, { useState, useRef, useCallback } from 'react';
 import { useSocket } from '../contexts/SocketContext';
-import { Send, Paperclip, Smile, X, Image as ImageIcon } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useOutbox } from '../contexts/OutboxContext';
+import { Send, Paperclip, Smile, X, Clock, BarChart2, Image as ImageIcon } from 'lucide-react';
 import EmojiPicker from 'emoji-picker-react';
 import { useDropzone } from 'react-dropzone';
 import axios from '../api/axios';
 import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import CreatePollModal from './CreatePollModal';
 
-const MessageInput = ({ chatId }) => {
+// An @ at the start of a word, followed by the partial username before the caret
+const MENTION_QUERY = /(^|\s)@(\w*)$/;
+const MAX_SUGGESTIONS = 6;
+
+const MessageInput = ({ chatId, threadRoot = null, participants = [], placeholder = 'Type a message...', canSendMedia = true }) => {
   const [message, setMessage] = useState('');
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [scheduledFor, setScheduledFor] = useState('');
+  const [showPollModal, setShowPollModal] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [activeSuggestion, setActiveSuggestion] = useState(0);
   const typingTimeoutRef = useRef(null);
-  const { sendMessage, sendTypingStart, sendTypingStop } = useSocket();
+  const textareaRef = useRef(null);
+  const { sendTypingStart, sendTypingStop } = useSocket();
+  const { queueMessage } = useOutbox();
+  const { user } = useAuth();
+
+  // Participants matching the @ being typed, with @all offered in groups
+  const mentionSuggestions = mentionQuery === null ? [] : [
+    ...(participants.length > 2 ? [{ _id: 'all', username: 'all', description: 'Notify everyone' }] : []),
+    ...participants.filter(p => p._id !== user?._id)
+  ]
+    .filter(p => p.username.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const updateMentionQuery = (value, caret) => {
+    const match = value.slice(0, caret).match(MENTION_QUERY);
+    setMentionQuery(match ? match[2] : null);
+    setActiveSuggestion(0);
+  };
+
+  // Replace the partial @name before the caret with the chosen username
+  const insertMention = (username) => {
+    const textarea = textareaRef.current;
+    const caret = textarea ? textarea.selectionStart : message.length;
+    const before = message.slice(0, caret).replace(/@\w*$/, `@${username} `);
+    const after = message.slice(caret);
+
+    setMessage(before + after);
+    setMentionQuery(null);
+
+    requestAnimationFrame(() => {
+      textarea?.focus();
+      textarea?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (mentionSuggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setActiveSuggestion(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+        return;
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(mentionSuggestions[activeSuggestion].username);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setMentionQuery(null);
+        return;
+      }
+    }
+
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSubmit(e);
+    }
+  };
 
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles.length > 0) {
@@ -23,6 +95,7 @@ const MessageInput = ({ chatId }) => {
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
+    disabled: !canSendMedia,
     maxFiles: 1,
     maxSize: 10 * 1024 * 1024, // 10MB
     accept: {
@@ -36,6 +109,7 @@ const MessageInput = ({ chatId }) => {
 
   const handleInputChange = (e) => {
     setMessage(e.target.value);
+    updateMentionQuery(e.target.value, e.target.selectionStart);
 
     // Handle typing indicator
     if (!isTyping) {
@@ -82,21 +156,21 @@ const MessageInput = ({ chatId }) => {
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    if (!message.trim() && !selectedFile) return;
-
-    // Stop typing indicator
+  const stopTyping = () => {
     if (isTyping) {
       setIsTyping(false);
       sendTypingStop(chatId);
     }
+  };
+
+  // Upload the attachment (if any) and build the message payload
+  const prepareMessage = async () => {
+    stopTyping();
 
     let fileData = null;
     if (selectedFile) {
       fileData = await uploadFile(selectedFile);
-      if (!fileData) return; // Upload failed
+      if (!fileData) return null; // Upload failed
     }
 
     const messageData = {
@@ -104,17 +178,79 @@ const MessageInput = ({ chatId }) => {
       content: message.trim() || (selectedFile ? selectedFile.name : ''),
       type: fileData ? getMessageType(selectedFile.type) : 'text',
       file: fileData,
-      tempId: Date.now().toString(), // For optimistic updates
     };
 
-    sendMessage(messageData);
+    if (threadRoot) {
+      messageData.threadRoot = threadRoot;
+    }
 
-    // Clear input
+    return messageData;
+  };
+
+  const clearInput = () => {
     setMessage('');
+    setMentionQuery(null);
     setSelectedFile(null);
     setShowEmojiPicker(false);
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!message.trim() && !selectedFile) return;
+
+    stopTyping();
+
+    // The outbox shows it straight away, uploads any file and sends it once
+    // connected, even after a reload
+    queueMessage(chatId, {
+      content: message.trim() || selectedFile.name,
+      type: selectedFile ? getMessageType(selectedFile.type) : 'text',
+      ...(threadRoot && { threadRoot }),
+    }, selectedFile);
+
+    clearInput();
+  };
+
+  const openSchedulePicker = () => {
+    // Default to an hour from now, in the local time format datetime-local expects
+    const inAnHour = new Date(Date.now() + 60 * 60 * 1000);
+    inAnHour.setSeconds(0, 0);
+    setScheduledFor(format(inAnHour, "yyyy-MM-dd'T'HH:mm"));
+    setShowSchedule(true);
+    setShowEmojiPicker(false);
+  };
+
+  const handleSchedule = async () => {
+    if ((!message.trim() && !selectedFile) || !scheduledFor) return;
+
+    const sendAt = new Date(scheduledFor);
+    if (sendAt <= new Date()) {
+      toast.error('Pick a time in the future');
+      return;
+    }
+
+    const messageData = await prepareMessage();
+    if (!messageData) return;
+
+    try {
+      setUploading(true);
+      await axios.post('/messages/scheduled', {
+        ...messageData,
+        file: messageData.file || undefined,
+        scheduledFor: sendAt.toISOString()
+      });
+      toast.success(`Message scheduled for ${format(sendAt, 'MMM d, HH:mm')}`);
+      clearInput();
+      setShowSchedule(false);
+    } catch (error) {
+      const details = error.response?.data?.details;
+      toast.error(details?.[0]?.msg || error.response?.data?.error || 'Failed to schedule message');
+    } finally {
+      setUploading(false);
+    }
+  };
+
   const getMessageType = (mimeType) => {
     if (mimeType.startsWith('image/')) return 'image';
     if (mimeType.startsWith('video/')) return 'video';
@@ -168,19 +304,63 @@ const MessageInput = ({ chatId }) => {
         </div>
       )}
 
+      {/* Send later picker */}
+      {showSchedule && (
+        <div className="mb-3 flex flex-wrap items-center gap-2 bg-gray-50 p-3 rounded-lg">
+          <Clock className="w-5 h-5 text-gray-500" />
+          <span className="text-sm text-gray-700">Send at</span>
+          <input
+            type="datetime-local"
+            value={scheduledFor}
+            min={format(new Date(), "yyyy-MM-dd'T'HH:mm")}
+            onChange={(e) => setScheduledFor(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <div className="flex items-center space-x-2 ml-auto">
+            <button
+              type="button"
+              onClick={() => setShowSchedule(false)}
+              className="btn-secondary text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSchedule}
+              disabled={(!message.trim() && !selectedFile) || !scheduledFor || uploading}
+              className="btn-primary text-sm"
+            >
+              Schedule
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Input form */}
       <form onSubmit={handleSubmit} className="flex items-end space-x-2">
-        {/* File upload */}
-        <div {...getRootProps()} className="flex-shrink-0">
-          <input {...getInputProps()} />
-          <button
-            type="button"
-            className="p-3 hover:bg-gray-100 rounded-lg transition-colors"
-            title="Attach file"
-          >
-            <Paperclip className="w-5 h-5 text-gray-600" />
-          </button>
-        </div>
+        {/* File upload, when the group lets this member send media */}
+        {canSendMedia && (
+          <div {...getRootProps()} className="flex-shrink-0">
+            <input {...getInputProps()} />
+            <button
+              type="button"
+              className="p-3 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Attach file"
+            >
+              <Paperclip className="w-5 h-5 text-gray-600" />
+            </button>
+          </div>
+        )}
+
+        {/* Poll */}
+        <button
+          type="button"
+          onClick={() => setShowPollModal(true)}
+          className="p-3 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+          title="Create poll"
+        >
+          <BarChart2 className="w-5 h-5 text-gray-600" />
+        </button>
 
         {/* Emoji picker toggle */}
         <button
@@ -193,23 +373,66 @@ const MessageInput = ({ chatId }) => {
         </button>
 
         {/* Text input */}
-        <div className="flex-1">
+        <div className="flex-1 relative">
+          {/* Mention suggestions */}
+          {mentionSuggestions.length > 0 && (
+            <div className="absolute bottom-full left-0 mb-2 w-64 bg-white border rounded-lg shadow-lg py-1 z-10">
+              {mentionSuggestions.map((participant, index) => (
+                <button
+                  key={participant._id}
+                  type="button"
+                  onMouseDown={(e) => {
+                    e.preventDefault(); // Keep focus in the textarea
+                    insertMention(participant.username);
+                  }}
+                  className={`w-full flex items-center space-x-2 px-3 py-2 text-left text-sm ${
+                    index === activeSuggestion ? 'bg-primary-50' : 'hover:bg-gray-100'
+                  }`}
+                >
+                  {participant._id === 'all' ? (
+                    <span className="w-6 h-6 rounded-full bg-primary-100 text-primary-600 flex items-center justify-center font-medium">
+                      @
+                    </span>
+                  ) : (
+                    <img
+                      src={participant.avatar?.url || `https://ui-avatars.com/api/?name=${participant.username}`}
+                      alt={participant.username}
+                      className="w-6 h-6 rounded-full object-cover"
+                    />
+                  )}
+                  <span className="font-medium text-gray-900">{participant.username}</span>
+                  {participant.description && (
+                    <span className="text-xs text-gray-500 truncate">{participant.description}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+
           <textarea
+            ref={textareaRef}
             value={message}
             onChange={handleInputChange}
-            onKeyDown={(e) => {
-              if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                handleSubmit(e);
-              }
-            }}
-            placeholder="Type a message..."
+            onKeyDown={handleKeyDown}
+            onClick={(e) => updateMentionQuery(e.target.value, e.target.selectionStart)}
+            onBlur={() => setMentionQuery(null)}
+            placeholder={placeholder}
             className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 resize-none"
             rows="1"
             style={{ maxHeight: '120px' }}
           />
         </div>
 
+        {/* Send later */}
+        <button
+          type="button"
+          onClick={() => (showSchedule ? setShowSchedule(false) : openSchedulePicker())}
+          className="p-3 hover:bg-gray-100 rounded-lg transition-colors flex-shrink-0"
+          title="Send later"
+        >
+          <Clock className={`w-5 h-5 ${showSchedule ? 'text-primary-600' : 'text-gray-600'}`} />
+        </button>
+
         {/* Send button */}
         <button
           type="submit"
@@ -225,6 +448,15 @@ const MessageInput = ({ chatId }) => {
         </button>
       </form>
 
+      {/* Poll creation */}
+      {showPollModal && (
+        <CreatePollModal
+          chatId={chatId}
+          threadRoot={threadRoot}
+          onClose={() => setShowPollModal(false)}
+        />
+      )}
+
       {/* Drag and drop overlay */}
       {isDragActive && (
         <div className="absolute inset-0 bg-primary-50 bg-opacity-90 flex items-center justify-center border-2 border-dashed border-primary-400 rounded-lg">
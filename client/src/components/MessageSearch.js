@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { X, Search, Paperclip, Link as LinkIcon } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Render a snippet with its highlight ranges wrapped in <mark>
+const HighlightedSnippet = ({ snippet }) => {
+  const parts = [];
+  let cursor = 0;
+
+  snippet.highlights.forEach(({ start, end }, index) => {
+    if (start > cursor) {
+      parts.push(<span key={`t${index}`}>{snippet.text.slice(cursor, start)}</span>);
+    }
+    parts.push(
+      <mark key={`h${index}`} className="bg-yellow-200 rounded px-0.5">
+        {snippet.text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+
+  if (cursor < snippet.text.length) {
+    parts.push(<span key="rest">{snippet.text.slice(cursor)}</span>);
+  }
+
+  return <p className="text-sm text-gray-700 break-words">{parts}</p>;
+};
+
+const MessageSearch = ({ onClose, onOpenResult }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({
+    chat: '',
+    sender: '',
+    from: '',
+    to: '',
+    hasFile: false,
+    hasLink: false
+  });
+  const [chats, setChats] = useState([]);
+  const [contacts, setContacts] = useState([]);
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [searched, setSearched] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchFilterOptions();
+  }, []);
+
+  const fetchFilterOptions = async () => {
+    try {
+      const [chatsResponse, contactsResponse] = await Promise.all([
+        axios.get('/chats'),
+        axios.get('/users/contacts/list')
+      ]);
+      setChats(chatsResponse.data.chats || []);
+      setContacts(contactsResponse.data.contacts || []);
+    } catch (error) {
+      console.error('Error fetching search filters:', error);
+    }
+  };
+
+  const buildParams = (cursor) => {
+    const has = [filters.hasFile && 'file', filters.hasLink && 'link'].filter(Boolean);
+    const params = { q: query.trim() };
+
+    if (filters.chat) params.chat = filters.chat;
+    if (filters.sender) params.sender = filters.sender;
+    if (filters.from) params.from = new Date(filters.from).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59`).toISOString();
+    if (has.length > 0) params.has = has.join(',');
+    if (cursor) params.cursor = cursor;
+
+    return params;
+  };
+
+  const runSearch = async (cursor = null) => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/messages/search', { params: buildParams(cursor) });
+
+      setResults(prev => cursor ? [...prev, ...response.data.results] : response.data.results);
+      setNextCursor(response.data.nextCursor);
+      setSearched(true);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Search failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch();
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFilters({
+      ...filters,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Search className="w-6 h-6 text-primary-600" />
+            <span>Search Messages</span>
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Query and filters */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-3 border-b">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder='Search all chats... (try "exact phrase" or has:file)'
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              autoFocus
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <select
+              name="chat"
+              value={filters.chat}
+              onChange={handleFilterChange}
+              className="input-primary text-sm"
+            >
+              <option value="">All chats</option>
+              {chats.map(chat => (
+                <option key={chat._id} value={chat._id}>{chat.name}</option>
+              ))}
+            </select>
+
+            <select
+              name="sender"
+              value={filters.sender}
+              onChange={handleFilterChange}
+              className="input-primary text-sm"
+            >
+              <option value="">Anyone</option>
+              {contacts.map(contact => (
+                <option key={contact._id} value={contact._id}>{contact.username}</option>
+              ))}
+            </select>
+
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+              className="input-primary text-sm"
+              title="From date"
+            />
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+              className="input-primary text-sm"
+              title="To date"
+            />
+          </div>
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4 text-sm text-gray-700">
+              <label className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  name="hasFile"
+                  checked={filters.hasFile}
+                  onChange={handleFilterChange}
+                  className="rounded"
+                />
+                <Paperclip className="w-4 h-4" />
+                <span>Has file</span>
+              </label>
+              <label className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  name="hasLink"
+                  checked={filters.hasLink}
+                  onChange={handleFilterChange}
+                  className="rounded"
+                />
+                <LinkIcon className="w-4 h-4" />
+                <span>Has link</span>
+              </label>
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn-primary"
+            >
+              Search
+            </button>
+          </div>
+        </form>
+
+        {/* Results */}
+        <div className="flex-1 overflow-y-auto custom-scrollbar">
+          {searched && results.length === 0 && !loading ? (
+            <div className="text-center py-8 text-gray-500">No messages found</div>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {results.map(result => (
+                <div
+                  key={result._id}
+                  onClick={() => onOpenResult(result)}
+                  className="p-4 cursor-pointer hover:bg-gray-50 transition-colors"
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {result.sender?.username}
+                      <span className="text-gray-500 font-normal"> in {result.chat.name}</span>
+                    </p>
+                    <span className="text-xs text-gray-500 flex-shrink-0 ml-2">
+                      {formatDistanceToNow(new Date(result.createdAt), { addSuffix: true })}
+                    </span>
+                  </div>
+                  <HighlightedSnippet snippet={result.snippet} />
+                  {result.file?.filename && (
+                    <p className="mt-1 text-xs text-gray-500 flex items-center space-x-1">
+                      <Paperclip className="w-3 h-3" />
+                      <span className="truncate">{result.file.filename}</span>
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {loading && (
+            <div className="flex items-center justify-center py-6">
+              <div className="w-6 h-6 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            </div>
+          )}
+
+          {nextCursor && !loading && (
+            <div className="p-4 text-center">
+              <button
+                onClick={() => runSearch(nextCursor)}
+                className="btn-secondary"
+              >
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearch;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { Pin, X } from 'lucide-react';
+
+// Banner under the chat header showing pinned messages. Clicking it jumps to
+// the shown message and moves on to the previous pin, newest first.
+const PinnedMessagesBanner = ({ pins, canUnpin, onJump, onUnpin }) => {
+  const [index, setIndex] = useState(0);
+
+  // Newest pin first
+  const ordered = [...pins].reverse();
+
+  useEffect(() => {
+    setIndex(0);
+  }, [pins.length]);
+
+  if (ordered.length === 0) return null;
+
+  const current = ordered[Math.min(index, ordered.length - 1)];
+  const { message } = current;
+
+  const handleClick = () => {
+    onJump(message._id);
+    setIndex(prev => (prev + 1) % ordered.length);
+  };
+
+  return (
+    <div className="flex items-center px-4 py-2 border-b bg-white">
+      {/* Position indicator */}
+      {ordered.length > 1 && (
+        <div className="flex flex-col space-y-0.5 mr-2">
+          {ordered.map((pin, i) => (
+            <span
+              key={pin.message._id}
+              className={`w-0.5 h-2 rounded ${i === index ? 'bg-primary-600' : 'bg-gray-300'}`}
+            />
+          ))}
+        </div>
+      )}
+
+      <button
+        onClick={handleClick}
+        className="flex-1 min-w-0 flex items-center space-x-2 text-left"
+        title="Go to pinned message"
+      >
+        <Pin className="w-4 h-4 text-primary-600 flex-shrink-0" />
+        <div className="min-w-0">
+          <p className="text-xs font-medium text-primary-600">
+            Pinned message{ordered.length > 1 ? ` ${index + 1} of ${ordered.length}` : ''}
+          </p>
+          <p className="text-sm text-gray-700 truncate">
+            <span className="font-medium">{message.sender?.username}: </span>
+            {message.type === 'poll' ? `Poll: ${message.content}` : message.content}
+          </p>
+        </div>
+      </button>
+
+      {canUnpin && (
+        <button
+          onClick={() => onUnpin(message._id)}
+          className="p-1 hover:bg-gray-100 rounded flex-shrink-0 ml-2"
+          title="Unpin message"
+        >
+          <X className="w-4 h-4 text-gray-500" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PinnedMessagesBanner;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { BarChart2, Check, Lock } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+const PollMessage = ({ message, isOwn }) => {
+  const { poll } = message;
+  const [myVotes, setMyVotes] = useState(message.myVotes || []);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (message.myVotes) {
+      setMyVotes(message.myVotes);
+    }
+  }, [message.myVotes]);
+
+  // A close time can pass while the poll is on screen
+  const closed = poll.closed || (poll.closesAt && new Date(poll.closesAt) <= new Date());
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.voteCount, 0);
+
+  const vote = async (optionId) => {
+    if (closed || submitting) return;
+
+    let optionIds;
+    if (poll.multipleChoice) {
+      optionIds = myVotes.includes(optionId)
+        ? myVotes.filter(id => id !== optionId)
+        : [...myVotes, optionId];
+    } else {
+      optionIds = myVotes.includes(optionId) ? [] : [optionId];
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post(`/messages/${message._id}/poll/vote`, { optionIds });
+      setMyVotes(response.data.myVotes);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to vote');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const closePoll = async () => {
+    try {
+      await axios.post(`/messages/${message._id}/poll/close`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to close poll');
+    }
+  };
+
+  return (
+    <div className="min-w-[240px]">
+      <p className="font-medium flex items-start space-x-2">
+        <BarChart2 className="w-4 h-4 mt-1 flex-shrink-0" />
+        <span className="break-words">{poll.question}</span>
+      </p>
+      <p className={`text-xs mt-1 ${isOwn ? 'text-white/70' : 'text-gray-500'}`}>
+        {poll.multipleChoice ? 'Select one or more' : 'Select one'}
+        {poll.anonymous && ' · Anonymous'}
+      </p>
+
+      <div className="mt-2 space-y-2">
+        {poll.options.map(option => {
+          const selected = myVotes.includes(option._id);
+          const percent = totalVotes > 0 ? Math.round((option.voteCount / totalVotes) * 100) : 0;
+
+          return (
+            <button
+              key={option._id}
+              onClick={() => vote(option._id)}
+              disabled={closed || submitting}
+              className={`relative w-full text-left rounded-lg overflow-hidden border ${
+                selected ? 'border-primary-400' : isOwn ? 'border-white/30' : 'border-gray-200'
+              } disabled:cursor-default`}
+            >
+              <div
+                className={`absolute inset-y-0 left-0 ${isOwn ? 'bg-white/20' : 'bg-primary-50'}`}
+                style={{ width: `${percent}%` }}
+              />
+              <div className="relative flex items-center justify-between px-3 py-2 text-sm">
+                <span className="flex items-center space-x-2 min-w-0">
+                  {selected && <Check className="w-4 h-4 flex-shrink-0" />}
+                  <span className="break-words">{option.text}</span>
+                </span>
+                <span className="ml-2 flex-shrink-0 text-xs">
+                  {option.voteCount} · {percent}%
+                </span>
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className={`flex items-center justify-between mt-2 text-xs ${isOwn ? 'text-white/70' : 'text-gray-500'}`}>
+        <span>
+          {poll.totalVoters} {poll.totalVoters === 1 ? 'voter' : 'voters'}
+          {closed ? (
+            <span className="inline-flex items-center ml-1">
+              · <Lock className="w-3 h-3 mx-1" /> Closed
+            </span>
+          ) : poll.closesAt && (
+            <span> · closes {formatDistanceToNow(new Date(poll.closesAt), { addSuffix: true })}</span>
+          )}
+        </span>
+        {isOwn && !closed && (
+          <button onClick={closePoll} className="hover:underline">
+            Close poll
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PollMessage;
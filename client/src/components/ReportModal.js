@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { X, Flag } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or scam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'hate', label: 'Hate speech' },
+  { value: 'violence', label: 'Violence or threats' },
+  { value: 'sexual', label: 'Sexual content' },
+  { value: 'impersonation', label: 'Impersonation' },
+  { value: 'other', label: 'Something else' }
+];
+
+const TITLES = {
+  message: 'Report message',
+  user: 'Report user',
+  group: 'Report group'
+};
+
+// Report a message, user or group to the moderators
+const ReportModal = ({ targetType, targetId, targetName, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) {
+      toast.error('Choose a reason');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await axios.post('/reports', {
+        targetType,
+        targetId,
+        reason,
+        details: details.trim() || undefined
+      });
+      toast.success(response.data.message);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send report');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-xl w-full max-w-md">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 className="text-xl font-semibold flex items-center space-x-2">
+            <Flag className="w-6 h-6 text-red-600" />
+            <span>{TITLES[targetType]}</span>
+          </h2>
+          <button type="button" onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {targetName ? `Tell us what's wrong with ${targetName}. ` : ''}
+            Moderators will see a copy of what you're reporting and the messages around it.
+            {targetType !== 'group' && " The person you're reporting won't be told."}
+          </p>
+
+          <div className="space-y-2">
+            {REPORT_REASONS.map(option => (
+              <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-800">
+                <input
+                  type="radio"
+                  name="reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={() => setReason(option.value)}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Anything else moderators should know? (optional)
+            </label>
+            <textarea
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              className="input-primary resize-none"
+              rows={3}
+              maxLength={1000}
+            />
+          </div>
+
+          <div className="flex space-x-2">
+            <button type="button" onClick={onClose} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !reason}
+              className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : 'Report'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReportModal;
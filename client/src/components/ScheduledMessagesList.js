@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import { Clock, X, ChevronDown, ChevronUp } from 'lucide-react';
+import axios from '../api/axios';
+import { useSocket } from '../contexts/SocketContext';
+import toast from 'react-hot-toast';
+
+// Pending scheduled messages the current user has queued in a chat
+const ScheduledMessagesList = ({ chatId }) => {
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [expanded, setExpanded] = useState(false);
+  const { on } = useSocket();
+
+  const fetchScheduledMessages = useCallback(async () => {
+    try {
+      const response = await axios.get('/messages/scheduled', { params: { chatId } });
+      setScheduledMessages(response.data.scheduledMessages || []);
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+    }
+  }, [chatId]);
+
+  useEffect(() => {
+    fetchScheduledMessages();
+  }, [fetchScheduledMessages]);
+
+  useEffect(() => {
+    const upsert = ({ scheduledMessage }) => {
+      if (scheduledMessage.chat !== chatId) return;
+
+      setScheduledMessages(prev =>
+        [...prev.filter(s => s._id !== scheduledMessage._id), scheduledMessage]
+          .sort((a, b) => new Date(a.scheduledFor) - new Date(b.scheduledFor))
+      );
+    };
+
+    const remove = ({ scheduledId }) => {
+      setScheduledMessages(prev => prev.filter(s => s._id !== scheduledId));
+    };
+
+    const unsubscribeCreated = on('scheduled_message_created', upsert);
+    const unsubscribeUpdated = on('scheduled_message_updated', upsert);
+    const unsubscribeCancelled = on('scheduled_message_cancelled', remove);
+    const unsubscribeSent = on('scheduled_message_sent', remove);
+    const unsubscribeFailed = on('scheduled_message_failed', (data) => {
+      remove(data);
+      if (data.chatId === chatId) {
+        toast.error(`Scheduled message not sent: ${data.error}`);
+      }
+    });
+
+    return () => {
+      unsubscribeCreated?.();
+      unsubscribeUpdated?.();
+      unsubscribeCancelled?.();
+      unsubscribeSent?.();
+      unsubscribeFailed?.();
+    };
+  }, [on, chatId]);
+
+  const handleCancel = async (scheduledId) => {
+    try {
+      await axios.delete(`/messages/scheduled/${scheduledId}`);
+      setScheduledMessages(prev => prev.filter(s => s._id !== scheduledId));
+      toast.success('Scheduled message cancelled');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to cancel message');
+      fetchScheduledMessages();
+    }
+  };
+
+  if (scheduledMessages.length === 0) return null;
+
+  return (
+    <div className="border-t bg-gray-50 px-4 py-2">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-sm text-gray-700"
+      >
+        <span className="flex items-center space-x-2">
+          <Clock className="w-4 h-4 text-primary-600" />
+          <span>
+            {scheduledMessages.length} scheduled {scheduledMessages.length === 1 ? 'message' : 'messages'}
+          </span>
+        </span>
+        {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronUp className="w-4 h-4" />}
+      </button>
+
+      {expanded && (
+        <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto custom-scrollbar">
+          {scheduledMessages.map(scheduled => (
+            <li
+              key={scheduled._id}
+              className="flex items-center justify-between bg-white rounded-lg px-3 py-2"
+            >
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900 truncate">{scheduled.content}</p>
+                <p className="text-xs text-gray-500">
+                  {format(new Date(scheduled.scheduledFor), 'MMM d, yyyy HH:mm')}
+                  {scheduled.threadRoot && ' · in thread'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleCancel(scheduled._id)}
+                className="p-1 hover:bg-gray-100 rounded flex-shrink-0 ml-2"
+                title="Cancel scheduled message"
+              >
+                <X className="w-4 h-4 text-gray-500" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledMessagesList;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import axios from '../api/axios';
+import { useSocket } from '../contexts/SocketContext';
+import { useAuth } from '../contexts/AuthContext';
+import { useOutbox, applyOutbox } from '../contexts/OutboxContext';
+import Message from './Message';
+import MessageInput from './MessageInput';
+import LoadingSpinner from './LoadingSpinner';
+import { canInGroup } from './GroupMembers';
+import { X, Bell, BellOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ThreadPanel = ({ chat, settings, rootId, onClose, onThreadRead }) => {
+  const [root, setRoot] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const repliesEndRef = useRef(null);
+  const { user } = useAuth();
+  const { on } = useSocket();
+  const { entries: outboxEntries } = useOutbox();
+
+  // Queued replies, edits and reactions show as if already sent
+  const [shownRoot] = useMemo(() => (
+    root ? applyOutbox([root], outboxEntries, { chatId: chat._id, sender: user, includeQueued: false }) : [root]
+  ), [root, outboxEntries, chat._id, user]);
+  const shownReplies = useMemo(() => (
+    applyOutbox(replies, outboxEntries, { chatId: chat._id, threadRoot: rootId, sender: user })
+  ), [replies, outboxEntries, chat._id, rootId, user]);
+
+  const scrollToBottom = useCallback(() => {
+    repliesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, []);
+
+  const markThreadRead = useCallback(async () => {
+    try {
+      await axios.post(`/messages/${rootId}/thread/read`);
+      onThreadRead?.(rootId);
+    } catch (error) {
+      console.error('Error marking thread as read:', error);
+    }
+  }, [rootId, onThreadRead]);
+
+  const fetchThread = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`/messages/${rootId}/thread`);
+      setRoot(response.data.root);
+      setReplies(response.data.replies || []);
+      setIsFollowing(response.data.isFollowing);
+
+      if (response.data.unreadCount > 0) {
+        markThreadRead();
+      }
+
+      scrollToBottom();
+    } catch (error) {
+      console.error('Error fetching thread:', error);
+      toast.error('Failed to load thread');
+      onClose();
+    } finally {
+      setLoading(false);
+    }
+  }, [rootId, markThreadRead, scrollToBottom, onClose]);
+
+  useEffect(() => {
+    fetchThread();
+  }, [fetchThread]);
+
+  useEffect(() => {
+    const unsubscribe = on('thread_updated', ({ rootId: updatedRootId, replyCount, lastReplyAt, reply }) => {
+      if (updatedRootId !== rootId) return;
+
+      setRoot(prev => prev && {
+        ...prev,
+        thread: { ...prev.thread, replyCount, lastReplyAt }
+      });
+      setReplies(prev =>
+        prev.some(r => r._id === reply._id) ? prev : [...prev, reply]
+      );
+      scrollToBottom();
+
+      // Replying makes you a follower; reading keeps the thread caught up
+      if (reply.sender._id === user._id) {
+        setIsFollowing(true);
+      } else {
+        markThreadRead();
+      }
+    });
+
+    // Keep poll tallies current in the root and replies
+    const unsubscribePoll = on('poll_updated', ({ messageId, poll }) => {
+      setRoot(prev => (prev && prev._id === messageId ? { ...prev, poll } : prev));
+      setReplies(prev => prev.map(r => (r._id === messageId ? { ...r, poll } : r)));
+    });
+
+    return () => {
+      unsubscribe?.();
+      unsubscribePoll?.();
+    };
+  }, [on, rootId, user, markThreadRead, scrollToBottom]);
+
+  const toggleFollow = async () => {
+    try {
+      if (isFollowing) {
+        await axios.delete(`/messages/${rootId}/thread/follow`);
+      } else {
+        await axios.post(`/messages/${rootId}/thread/follow`);
+      }
+      setIsFollowing(!isFollowing);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update thread');
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <div>
+          <h3 className="font-semibold text-gray-900">Thread</h3>
+          <p className="text-xs text-gray-500">{chat.name}</p>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={toggleFollow}
+            disabled={loading}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+            title={isFollowing ? 'Unfollow thread' : 'Follow thread'}
+          >
+            {isFollowing ? (
+              <BellOff className="w-5 h-5 text-gray-600" />
+            ) : (
+              <Bell className="w-5 h-5 text-gray-600" />
+            )}
+          </button>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Root and replies */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar bg-gray-50">
+        {loading || !root ? (
+          <div className="h-full flex items-center justify-center">
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <>
+            <Message
+              message={shownRoot}
+              isOwn={root.sender._id === user._id}
+              showAvatar
+            />
+
+            <div className="flex items-center space-x-2 text-xs text-gray-500">
+              <span>
+                {shownReplies.length} {shownReplies.length === 1 ? 'reply' : 'replies'}
+              </span>
+              <div className="flex-1 border-t" />
+            </div>
+
+            {shownReplies.map((reply, index) => (
+              <Message
+                key={reply._id}
+                message={reply}
+                isOwn={reply.sender._id === user._id}
+                showAvatar={
+                  index === 0 ||
+                  shownReplies[index - 1].sender._id !== reply.sender._id
+                }
+              />
+            ))}
+
+            <div ref={repliesEndRef} />
+          </>
+        )}
+      </div>
+
+      {/* Reply input */}
+      {canInGroup(chat, settings, user._id, 'sendMessages') && (
+        <MessageInput
+          chatId={chat._id}
+          threadRoot={rootId}
+          participants={chat.participants}
+          placeholder="Reply in thread..."
+          canSendMedia={canInGroup(chat, settings, user._id, 'sendMedia')}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ThreadPanel;
@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Copy } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const TwoFactorSettings = () => {
+  const { updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  // Enrollment in progress: { qrCode, secret }
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  // Shown once, right after they're generated
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  // 'disable' or 'regenerate' while asking for the password
+  const [passwordAction, setPasswordAction] = useState(null);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error fetching 2FA status:', error);
+    }
+  };
+
+  const startSetup = async () => {
+    try {
+      setBusy(true);
+      const response = await axios.post('/auth/2fa/setup');
+      setSetup({ qrCode: response.data.qrCode, secret: response.data.secret });
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy(true);
+      const response = await axios.post('/auth/2fa/enable', { code });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      updateUser({ isTwoFactorEnabled: true });
+      toast.success('Two-factor authentication enabled');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to enable two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitPassword = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy(true);
+
+      if (passwordAction === 'disable') {
+        await axios.post('/auth/2fa/disable', { password });
+        updateUser({ isTwoFactorEnabled: false });
+        setRecoveryCodes(null);
+        toast.success('Two-factor authentication disabled');
+      } else {
+        const response = await axios.post('/auth/2fa/recovery-codes', { password });
+        setRecoveryCodes(response.data.recoveryCodes);
+        toast.success('New recovery codes generated');
+      }
+
+      setPasswordAction(null);
+      setPassword('');
+      fetchStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyRecoveryCodes = () => {
+    navigator.clipboard.writeText(recoveryCodes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="mt-6 pt-6 border-t">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-medium text-gray-700">Two-factor authentication</h3>
+        {status.enabled && (
+          <span className="inline-flex items-center space-x-1 text-xs text-green-700">
+            <ShieldCheck className="w-4 h-4" />
+            <span>On</span>
+          </span>
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <div className="mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-xs text-yellow-800 mb-2">
+            Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+            authenticator app, and they won't be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 mb-2">
+            {recoveryCodes.map(recoveryCode => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex space-x-3 text-sm">
+            <button onClick={copyRecoveryCodes} className="inline-flex items-center space-x-1 text-primary-600 hover:text-primary-700">
+              <Copy className="w-4 h-4" />
+              <span>Copy</span>
+            </button>
+            <button onClick={() => setRecoveryCodes(null)} className="text-gray-600 hover:text-gray-800">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {setup ? (
+        <form onSubmit={confirmSetup} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40 mx-auto" />
+          <p className="text-xs text-gray-500 text-center break-all">
+            Can't scan it? Enter this key: <span className="font-mono">{setup.secret}</span>
+          </p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoComplete="one-time-code"
+            className="input-primary text-center tracking-widest"
+            placeholder="123456"
+          />
+          <div className="flex space-x-2">
+            <button type="button" onClick={() => setSetup(null)} className="flex-1 btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={busy || !code.trim()} className="flex-1 btn-primary">
+              {busy ? 'Verifying...' : 'Enable'}
+            </button>
+          </div>
+        </form>
+      ) : passwordAction ? (
+        <form onSubmit={submitPassword} className="space-y-3">
+          <p className="text-sm text-gray-600">
+            {passwordAction === 'disable'
+              ? 'Enter your password to turn off two-factor authentication.'
+              : 'Enter your password to replace your recovery codes. The old ones will stop working.'}
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoFocus
+            className="input-primary"
+            placeholder="Password"
+          />
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => {
+                setPasswordAction(null);
+                setPassword('');
+              }}
+              className="flex-1 btn-secondary"
+            >
+              Cancel
+            </button>
+            <button type="submit" disabled={busy || !password} className="flex-1 btn-primary">
+              Confirm
+            </button>
+          </div>
+        </form>
+      ) : status.enabled ? (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left
+          </p>
+          <div className="flex space-x-2">
+            <button onClick={() => setPasswordAction('regenerate')} className="flex-1 btn-secondary text-sm">
+              New recovery codes
+            </button>
+            <button
+              onClick={() => setPasswordAction('disable')}
+              className="flex-1 px-4 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg"
+            >
+              Turn off
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-600">
+            Ask for a code from an authenticator app as well as your password when signing in.
+          </p>
+          <button onClick={startSetup} disabled={busy} className="w-full btn-secondary">
+            Set up two-factor authentication
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,9 +1,106 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow } from 'date-fns';
 import { useAuth } from '../contexts/AuthContext';
-import { X, Camera, LogOut, User, Settings, Copy, Check } from 'lucide-react';
+import { X, Camera, LogOut, User, Settings, Copy, Check, Flag } from 'lucide-react';
 import toast from 'react-hot-toast';
+import axios from '../api/axios';
+import ActiveSessions from './ActiveSessions';
+import TwoFactorSettings from './TwoFactorSettings';
+import LoadingSpinner from './LoadingSpinner';
+import ReportModal from './ReportModal';
 
-const UserProfile = ({ onClose }) => {
+// Someone else's profile, as much of it as their privacy settings allow
+const OtherUserProfile = ({ userId, onClose }) => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showReport, setShowReport] = useState(false);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/users/${userId}`);
+        setProfile(response.data.user);
+      } catch (error) {
+        toast.error(error.response?.data?.error || 'Failed to load profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, [userId]);
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="flex items-center justify-between p-4 border-b">
+        <h2 className="text-lg font-semibold">Profile</h2>
+        <button
+          onClick={onClose}
+          className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6">
+        {loading ? (
+          <LoadingSpinner />
+        ) : profile ? (
+          <>
+            <div className="flex flex-col items-center text-center mb-6">
+              <img
+                src={profile.avatar?.url || `https://ui-avatars.com/api/?name=${profile.username}&size=128&background=random`}
+                alt={profile.username}
+                className="w-32 h-32 rounded-full object-cover border-4 border-gray-100 mb-3"
+              />
+              <h3 className="text-xl font-semibold text-gray-900">{profile.username}</h3>
+              {profile.status && <p className="text-sm text-gray-600 mt-1">{profile.status}</p>}
+              {profile.isOnline ? (
+                <p className="text-xs text-green-600 mt-1">Online</p>
+              ) : profile.lastSeen && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Last seen {formatDistanceToNow(new Date(profile.lastSeen), { addSuffix: true })}
+                </p>
+              )}
+            </div>
+
+            {profile.bio && (
+              <div className="mb-6">
+                <p className="text-sm font-medium text-gray-700 mb-1">Bio</p>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap">{profile.bio}</p>
+              </div>
+            )}
+
+            <div className="pt-6 border-t">
+              <button
+                onClick={() => setShowReport(true)}
+                className="w-full flex items-center space-x-3 p-3 hover:bg-red-50 rounded-lg transition-colors text-red-600"
+              >
+                <Flag className="w-5 h-5" />
+                <span>Report {profile.username}</span>
+              </button>
+            </div>
+          </>
+        ) : (
+          <p className="text-center text-gray-500">Profile not available</p>
+        )}
+      </div>
+
+      {showReport && (
+        <ReportModal
+          targetType="user"
+          targetId={userId}
+          targetName={profile?.username}
+          onClose={() => setShowReport(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+const OwnProfile = ({ onClose }) => {
   const { user, logout, updateProfile, uploadAvatar } = useAuth();
   const [editing, setEditing] = useState(false);
   const [formData, setFormData] = useState({
@@ -251,6 +348,11 @@ const UserProfile = ({ onClose }) => {
           </div>
         </form>
 
+        <TwoFactorSettings />
+
+        {/* Devices signed in to this account */}
+        <ActiveSessions />
+
         {/* Additional options */}
         <div className="mt-6 pt-6 border-t space-y-3">
           <button className="w-full flex items-center space-x-3 p-3 hover:bg-gray-50 rounded-lg transition-colors">
@@ -271,4 +373,15 @@ const UserProfile = ({ onClose }) => {
   );
 };
 
+// The signed-in user's own profile, or someone else's when userId is given
+const UserProfile = ({ userId, onClose }) => {
+  const { user } = useAuth();
+
+  if (userId && userId !== user?._id) {
+    return <OtherUserProfile userId={userId} onClose={onClose} />;
+  }
+
+  return <OwnProfile onClose={onClose} />;
+};
+
 export default UserProfile;
@@ -0,0 +1,53 @@
+import React, { useState, useEffect } from 'react';
+import { Mail } from 'lucide-react';
+import axios from '../api/axios';
+import { useAuth } from '../contexts/AuthContext';
+import { useSocket } from '../contexts/SocketContext';
+import toast from 'react-hot-toast';
+
+// Reminder for accounts whose email isn't verified yet. Clears itself when
+// the link is opened, in this tab or anywhere else.
+const VerifyEmailBanner = () => {
+  const [sending, setSending] = useState(false);
+  const { user, updateUser } = useAuth();
+  const { on } = useSocket();
+
+  useEffect(() => {
+    const unsubscribe = on('email_verified', () => {
+      updateUser({ isEmailVerified: true });
+      toast.success('Email verified');
+    });
+
+    return () => unsubscribe?.();
+  }, [on, updateUser]);
+
+  if (!user || user.isEmailVerified) return null;
+
+  const resend = async () => {
+    try {
+      setSending(true);
+      await axios.post('/auth/resend-verification', { email: user.email });
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center space-x-2 px-4 py-2 bg-yellow-50 border-b border-yellow-200 text-sm text-yellow-800">
+      <Mail className="w-4 h-4 flex-shrink-0" />
+      <span className="flex-1">Please verify your email address. Some features stay locked until you do.</span>
+      <button
+        onClick={resend}
+        disabled={sending}
+        className="font-medium underline flex-shrink-0 disabled:opacity-50"
+      >
+        {sending ? 'Sending...' : 'Resend'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
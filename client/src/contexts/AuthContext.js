@@ -1,5 +1,5 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import axios from '../api/axios';
+import React, { createContext, useContext, useReducer, useEffect, useCallback } from 'react';
+import axios, { setAuthHandlers, clearStoredTokens } from '../api/axios';
 
 const AuthContext = createContext();
 
@@ -22,6 +22,8 @@ const authReducer = (state, action) => {
         loading: false, 
         error: null 
       };
+    case 'SET_TOKEN':
+      return { ...state, token: action.payload };
     case 'SET_ERROR':
       return { ...state, error: action.payload, loading: false };
     case 'LOGOUT':
@@ -36,6 +38,23 @@ const authReducer = (state, action) => {
 export const AuthProvider = ({ children }) => {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Drop the local session without calling the server, e.g. after this
+  // device was signed out from another one
+  const endSession = useCallback(() => {
+    clearStoredTokens();
+    dispatch({ type: 'LOGOUT' });
+  }, []);
+
+  // Keep state in step with the silent refreshes done by the axios instance
+  useEffect(() => {
+    setAuthHandlers({
+      onTokenRefreshed: (token) => dispatch({ type: 'SET_TOKEN', payload: token }),
+      onSessionEnded: () => dispatch({ type: 'LOGOUT' })
+    });
+
+    return () => setAuthHandlers({});
+  }, []);
+
   // Check for existing token on mount
   useEffect(() => {
     const initAuth = async () => {
@@ -47,12 +66,14 @@ export const AuthProvider = ({ children }) => {
             type: 'SET_USER',
             payload: {
               user: response.data.user,
-              token
+              // The stored token may have been refreshed by the request
+              token: localStorage.getItem('token')
             }
           });
         } catch (error) {
           console.error('Auth initialization error:', error);
-          localStorage.removeItem('token');
+          // The interceptor clears the tokens if the session was rejected;
+          // after a network error they're kept so a reload can try again
           dispatch({ type: 'SET_LOADING', payload: false });
         }
       } else {
@@ -63,45 +84,63 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  const storeSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    dispatch({
+      type: 'SET_USER',
+      payload: { user, token }
+    });
+  };
+
   const login = async (email, password) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
-      
       const response = await axios.post('/auth/login', { email, password });
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
+      // Accounts with 2FA get a challenge to answer with verifyTwoFactor
+      if (response.data.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
 
-      dispatch({
-        type: 'SET_USER',
-        payload: { user, token }
-      });
+      storeSession(response.data);
 
       return { success: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Login failed';
       dispatch({ type: 'SET_ERROR', payload: message });
+      return { success: false, error: message, code: error.response?.data?.code };
+    }
+  };
+
+  // Second login step, with a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/auth/2fa/verify', { challengeToken, code });
+
+      storeSession(response.data);
+
+      return { success: true, recoveryCodesLeft: response.data.recoveryCodesLeft };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Verification failed';
       return { success: false, error: message };
     }
   };
 
   const register = async (username, email, password) => {
     try {
-      dispatch({ type: 'SET_LOADING', payload: true });
-      
       const response = await axios.post('/auth/register', {
         username,
         email,
         password
       });
-      const { token, user } = response.data;
 
-      localStorage.setItem('token', token);
+      // Accounts that must verify their email before signing in get no tokens
+      if (response.data.requiresVerification) {
+        return { success: true, requiresVerification: true, message: response.data.message };
+      }
 
-      dispatch({
-        type: 'SET_USER',
-        payload: { user, token }
-      });
+      storeSession(response.data);
 
       return { success: true };
     } catch (error) {
@@ -117,11 +156,15 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
-      dispatch({ type: 'LOGOUT' });
+      endSession();
     }
   };
 
+  // Merge fields into the local user without a server round trip
+  const updateUser = useCallback((updates) => {
+    dispatch({ type: 'UPDATE_USER', payload: updates });
+  }, []);
+
   const updateProfile = async (updates) => {
     try {
       const response = await axios.put('/auth/update-profile', updates);
@@ -162,8 +205,11 @@ export const AuthProvider = ({ children }) => {
   const value = {
     ...state,
     login,
+    verifyTwoFactor,
     register,
     logout,
+    endSession,
+    updateUser,
     updateProfile,
     uploadAvatar
   };
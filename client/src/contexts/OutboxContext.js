@@ -0,0 +1,311 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import axios from '../api/axios';
+import { useAuth } from './AuthContext';
+import { useSocket } from './SocketContext';
+import { loadEntries, saveEntry, removeEntry } from '../utils/outboxStore';
+
+const OutboxContext = createContext();
+
+// How long to wait before trying again after the server didn't answer
+const RETRY_DELAY_MS = 15000;
+
+// The server said no (no access, file too big...). Sending again won't
+// help, so the entry waits for the user to retry or discard it.
+const refused = (message) => {
+  const error = new Error(message);
+  error.refused = true;
+  return error;
+};
+
+// Storage failures (private browsing, full disk) cost an entry its place
+// across reloads, not its place in the queue
+const persist = (entry) => saveEntry(entry).catch(error => {
+  console.error('[Outbox] Could not store entry:', error);
+});
+
+const forget = (id) => removeEntry(id).catch(error => {
+  console.error('[Outbox] Could not remove entry:', error);
+});
+
+// Files go up in a single request. An upload cut off by a lost connection
+// isn't resumed: the next attempt sends the whole file again.
+const uploadFile = async (file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  try {
+    const response = await axios.post('/upload/file', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.file;
+  } catch (error) {
+    if (error.response) {
+      throw refused(error.response.data?.error || 'Failed to upload file');
+    }
+    throw error;
+  }
+};
+
+const checkAck = (response) => {
+  if (!response.success) {
+    throw refused(response.error || 'Rejected by the server');
+  }
+  return response;
+};
+
+// A queued message as the timeline shows it until the server has it
+const toPendingMessage = (entry, sender) => ({
+  _id: entry.id,
+  clientId: entry.id,
+  chat: entry.chatId,
+  sender: { _id: sender._id, username: sender.username, avatar: sender.avatar },
+  content: entry.message.content,
+  // Files not uploaded yet have no URL to preview
+  type: entry.file && !entry.uploadedFile ? 'file' : entry.message.type,
+  file: entry.uploadedFile || (entry.file ? { filename: entry.file.name } : undefined),
+  threadRoot: entry.message.threadRoot || undefined,
+  reactions: [],
+  readBy: [],
+  deliveredTo: [],
+  createdAt: entry.createdAt,
+  outbox: entry,
+});
+
+// Show a chat's (or thread's) messages as they'll be once the outbox is
+// through: queued edits and reactions applied, and queued messages at the
+// end. Each affected message carries its outbox entry, for its status.
+export const applyOutbox = (messages, entries, { chatId, threadRoot = null, sender, includeQueued = true }) => {
+  const forChat = entries.filter(entry => entry.chatId === chatId);
+  if (forChat.length === 0) return messages;
+
+  const shown = messages.map(message => forChat.reduce((current, entry) => {
+    if (entry.messageId !== message._id) return current;
+
+    if (entry.kind === 'edit') {
+      return { ...current, content: entry.content, edited: true, outbox: entry };
+    }
+
+    const others = (current.reactions || []).filter(r => (r.user?._id || r.user) !== sender._id);
+    return {
+      ...current,
+      reactions: entry.emoji ? [...others, { user: sender._id, emoji: entry.emoji }] : others,
+      outbox: entry,
+    };
+  }, message));
+
+  if (!includeQueued) return shown;
+
+  // A message that has reached the server may come back before its ack does
+  const arrived = new Set(messages.map(message => message.clientId).filter(Boolean));
+  const queued = forChat
+    .filter(entry => entry.kind === 'message' && !arrived.has(entry.id))
+    .filter(entry => (entry.message.threadRoot || null) === threadRoot)
+    .map(entry => toPendingMessage(entry, sender));
+
+  return [...shown, ...queued];
+};
+
+export const OutboxProvider = ({ children }) => {
+  const [entries, setEntries] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const entriesRef = useRef([]);
+  const lastSeqRef = useRef(0);
+  const flushingRef = useRef(false);
+  const flushRef = useRef(() => {});
+  const retryTimerRef = useRef(null);
+  const { user } = useAuth();
+  const { connected, emitWithAck } = useSocket();
+  const userId = user?._id;
+
+  // Change the entries in state and in the ref the flush loop reads
+  const commit = useCallback((change) => {
+    entriesRef.current = change(entriesRef.current);
+    setEntries(entriesRef.current);
+  }, []);
+
+  const update = useCallback((id, changes) => {
+    let updated = null;
+    commit(prev => prev.map(entry => {
+      if (entry.id !== id) return entry;
+      updated = { ...entry, ...changes };
+      return updated;
+    }));
+    if (updated) persist(updated);
+    return updated;
+  }, [commit]);
+
+  // Pick up what was left queued by an earlier visit
+  useEffect(() => {
+    entriesRef.current = [];
+    setEntries([]);
+    setLoaded(false);
+    if (!userId) return;
+
+    let cancelled = false;
+    loadEntries(userId)
+      .catch((error) => {
+        console.error('[Outbox] Could not load entries:', error);
+        return [];
+      })
+      .then((stored) => {
+        if (cancelled) return;
+        lastSeqRef.current = stored.reduce((max, entry) => Math.max(max, entry.seq), 0);
+        commit(prev => [...stored, ...prev]);
+        setLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, commit]);
+
+  const deliver = useCallback(async (entry) => {
+    if (entry.kind === 'message') {
+      let file = entry.uploadedFile;
+
+      // Keep the upload with the entry, so a later attempt doesn't upload it again
+      if (entry.file && !file) {
+        file = await uploadFile(entry.file);
+        update(entry.id, { uploadedFile: file, file: null });
+      }
+
+      const { message } = checkAck(await emitWithAck('send_message', {
+        ...entry.message,
+        chatId: entry.chatId,
+        clientId: entry.id,
+        file: file || undefined,
+      }));
+      return message;
+    } else if (entry.kind === 'reaction') {
+      checkAck(entry.emoji
+        ? await emitWithAck('add_reaction', { messageId: entry.messageId, emoji: entry.emoji })
+        : await emitWithAck('remove_reaction', { messageId: entry.messageId }));
+    } else if (entry.kind === 'edit') {
+      checkAck(await emitWithAck('edit_message', { messageId: entry.messageId, content: entry.content }));
+    }
+  }, [emitWithAck, update]);
+
+  // Take a sent entry off the queue. Reactions and edits queued against it,
+  // when it was a message, now point at the id the server gave it.
+  const settle = useCallback((entry, message) => {
+    commit(prev => prev.filter(other => other.id !== entry.id));
+    if (!message) return;
+
+    entriesRef.current
+      .filter(other => other.messageId === entry.id)
+      .forEach(other => update(other.id, { messageId: message._id }));
+  }, [commit, update]);
+
+  // Send pending entries one at a time, oldest first. A refused entry is
+  // marked failed and the rest carry on; connection trouble stops the run
+  // until the next reconnect, or a while later if the connection is up.
+  // Reactions and edits to a queued message wait until it has been sent.
+  const flush = useCallback(async () => {
+    if (flushingRef.current || !connected || !loaded) return;
+    flushingRef.current = true;
+    clearTimeout(retryTimerRef.current);
+
+    try {
+      for (;;) {
+        const unsent = new Set(entriesRef.current
+          .filter(entry => entry.kind === 'message')
+          .map(entry => entry.id));
+        const next = entriesRef.current.find(entry => entry.status === 'pending' && !unsent.has(entry.messageId));
+        if (!next) break;
+
+        try {
+          settle(next, await deliver(next));
+          await forget(next.id);
+        } catch (error) {
+          if (!error.refused) {
+            console.warn('[Outbox] Connection trouble, waiting to retry:', error.message);
+            retryTimerRef.current = setTimeout(() => flushRef.current(), RETRY_DELAY_MS);
+            break;
+          }
+          update(next.id, { status: 'failed', error: error.message });
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [connected, loaded, deliver, settle, update]);
+
+  useEffect(() => {
+    flushRef.current = flush;
+    flush();
+  }, [flush]);
+
+  useEffect(() => {
+    return () => clearTimeout(retryTimerRef.current);
+  }, []);
+
+  const enqueue = useCallback((fields) => {
+    lastSeqRef.current = Math.max(Date.now(), lastSeqRef.current + 1);
+
+    const entry = {
+      id: crypto.randomUUID(),
+      userId,
+      seq: lastSeqRef.current,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      ...fields,
+    };
+
+    commit(prev => [...prev, entry]);
+    persist(entry).then(() => flushRef.current());
+    return entry;
+  }, [userId, commit]);
+
+  // Queue a message ({ content, type, threadRoot }) and, optionally, a file
+  // to upload and attach before it's sent
+  const queueMessage = useCallback((chatId, message, file = null) => {
+    return enqueue({ kind: 'message', chatId, message, file, uploadedFile: null });
+  }, [enqueue]);
+
+  // Queue the user's reaction to a message; a null emoji removes it
+  const queueReaction = useCallback((chatId, messageId, emoji) => {
+    return enqueue({ kind: 'reaction', chatId, messageId, emoji });
+  }, [enqueue]);
+
+  const queueEdit = useCallback((chatId, messageId, content) => {
+    return enqueue({ kind: 'edit', chatId, messageId, content });
+  }, [enqueue]);
+
+  // Try a failed entry again, in its original place in the queue
+  const retry = useCallback((id) => {
+    update(id, { status: 'pending', error: null });
+    flushRef.current();
+  }, [update]);
+
+  // Drop an entry, along with any reactions and edits waiting on it
+  const discard = useCallback((id) => {
+    const dropped = entriesRef.current.filter(entry => entry.id === id || entry.messageId === id);
+    commit(prev => prev.filter(entry => !dropped.includes(entry)));
+    dropped.forEach(entry => forget(entry.id));
+  }, [commit]);
+
+  const value = {
+    entries,
+    queueMessage,
+    queueReaction,
+    queueEdit,
+    retry,
+    discard,
+  };
+
+  return (
+    <OutboxContext.Provider value={value}>
+      {children}
+    </OutboxContext.Provider>
+  );
+};
+
+export const useOutbox = () => {
+  const context = useContext(OutboxContext);
+  if (!context) {
+    throw new Error('useOutbox must be used within OutboxProvider');
+  }
+  return context;
+};
@@ -1,24 +1,93 @@
-import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { refreshAccessToken, getDeviceId } from '../api/axios';
 import toast from 'react-hot-toast';
 
 const SocketContext = createContext();
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
+// How long to wait for the server to acknowledge an event, and how many
+// times to resend a message before giving up on it
+const ACK_TIMEOUT_MS = 10000;
+const SEND_RETRIES = 2;
+
+// How many times to resend a sync the server didn't acknowledge
+const SYNC_RETRIES = 2;
+
+// The server syncs at most this many chats per request
+const SYNC_BATCH_SIZE = 50;
+
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [onlineUsers, setOnlineUsers] = useState([]);
-  const { user, token } = useAuth();
+  const { user, token, endSession } = useAuth();
+  const signedIn = !!(user && token);
+  const syncCursorsRef = useRef({}); // chatId -> cursor of the last change seen
+  const syncListenersRef = useRef(new Set());
+
+  // Catch up on what changed in the tracked chats while disconnected, and
+  // hand each chat's changes to the sync listeners
+  const replaySync = useCallback(async (activeSocket) => {
+    let pending = Object.entries(syncCursorsRef.current).map(([chatId, cursor]) => ({ chatId, cursor }));
+
+    while (pending.length > 0) {
+      const batch = pending.slice(0, SYNC_BATCH_SIZE);
+      pending = pending.slice(SYNC_BATCH_SIZE);
+
+      let response;
+      for (let attempt = 0; !response; attempt++) {
+        try {
+          response = await activeSocket.timeout(ACK_TIMEOUT_MS).emitWithAck('sync', { chats: batch });
+        } catch (error) {
+          // Once disconnected, the next connect replays the sync itself
+          if (attempt >= SYNC_RETRIES || !activeSocket.connected) {
+            console.error('[Socket] Sync timed out');
+            return;
+          }
+          console.warn('[Socket] Sync not acknowledged, retrying');
+        }
+      }
+
+      if (!response.success) {
+        console.error('[Socket] Sync failed:', response.error);
+        return;
+      }
+
+      for (const result of response.chats) {
+        // Chats closed while the sync was in flight aren't tracked any more
+        if (!(result.chatId in syncCursorsRef.current)) continue;
+
+        if (!result.success) {
+          delete syncCursorsRef.current[result.chatId];
+          continue;
+        }
+
+        syncCursorsRef.current[result.chatId] = result.cursor;
+        syncListenersRef.current.forEach(listener => listener(result));
+
+        if (result.hasMore) {
+          pending.push({ chatId: result.chatId, cursor: result.cursor });
+        }
+      }
+    }
+  }, []);
 
   useEffect(() => {
-    if (user && token) {
+    if (signedIn) {
       console.log('[Socket] Connecting to:', SOCKET_URL);
+      let sessionRevoked = false;
+      let hasConnected = false;
       
       const newSocket = io(SOCKET_URL, {
-        auth: { token },
+        // Read the token on every (re)connect, since it's refreshed in the background
+        auth: (cb) => cb({
+          token: localStorage.getItem('token'),
+          deviceId: getDeviceId(),
+          platform: 'web',
+        }),
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
@@ -37,6 +106,12 @@ export const SocketProvider = ({ children }) => {
       newSocket.on('connect', () => {
         console.log('[Socket] Connected successfully');
         setConnected(true);
+
+        // Anything could have changed while the connection was down
+        if (hasConnected) {
+          replaySync(newSocket);
+        }
+        hasConnected = true;
         toast.success('Connected to server', {
           duration: 2000,
           position: 'bottom-right',
@@ -48,7 +123,7 @@ export const SocketProvider = ({ children }) => {
         console.log('[Socket] Disconnected:', reason);
         setConnected(false);
         
-        if (reason === 'io server disconnect') {
+        if (reason === 'io server disconnect' && !sessionRevoked) {
           // Server disconnected, manually reconnect
           newSocket.connect();
         }
@@ -63,6 +138,18 @@ export const SocketProvider = ({ children }) => {
       newSocket.on('connect_error', (error) => {
         console.error('[Socket] Connection error:', error.message);
         setConnected(false);
+
+        // The access token ran out while disconnected: refresh it and retry
+        if (error.message.includes('Token expired')) {
+          refreshAccessToken()
+            .then(() => newSocket.connect())
+            .catch((refreshError) => {
+              if (refreshError.response?.status === 401) {
+                endSession();
+              }
+            });
+          return;
+        }
         
         // Don't show toast on every reconnection attempt
         if (error.message.includes('unauthorized')) {
@@ -103,6 +190,25 @@ export const SocketProvider = ({ children }) => {
         });
       });
 
+      // The account was suspended by a moderator; the sign-out follows
+      newSocket.on('account_suspended', ({ message }) => {
+        sessionRevoked = true;
+        toast.error(message, {
+          duration: 8000,
+        });
+        endSession();
+      });
+
+      // This device was signed out from another one
+      newSocket.on('session_revoked', () => {
+        if (sessionRevoked) return;
+        sessionRevoked = true;
+        toast.error('You were signed out on this device', {
+          duration: 4000,
+        });
+        endSession();
+      });
+
       // Online users list
       newSocket.on('online_users', (users) => {
         console.log('[Socket] Online users updated:', users.length);
@@ -149,21 +255,15 @@ export const SocketProvider = ({ children }) => {
 
       setSocket(newSocket);
 
+      // Also runs when the user logs out, closing the socket
       return () => {
         console.log('[Socket] Cleaning up connection');
         newSocket.close();
         setSocket(null);
         setConnected(false);
       };
-    } else {
-      // User logged out, clean up socket
-      if (socket) {
-        socket.close();
-        setSocket(null);
-        setConnected(false);
-      }
     }
-  }, [user, token]);
+  }, [signedIn, endSession, replaySync]);
 
   // Generic event listener
   const on = useCallback((event, callback) => {
@@ -189,6 +289,38 @@ export const SocketProvider = ({ children }) => {
     }
   }, [socket, connected]);
 
+  // Emit an event and wait for the server to acknowledge it. Resolves to the
+  // server's response; rejects if it doesn't come after the retries.
+  const emitWithAck = useCallback(async (event, data, { retries = 0 } = {}) => {
+    if (!socket) {
+      throw new Error('Not connected to server');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, data);
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        console.warn('[Socket] No acknowledgement, retrying:', event);
+      }
+    }
+  }, [socket]);
+
+  // Track a chat's changes from a sync cursor, to catch up from on reconnect
+  const trackChatSync = useCallback((chatId, cursor) => {
+    syncCursorsRef.current[chatId] = cursor;
+  }, []);
+
+  const untrackChatSync = useCallback((chatId) => {
+    delete syncCursorsRef.current[chatId];
+  }, []);
+
+  // Listen for each chat's changes caught up on after a reconnect
+  const onSync = useCallback((callback) => {
+    syncListenersRef.current.add(callback);
+    return () => syncListenersRef.current.delete(callback);
+  }, []);
+
   // Remove event listener
   const off = useCallback((event, callback) => {
     if (socket) {
@@ -218,16 +350,37 @@ export const SocketProvider = ({ children }) => {
     return emit('leave_chat', { chatId });
   }, [emit]);
 
-  // Send a message
-  const sendMessage = useCallback((messageData) => {
+  // Send a message. Resends reuse the clientId, so the server stores it
+  // once however many attempts reach it. Resolves to the sent message, or
+  // null if it couldn't be sent.
+  const sendMessage = useCallback(async (messageData) => {
     if (!messageData || !messageData.chatId || !messageData.content) {
       console.error('[Socket] Cannot send message: invalid data');
-      return false;
+      return null;
     }
-    
+
     console.log('[Socket] Sending message to chat:', messageData.chatId);
-    return emit('send_message', messageData);
-  }, [emit]);
+    try {
+      const response = await emitWithAck('send_message', {
+        clientId: crypto.randomUUID(),
+        ...messageData,
+      }, { retries: SEND_RETRIES });
+
+      if (!response.success) {
+        toast.error(response.error || 'Failed to send message', {
+          duration: 3000,
+        });
+        return null;
+      }
+      return response.message;
+    } catch (error) {
+      console.error('[Socket] Message not acknowledged:', error.message);
+      toast.error('Failed to send message', {
+        duration: 3000,
+      });
+      return null;
+    }
+  }, [emitWithAck]);
 
   // Send typing start indicator
   const sendTypingStart = useCallback((chatId) => {
@@ -346,7 +499,11 @@ export const SocketProvider = ({ children }) => {
     onlineUsers,
     on,
     emit,
+    emitWithAck,
     off,
+    trackChatSync,
+    untrackChatSync,
+    onSync,
     joinChat,
     leaveChat,
     sendMessage,
@@ -4,6 +4,7 @@ import './index.css';
 import App from './App';
 import { AuthProvider } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
+import { OutboxProvider } from './contexts/OutboxContext';
 import { Toaster } from 'react-hot-toast';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,7 +12,9 @@ root.render(
   <React.StrictMode>
     <AuthProvider>
       <SocketProvider>
-        <App />
+        <OutboxProvider>
+          <App />
+        </OutboxProvider>
         <Toaster 
           position="top-right"
           toastOptions={{
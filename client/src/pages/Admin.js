@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, BarChart2, Users, Flag } from 'lucide-react';
+import axios from '../api/axios';
+import { useAuth } from '../contexts/AuthContext';
+import AdminUsers from '../components/AdminUsers';
+import AdminReports from '../components/AdminReports';
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="card">
+    <p className="text-sm text-gray-500">{label}</p>
+    <p className="text-3xl font-bold text-gray-900 mt-1">{value?.toLocaleString() ?? '—'}</p>
+    {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+const AdminStats = () => {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const response = await axios.get('/admin/stats');
+        setStats(response.data.stats);
+      } catch (error) {
+        console.error('Error fetching admin stats:', error);
+      }
+    };
+
+    fetchStats();
+  }, []);
+
+  if (!stats) {
+    return (
+      <div className="flex justify-center py-8">
+        <div className="w-8 h-8 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+      <StatCard label="Users" value={stats.users.total} detail={`${stats.users.newThisWeek} new this week`} />
+      <StatCard label="Online now" value={stats.users.online} detail={`${stats.activeSessions} active sessions`} />
+      <StatCard label="Suspended" value={stats.users.suspended} />
+      <StatCard label="Messages" value={stats.messages.total} detail={`${stats.messages.last24Hours} in the last 24 hours`} />
+      <StatCard
+        label="Chats"
+        value={stats.chats.private + stats.chats.group + stats.chats.channel}
+        detail={`${stats.chats.group} groups, ${stats.chats.channel} channels`}
+      />
+      <StatCard label="Open reports" value={stats.openReports} />
+    </div>
+  );
+};
+
+// Site administration for moderators and admins
+const Admin = () => {
+  const { user } = useAuth();
+  const isAdmin = user.role === 'admin';
+  const [activeTab, setActiveTab] = useState(isAdmin ? 'overview' : 'users');
+
+  const tabs = [
+    ...(isAdmin ? [{ id: 'overview', label: 'Overview', icon: BarChart2 }] : []),
+    { id: 'users', label: 'Users', icon: Users },
+    { id: 'reports', label: 'Reports', icon: Flag }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-primary-600 text-white">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center space-x-3">
+          <Link to="/dashboard" className="p-2 hover:bg-primary-700 rounded-lg transition-colors" title="Back to chats">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <h1 className="text-xl font-bold">Admin Console</h1>
+        </div>
+        <div className="max-w-5xl mx-auto px-4 flex space-x-1">
+          {tabs.map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              onClick={() => setActiveTab(id)}
+              className={`px-4 py-2 rounded-t-lg font-medium text-sm flex items-center space-x-1 transition-all ${
+                activeTab === id
+                  ? 'bg-gray-100 text-primary-700'
+                  : 'hover:bg-white hover:bg-opacity-10'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              <span>{label}</span>
+            </button>
+          ))}
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-6">
+        {activeTab === 'overview' && <AdminStats />}
+        {activeTab === 'users' && <AdminUsers />}
+        {activeTab === 'reports' && <AdminReports />}
+      </main>
+    </div>
+  );
+};
+
+export default Admin;
@@ -8,27 +8,77 @@ import ContactsList from '../components/ContactsList';
 import AddFriendModal from '../components/AddFriendModal';
 import FriendRequests from '../components/FriendRequests';
 import CreateGroupModal from '../components/CreateGroupModal';
-import { MessageCircle, Users, Settings, UserPlus, Bell, Plus, User } from 'lucide-react';
+import MessageSearch from '../components/MessageSearch';
+import GroupDirectory from '../components/GroupDirectory';
+import CreateChannelModal from '../components/CreateChannelModal';
+import ChannelDirectory from '../components/ChannelDirectory';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
+import { PENDING_INVITE_KEY } from './JoinGroup';
+import { MessageCircle, Users, Settings, UserPlus, Bell, Plus, User, Search, Shield, Compass, Megaphone } from 'lucide-react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import axios from '../api/axios';
 
+const TAB_FOR_CHAT_TYPE = {
+  private: 'chats',
+  group: 'groups',
+  channel: 'channels'
+};
+
 const Dashboard = () => {
   const [selectedChat, setSelectedChat] = useState(null);
   const [showProfile, setShowProfile] = useState(false);
+  // Whose profile the sidebar shows; null for the user's own
+  const [profileUserId, setProfileUserId] = useState(null);
   const [showAddFriend, setShowAddFriend] = useState(false);
   const [showFriendRequests, setShowFriendRequests] = useState(false);
   const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showDirectory, setShowDirectory] = useState(false);
+  const [showCreateChannel, setShowCreateChannel] = useState(false);
+  const [showChannelDirectory, setShowChannelDirectory] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(null);
   const [activeTab, setActiveTab] = useState('chats');
   const [friendRequestCount, setFriendRequestCount] = useState(0);
   const [totalUnreadCount, setTotalUnreadCount] = useState(0); // NEW
   const { user } = useAuth();
   const { on } = useSocket();
+  const location = useLocation();
+  const navigate = useNavigate();
 
   useEffect(() => {
     fetchFriendRequestCount();
     fetchUnreadCount(); // NEW
   }, []);
 
+  // Finish following an invite link opened before signing in
+  useEffect(() => {
+    const code = sessionStorage.getItem(PENDING_INVITE_KEY);
+    if (code) {
+      sessionStorage.removeItem(PENDING_INVITE_KEY);
+      navigate(`/join/${code}`);
+    }
+  }, [navigate]);
+
+  // Open a group just joined from an invite link
+  useEffect(() => {
+    const chatId = location.state?.openChatId;
+    if (!chatId) return;
+
+    const openChat = async () => {
+      try {
+        const response = await axios.get(`/chats/${chatId}`);
+        setSelectedChat(response.data.chat);
+        setActiveTab('groups');
+      } catch (error) {
+        console.error('Error opening chat:', error);
+      }
+    };
+
+    openChat();
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location, navigate]);
+
   useEffect(() => {
     const unsubscribe = on('new_friend_request', (data) => {
       setFriendRequestCount(prev => prev + 1);
@@ -52,6 +102,63 @@ const Dashboard = () => {
     return () => unsubscribe?.();
   }, [on, selectedChat]);
 
+  // Mentions notify even for muted chats
+  useEffect(() => {
+    const unsubscribe = on('mentioned', ({ chatId, message }) => {
+      if (!selectedChat || chatId !== selectedChat._id) {
+        toast(`${message.sender?.username || 'Someone'} mentioned you`, {
+          icon: '@',
+        });
+      }
+    });
+
+    return () => unsubscribe?.();
+  }, [on, selectedChat]);
+
+  // Someone is failing to sign in as this user elsewhere
+  useEffect(() => {
+    const unsubscribe = on('account_locked', ({ lockedUntil }) => {
+      toast.error(
+        `Too many failed sign-in attempts on your account. New sign-ins are paused until ${new Date(lockedUntil).toLocaleTimeString()}. If this wasn't you, consider changing your password.`,
+        { duration: 10000 }
+      );
+    });
+
+    return () => unsubscribe?.();
+  }, [on]);
+
+  // Someone asked to join a group this user administers
+  useEffect(() => {
+    const unsubscribe = on('group_join_request', ({ chatName, request }) => {
+      toast(`${request.user.username} asked to join ${chatName}`, { icon: '🙋' });
+    });
+
+    return () => unsubscribe?.();
+  }, [on]);
+
+  // An admin answered this user's request to join
+  useEffect(() => {
+    const unsubscribe = on('join_request_reviewed', ({ chatName, status }) => {
+      if (status === 'accepted') {
+        toast.success(`You've been let into ${chatName}`);
+      } else {
+        toast.error(`Your request to join ${chatName} was declined`);
+      }
+    });
+
+    return () => unsubscribe?.();
+  }, [on]);
+
+  // A moderator removed a group this user was in
+  useEffect(() => {
+    const unsubscribe = on('chat_removed', ({ chatId, message }) => {
+      toast.error(message || 'A chat you were in was removed by a moderator');
+      setSelectedChat(prev => (prev?._id === chatId ? null : prev));
+    });
+
+    return () => unsubscribe?.();
+  }, [on]);
+
   const fetchFriendRequestCount = async () => {
     try {
       const response = await axios.get('/friend-requests');
@@ -74,6 +181,7 @@ const Dashboard = () => {
 
   const handleSelectChat = (chat) => {
     setSelectedChat(chat);
+    setFocusMessageId(null);
     // Decrease unread count when opening chat
     if (chat.unreadCount > 0) {
       setTotalUnreadCount(prev => Math.max(0, prev - chat.unreadCount));
@@ -82,6 +190,22 @@ const Dashboard = () => {
 
   const handleBack = () => {
     setSelectedChat(null);
+    setFocusMessageId(null);
+  };
+
+  // Open a search hit in its chat, scrolled to the message
+  const handleOpenSearchResult = async (result) => {
+    try {
+      const response = await axios.get(`/chats/${result.chat._id}`);
+      setSelectedChat(response.data.chat);
+      // Thread replies live in the thread, so focus their root in the timeline
+      setFocusMessageId(result.threadRoot || result._id);
+      setActiveTab(TAB_FOR_CHAT_TYPE[response.data.chat.type]);
+      setShowSearch(false);
+    } catch (error) {
+      console.error('Error opening search result:', error);
+      toast.error('Failed to open message');
+    }
   };
 
   const handleGroupCreated = (newGroup) => {
@@ -89,13 +213,29 @@ const Dashboard = () => {
     setActiveTab('groups');
   };
 
+  const handleChannelOpened = (channel) => {
+    setSelectedChat(channel);
+    setActiveTab('channels');
+  };
+
   const handleFriendRequestsClose = () => {
     setShowFriendRequests(false);
     fetchFriendRequestCount();
   };
 
+  const handleViewProfile = (userId) => {
+    setProfileUserId(userId);
+    setShowProfile(true);
+  };
+
+  const closeProfile = () => {
+    setShowProfile(false);
+    setProfileUserId(null);
+  };
+
   const handleStartChat = (chat) => {
     setSelectedChat(chat);
+    setFocusMessageId(null);
     setActiveTab('chats');
   };
 
@@ -103,11 +243,22 @@ const Dashboard = () => {
     <div className="h-screen flex bg-gray-100">
       {/* Sidebar */}
       <div className={`${selectedChat ? 'hidden lg:flex' : 'flex'} lg:w-80 w-full flex-col bg-white border-r`}>
+        <VerifyEmailBanner />
+
         {/* Sidebar header */}
         <div className="p-4 border-b bg-primary-600 text-white">
           <div className="flex items-center justify-between mb-4">
             <h1 className="text-xl font-bold">ChatMaster</h1>
             <div className="flex items-center space-x-2">
+              {/* Search Button */}
+              <button
+                onClick={() => setShowSearch(true)}
+                className="p-2 hover:bg-primary-700 rounded-lg transition-colors"
+                title="Search Messages"
+              >
+                <Search className="w-5 h-5" />
+              </button>
+
               {/* Friend Requests Button */}
               <button
                 onClick={() => setShowFriendRequests(true)}
@@ -122,6 +273,17 @@ const Dashboard = () => {
                 )}
               </button>
 
+              {/* Admin Console, for moderators and admins */}
+              {(user?.role === 'moderator' || user?.role === 'admin') && (
+                <Link
+                  to="/admin"
+                  className="p-2 hover:bg-primary-700 rounded-lg transition-colors"
+                  title="Admin Console"
+                >
+                  <Shield className="w-5 h-5" />
+                </Link>
+              )}
+
               {/* Add Friend Button */}
               <button
                 onClick={() => setShowAddFriend(true)}
@@ -133,7 +295,7 @@ const Dashboard = () => {
 
               {/* Profile Button */}
               <button
-                onClick={() => setShowProfile(!showProfile)}
+                onClick={() => (showProfile && !profileUserId ? closeProfile() : handleViewProfile(null))}
                 className="p-2 hover:bg-primary-700 rounded-lg transition-colors"
                 title="Profile"
               >
@@ -187,6 +349,17 @@ const Dashboard = () => {
               <Users className="w-4 h-4" />
               <span>Groups</span>
             </button>
+            <button
+              onClick={() => setActiveTab('channels')}
+              className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm flex items-center justify-center space-x-1 transition-all ${
+                activeTab === 'channels'
+                  ? 'bg-white bg-opacity-20 shadow-sm'
+                  : 'hover:bg-white hover:bg-opacity-10'
+              }`}
+            >
+              <Megaphone className="w-4 h-4" />
+              <span>Channels</span>
+            </button>
           </div>
         </div>
 
@@ -200,6 +373,33 @@ const Dashboard = () => {
               <Plus className="w-5 h-5" />
               <span>Create New Group</span>
             </button>
+            <button
+              onClick={() => setShowDirectory(true)}
+              className="w-full btn-secondary py-2 mt-2 flex items-center justify-center space-x-2"
+            >
+              <Compass className="w-5 h-5" />
+              <span>Browse Groups</span>
+            </button>
+          </div>
+        )}
+
+        {/* New Channel Button */}
+        {activeTab === 'channels' && (
+          <div className="p-4 border-b bg-gray-50">
+            <button
+              onClick={() => setShowCreateChannel(true)}
+              className="w-full btn-primary py-2 flex items-center justify-center space-x-2"
+            >
+              <Plus className="w-5 h-5" />
+              <span>Create New Channel</span>
+            </button>
+            <button
+              onClick={() => setShowChannelDirectory(true)}
+              className="w-full btn-secondary py-2 mt-2 flex items-center justify-center space-x-2"
+            >
+              <Compass className="w-5 h-5" />
+              <span>Browse Channels</span>
+            </button>
           </div>
         )}
 
@@ -222,13 +422,26 @@ const Dashboard = () => {
               filterType="groups"
             />
           )}
+          {activeTab === 'channels' && (
+            <ChatList
+              onSelectChat={handleSelectChat}
+              selectedChatId={selectedChat?._id}
+              filterType="channels"
+            />
+          )}
         </div>
       </div>
 
       {/* Main content */}
       <div className={`${selectedChat ? 'flex' : 'hidden lg:flex'} flex-1 flex-col`}>
         {selectedChat ? (
-          <ChatWindow chat={selectedChat} onBack={handleBack} />
+          <ChatWindow
+            key={selectedChat._id}
+            chat={selectedChat}
+            onBack={handleBack}
+            focusMessageId={focusMessageId}
+            onViewProfile={handleViewProfile}
+          />
         ) : (
           <div className="h-full flex items-center justify-center bg-gradient-to-br from-gray-50 to-gray-100">
             <div className="text-center text-gray-500 max-w-md px-4">
@@ -268,7 +481,7 @@ const Dashboard = () => {
       {/* Profile sidebar */}
       {showProfile && (
         <div className="hidden lg:block w-80 border-l bg-white">
-          <UserProfile onClose={() => setShowProfile(false)} />
+          <UserProfile userId={profileUserId} onClose={closeProfile} />
         </div>
       )}
 
@@ -276,7 +489,7 @@ const Dashboard = () => {
       {showProfile && (
         <div className="lg:hidden fixed inset-0 bg-black bg-opacity-50 z-50">
           <div className="absolute right-0 top-0 bottom-0 w-80 bg-white shadow-2xl">
-            <UserProfile onClose={() => setShowProfile(false)} />
+            <UserProfile userId={profileUserId} onClose={closeProfile} />
           </div>
         </div>
       )}
@@ -290,12 +503,40 @@ const Dashboard = () => {
         <FriendRequests onClose={handleFriendRequestsClose} />
       )}
 
+      {showSearch && (
+        <MessageSearch
+          onClose={() => setShowSearch(false)}
+          onOpenResult={handleOpenSearchResult}
+        />
+      )}
+
+      {showDirectory && (
+        <GroupDirectory
+          onClose={() => setShowDirectory(false)}
+          onJoined={handleGroupCreated}
+        />
+      )}
+
       {showCreateGroup && (
         <CreateGroupModal
           onClose={() => setShowCreateGroup(false)}
           onGroupCreated={handleGroupCreated}
         />
       )}
+
+      {showChannelDirectory && (
+        <ChannelDirectory
+          onClose={() => setShowChannelDirectory(false)}
+          onSubscribed={handleChannelOpened}
+        />
+      )}
+
+      {showCreateChannel && (
+        <CreateChannelModal
+          onClose={() => setShowCreateChannel(false)}
+          onChannelCreated={handleChannelOpened}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link, Navigate } from 'react-router-dom';
+import { Users, XCircle, Clock } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+// Invite codes opened while signed out are picked up by the dashboard
+// once the user signs in
+export const PENDING_INVITE_KEY = 'pendingInviteCode';
+
+// Landing page for a group invite link: preview the group, then join
+const JoinGroup = () => {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState('');
+  const [joining, setJoining] = useState(false);
+  const [requested, setRequested] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+
+    const fetchPreview = async () => {
+      try {
+        const response = await axios.get(`/invites/${code}`);
+        setInvite(response.data.invite);
+        setRequested(response.data.invite.hasPendingRequest);
+      } catch (err) {
+        setError(err.response?.data?.error || 'This invite link is not valid');
+      }
+    };
+
+    fetchPreview();
+  }, [code, user]);
+
+  if (!user) {
+    sessionStorage.setItem(PENDING_INVITE_KEY, code);
+    return <Navigate to="/" replace />;
+  }
+
+  const openGroup = (chatId) => navigate('/dashboard', { state: { openChatId: chatId } });
+
+  const handleJoin = async () => {
+    try {
+      setJoining(true);
+      const response = await axios.post(`/invites/${code}/join`);
+
+      if (response.data.status === 'pending') {
+        setRequested(true);
+        toast.success(response.data.message);
+      } else {
+        toast.success(response.data.message);
+        openGroup(response.data.chat._id);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to join group');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-600 to-primary-800 flex items-center justify-center p-8">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md text-center">
+        {error ? (
+          <>
+            <XCircle className="w-16 h-16 mx-auto mb-4 text-red-500" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Can't join this group</h2>
+            <p className="text-gray-600 mb-6">{error}</p>
+            <Link to="/dashboard" className="block w-full btn-primary py-3 text-base font-semibold">
+              Go to ChatMaster
+            </Link>
+          </>
+        ) : !invite ? (
+          <>
+            <div className="w-10 h-10 mx-auto mb-4 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            <h2 className="text-2xl font-bold text-gray-900">Loading invite...</h2>
+          </>
+        ) : (
+          <>
+            <img
+              src={invite.group.avatar?.url || `https://ui-avatars.com/api/?name=${invite.group.name}&size=128&background=random`}
+              alt={invite.group.name}
+              className="w-24 h-24 mx-auto mb-4 rounded-full object-cover border-4 border-gray-100"
+            />
+            <p className="text-sm text-gray-500 mb-1">You've been invited to join</p>
+            <h2 className="text-2xl font-bold text-gray-900">{invite.group.name}</h2>
+            <p className="text-sm text-gray-500 mt-1 flex items-center justify-center space-x-1">
+              <Users className="w-4 h-4" />
+              <span>{invite.group.memberCount} {invite.group.memberCount === 1 ? 'member' : 'members'}</span>
+            </p>
+            {invite.group.description && (
+              <p className="text-gray-600 mt-4">{invite.group.description}</p>
+            )}
+
+            <div className="mt-6 space-y-3">
+              {invite.isMember ? (
+                <button onClick={() => openGroup(invite.group._id)} className="w-full btn-primary py-3 text-base font-semibold">
+                  You're a member. Open group
+                </button>
+              ) : requested ? (
+                <p className="flex items-center justify-center space-x-2 text-gray-600 py-3">
+                  <Clock className="w-5 h-5" />
+                  <span>Waiting for an admin to approve your request</span>
+                </p>
+              ) : (
+                <button
+                  onClick={handleJoin}
+                  disabled={joining}
+                  className="w-full btn-primary py-3 text-base font-semibold disabled:opacity-50"
+                >
+                  {joining ? 'Joining...' : invite.requiresApproval ? 'Ask to join' : 'Join group'}
+                </button>
+              )}
+              {!invite.isMember && invite.requiresApproval && !requested && (
+                <p className="text-xs text-gray-500">An admin will need to approve you before you can see the chat.</p>
+              )}
+              <Link to="/dashboard" className="block w-full btn-secondary py-3">
+                Not now
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JoinGroup;
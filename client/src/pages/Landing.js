@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { MessageCircle, Users, Lock, Zap } from 'lucide-react';
+import { MessageCircle, Users, Lock, Zap, Mail, ArrowLeft, ShieldCheck } from 'lucide-react';
 import toast from 'react-hot-toast';
+import axios from '../api/axios';
 
 const Landing = () => {
   const [isLogin, setIsLogin] = useState(true);
@@ -12,7 +13,14 @@ const Landing = () => {
     confirmPassword: ''
   });
   const [loading, setLoading] = useState(false);
-  const { login, register } = useAuth();
+  // 'auth' shows the sign in / sign up form, 'forgot' the reset request,
+  // 'checkEmail' a notice that a link was sent and 'twoFactor' the code prompt
+  const [view, setView] = useState('auth');
+  const [notice, setNotice] = useState('');
+  const [unverifiedEmail, setUnverifiedEmail] = useState(null);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const { login, verifyTwoFactor, register } = useAuth();
 
   const handleInputChange = (e) => {
     setFormData({
@@ -39,12 +47,76 @@ const Landing = () => {
     }
 
     if (!result.success) {
-      toast.error(result.error);
+      if (result.code === 'EMAIL_NOT_VERIFIED') {
+        setUnverifiedEmail(formData.email);
+      } else {
+        toast.error(result.error);
+      }
+    } else if (result.requiresVerification) {
+      setNotice(result.message);
+      setView('checkEmail');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setTwoFactorCode('');
+      setView('twoFactor');
     }
 
     setLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    const result = await verifyTwoFactor(challengeToken, twoFactorCode);
+
+    if (!result.success) {
+      toast.error(result.error);
+      setTwoFactorCode('');
+      setLoading(false);
+      return;
+    }
+
+    // On success the app switches to the dashboard, so only warn about codes running out
+    if (result.recoveryCodesLeft !== undefined) {
+      toast(`Recovery code used. ${result.recoveryCodesLeft} left.`, { icon: '🔑' });
+    }
+  };
+
+  const handleForgotPassword = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await axios.post('/auth/forgot-password', { email: formData.email });
+      setNotice(response.data.message);
+      setView('checkEmail');
+    } catch (error) {
+      toast.error(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post('/auth/resend-verification', { email: unverifiedEmail });
+      setUnverifiedEmail(null);
+      setNotice(response.data.message);
+      setView('checkEmail');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
+  const backToSignIn = () => {
+    setView('auth');
+    setIsLogin(true);
+    setNotice('');
+    setUnverifiedEmail(null);
+    setChallengeToken(null);
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-600 to-primary-800 flex">
       {/* Left side - Features */}
@@ -108,118 +180,240 @@ const Landing = () => {
       {/* Right side - Auth form */}
       <div className="w-full lg:w-1/2 flex items-center justify-center p-8">
         <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md">
-          <div className="text-center mb-8">
-            <h2 className="text-3xl font-bold text-gray-900 mb-2">
-              {isLogin ? 'Welcome Back' : 'Create Account'}
-            </h2>
-            <p className="text-gray-600">
-              {isLogin ? 'Sign in to continue' : 'Join ChatMaster today'}
-            </p>
-          </div>
+          {view === 'checkEmail' ? (
+            <div className="text-center">
+              <div className="w-16 h-16 mx-auto mb-4 bg-primary-100 rounded-full flex items-center justify-center">
+                <Mail className="w-8 h-8 text-primary-600" />
+              </div>
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">Check your email</h2>
+              <p className="text-gray-600 mb-6">{notice}</p>
+              <button onClick={backToSignIn} className="w-full btn-primary py-3 text-base font-semibold">
+                Back to Sign In
+              </button>
+            </div>
+          ) : view === 'twoFactor' ? (
+            <>
+              <div className="text-center mb-8">
+                <div className="w-16 h-16 mx-auto mb-4 bg-primary-100 rounded-full flex items-center justify-center">
+                  <ShieldCheck className="w-8 h-8 text-primary-600" />
+                </div>
+                <h2 className="text-3xl font-bold text-gray-900 mb-2">Two-Factor Authentication</h2>
+                <p className="text-gray-600">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes
+                </p>
+              </div>
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {!isLogin && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Username
-                </label>
+              <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
                 <input
                   type="text"
-                  name="username"
-                  value={formData.username}
-                  onChange={handleInputChange}
-                  required={!isLogin}
-                  className="input-primary"
-                  placeholder="johndoe"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  className="input-primary text-center tracking-widest text-lg"
+                  placeholder="123456"
                 />
+
+                <button
+                  type="submit"
+                  disabled={loading || !twoFactorCode.trim()}
+                  className="w-full btn-primary py-3 text-base font-semibold"
+                >
+                  {loading ? 'Verifying...' : 'Verify'}
+                </button>
+              </form>
+
+              <div className="mt-6 text-center">
+                <button
+                  onClick={backToSignIn}
+                  className="inline-flex items-center space-x-1 text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  <ArrowLeft className="w-4 h-4" />
+                  <span>Back to Sign In</span>
+                </button>
+              </div>
+            </>
+          ) : view === 'forgot' ? (
+            <>
+              <div className="text-center mb-8">
+                <h2 className="text-3xl font-bold text-gray-900 mb-2">Reset Password</h2>
+                <p className="text-gray-600">We'll email you a link to set a new password</p>
               </div>
-            )}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Email
-              </label>
-              <input
-                type="email"
-                name="email"
-                value={formData.email}
-                onChange={handleInputChange}
-                required
-                className="input-primary"
-                placeholder="john@example.com"
-              />
-            </div>
+              <form onSubmit={handleForgotPassword} className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Email
+                  </label>
+                  <input
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    required
+                    className="input-primary"
+                    placeholder="john@example.com"
+                  />
+                </div>
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Password
-              </label>
-              <input
-                type="password"
-                name="password"
-                value={formData.password}
-                onChange={handleInputChange}
-                required
-                className="input-primary"
-                placeholder="••••••••"
-                minLength={6}
-              />
-            </div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full btn-primary py-3 text-base font-semibold"
+                >
+                  {loading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </form>
 
-            {!isLogin && (
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Confirm Password
-                </label>
-                <input
-                  type="password"
-                  name="confirmPassword"
-                  value={formData.confirmPassword}
-                  onChange={handleInputChange}
-                  required={!isLogin}
-                  className="input-primary"
-                  placeholder="••••••••"
-                  minLength={6}
-                />
+              <div className="mt-6 text-center">
+                <button
+                  onClick={backToSignIn}
+                  className="inline-flex items-center space-x-1 text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  <ArrowLeft className="w-4 h-4" />
+                  <span>Back to Sign In</span>
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="text-center mb-8">
+                <h2 className="text-3xl font-bold text-gray-900 mb-2">
+                  {isLogin ? 'Welcome Back' : 'Create Account'}
+                </h2>
+                <p className="text-gray-600">
+                  {isLogin ? 'Sign in to continue' : 'Join ChatMaster today'}
+                </p>
               </div>
-            )}
-
-            <button
-              type="submit"
-              disabled={loading}
-              className="w-full btn-primary py-3 text-base font-semibold"
-            >
-              {loading ? (
-                <div className="flex items-center justify-center">
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
-                  Please wait...
+
+              {/* Sign-in blocked until the email is verified */}
+              {unverifiedEmail && (
+                <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                  <p>Please verify your email address before signing in.</p>
+                  <button onClick={resendVerification} className="mt-1 font-medium underline">
+                    Resend verification email
+                  </button>
                 </div>
-              ) : (
-                isLogin ? 'Sign In' : 'Sign Up'
               )}
-            </button>
-          </form>
-
-          <div className="mt-6 text-center">
-            <button
-              onClick={() => {
-                setIsLogin(!isLogin);
-                setFormData({
-                  username: '',
-                  email: '',
-                  password: '',
-                  confirmPassword: ''
-                });
-              }}
-              className="text-primary-600 hover:text-primary-700 font-medium"
-            >
-              {isLogin ? "Don't have an account? Sign Up" : "Already have an account? Sign In"}
-            </button>
-          </div>
 
-          <div className="mt-6 pt-6 border-t text-center text-sm text-gray-500">
-            <p>By signing up, you agree to our Terms of Service and Privacy Policy</p>
-          </div>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                {!isLogin && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Username
+                    </label>
+                    <input
+                      type="text"
+                      name="username"
+                      value={formData.username}
+                      onChange={handleInputChange}
+                      required={!isLogin}
+                      className="input-primary"
+                      placeholder="johndoe"
+                    />
+                  </div>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Email
+                  </label>
+                  <input
+                    type="email"
+                    name="email"
+                    value={formData.email}
+                    onChange={handleInputChange}
+                    required
+                    className="input-primary"
+                    placeholder="john@example.com"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    name="password"
+                    value={formData.password}
+                    onChange={handleInputChange}
+                    required
+                    className="input-primary"
+                    placeholder="••••••••"
+                    minLength={6}
+                  />
+                  {isLogin && (
+                    <div className="mt-1 text-right">
+                      <button
+                        type="button"
+                        onClick={() => setView('forgot')}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        Forgot password?
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {!isLogin && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Confirm Password
+                    </label>
+                    <input
+                      type="password"
+                      name="confirmPassword"
+                      value={formData.confirmPassword}
+                      onChange={handleInputChange}
+                      required={!isLogin}
+                      className="input-primary"
+                      placeholder="••••••••"
+                      minLength={6}
+                    />
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full btn-primary py-3 text-base font-semibold"
+                >
+                  {loading ? (
+                    <div className="flex items-center justify-center">
+                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2" />
+                      Please wait...
+                    </div>
+                  ) : (
+                    isLogin ? 'Sign In' : 'Sign Up'
+                  )}
+                </button>
+              </form>
+
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => {
+                    setIsLogin(!isLogin);
+                    setUnverifiedEmail(null);
+                    setFormData({
+                      username: '',
+                      email: '',
+                      password: '',
+                      confirmPassword: ''
+                    });
+                  }}
+                  className="text-primary-600 hover:text-primary-700 font-medium"
+                >
+                  {isLogin ? "Don't have an account? Sign Up" : "Already have an account? Sign In"}
+                </button>
+              </div>
+
+              <div className="mt-6 pt-6 border-t text-center text-sm text-gray-500">
+                <p>By signing up, you agree to our Terms of Service and Privacy Policy</p>
+              </div>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { CheckCircle, Key } from 'lucide-react';
+import axios from '../api/axios';
+import toast from 'react-hot-toast';
+
+// Landing page for the link in the password reset email
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await axios.post('/auth/reset-password', {
+        token: searchParams.get('token') || '',
+        password
+      });
+      setDone(true);
+    } catch (error) {
+      toast.error(error.response?.data?.details?.[0] || error.response?.data?.error || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-600 to-primary-800 flex items-center justify-center p-8">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md">
+        {done ? (
+          <div className="text-center">
+            <CheckCircle className="w-16 h-16 mx-auto mb-4 text-green-500" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Password reset</h2>
+            <p className="text-gray-600 mb-6">
+              You've been signed out everywhere. Sign in with your new password.
+            </p>
+            <Link to="/" className="block w-full btn-primary py-3 text-base font-semibold">
+              Sign In
+            </Link>
+          </div>
+        ) : (
+          <>
+            <div className="text-center mb-8">
+              <Key className="w-12 h-12 mx-auto mb-3 text-primary-600" />
+              <h2 className="text-3xl font-bold text-gray-900 mb-2">Choose a new password</h2>
+              <p className="text-gray-600">This will sign you out on all devices</p>
+            </div>
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="input-primary"
+                  placeholder="••••••••"
+                  minLength={6}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Confirm Password
+                </label>
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  required
+                  className="input-primary"
+                  placeholder="••••••••"
+                  minLength={6}
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn-primary py-3 text-base font-semibold"
+              >
+                {loading ? 'Please wait...' : 'Reset Password'}
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { CheckCircle, XCircle } from 'lucide-react';
+import axios from '../api/axios';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page for the link in the verification email
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const { user, updateUser } = useAuth();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so make sure StrictMode's double effect only sends one request
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        await axios.post('/auth/verify-email', { token: searchParams.get('token') || '' });
+        setStatus('verified');
+        updateUser({ isEmailVerified: true });
+      } catch (err) {
+        setError(err.response?.data?.error || 'Verification failed');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [searchParams, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-600 to-primary-800 flex items-center justify-center p-8">
+      <div className="bg-white rounded-2xl shadow-2xl p-8 w-full max-w-md text-center">
+        {status === 'verifying' && (
+          <>
+            <div className="w-10 h-10 mx-auto mb-4 border-4 border-primary-600 border-t-transparent rounded-full animate-spin" />
+            <h2 className="text-2xl font-bold text-gray-900">Verifying your email...</h2>
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <CheckCircle className="w-16 h-16 mx-auto mb-4 text-green-500" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Email verified</h2>
+            <p className="text-gray-600 mb-6">Thanks! Your account is all set.</p>
+          </>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <XCircle className="w-16 h-16 mx-auto mb-4 text-red-500" />
+            <h2 className="text-2xl font-bold text-gray-900 mb-2">Couldn't verify your email</h2>
+            <p className="text-gray-600 mb-6">{error}</p>
+          </>
+        )}
+
+        {status !== 'verifying' && (
+          <Link to={user ? '/dashboard' : '/'} className="block w-full btn-primary py-3 text-base font-semibold">
+            {user ? 'Go to ChatMaster' : 'Sign In'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
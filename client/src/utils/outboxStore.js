@@ -0,0 +1,53 @@
+// Persistence for the outbox: things done while offline that still have to
+// reach the server. Entries live in IndexedDB, so they survive a reload,
+// and keep any picked file as a Blob until it's uploaded.
+const DB_NAME = 'chatmaster-outbox';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('userId', 'userId');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again, e.g. after the user allows storage
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction, resolving once it's committed
+const run = async (mode, makeRequest) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = makeRequest(transaction.objectStore(STORE));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// A user's entries, in the order they were queued
+export const loadEntries = async (userId) => {
+  const entries = await run('readonly', store => store.index('userId').getAll(userId));
+  return entries.sort((a, b) => a.seq - b.seq);
+};
+
+export const saveEntry = (entry) => run('readwrite', store => store.put(entry));
+
+export const removeEntry = (id) => run('readwrite', store => store.delete(id));
@@ -0,0 +1,208 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import { Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import axios from 'axios';
+
+const API_URL = 'http://localhost:5000/api';
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// A 401 from these means bad credentials, not an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/change-password', '/auth/2fa/verify'];
+
+// Separate client for auth calls so they never pass through the refresh interceptor
+const authClient = axios.create({ baseURL: API_URL });
+
+const AuthContext = createContext();
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [token, setToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const tokenRef = useRef(null);
+  const refreshPromiseRef = useRef(null);
+
+  const storeTokens = useCallback(async (accessToken, refreshToken) => {
+    tokenRef.current = accessToken;
+    setToken(accessToken);
+    await AsyncStorage.multiSet([
+      [TOKEN_KEY, accessToken],
+      [REFRESH_TOKEN_KEY, refreshToken]
+    ]);
+  }, []);
+
+  // Drop the local session without calling the server, e.g. after this
+  // device was signed out from another one
+  const endSession = useCallback(async () => {
+    tokenRef.current = null;
+    setToken(null);
+    setUser(null);
+    await AsyncStorage.multiRemove([TOKEN_KEY, REFRESH_TOKEN_KEY]);
+  }, []);
+
+  // Exchange the stored refresh token for a new pair. Concurrent callers
+  // share one request. Resolves to the new access token.
+  const refreshAccessToken = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      refreshPromiseRef.current = (async () => {
+        const refreshToken = await AsyncStorage.getItem(REFRESH_TOKEN_KEY);
+        if (!refreshToken) {
+          throw new Error('No refresh token');
+        }
+
+        const response = await authClient.post('/auth/refresh', { refreshToken });
+        await storeTokens(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      })().finally(() => {
+        refreshPromiseRef.current = null;
+      });
+    }
+
+    return refreshPromiseRef.current;
+  }, [storeTokens]);
+
+  // Refresh and retry once when an API call is rejected with a 401. Screens
+  // use axios directly, so the interceptor goes on the shared instance.
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const original = error.config;
+        const path = original?.url?.replace(API_URL, '') || '';
+
+        if (
+          error.response?.status === 401 &&
+          original &&
+          !original._retried &&
+          original.url?.startsWith(API_URL) &&
+          !NO_REFRESH_PATHS.some(p => path.startsWith(p))
+        ) {
+          original._retried = true;
+
+          try {
+            const accessToken = await refreshAccessToken();
+            original.headers.Authorization = `Bearer ${accessToken}`;
+            return axios(original);
+          } catch (refreshError) {
+            // Only a refresh the server rejects signs the user out
+            const rejected = refreshError.response?.status === 401;
+            if (rejected || refreshError.message === 'No refresh token') {
+              await endSession();
+            }
+          }
+        }
+
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [refreshAccessToken, endSession]);
+
+  // Restore a saved session on launch
+  useEffect(() => {
+    const initAuth = async () => {
+      try {
+        const storedToken = await AsyncStorage.getItem(TOKEN_KEY);
+        if (!storedToken) return;
+
+        tokenRef.current = storedToken;
+        const response = await axios.get(`${API_URL}/auth/me`, {
+          headers: { Authorization: `Bearer ${storedToken}` }
+        });
+
+        // The request may have refreshed the token on the way
+        setToken(tokenRef.current);
+        setUser(response.data.user);
+      } catch (error) {
+        console.error('Auth initialization error:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    initAuth();
+  }, []);
+
+  const startSession = async (path, body) => {
+    try {
+      const response = await authClient.post(path, {
+        ...body,
+        deviceName: `ChatMaster for ${Platform.OS === 'ios' ? 'iOS' : 'Android'}`
+      });
+
+      // Accounts that must verify their email before signing in get no tokens
+      if (response.data.requiresVerification) {
+        return { success: true, requiresVerification: true, message: response.data.message };
+      }
+
+      // Accounts with 2FA get a challenge to answer with verifyTwoFactor
+      if (response.data.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
+      await storeTokens(response.data.token, response.data.refreshToken);
+      setUser(response.data.user);
+
+      return { success: true, recoveryCodesLeft: response.data.recoveryCodesLeft };
+    } catch (error) {
+      const details = error.response?.data?.details;
+      return {
+        success: false,
+        error: details?.[0] || error.response?.data?.error || 'Something went wrong',
+        code: error.response?.data?.code
+      };
+    }
+  };
+
+  const login = (email, password) => startSession('/auth/login', { email, password });
+
+  // Second login step, with a code from the authenticator app or a recovery code
+  const verifyTwoFactor = (challengeToken, code) =>
+    startSession('/auth/2fa/verify', { challengeToken, code });
+
+  const register = (username, email, password) =>
+    startSession('/auth/register', { username, email, password });
+
+  const logout = async () => {
+    try {
+      await axios.post(`${API_URL}/auth/logout`, null, {
+        headers: { Authorization: `Bearer ${tokenRef.current}` }
+      });
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      await endSession();
+    }
+  };
+
+  const getToken = useCallback(() => tokenRef.current, []);
+
+  const value = {
+    user,
+    token,
+    loading,
+    login,
+    verifyTwoFactor,
+    register,
+    logout,
+    endSession,
+    refreshAccessToken,
+    getToken
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
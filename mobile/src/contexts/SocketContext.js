@@ -1,21 +1,105 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
 import { io } from 'socket.io-client';
+import { Alert, Platform } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useAuth } from './AuthContext';
 
 const SocketContext = createContext();
 
 const SOCKET_URL = 'http://localhost:5000'; // Change for production
+const DEVICE_ID_KEY = 'deviceId';
+
+// How long to wait for the server to acknowledge an event, and how many
+// times to resend a message before giving up on it
+const ACK_TIMEOUT_MS = 10000;
+const SEND_RETRIES = 2;
+
+// How many times to resend a sync the server didn't acknowledge
+const SYNC_RETRIES = 2;
+
+// The server syncs at most this many chats per request
+const SYNC_BATCH_SIZE = 50;
+
+// A random id, unique enough for devices and message client IDs
+const makeId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+// This install's id, kept across sign-ins so the server sees one device
+export const getDeviceId = async () => {
+  let deviceId = await AsyncStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = makeId();
+    await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
 
 export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
   const [onlineUsers, setOnlineUsers] = useState([]);
-  const { user, token } = useAuth();
+  const { user, token, getToken, refreshAccessToken, endSession } = useAuth();
+  const signedIn = !!(user && token);
+  const syncCursorsRef = useRef({}); // chatId -> cursor of the last change seen
+  const syncListenersRef = useRef(new Set());
 
   useEffect(() => {
-    if (user && token) {
+    if (signedIn) {
+      let hasConnected = false;
+
+      // Catch up on what changed in the tracked chats while disconnected,
+      // and hand each chat's changes to the sync listeners
+      const replaySync = async () => {
+        let pending = Object.entries(syncCursorsRef.current).map(([chatId, cursor]) => ({ chatId, cursor }));
+
+        while (pending.length > 0) {
+          const batch = pending.slice(0, SYNC_BATCH_SIZE);
+          pending = pending.slice(SYNC_BATCH_SIZE);
+
+          let response;
+          for (let attempt = 0; !response; attempt++) {
+            try {
+              response = await newSocket.timeout(ACK_TIMEOUT_MS).emitWithAck('sync', { chats: batch });
+            } catch (error) {
+              // Once disconnected, the next connect replays the sync itself
+              if (attempt >= SYNC_RETRIES || !newSocket.connected) {
+                console.error('Sync timed out');
+                return;
+              }
+              console.warn('Sync not acknowledged, retrying');
+            }
+          }
+
+          if (!response.success) {
+            console.error('Sync failed:', response.error);
+            return;
+          }
+
+          for (const result of response.chats) {
+            // Chats closed while the sync was in flight aren't tracked any more
+            if (!(result.chatId in syncCursorsRef.current)) continue;
+
+            if (!result.success) {
+              delete syncCursorsRef.current[result.chatId];
+              continue;
+            }
+
+            syncCursorsRef.current[result.chatId] = result.cursor;
+            syncListenersRef.current.forEach(listener => listener(result));
+
+            if (result.hasMore) {
+              pending.push({ chatId: result.chatId, cursor: result.cursor });
+            }
+          }
+        }
+      };
+
       const newSocket = io(SOCKET_URL, {
-        auth: { token },
+        // Read the token on every (re)connect, since it's refreshed in the background
+        auth: (cb) => {
+          getDeviceId()
+            .catch(() => undefined)
+            .then(deviceId => cb({ token: getToken(), deviceId, platform: Platform.OS }));
+        },
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionAttempts: 5
@@ -24,6 +108,12 @@ export const SocketProvider = ({ children }) => {
       newSocket.on('connect', () => {
         console.log('Socket connected');
         setConnected(true);
+
+        // Anything could have changed while the connection was down
+        if (hasConnected) {
+          replaySync();
+        }
+        hasConnected = true;
       });
 
       newSocket.on('disconnect', () => {
@@ -31,6 +121,29 @@ export const SocketProvider = ({ children }) => {
         setConnected(false);
       });
 
+      // The access token ran out while disconnected: refresh it and retry
+      newSocket.on('connect_error', (error) => {
+        if (error.message.includes('Token expired')) {
+          refreshAccessToken()
+            .then(() => newSocket.connect())
+            .catch((refreshError) => {
+              if (refreshError.response?.status === 401) {
+                endSession();
+              }
+            });
+        }
+      });
+
+      // The account was suspended by a moderator; the sign-out follows
+      newSocket.on('account_suspended', ({ message }) => {
+        Alert.alert('Account suspended', message);
+      });
+
+      // This device was signed out from another one
+      newSocket.on('session_revoked', () => {
+        endSession();
+      });
+
       newSocket.on('online_users', (users) => {
         setOnlineUsers(users);
       });
@@ -51,7 +164,7 @@ export const SocketProvider = ({ children }) => {
         newSocket.close();
       };
     }
-  }, [user, token]);
+  }, [signedIn, getToken, refreshAccessToken, endSession]);
 
   const emit = (event, data) => {
     if (socket && connected) {
@@ -66,12 +179,69 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
+  // Emit an event and wait for the server to acknowledge it. Resolves to the
+  // server's response; rejects if it doesn't come after the retries.
+  const emitWithAck = async (event, data, { retries = 0 } = {}) => {
+    if (!socket) {
+      throw new Error('Not connected to server');
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(event, data);
+      } catch (error) {
+        if (attempt >= retries) throw error;
+      }
+    }
+  };
+
+  // Send a message. Resends reuse the clientId, so the server stores it
+  // once however many attempts reach it. Resolves to the sent message, or
+  // null if it couldn't be sent.
+  const sendMessage = async (messageData) => {
+    try {
+      const response = await emitWithAck('send_message', {
+        clientId: makeId(),
+        ...messageData
+      }, { retries: SEND_RETRIES });
+
+      if (!response.success) {
+        Alert.alert('Message not sent', response.error || 'Failed to send message');
+        return null;
+      }
+      return response.message;
+    } catch (error) {
+      Alert.alert('Message not sent', 'Could not reach the server');
+      return null;
+    }
+  };
+
+  // Track a chat's changes from a sync cursor, to catch up from on reconnect
+  const trackChatSync = (chatId, cursor) => {
+    syncCursorsRef.current[chatId] = cursor;
+  };
+
+  const untrackChatSync = (chatId) => {
+    delete syncCursorsRef.current[chatId];
+  };
+
+  // Listen for each chat's changes caught up on after a reconnect
+  const onSync = (callback) => {
+    syncListenersRef.current.add(callback);
+    return () => syncListenersRef.current.delete(callback);
+  };
+
   const value = {
     socket,
     connected,
     onlineUsers,
     emit,
-    on
+    emitWithAck,
+    on,
+    sendMessage,
+    trackChatSync,
+    untrackChatSync,
+    onSync
   };
 
   return (
@@ -11,28 +11,71 @@ import {
   ScrollView,
   ActivityIndicator
 } from 'react-native';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 
-const AuthScreen = ({ navigation }) => {
-  const [isLogin, setIsLogin] = useState(true);
+const API_URL = 'http://localhost:5000/api';
+
+const SUBTITLES = {
+  login: 'Welcome Back',
+  register: 'Create Account',
+  forgot: 'Reset Password',
+  reset: 'Choose a New Password',
+  verify: 'Verify Your Email',
+  twoFactor: 'Two-Factor Authentication'
+};
+
+const BUTTON_LABELS = {
+  login: 'Sign In',
+  register: 'Sign Up',
+  forgot: 'Send Reset Code',
+  reset: 'Reset Password',
+  verify: 'Verify Email',
+  twoFactor: 'Verify'
+};
+
+const AuthScreen = () => {
+  // login, register, forgot, reset, verify or twoFactor. Reset and verify
+  // take the code from the email, since links in it open the web app.
+  const [mode, setMode] = useState('login');
+  const [challengeToken, setChallengeToken] = useState(null);
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    code: ''
   });
   const [loading, setLoading] = useState(false);
-  const { login, register } = useAuth();
+  const { login, verifyTwoFactor, register } = useAuth();
 
-  const handleSubmit = async () => {
-    if (loading) return;
+  const isLogin = mode === 'login';
+  const isRegister = mode === 'register';
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setFormData(prev => ({ ...prev, password: '', confirmPassword: '', code: '' }));
+  };
 
+  const resendVerification = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/auth/resend-verification`, {
+        email: formData.email
+      });
+      Alert.alert('Check your email', response.data.message);
+      switchMode('verify');
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to resend verification email');
+    }
+  };
+
+  const submitSession = async () => {
     if (!formData.email || !formData.password) {
       Alert.alert('Error', 'Please fill in all fields');
       return;
     }
 
-    if (!isLogin) {
+    if (isRegister) {
       if (!formData.username) {
         Alert.alert('Error', 'Please enter a username');
         return;
@@ -43,23 +86,107 @@ const AuthScreen = ({ navigation }) => {
       }
     }
 
+    const result = isLogin
+      ? await login(formData.email, formData.password)
+      : await register(formData.username, formData.email, formData.password);
+
+    // On success the navigator switches to the chat screens by itself
+    if (result.requiresVerification) {
+      Alert.alert('Check your email', result.message);
+      switchMode('verify');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      switchMode('twoFactor');
+    } else if (result.code === 'EMAIL_NOT_VERIFIED') {
+      Alert.alert('Email not verified', result.error, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Enter code', onPress: () => switchMode('verify') },
+        { text: 'Resend email', onPress: resendVerification }
+      ]);
+    } else if (!result.success) {
+      Alert.alert('Error', result.error);
+    }
+  };
+
+  const submitForgot = async () => {
+    if (!formData.email) {
+      Alert.alert('Error', 'Please enter your email');
+      return;
+    }
+
+    const response = await axios.post(`${API_URL}/auth/forgot-password`, {
+      email: formData.email
+    });
+    Alert.alert('Check your email', response.data.message);
+    switchMode('reset');
+  };
+
+  const submitReset = async () => {
+    if (!formData.code || !formData.password) {
+      Alert.alert('Error', 'Please fill in all fields');
+      return;
+    }
+    if (formData.password !== formData.confirmPassword) {
+      Alert.alert('Error', 'Passwords do not match');
+      return;
+    }
+
+    const response = await axios.post(`${API_URL}/auth/reset-password`, {
+      token: formData.code.trim(),
+      password: formData.password
+    });
+    Alert.alert('Success', response.data.message);
+    switchMode('login');
+  };
+
+  const submitVerify = async () => {
+    if (!formData.code) {
+      Alert.alert('Error', 'Please paste the code from the email');
+      return;
+    }
+
+    const response = await axios.post(`${API_URL}/auth/verify-email`, {
+      token: formData.code.trim()
+    });
+    Alert.alert('Success', `${response.data.message}. You can sign in now.`);
+    switchMode('login');
+  };
+
+  const submitTwoFactor = async () => {
+    if (!formData.code) {
+      Alert.alert('Error', 'Please enter your authentication code');
+      return;
+    }
+
+    const result = await verifyTwoFactor(challengeToken, formData.code.trim());
+
+    if (!result.success) {
+      setFormData(prev => ({ ...prev, code: '' }));
+      Alert.alert('Error', result.error);
+    } else if (result.recoveryCodesLeft !== undefined) {
+      Alert.alert('Recovery code used', `You have ${result.recoveryCodesLeft} recovery codes left.`);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (loading) return;
+
+    const submit = {
+      login: submitSession,
+      register: submitSession,
+      forgot: submitForgot,
+      reset: submitReset,
+      verify: submitVerify,
+      twoFactor: submitTwoFactor
+    }[mode];
+
     setLoading(true);
 
     try {
-      let result;
-      if (isLogin) {
-        result = await login(formData.email, formData.password);
-      } else {
-        result = await register(formData.username, formData.email, formData.password);
-      }
-
-      if (result.success) {
-        navigation.replace('ChatList');
-      } else {
-        Alert.alert('Error', result.error);
-      }
+      await submit();
     } catch (error) {
-      Alert.alert('Error', 'Something went wrong');
+      const details = error.response?.data?.details;
+      Alert.alert('Error', details?.[0] || error.response?.data?.error || 'Something went wrong');
     } finally {
       setLoading(false);
     }
@@ -73,13 +200,44 @@ const AuthScreen = ({ navigation }) => {
       <ScrollView contentContainerStyle={styles.scrollContainer}>
         <View style={styles.header}>
           <Text style={styles.title}>ChatMaster</Text>
-          <Text style={styles.subtitle}>
-            {isLogin ? 'Welcome Back' : 'Create Account'}
-          </Text>
+          <Text style={styles.subtitle}>{SUBTITLES[mode]}</Text>
         </View>
 
         <View style={styles.formContainer}>
-          {!isLogin && (
+          {mode === 'twoFactor' && (
+            <>
+              <Text style={styles.hint}>
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Code"
+                value={formData.code}
+                onChangeText={(value) => setFormData({ ...formData, code: value })}
+                autoCapitalize="characters"
+                autoCorrect={false}
+                textContentType="oneTimeCode"
+              />
+            </>
+          )}
+
+          {(mode === 'reset' || mode === 'verify') && (
+            <>
+              <Text style={styles.hint}>
+                Paste the code from the email we sent you.
+              </Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Code"
+                value={formData.code}
+                onChangeText={(value) => setFormData({ ...formData, code: value })}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </>
+          )}
+
+          {isRegister && (
             <TextInput
               style={styles.input}
               placeholder="Username"
@@ -90,25 +248,29 @@ const AuthScreen = ({ navigation }) => {
             />
           )}
 
-          <TextInput
-            style={styles.input}
-            placeholder="Email"
-            value={formData.email}
-            onChangeText={(value) => setFormData({ ...formData, email: value })}
-            keyboardType="email-address"
-            autoCapitalize="none"
-            autoCorrect={false}
-          />
-
-          <TextInput
-            style={styles.input}
-            placeholder="Password"
-            value={formData.password}
-            onChangeText={(value) => setFormData({ ...formData, password: value })}
-            secureTextEntry
-          />
-
-          {!isLogin && (
+          {(isLogin || isRegister || mode === 'forgot') && (
+            <TextInput
+              style={styles.input}
+              placeholder="Email"
+              value={formData.email}
+              onChangeText={(value) => setFormData({ ...formData, email: value })}
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+          )}
+
+          {(isLogin || isRegister || mode === 'reset') && (
+            <TextInput
+              style={styles.input}
+              placeholder={mode === 'reset' ? 'New Password' : 'Password'}
+              value={formData.password}
+              onChangeText={(value) => setFormData({ ...formData, password: value })}
+              secureTextEntry
+            />
+          )}
+
+          {(isRegister || mode === 'reset') && (
             <TextInput
               style={styles.input}
               placeholder="Confirm Password"
@@ -118,6 +280,15 @@ const AuthScreen = ({ navigation }) => {
             />
           )}
 
+          {isLogin && (
+            <TouchableOpacity
+              style={styles.forgotButton}
+              onPress={() => switchMode('forgot')}
+            >
+              <Text style={styles.switchTextBold}>Forgot password?</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity
             style={[styles.button, loading && styles.buttonDisabled]}
             onPress={handleSubmit}
@@ -126,23 +297,39 @@ const AuthScreen = ({ navigation }) => {
             {loading ? (
               <ActivityIndicator color="#fff" />
             ) : (
-              <Text style={styles.buttonText}>
-                {isLogin ? 'Sign In' : 'Sign Up'}
-              </Text>
+              <Text style={styles.buttonText}>{BUTTON_LABELS[mode]}</Text>
             )}
           </TouchableOpacity>
 
-          <TouchableOpacity
-            style={styles.switchButton}
-            onPress={() => setIsLogin(!isLogin)}
-          >
-            <Text style={styles.switchText}>
-              {isLogin ? "Don't have an account? " : "Already have an account? "}
-              <Text style={styles.switchTextBold}>
-                {isLogin ? 'Sign Up' : 'Sign In'}
+          {mode === 'forgot' && (
+            <TouchableOpacity
+              style={styles.switchButton}
+              onPress={() => switchMode('reset')}
+            >
+              <Text style={styles.switchTextBold}>I already have a code</Text>
+            </TouchableOpacity>
+          )}
+
+          {isLogin || isRegister ? (
+            <TouchableOpacity
+              style={styles.switchButton}
+              onPress={() => switchMode(isLogin ? 'register' : 'login')}
+            >
+              <Text style={styles.switchText}>
+                {isLogin ? "Don't have an account? " : "Already have an account? "}
+                <Text style={styles.switchTextBold}>
+                  {isLogin ? 'Sign Up' : 'Sign In'}
+                </Text>
               </Text>
-            </Text>
-          </TouchableOpacity>
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={styles.switchButton}
+              onPress={() => switchMode('login')}
+            >
+              <Text style={styles.switchTextBold}>Back to Sign In</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </ScrollView>
     </KeyboardAvoidingView>
@@ -218,6 +405,15 @@ const styles = StyleSheet.create({
   switchTextBold: {
     fontWeight: 'bold',
     color: '#3b82f6'
+  },
+  forgotButton: {
+    alignSelf: 'flex-end',
+    marginBottom: 15
+  },
+  hint: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 15
   }
 });
 
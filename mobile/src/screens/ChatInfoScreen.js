@@ -0,0 +1,314 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import axios from 'axios';
+import { useAuth } from '../contexts/AuthContext';
+import { Ionicons } from '@expo/vector-icons';
+
+const API_URL = 'http://localhost:5000/api';
+
+const DISAPPEARING_TIMERS = [
+  { value: 0, label: 'Off' },
+  { value: 3600, label: '1 hour' },
+  { value: 86400, label: '24 hours' },
+  { value: 604800, label: '7 days' }
+];
+
+// Group roles, least to most powerful, as on the server
+const ROLE_RANK = { readonly: 0, member: 1, moderator: 2, admin: 3, owner: 4 };
+const ROLE_LABELS = { owner: 'Owner', admin: 'Admin', moderator: 'Moderator', readonly: 'Read-only' };
+
+const includesUser = (list, userId) => list?.some(item => (item._id || item) === userId);
+
+const getRole = (chat, userId) => {
+  if (chat.type !== 'group') return 'member';
+  if ((chat.creator?._id || chat.creator) === userId) return 'owner';
+  if (includesUser(chat.admins, userId)) return 'admin';
+  if (includesUser(chat.moderators, userId)) return 'moderator';
+  if (includesUser(chat.readOnlyMembers, userId)) return 'readonly';
+  return 'member';
+};
+
+const ChatInfoScreen = ({ route, navigation }) => {
+  const { chat } = route.params;
+  const [settings, setSettings] = useState(chat.settings);
+  const [saving, setSaving] = useState(false);
+  const { token, user } = useAuth();
+
+  useEffect(() => {
+    fetchChat();
+  }, []);
+
+  const fetchChat = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/chats/${chat._id}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setSettings(response.data.chat.settings);
+    } catch (error) {
+      console.error('Error fetching chat:', error);
+    }
+  };
+
+  const disappearing = settings?.disappearingMessages || { timer: 0, startOn: 'sent' };
+  const myRole = getRole(chat, user._id);
+  const canEdit = chat.type === 'private' || (myRole !== 'readonly' &&
+    ROLE_RANK[myRole] >= ROLE_RANK[settings?.permissions?.changeSettings || 'admin']);
+
+  const updateDisappearing = async (changes) => {
+    if (!canEdit || saving) return;
+
+    setSaving(true);
+    try {
+      const response = await axios.put(
+        `${API_URL}/chats/${chat._id}/disappearing`,
+        { timer: disappearing.timer, startOn: disappearing.startOn, ...changes },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setSettings(response.data.settings);
+    } catch (error) {
+      Alert.alert('Error', error.response?.data?.error || 'Failed to update setting');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#fff" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>
+          {chat.type === 'group' ? 'Group Info' : 'Chat Info'}
+        </Text>
+      </View>
+
+      <View style={styles.profileSection}>
+        <Image
+          source={{
+            uri: chat.avatar?.url || `https://ui-avatars.com/api/?name=${chat.name}&background=random&size=128`
+          }}
+          style={styles.avatar}
+        />
+        <Text style={styles.name}>{chat.name}</Text>
+        {chat.description ? (
+          <Text style={styles.description}>{chat.description}</Text>
+        ) : null}
+      </View>
+
+      {/* Disappearing messages */}
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <Ionicons name="timer-outline" size={22} color="#666" />
+          <Text style={styles.sectionTitle}>Disappearing messages</Text>
+          {saving && <ActivityIndicator size="small" color="#3b82f6" />}
+        </View>
+        <Text style={styles.hint}>
+          {canEdit
+            ? 'New messages in this chat are deleted for everyone once the timer runs out.'
+            : "You can't change this setting in this group."}
+        </Text>
+
+        {DISAPPEARING_TIMERS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={styles.optionItem}
+            onPress={() => updateDisappearing({ timer: option.value })}
+            disabled={!canEdit || saving}
+          >
+            <Text style={styles.optionText}>{option.label}</Text>
+            {disappearing.timer === option.value && (
+              <Ionicons name="checkmark" size={22} color="#3b82f6" />
+            )}
+          </TouchableOpacity>
+        ))}
+
+        {disappearing.timer > 0 && (
+          <View style={styles.startOnRow}>
+            {[
+              { value: 'sent', label: 'After sending' },
+              { value: 'read', label: 'After reading' }
+            ].map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.startOnButton,
+                  disappearing.startOn === option.value && styles.startOnButtonActive
+                ]}
+                onPress={() => updateDisappearing({ startOn: option.value })}
+                disabled={!canEdit || saving}
+              >
+                <Text
+                  style={[
+                    styles.startOnText,
+                    disappearing.startOn === option.value && styles.startOnTextActive
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* Members */}
+      {chat.type === 'group' && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{chat.participants?.length} members</Text>
+          {chat.participants?.map(participant => (
+            <View key={participant._id} style={styles.memberItem}>
+              <Image
+                source={{
+                  uri: participant.avatar?.url || `https://ui-avatars.com/api/?name=${participant.username}`
+                }}
+                style={styles.memberAvatar}
+              />
+              <Text style={styles.memberName}>{participant.username}</Text>
+              {ROLE_LABELS[getRole(chat, participant._id)] && (
+                <Text style={styles.adminBadge}>{ROLE_LABELS[getRole(chat, participant._id)]}</Text>
+              )}
+            </View>
+          ))}
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8f9fa'
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#3b82f6'
+  },
+  backButton: {
+    marginRight: 16
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff'
+  },
+  profileSection: {
+    alignItems: 'center',
+    paddingVertical: 32,
+    backgroundColor: '#fff',
+    marginBottom: 16
+  },
+  avatar: {
+    width: 100,
+    height: 100,
+    borderRadius: 50,
+    marginBottom: 16
+  },
+  name: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1f2937',
+    marginBottom: 4
+  },
+  description: {
+    fontSize: 14,
+    color: '#6b7280',
+    textAlign: 'center',
+    paddingHorizontal: 24
+  },
+  section: {
+    backgroundColor: '#fff',
+    paddingVertical: 12,
+    paddingHorizontal: 20,
+    marginBottom: 16
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center'
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginLeft: 8
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginVertical: 8
+  },
+  optionItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6'
+  },
+  optionText: {
+    fontSize: 16,
+    color: '#1f2937'
+  },
+  startOnRow: {
+    flexDirection: 'row',
+    marginTop: 12
+  },
+  startOnButton: {
+    flex: 1,
+    paddingVertical: 8,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    alignItems: 'center'
+  },
+  startOnButtonActive: {
+    borderColor: '#3b82f6',
+    backgroundColor: '#eff6ff'
+  },
+  startOnText: {
+    fontSize: 14,
+    color: '#6b7280'
+  },
+  startOnTextActive: {
+    color: '#3b82f6',
+    fontWeight: '600'
+  },
+  memberItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10
+  },
+  memberAvatar: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    marginRight: 12
+  },
+  memberName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937'
+  },
+  adminBadge: {
+    fontSize: 12,
+    color: '#3b82f6'
+  }
+});
+
+export default ChatInfoScreen;
@@ -13,7 +13,7 @@ import {
 } from 'react-native';
 import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { useSocket } from '../contexts/SocketContext';
+import { useSocket, getDeviceId } from '../contexts/SocketContext';
 import { Ionicons } from '@expo/vector-icons';
 import { formatDistanceToNow } from 'date-fns';
 
@@ -24,10 +24,13 @@ const ChatScreen = ({ route, navigation }) => {
   const [messages, setMessages] = useState([]);
   const [inputText, setInputText] = useState('');
   const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [hasMoreBefore, setHasMoreBefore] = useState(false);
   const [sending, setSending] = useState(false);
+  const [chatSettings, setChatSettings] = useState(chat.settings);
   const flatListRef = useRef(null);
   const { token, user } = useAuth();
-  const { emit, on } = useSocket();
+  const { emit, on, sendMessage, trackChatSync, untrackChatSync, onSync } = useSocket();
 
   useEffect(() => {
     fetchMessages();
@@ -35,9 +38,36 @@ const ChatScreen = ({ route, navigation }) => {
 
     return () => {
       emit('leave_chat', { chatId: chat._id });
+      untrackChatSync(chat._id);
     };
   }, []);
 
+  // Merge in what changed while the connection was down
+  useEffect(() => {
+    return onSync(({ chatId, messages: changed, removedIds }) => {
+      if (chatId !== chat._id) return;
+
+      const now = new Date();
+      setMessages(prev => {
+        const byId = new Map(prev.map(msg => [msg._id, msg]));
+
+        // Thread replies aren't shown here
+        changed.filter(msg => !msg.threadRoot).forEach(msg => {
+          const existing = byId.get(msg._id);
+          if (existing || !msg.deleted) {
+            byId.set(msg._id, { ...existing, ...msg });
+          }
+        });
+        removedIds.forEach(id => byId.delete(id));
+
+        // Disappearing messages that ran out meanwhile aren't listed, so drop them here
+        return [...byId.values()]
+          .filter(msg => !msg.expiresAt || new Date(msg.expiresAt) > now)
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a._id.localeCompare(b._id));
+      });
+    });
+  }, [onSync]);
+
   useEffect(() => {
     const unsubscribe = on('new_message', (message) => {
       if (message.chat === chat._id) {
@@ -46,16 +76,42 @@ const ChatScreen = ({ route, navigation }) => {
       }
     });
 
-    return () => unsubscribe?.();
+    // Messages removed by the disappearing messages timer
+    const unsubscribeExpired = on('messages_expired', ({ chatId, messageIds }) => {
+      if (chatId === chat._id) {
+        setMessages(prev => prev.filter(msg => !messageIds.includes(msg._id)));
+      }
+    });
+
+    // Live poll tallies
+    const unsubscribePoll = on('poll_updated', ({ chatId, messageId, poll }) => {
+      if (chatId === chat._id) {
+        setMessages(prev => prev.map(msg => (msg._id === messageId ? { ...msg, poll } : msg)));
+      }
+    });
+
+    const unsubscribeSettings = on('chat_settings_updated', ({ chatId, settings }) => {
+      if (chatId === chat._id) {
+        setChatSettings(settings);
+      }
+    });
+
+    return () => {
+      unsubscribe?.();
+      unsubscribeExpired?.();
+      unsubscribePoll?.();
+      unsubscribeSettings?.();
+    };
   }, [on]);
 
   const fetchMessages = async () => {
     try {
       const response = await axios.get(`${API_URL}/messages/${chat._id}`, {
-        headers: { Authorization: `Bearer ${token}` }
+        headers: { Authorization: `Bearer ${token}`, 'X-Device-Id': await getDeviceId() }
       });
       setMessages(response.data.messages || []);
-      scrollToBottom();
+      setHasMoreBefore(response.data.hasMoreBefore);
+      trackChatSync(chat._id, response.data.syncCursor);
     } catch (error) {
       console.error('Error fetching messages:', error);
     } finally {
@@ -63,13 +119,32 @@ const ChatScreen = ({ route, navigation }) => {
     }
   };
 
+  // Load older history when scrolled to the top of the (inverted) list
+  const loadOlderMessages = async () => {
+    if (!hasMoreBefore || loadingOlder || messages.length === 0) return;
+
+    setLoadingOlder(true);
+    try {
+      const response = await axios.get(`${API_URL}/messages/${chat._id}`, {
+        headers: { Authorization: `Bearer ${token}`, 'X-Device-Id': await getDeviceId() },
+        params: { before: messages[0]._id }
+      });
+      setMessages(prev => [...(response.data.messages || []), ...prev]);
+      setHasMoreBefore(response.data.hasMoreBefore);
+    } catch (error) {
+      console.error('Error loading older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
   const scrollToBottom = () => {
     setTimeout(() => {
-      flatListRef.current?.scrollToEnd({ animated: true });
+      flatListRef.current?.scrollToOffset({ offset: 0, animated: true });
     }, 100);
   };
 
-  const handleSend = () => {
+  const handleSend = async () => {
     if (!inputText.trim() || sending) return;
 
     setSending(true);
@@ -81,14 +156,88 @@ const ChatScreen = ({ route, navigation }) => {
       tempId: Date.now().toString()
     };
 
-    emit('send_message', messageData);
     setInputText('');
+    const sent = await sendMessage(messageData);
+    if (!sent) {
+      // Give the text back to try again
+      setInputText(prev => prev || messageData.content);
+    }
     setSending(false);
   };
 
+  const handlePollVote = async (message, optionId) => {
+    const { poll } = message;
+    const myVotes = message.myVotes || [];
+    if (poll.closed) return;
+
+    let optionIds;
+    if (poll.multipleChoice) {
+      optionIds = myVotes.includes(optionId)
+        ? myVotes.filter(id => id !== optionId)
+        : [...myVotes, optionId];
+    } else {
+      optionIds = myVotes.includes(optionId) ? [] : [optionId];
+    }
+
+    try {
+      const response = await axios.post(
+        `${API_URL}/messages/${message._id}/poll/vote`,
+        { optionIds },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setMessages(prev => prev.map(msg =>
+        msg._id === message._id
+          ? { ...msg, poll: response.data.poll, myVotes: response.data.myVotes }
+          : msg
+      ));
+    } catch (error) {
+      console.error('Error voting:', error);
+    }
+  };
+
+  const renderPoll = (item, isOwn) => {
+    const totalVotes = item.poll.options.reduce((sum, option) => sum + option.voteCount, 0);
+
+    return (
+      <View>
+        <Text style={[styles.pollQuestion, isOwn && styles.ownText]}>{item.poll.question}</Text>
+        {item.poll.options.map(option => {
+          const selected = (item.myVotes || []).includes(option._id);
+          const percent = totalVotes > 0 ? Math.round((option.voteCount / totalVotes) * 100) : 0;
+
+          return (
+            <TouchableOpacity
+              key={option._id}
+              style={[styles.pollOption, selected && styles.pollOptionSelected]}
+              onPress={() => handlePollVote(item, option._id)}
+              disabled={item.poll.closed}
+            >
+              <View style={[styles.pollBar, { width: `${percent}%` }]} />
+              <Text style={[styles.pollOptionText, isOwn && styles.ownText]}>
+                {selected ? '✓ ' : ''}{option.text}
+              </Text>
+              <Text style={[styles.pollCount, isOwn && styles.ownText]}>{option.voteCount}</Text>
+            </TouchableOpacity>
+          );
+        })}
+        <Text style={[styles.messageTime, isOwn && styles.ownTime]}>
+          {item.poll.totalVoters} voters{item.poll.closed ? ' · Closed' : ''}
+        </Text>
+      </View>
+    );
+  };
+
   const renderMessage = ({ item }) => {
     const isOwn = item.sender._id === user._id;
 
+    if (item.type === 'system') {
+      return (
+        <View style={styles.systemMessage}>
+          <Text style={styles.systemText}>{item.content}</Text>
+        </View>
+      );
+    }
+
     return (
       <View style={[styles.messageContainer, isOwn ? styles.ownMessage : styles.otherMessage]}>
         {!isOwn && (
@@ -103,9 +252,11 @@ const ChatScreen = ({ route, navigation }) => {
           {!isOwn && (
             <Text style={styles.senderName}>{item.sender.username}</Text>
           )}
-          <Text style={[styles.messageText, isOwn && styles.ownText]}>
-            {item.content}
-          </Text>
+          {item.type === 'poll' && item.poll ? renderPoll(item, isOwn) : (
+            <Text style={[styles.messageText, isOwn && styles.ownText]}>
+              {item.content}
+            </Text>
+          )}
           <Text style={[styles.messageTime, isOwn && styles.ownTime]}>
             {formatDistanceToNow(new Date(item.createdAt), { addSuffix: true })}
           </Text>
@@ -142,19 +293,32 @@ const ChatScreen = ({ route, navigation }) => {
         <View style={styles.headerInfo}>
           <Text style={styles.headerTitle}>{chat.name}</Text>
           <Text style={styles.headerSubtitle}>
-            {chat.type === 'group' ? `${chat.participants?.length} members` : 'Online'}
+            {chat.type === 'group'
+              ? `${chat.participants?.length} members`
+              : chat.type === 'channel' ? `${chat.subscriberCount} subscribers` : 'Online'}
           </Text>
         </View>
+        {chatSettings?.disappearingMessages?.timer > 0 && (
+          <Ionicons name="timer-outline" size={20} color="#fff" style={styles.headerIcon} />
+        )}
+        <TouchableOpacity onPress={() => navigation.navigate('ChatInfo', { chat })}>
+          <Ionicons name="information-circle-outline" size={26} color="#fff" />
+        </TouchableOpacity>
       </View>
 
       {/* Messages */}
       <FlatList
         ref={flatListRef}
-        data={messages}
+        data={[...messages].reverse()}
         renderItem={renderMessage}
         keyExtractor={item => item._id}
         contentContainerStyle={styles.messagesList}
-        onContentSizeChange={scrollToBottom}
+        inverted
+        onEndReached={loadOlderMessages}
+        onEndReachedThreshold={0.2}
+        ListFooterComponent={
+          loadingOlder ? <ActivityIndicator style={styles.olderLoader} color="#3b82f6" /> : null
+        }
       />
 
       {/* Input */}
@@ -222,9 +386,28 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#e0e0e0'
   },
+  headerIcon: {
+    marginRight: 12
+  },
   messagesList: {
     padding: 16
   },
+  olderLoader: {
+    marginVertical: 8
+  },
+  systemMessage: {
+    alignSelf: 'center',
+    backgroundColor: '#e5e7eb',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    marginVertical: 6
+  },
+  systemText: {
+    fontSize: 12,
+    color: '#4b5563',
+    textAlign: 'center'
+  },
   messageContainer: {
     flexDirection: 'row',
     marginVertical: 4,
@@ -277,6 +460,44 @@ const styles = StyleSheet.create({
   ownTime: {
     color: '#e0e0e0'
   },
+  pollQuestion: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 8
+  },
+  pollOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e5e7eb',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 6,
+    overflow: 'hidden',
+    minWidth: 200
+  },
+  pollOptionSelected: {
+    borderColor: '#93c5fd'
+  },
+  pollBar: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    left: 0,
+    backgroundColor: 'rgba(147, 197, 253, 0.35)'
+  },
+  pollOptionText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1f2937'
+  },
+  pollCount: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginLeft: 8
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -25,7 +25,6 @@ const ProfileScreen = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             await logout();
-            navigation.replace('Auth');
           }
         }
       ]
@@ -0,0 +1,99 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Device = require('../models/Device');
+const { authenticateAccessToken, revokeAllSessions } = require('../services/sessionService');
+const authRoutes = require('../routes/auth');
+
+// Any token signs in as the user under test; sign-outs are only recorded
+jest.mock('../services/sessionService', () => ({
+    ...jest.requireActual('../services/sessionService'),
+    authenticateAccessToken: jest.fn(),
+    revokeAllSessions: jest.fn()
+}));
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('DELETE /api/auth/delete-account', () => {
+    let app;
+    let user;
+    let admin;
+    let member;
+    let ownGroup;
+    let otherGroup;
+
+    beforeEach(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/auth', authRoutes);
+
+        user = new User({ username: 'alice', email: 'alice@example.com', password: 'secret1' });
+        admin = id();
+        member = id();
+
+        // alice owns one group and moderates another
+        ownGroup = new Chat({
+            type: 'group',
+            name: 'Own group',
+            creator: user._id,
+            participants: [user._id, member, admin],
+            admins: [user._id, admin]
+        });
+        otherGroup = new Chat({
+            type: 'group',
+            name: 'Other group',
+            creator: admin,
+            participants: [admin, user._id],
+            admins: [admin],
+            moderators: [user._id]
+        });
+
+        authenticateAccessToken.mockResolvedValue({ user, sessionId: id() });
+        revokeAllSessions.mockResolvedValue();
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(User.prototype, 'deleteOne').mockResolvedValue();
+        jest.spyOn(Chat, 'find').mockResolvedValue([ownGroup, otherGroup]);
+        jest.spyOn(Chat.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Message, 'updateMany').mockResolvedValue({});
+        jest.spyOn(Device, 'deleteMany').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const deleteAccount = () => request(app)
+        .delete('/api/auth/delete-account')
+        .set('Authorization', 'Bearer token');
+
+    it('deletes the account and signs out every device', async () => {
+        const response = await deleteAccount();
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ success: true, message: 'Account deleted successfully' });
+        expect(User.prototype.deleteOne).toHaveBeenCalledTimes(1);
+        expect(revokeAllSessions).toHaveBeenCalledWith(undefined, user._id);
+        expect(Device.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    });
+
+    it('hands the groups the user owns on to a successor', async () => {
+        await deleteAccount();
+
+        expect(ownGroup.creator.equals(admin)).toBe(true);
+        expect(ownGroup.participants.map(String)).toEqual([String(member), String(admin)]);
+        expect(ownGroup.admins.map(String)).toEqual([String(admin)]);
+    });
+
+    it('takes the user out of every role in groups they don\'t own', async () => {
+        await deleteAccount();
+
+        expect(otherGroup.creator.equals(admin)).toBe(true);
+        expect(otherGroup.participants.map(String)).toEqual([String(admin)]);
+        expect(otherGroup.moderators).toHaveLength(0);
+    });
+});
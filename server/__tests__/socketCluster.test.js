@@ -0,0 +1,134 @@
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createMemoryStore } = require('../config/stateStore');
+const { createStoreAdapter } = require('../sockets/storeAdapter');
+const { createSocketState } = require('../sockets/socketState');
+
+// Two server instances in this process sharing one memory store, each
+// counting connections and joining user rooms the way socketHandler does
+const startInstance = async (store) => {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    io.adapter(createStoreAdapter(store));
+
+    const state = createSocketState(store);
+    await state.start(() => {});
+
+    io.on('connection', async (socket) => {
+        const { userId, deviceId } = socket.handshake.auth;
+        socket.join(`user_${userId}`);
+        await state.addConnection(userId, socket.id, deviceId);
+        socket.emit('ready');
+    });
+
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    return { io, state, port: httpServer.address().port };
+};
+
+const connectAs = (port, userId, deviceId = 'device-1') => {
+    const client = connect(`http://localhost:${port}`, {
+        auth: { userId, deviceId },
+        transports: ['websocket'],
+        reconnection: false
+    });
+    return new Promise(resolve => client.once('ready', () => resolve(client)));
+};
+
+describe('socket state shared between instances', () => {
+    let store;
+    let first;
+    let second;
+    let clients;
+
+    beforeEach(async () => {
+        store = createMemoryStore();
+        first = await startInstance(store);
+        second = await startInstance(store);
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.disconnect());
+        await first.state.stop();
+        await second.state.stop();
+        await new Promise(resolve => first.io.close(resolve));
+        await new Promise(resolve => second.io.close(resolve));
+        await store.close();
+    });
+
+    it('delivers a user room emit from the other instance', async () => {
+        const client = await connectAs(first.port, 'alice');
+        clients.push(client);
+
+        const received = new Promise(resolve => client.once('new_message', resolve));
+        second.io.to('user_alice').emit('new_message', { content: 'hello' });
+
+        await expect(received).resolves.toEqual({ content: 'hello' });
+    });
+
+    it('shares presence between instances', async () => {
+        clients.push(await connectAs(first.port, 'alice'));
+
+        await expect(second.state.getOnlineUserIds()).resolves.toEqual(['alice']);
+        await expect(second.state.isUserOnline('alice')).resolves.toBe(true);
+        await expect(second.state.getOnlineDeviceIds('alice')).resolves.toEqual(['device-1']);
+    });
+
+    it('keeps a user online while another instance still has one of their devices', async () => {
+        clients.push(await connectAs(first.port, 'alice', 'laptop'));
+        clients.push(await connectAs(second.port, 'alice', 'phone'));
+
+        await expect(first.state.getOnlineUserIds()).resolves.toEqual(['alice']);
+        await expect(first.state.getOnlineDeviceIds('alice')).resolves.toEqual(
+            expect.arrayContaining(['laptop', 'phone'])
+        );
+
+        const offline = jest.fn();
+        await first.state.stop(offline);
+
+        expect(offline).not.toHaveBeenCalled();
+        await expect(second.state.isUserOnline('alice')).resolves.toBe(true);
+        await expect(second.state.getOnlineDeviceIds('alice')).resolves.toEqual(['phone']);
+    });
+
+    it('sees exactly one first and one last connection when devices come and go at once', async () => {
+        const [onFirst, onSecond] = await Promise.all([
+            first.state.addConnection('alice', 'socket-1', 'laptop'),
+            second.state.addConnection('alice', 'socket-2', 'phone')
+        ]);
+        expect([onFirst, onSecond].filter(Boolean)).toHaveLength(1);
+
+        const [offFirst, offSecond] = await Promise.all([
+            first.state.removeConnection('alice', 'socket-1', 'laptop'),
+            second.state.removeConnection('alice', 'socket-2', 'phone')
+        ]);
+        expect([offFirst, offSecond].filter(Boolean)).toHaveLength(1);
+    });
+
+    it('shares typing marks, and lets them expire', async () => {
+        await first.state.startTyping('chat-1', 'alice');
+        await expect(second.state.stopTyping('chat-1', 'alice')).resolves.toBe(true);
+        await expect(second.state.stopTyping('chat-1', 'alice')).resolves.toBe(false);
+
+        await first.state.startTyping('chat-1', 'alice');
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+        try {
+            await expect(second.state.stopTyping('chat-1', 'alice')).resolves.toBe(false);
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    it('takes users offline everywhere when their instance stops', async () => {
+        clients.push(await connectAs(first.port, 'alice'));
+
+        const offline = jest.fn();
+        await first.state.stop(offline);
+
+        expect(offline).toHaveBeenCalledWith('alice');
+        await expect(second.state.isUserOnline('alice')).resolves.toBe(false);
+        await expect(second.state.getOnlineUserIds()).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,178 @@
+// A short grace period, read when the socket state module loads
+process.env.PRESENCE_OFFLINE_GRACE_SECONDS = '1';
+
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connect } = require('socket.io-client');
+const { createMemoryStore, setStateStore } = require('../config/stateStore');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Device = require('../models/Device');
+const { authenticateAccessToken } = require('../services/sessionService');
+const socketHandler = require('../sockets/socketHandler');
+
+// Tokens are user ids here; everything else about sessions is real
+jest.mock('../services/sessionService', () => ({
+    ...jest.requireActual('../services/sessionService'),
+    authenticateAccessToken: jest.fn()
+}));
+
+// alice shows her last seen to contacts. bob sees it; carol is a contact
+// too but hides her own, so she sees nobody's.
+const USERS = {
+    alice: { _id: 'alice', username: 'alice', contacts: ['bob', 'carol'], preferences: { privacy: { lastSeen: 'contacts' } } },
+    bob: { _id: 'bob', username: 'bob', contacts: ['alice'], preferences: { privacy: { lastSeen: 'everyone' } } },
+    carol: { _id: 'carol', username: 'carol', contacts: ['alice'], preferences: { privacy: { lastSeen: 'nobody' } } }
+};
+
+const withContacts = (user) => ({ ...user, contacts: user.contacts.map(id => USERS[id]) });
+
+// A stand-in for a Mongoose query: chainable, and resolves to value
+const query = (value) => ({
+    populate: () => query(value),
+    select: () => query(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitFor = async (check, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!await check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await sleep(20);
+    }
+};
+
+const startInstance = async () => {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    const sockets = socketHandler(io);
+
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    return { io, sockets, port: httpServer.address().port };
+};
+
+describe('socketHandler across two instances', () => {
+    let store;
+    let first;
+    let second;
+    let clients;
+
+    const connectAs = (instance, userId, deviceId) => {
+        const client = connect(`http://localhost:${instance.port}`, {
+            auth: { token: userId, deviceId },
+            transports: ['websocket'],
+            reconnection: false
+        });
+        clients.push(client);
+
+        // Set up is done once the online users arrive
+        return new Promise((resolve, reject) => {
+            client.once('online_users', () => resolve(client));
+            client.once('connect_error', reject);
+        });
+    };
+
+    const statusChanges = (client) => {
+        const changes = [];
+        client.on('user_status_change', change => changes.push(change));
+        return changes;
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        authenticateAccessToken.mockImplementation(async (token) => {
+            if (!USERS[token]) {
+                throw Object.assign(new Error('Session expired'), { statusCode: 401 });
+            }
+            return { user: USERS[token], sessionId: `session-${token}` };
+        });
+        jest.spyOn(Device, 'register').mockImplementation(() => sleep(100));
+        jest.spyOn(Device, 'touch').mockResolvedValue();
+        jest.spyOn(Chat, 'find').mockImplementation(() => query([]));
+        jest.spyOn(User, 'findById').mockImplementation(id => query(withContacts(USERS[id])));
+        jest.spyOn(User, 'find').mockImplementation(({ _id }) => query(_id.$in.map(id => USERS[id])));
+        jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(id => query(withContacts(USERS[id])));
+
+        store = createMemoryStore();
+        setStateStore(store);
+        first = await startInstance();
+        second = await startInstance();
+        clients = [];
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.disconnect());
+        await first.sockets.stop();
+        await second.sockets.stop();
+        await new Promise(resolve => first.io.close(resolve));
+        await new Promise(resolve => second.io.close(resolve));
+        await store.close();
+        setStateStore(null);
+        jest.restoreAllMocks();
+    });
+
+    it('refuses sockets without a live session', async () => {
+        await expect(connectAs(first, 'mallory', 'device-mallory')).rejects.toThrow('Authentication error: Session expired');
+    });
+
+    it('answers events sent straight after connecting, once set up is done', async () => {
+        const client = connect(`http://localhost:${first.port}`, {
+            auth: { token: 'alice', deviceId: 'alice-laptop' },
+            transports: ['websocket'],
+            reconnection: false
+        });
+        clients.push(client);
+
+        const response = await client.timeout(2000).emitWithAck('sync', { chats: [] });
+
+        expect(response).toEqual({ success: false, error: 'You can sync between 1 and 50 chats' });
+    });
+
+    it('keeps a user online across instances until the grace period after their last device', async () => {
+        const bob = await connectAs(second, 'bob', 'bob-phone');
+        const carol = await connectAs(second, 'carol', 'carol-phone');
+        const bobSees = statusChanges(bob);
+        const carolSees = statusChanges(carol);
+
+        const laptop = await connectAs(first, 'alice', 'alice-laptop');
+        const phone = await connectAs(second, 'alice', 'alice-phone');
+
+        await waitFor(() => bobSees.length === 1);
+        expect(bobSees[0]).toMatchObject({ userId: 'alice', isOnline: true });
+
+        // Another device is still connected on the other instance
+        laptop.disconnect();
+        await waitFor(async () => (await first.sockets.state.getOnlineDeviceIds('alice')).length === 1);
+        await expect(first.sockets.state.getOnlineUserIds()).resolves.toContain('alice');
+
+        // Still listed through the grace period after the last device goes
+        phone.disconnect();
+        await waitFor(async () => !await first.sockets.state.isUserOnline('alice'));
+        await expect(first.sockets.state.getOnlineUserIds()).resolves.toContain('alice');
+        expect(bobSees).toHaveLength(1);
+
+        await waitFor(() => bobSees.length === 2);
+        expect(bobSees[1]).toMatchObject({ userId: 'alice', isOnline: false });
+        await expect(second.sockets.state.getOnlineUserIds()).resolves.not.toContain('alice');
+
+        // carol hides her own last seen, so never hears about alice's
+        expect(carolSees).toEqual([]);
+    });
+
+    it('takes an instance\'s users offline straight away when it stops', async () => {
+        const bob = await connectAs(second, 'bob', 'bob-phone');
+        const bobSees = statusChanges(bob);
+        await connectAs(first, 'alice', 'alice-laptop');
+        await waitFor(() => bobSees.length === 1);
+
+        await first.sockets.stop();
+
+        await expect(second.sockets.state.getOnlineUserIds()).resolves.not.toContain('alice');
+        await waitFor(() => bobSees.length === 2);
+        expect(bobSees[1]).toMatchObject({ userId: 'alice', isOnline: false });
+    });
+});
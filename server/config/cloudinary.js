@@ -33,10 +33,10 @@ const uploadToCloudinary = (buffer, options = {}) => {
     });
 };
 
-// Delete function
-const deleteFromCloudinary = (publicId) => {
+// Delete function. Pass resource_type in options for video and raw files.
+const deleteFromCloudinary = (publicId, options = {}) => {
     return new Promise((resolve, reject) => {
-        cloudinary.uploader.destroy(publicId, (error, result) => {
+        cloudinary.uploader.destroy(publicId, options, (error, result) => {
             if (error) {
                 console.error('Cloudinary delete error:', error);
                 reject(error);
@@ -0,0 +1,106 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail goes through a transport picked by MAIL_TRANSPORT:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   file    - writes each message as a .eml file to MAIL_FILE_DIR
+//   console - prints each message to the log
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and console otherwise.
+// Every transport exposes send(message) resolving once the mail is handed off.
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail(message)
+    };
+};
+
+// Builds the raw message with nodemailer's stream transport, so the saved
+// files open in any mail client
+const createFileTransport = () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+        dir,
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            await fs.mkdir(dir, { recursive: true });
+
+            const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+            await fs.writeFile(file, info.message);
+
+            return { ...info, file };
+        }
+    };
+};
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log([
+            '[Mail] ----------------------------------------',
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '[Mail] ----------------------------------------'
+        ].join('\n'));
+
+        return { messageId: `console-${Date.now()}` };
+    }
+});
+
+const TRANSPORTS = {
+    smtp: createSmtpTransport,
+    file: createFileTransport,
+    console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+        const create = TRANSPORTS[name];
+
+        if (!create) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+        }
+
+        transport = create();
+        console.log(`[Mail] Using ${transport.name} transport`);
+    }
+
+    return transport;
+};
+
+// Replace the transport, e.g. with an in-memory one in tests.
+// Pass null to go back to the configured one.
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+// Send an email with a text body and an optional HTML body
+const sendMail = ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'ChatMaster <no-reply@chatmaster.app>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,203 @@
+const { EventEmitter } = require('events');
+
+// Socket state shared between server instances (who is connected, who is
+// typing, calls in progress) lives in a store picked by SOCKET_STATE_STORE:
+//   memory - kept in this process. Fine for a single instance, or for
+//            several instances started in the same process, e.g. in tests.
+//   redis  - a Redis-compatible server at REDIS_URL, for several instances
+// Without SOCKET_STATE_STORE, redis is used when REDIS_URL is set and memory
+// otherwise. Every store exposes the same small, Redis-shaped API:
+//   get(key), set(key, value, { ttl }), del(key)
+//   sadd(key, member), srem(key, member), smembers(key), scard(key)
+//   saddAndCount(key, member), sremAndCount(key, member)
+//   publish(channel, message), subscribe(channel, listener), close()
+// Values and messages are strings, ttl is in seconds, and every method
+// returns a promise. del resolves to the number of keys it removed.
+// saddAndCount and sremAndCount change a set and read its size in one
+// atomic step, resolving to { changed, size }, so of several instances
+// changing a set at once exactly one sees it go from or to empty.
+// subscribe resolves to a function that unsubscribes.
+
+const createMemoryStore = () => {
+    const values = new Map(); // key -> { value, expiresAt }
+    const sets = new Map(); // key -> Set
+    const bus = new EventEmitter();
+    bus.setMaxListeners(0);
+
+    const isExpired = (entry) => entry.expiresAt && entry.expiresAt <= Date.now();
+
+    const sadd = (key, member) => {
+        if (!sets.has(key)) sets.set(key, new Set());
+        const set = sets.get(key);
+        if (set.has(member)) return 0;
+        set.add(member);
+        return 1;
+    };
+
+    const srem = (key, member) => {
+        const set = sets.get(key);
+        if (!set || !set.delete(member)) return 0;
+        if (set.size === 0) sets.delete(key);
+        return 1;
+    };
+
+    const scard = (key) => (sets.get(key)?.size || 0);
+
+    return {
+        name: 'memory',
+
+        get: async (key) => {
+            const entry = values.get(key);
+            if (!entry || isExpired(entry)) {
+                values.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+
+        set: async (key, value, { ttl } = {}) => {
+            values.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+        },
+
+        del: async (key) => {
+            const entry = values.get(key);
+            const removed = (entry && !isExpired(entry) ? 1 : 0) + (sets.has(key) ? 1 : 0);
+            values.delete(key);
+            sets.delete(key);
+            return removed;
+        },
+
+        sadd: async (key, member) => sadd(key, member),
+
+        srem: async (key, member) => srem(key, member),
+
+        smembers: async (key) => Array.from(sets.get(key) || []),
+
+        scard: async (key) => scard(key),
+
+        // Nothing else runs between the change and the count in one process
+        saddAndCount: async (key, member) => ({ changed: sadd(key, member), size: scard(key) }),
+
+        sremAndCount: async (key, member) => ({ changed: srem(key, member), size: scard(key) }),
+
+        // Delivered on a later tick, like a message from another server would be
+        publish: async (channel, message) => {
+            setImmediate(() => bus.emit(channel, message));
+        },
+
+        subscribe: async (channel, listener) => {
+            bus.on(channel, listener);
+            return async () => bus.off(channel, listener);
+        },
+
+        close: async () => {
+            bus.removeAllListeners();
+        }
+    };
+};
+
+// Commands go over one connection. Subscribing takes a connection over, so
+// subscriptions share a second one.
+const createRedisStore = () => {
+    const Redis = require('ioredis');
+
+    const client = new Redis(process.env.REDIS_URL);
+    const subscriber = client.duplicate();
+    const listeners = new Map(); // channel -> Set of listeners
+
+    client.on('error', (err) => console.error('[StateStore] Redis error:', err.message));
+    subscriber.on('error', (err) => console.error('[StateStore] Redis subscriber error:', err.message));
+
+    subscriber.on('message', (channel, message) => {
+        listeners.get(channel)?.forEach(listener => listener(message));
+    });
+
+    // Run a set command and SCARD in one MULTI, so nothing lands in between
+    const changeAndCount = async (command, key, member) => {
+        const results = await client.multi()[command](key, member).scard(key).exec();
+        const [[changeError, changed], [countError, size]] = results;
+        if (changeError || countError) throw changeError || countError;
+        return { changed, size };
+    };
+
+    return {
+        name: 'redis',
+
+        get: (key) => client.get(key),
+
+        set: async (key, value, { ttl } = {}) => {
+            if (ttl) {
+                await client.set(key, value, 'EX', ttl);
+            } else {
+                await client.set(key, value);
+            }
+        },
+
+        del: (key) => client.del(key),
+
+        sadd: (key, member) => client.sadd(key, member),
+        srem: (key, member) => client.srem(key, member),
+        smembers: (key) => client.smembers(key),
+        scard: (key) => client.scard(key),
+        saddAndCount: (key, member) => changeAndCount('sadd', key, member),
+        sremAndCount: (key, member) => changeAndCount('srem', key, member),
+
+        publish: async (channel, message) => {
+            await client.publish(channel, message);
+        },
+
+        subscribe: async (channel, listener) => {
+            if (!listeners.has(channel)) {
+                listeners.set(channel, new Set());
+                await subscriber.subscribe(channel);
+            }
+            listeners.get(channel).add(listener);
+
+            return async () => {
+                const channelListeners = listeners.get(channel);
+                if (!channelListeners) return;
+
+                channelListeners.delete(listener);
+                if (channelListeners.size === 0) {
+                    listeners.delete(channel);
+                    await subscriber.unsubscribe(channel);
+                }
+            };
+        },
+
+        close: async () => {
+            await Promise.all([client.quit(), subscriber.quit()]);
+        }
+    };
+};
+
+const STORES = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+let store = null;
+
+const getStateStore = () => {
+    if (!store) {
+        const name = process.env.SOCKET_STATE_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+        const create = STORES[name];
+
+        if (!create) {
+            throw new Error(`Unknown SOCKET_STATE_STORE "${name}"`);
+        }
+
+        store = create();
+        console.log(`[StateStore] Using ${store.name} store`);
+    }
+
+    return store;
+};
+
+// Replace the store, e.g. with one memory store shared by several servers
+// in tests. Pass null to go back to the configured one.
+const setStateStore = (custom) => {
+    store = custom;
+};
+
+module.exports = { getStateStore, setStateStore, createMemoryStore };
@@ -13,11 +13,21 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const chatRoutes = require('./routes/chats');
 const messageRoutes = require('./routes/messages');
+const scheduledMessageRoutes = require('./routes/scheduledMessages');
 const uploadRoutes = require('./routes/upload');
 const friendRequestRoutes = require('./routes/friendRequests');
+const adminRoutes = require('./routes/admin');
+const reportRoutes = require('./routes/reports');
+const inviteRoutes = require('./routes/invites');
+const channelRoutes = require('./routes/channels');
 
 // Import socket handler
 const socketHandler = require('./sockets/socketHandler');
+const { getStateStore } = require('./config/stateStore');
+
+// Import background jobs
+const { startScheduledMessageDispatcher } = require('./jobs/scheduledMessageDispatcher');
+const { startDisappearingMessageSweeper } = require('./jobs/disappearingMessageSweeper');
 
 const app = express();
 const server = http.createServer(app);
@@ -35,6 +45,9 @@ const io = socketIo(server, {
     allowEIO3: true
 });
 
+// Expose io to routes so REST handlers can broadcast events
+app.set('io', io);
+
 // Trust proxy for rate limiting behind reverse proxy
 app.set('trust proxy', 1);
 
@@ -64,7 +77,7 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with']
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', 'x-device-id']
 };
 
 app.use(cors(corsOptions));
@@ -133,9 +146,14 @@ connectDB();
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chats', chatRoutes);
+app.use('/api/messages/scheduled', scheduledMessageRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/friend-requests', friendRequestRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/channels', channelRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -192,6 +210,7 @@ app.get('/api', (req, res) => {
             users: '/api/users',
             chats: '/api/chats',
             messages: '/api/messages',
+            scheduledMessages: '/api/messages/scheduled',
             upload: '/api/upload',
             friendRequests: '/api/friend-requests',
             health: '/health'
@@ -200,7 +219,11 @@ app.get('/api', (req, res) => {
 });
 
 // Socket.io handler
-socketHandler(io);
+const sockets = socketHandler(io);
+
+// Background jobs
+startScheduledMessageDispatcher(io);
+startDisappearingMessageSweeper(io);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -241,28 +264,45 @@ server.listen(PORT, () => {
 });
 
 // Graceful shutdown handlers
-const gracefulShutdown = (signal) => {
+const gracefulShutdown = async (signal) => {
     console.log(`\n[Shutdown] Received ${signal}, shutting down gracefully...`);
+
+    setTimeout(() => {
+        console.error('[Shutdown] Forced shutdown');
+        process.exit(1);
+    }, 10000);
+
+    // Take this instance's users offline while the state store and database
+    // are still there. Disconnecting afterwards leaves nothing to clear up.
+    try {
+        await sockets.stop();
+    } catch (error) {
+        console.error('[Shutdown] Socket state error:', error);
+    }
+
+    // Open sockets would hold the HTTP server open. Only this instance's are
+    // closed; clients reconnect to another one.
+    io.local.disconnectSockets(true);
     
-    server.close((err) => {
+    server.close(async (err) => {
         if (err) {
             console.error('[Shutdown] Error:', err);
             process.exit(1);
         }
         
         console.log('[Shutdown] HTTP server closed');
-        
-        mongoose.connection.close(false, () => {
-            console.log('[Shutdown] MongoDB connection closed');
-            console.log('[Shutdown] Complete');
-            process.exit(0);
-        });
+
+        try {
+            await getStateStore().close();
+        } catch (error) {
+            console.error('[Shutdown] State store error:', error);
+        }
+
+        await mongoose.connection.close();
+        console.log('[Shutdown] MongoDB connection closed');
+        console.log('[Shutdown] Complete');
+        process.exit(0);
     });
-    
-    setTimeout(() => {
-        console.error('[Shutdown] Forced shutdown');
-        process.exit(1);
-    }, 10000);
 };
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
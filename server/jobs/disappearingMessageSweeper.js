@@ -0,0 +1,125 @@
+const cron = require('node-cron');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { deleteFromCloudinary } = require('../config/cloudinary');
+
+const BATCH_SIZE = 200;
+
+let running = false;
+
+// Cloudinary needs the resource type to delete anything that isn't an image
+const getResourceType = (mimeType = '') => {
+    if (mimeType.startsWith('video/') || mimeType.startsWith('audio/')) return 'video';
+    if (mimeType.startsWith('image/') || mimeType === 'application/pdf') return 'image';
+    return 'raw';
+};
+
+// Delete a message's uploaded file and, for images, its thumbnail.
+// Forwarded copies share the original's upload, so it's only deleted with
+// the last message that uses it; batchIds are the messages going with this
+// one. Resolves to false if the file is still there and the message should
+// be kept.
+const deleteMessageFiles = async (message, batchIds) => {
+    const { publicId, mimeType } = message.file || {};
+    if (!publicId) return true;
+
+    try {
+        if (await Message.exists({ 'file.publicId': publicId, _id: { $nin: batchIds } })) {
+            return true;
+        }
+
+        await deleteFromCloudinary(publicId, { resource_type: getResourceType(mimeType) });
+
+        if (message.file.thumbnail) {
+            await deleteFromCloudinary(`chatmaster/thumbnails/thumb_${publicId.split('/').pop()}`);
+        }
+        return true;
+    } catch (error) {
+        console.error(`Failed to delete file for expired message ${message._id}:`, error);
+        return false;
+    }
+};
+
+// Point chats whose last message expired at the newest remaining one
+const refreshLastMessages = async (chatIds) => {
+    for (const chatId of chatIds) {
+        const chat = await Chat.findById(chatId);
+        if (!chat || (chat.lastMessage && await Message.exists({ _id: chat.lastMessage }))) {
+            continue;
+        }
+
+        const latest = await Message.findOne({ chat: chatId, threadRoot: null })
+            .sort({ createdAt: -1 })
+            .select('_id');
+
+        chat.lastMessage = latest ? latest._id : undefined;
+        await chat.save();
+    }
+};
+
+// Remove every message whose disappearing timer has run out
+const sweepExpiredMessages = async (io) => {
+    if (running) return;
+    running = true;
+
+    try {
+        let expired;
+        do {
+            expired = await Message.find({ expiresAt: { $lte: new Date() } })
+                .select('chat file')
+                .limit(BATCH_SIZE);
+
+            const removable = [];
+            const deletedFiles = new Set();
+            for (const message of expired) {
+                // Copies expiring together need their file deleted only once
+                const publicId = message.file?.publicId;
+                if (deletedFiles.has(publicId)) {
+                    removable.push(message);
+                    continue;
+                }
+
+                if (await deleteMessageFiles(message, expired.map(m => m._id))) {
+                    removable.push(message);
+                    if (publicId) deletedFiles.add(publicId);
+                }
+            }
+
+            if (removable.length === 0) break;
+
+            await Message.deleteMany({ _id: { $in: removable.map(m => m._id) } });
+
+            // Group by chat for the broadcast
+            const byChat = new Map();
+            removable.forEach(message => {
+                const chatId = message.chat.toString();
+                if (!byChat.has(chatId)) byChat.set(chatId, []);
+                byChat.get(chatId).push(message._id);
+            });
+
+            for (const [chatId, messageIds] of byChat) {
+                await Chat.unpinMessages(chatId, messageIds);
+            }
+            await refreshLastMessages([...byChat.keys()]);
+
+            if (io) {
+                byChat.forEach((messageIds, chatId) => {
+                    io.to(`chat_${chatId}`).emit('messages_expired', { chatId, messageIds });
+                });
+            }
+        } while (expired.length === BATCH_SIZE);
+    } catch (error) {
+        console.error('Disappearing message sweeper error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+// Sweep every minute. Expiry times are stored on the messages, so anything
+// that expired while the server was down is removed on the first run.
+const startDisappearingMessageSweeper = (io) => {
+    cron.schedule('* * * * *', () => sweepExpiredMessages(io));
+    console.log('[Scheduler] Disappearing message sweeper started');
+};
+
+module.exports = { startDisappearingMessageSweeper, sweepExpiredMessages };
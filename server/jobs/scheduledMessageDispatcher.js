@@ -0,0 +1,99 @@
+const cron = require('node-cron');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { sendMessage } = require('../services/messageService');
+
+const MAX_ATTEMPTS = 3;
+// Wait before retrying after a failure, doubling with each attempt, so a
+// brief outage doesn't use up every attempt at once
+const RETRY_DELAY_MS = 60 * 1000;
+// A message still processing after this long belongs to a dispatcher that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let running = false;
+
+const notifySender = (io, scheduled, event, payload) => {
+    io.to(`user_${scheduled.sender}`).emit(event, {
+        scheduledId: scheduled._id,
+        chatId: scheduled.chat,
+        ...payload
+    });
+};
+
+// Send one claimed message through the regular send path
+const dispatch = async (io, scheduled) => {
+    try {
+        const message = await sendMessage(io, {
+            chatId: scheduled.chat,
+            senderId: scheduled.sender,
+            content: scheduled.content,
+            type: scheduled.type,
+            replyTo: scheduled.replyTo,
+            threadRoot: scheduled.threadRoot,
+            file: scheduled.file?.url ? scheduled.file : undefined,
+            metadata: scheduled.metadata,
+            messageId: scheduled.messageId
+        });
+
+        scheduled.status = 'sent';
+        scheduled.sentAt = new Date();
+        await scheduled.save();
+
+        notifySender(io, scheduled, 'scheduled_message_sent', { message });
+    } catch (error) {
+        // The message was created by an earlier attempt that did not finish
+        if (error.code === 11000) {
+            scheduled.status = 'sent';
+            scheduled.sentAt = scheduled.sentAt || new Date();
+            await scheduled.save();
+            return;
+        }
+
+        // Rejected sends (left the chat, admin-only chat) will not succeed on retry
+        const permanent = !!error.statusCode || scheduled.attempts >= MAX_ATTEMPTS;
+        if (!error.statusCode) {
+            console.error('Scheduled message dispatch error:', error);
+        }
+
+        scheduled.lastError = error.statusCode ? error.message : 'Failed to send message';
+        scheduled.status = permanent ? 'failed' : 'pending';
+        scheduled.nextAttemptAt = permanent
+            ? undefined
+            : new Date(Date.now() + RETRY_DELAY_MS * 2 ** (scheduled.attempts - 1));
+        scheduled.lockedAt = undefined;
+        await scheduled.save();
+
+        if (permanent) {
+            notifySender(io, scheduled, 'scheduled_message_failed', {
+                error: scheduled.lastError
+            });
+        }
+    }
+};
+
+// Send every message that is due
+const runDispatcher = async (io) => {
+    if (running) return;
+    running = true;
+
+    try {
+        await ScheduledMessage.releaseStale(new Date(Date.now() - STALE_LOCK_MS));
+
+        let scheduled;
+        while ((scheduled = await ScheduledMessage.claimDue())) {
+            await dispatch(io, scheduled);
+        }
+    } catch (error) {
+        console.error('Scheduled message dispatcher error:', error);
+    } finally {
+        running = false;
+    }
+};
+
+// Check for due messages every 15 seconds. Pending messages live in the
+// database, so anything due while the server was down goes out on the first run.
+const startScheduledMessageDispatcher = (io) => {
+    cron.schedule('*/15 * * * * *', () => runDispatcher(io));
+    console.log('[Scheduler] Scheduled message dispatcher started');
+};
+
+module.exports = { startScheduledMessageDispatcher, runDispatcher };
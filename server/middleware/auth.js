@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const Device = require('../models/Device');
+const { authenticateAccessToken } = require('../services/sessionService');
 
 const auth = async (req, res, next) => {
     try {
@@ -24,30 +24,28 @@ const auth = async (req, res, next) => {
         }
 
         try {
-            // Verify token
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            
-            // Get user from database
-            const user = await User.findById(decoded.userId).select('-password');
-            
-            if (!user) {
-                return res.status(401).json({ 
-                    error: 'Token valid but user not found' 
-                });
-            }
+            // Verify token and its session, and load the user
+            const { user, sessionId } = await authenticateAccessToken(token);
 
-            // Add user to request
+            // Add user, session and the device it comes from to request
             req.user = user;
+            req.sessionId = sessionId;
+            req.deviceId = Device.resolveId(req.get('X-Device-Id'), sessionId);
             next();
             
         } catch (jwtError) {
-            if (jwtError.name === 'JsonWebTokenError') {
+            if (jwtError.statusCode) {
+                return res.status(jwtError.statusCode).json({ 
+                    error: jwtError.message,
+                    code: jwtError.code
+                });
+            } else if (jwtError.name === 'JsonWebTokenError') {
                 return res.status(401).json({ 
                     error: 'Invalid token, authorization denied' 
                 });
             } else if (jwtError.name === 'TokenExpiredError') {
                 return res.status(401).json({ 
-                    error: 'Token expired, please login again' 
+                    error: 'Access token expired' 
                 });
             } else {
                 throw jwtError;
@@ -75,12 +73,11 @@ const optionalAuth = async (req, res, next) => {
             ? authHeader.slice(7, authHeader.length) 
             : authHeader;
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
-        
-        if (user) {
-            req.user = user;
-        }
+        const { user, sessionId } = await authenticateAccessToken(token);
+
+        req.user = user;
+        req.sessionId = sessionId;
+        req.deviceId = Device.resolveId(req.get('X-Device-Id'), sessionId);
     } catch (error) {
         // Ignore errors in optional auth
         console.log('Optional auth failed:', error.message);
@@ -89,4 +86,36 @@ const optionalAuth = async (req, res, next) => {
     next();
 };
 
-module.exports = { auth, optionalAuth };
+// What accounts with an unverified email may do, set by UNVERIFIED_ACCOUNT_POLICY:
+//   off     - no limits
+//   limited - can chat, but can't reach out to new people or upload files (default)
+//   strict  - can't sign in until the email is verified
+const UNVERIFIED_POLICIES = ['off', 'limited', 'strict'];
+
+const getUnverifiedAccountPolicy = () => {
+    const policy = process.env.UNVERIFIED_ACCOUNT_POLICY;
+    return UNVERIFIED_POLICIES.includes(policy) ? policy : 'limited';
+};
+
+// Guard for actions unverified accounts can't take. Must run after auth.
+const requireVerifiedEmail = (req, res, next) => {
+    if (req.user.isEmailVerified || getUnverifiedAccountPolicy() === 'off') {
+        return next();
+    }
+
+    res.status(403).json({
+        error: 'Please verify your email address to do this',
+        code: 'EMAIL_NOT_VERIFIED'
+    });
+};
+
+// Guard for site administration. Must run after auth.
+const requireRole = (...roles) => (req, res, next) => {
+    if (roles.includes(req.user.role)) {
+        return next();
+    }
+
+    res.status(403).json({ error: 'You do not have permission to do this' });
+};
+
+module.exports = { auth, optionalAuth, requireVerifiedEmail, requireRole, getUnverifiedAccountPolicy };
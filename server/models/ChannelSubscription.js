@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A user following a broadcast channel. Subscribers are kept out of the
+// channel's participants, which only hold the admins who post, so a channel
+// can have tens of thousands of them without its chat document growing.
+const channelSubscriptionSchema = new mongoose.Schema({
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: [true, 'Channel reference is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+    // Posts up to this time have been seen. Moving it forward counts a view
+    // on each post passed, and posts after it are unread.
+    lastViewedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+channelSubscriptionSchema.index({ channel: 1, user: 1 }, { unique: true });
+channelSubscriptionSchema.index({ user: 1 });
+
+// Static method to subscribe a user. Resolves to true if they weren't
+// subscribed already.
+channelSubscriptionSchema.statics.subscribe = async function(channelId, userId) {
+    const result = await this.updateOne(
+        { channel: channelId, user: userId },
+        { $setOnInsert: { lastViewedAt: new Date() } },
+        { upsert: true }
+    );
+    return result.upsertedCount > 0;
+};
+
+// Static method to unsubscribe a user. Resolves to true if they were subscribed.
+channelSubscriptionSchema.statics.unsubscribe = async function(channelId, userId) {
+    const result = await this.deleteOne({ channel: channelId, user: userId });
+    return result.deletedCount > 0;
+};
+
+// Static method to move a subscriber's view mark forward, atomically, so
+// each post is counted once per subscriber however many devices report it.
+// Resolves to the previous mark, or null if nothing moved.
+channelSubscriptionSchema.statics.advanceView = async function(channelId, userId, viewedAt) {
+    const previous = await this.findOneAndUpdate(
+        { channel: channelId, user: userId, lastViewedAt: { $lt: viewedAt } },
+        { $set: { lastViewedAt: viewedAt } }
+    );
+    return previous ? previous.lastViewedAt : null;
+};
+
+module.exports = mongoose.model('ChannelSubscription', channelSubscriptionSchema);
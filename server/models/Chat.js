@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// Group roles from least to most powerful. The owner is the chat's creator;
+// admins, moderators and read-only members are kept in their own lists and
+// everyone else is a plain member.
+const GROUP_ROLES = ['readonly', 'member', 'moderator', 'admin', 'owner'];
+const ROLE_RANK = Object.fromEntries(GROUP_ROLES.map((role, rank) => [role, rank]));
+
+// The least powerful role allowed to do each thing in a group. Read-only
+// members are never allowed to, whatever the setting.
+const permissionLevel = (level) => ({
+    type: String,
+    enum: ['member', 'moderator', 'admin', 'owner'],
+    default: level
+});
+
 const chatSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -8,9 +22,11 @@ const chatSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['private', 'group'],
+        enum: ['private', 'group', 'channel'],
         required: [true, 'Chat type is required']
     },
+    // For channels, only the admins who post. Subscribers are kept in
+    // ChannelSubscription.
     participants: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -20,6 +36,16 @@ const chatSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    moderators: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Members who can read the group but not post in it
+    readOnlyMembers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // The group's owner. Handed on when they leave.
     creator: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -46,18 +72,46 @@ const chatSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
+    // Channels only, kept in step with ChannelSubscription
+    subscriberCount: {
+        type: Number,
+        default: 0
+    },
     settings: {
-        allowInvites: {
-            type: Boolean,
-            default: true
+        permissions: {
+            sendMessages: permissionLevel('member'),
+            sendMedia: permissionLevel('member'),
+            addMembers: permissionLevel('member'),
+            removeMembers: permissionLevel('moderator'),
+            pinMessages: permissionLevel('admin'),
+            // Deleting other people's messages for everyone
+            deleteMessages: permissionLevel('moderator'),
+            startCalls: permissionLevel('member'),
+            changeSettings: permissionLevel('admin')
         },
-        onlyAdminsCanMessage: {
+        // Listed in the group directory, where anyone can find and join it
+        discoverable: {
             type: Boolean,
             default: false
         },
-        onlyAdminsCanEditInfo: {
+        // New members need an admin's approval, however they ask to join
+        joinApproval: {
             type: Boolean,
-            default: true
+            default: false
+        },
+        // Seconds after which new messages expire (0 is off), counted from
+        // when a message is sent or from when it is first read
+        disappearingMessages: {
+            timer: {
+                type: Number,
+                enum: [0, 3600, 86400, 604800],
+                default: 0
+            },
+            startOn: {
+                type: String,
+                enum: ['sent', 'read'],
+                default: 'sent'
+            }
         }
     },
     isArchived: {
@@ -74,6 +128,44 @@ const chatSchema = new mongoose.Schema({
     pinnedBy: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
+    }],
+    // Messages pinned inside the chat, oldest first
+    pinnedMessages: [{
+        _id: false,
+        message: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            required: true
+        },
+        pinnedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        pinnedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Requests to join from people outside the group, for admins to review
+    joinRequests: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted', 'rejected'],
+            default: 'pending'
+        },
+        invite: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'GroupInvite'
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
     }]
 }, {
     timestamps: true,
@@ -81,6 +173,8 @@ const chatSchema = new mongoose.Schema({
         virtuals: true,
         transform(doc, ret) {
             delete ret.__v;
+            // Admins list these through their own route
+            delete ret.joinRequests;
             return ret;
         }
     },
@@ -91,6 +185,8 @@ const chatSchema = new mongoose.Schema({
 chatSchema.index({ participants: 1 });
 chatSchema.index({ lastActivity: -1 });
 chatSchema.index({ type: 1 });
+chatSchema.index({ type: 1, 'settings.discoverable': 1, lastActivity: -1 });
+chatSchema.index({ type: 1, 'settings.discoverable': 1, subscriberCount: -1 });
 chatSchema.index({ 'participants': 1, 'lastActivity': -1 });
 
 // Virtual for participant count
@@ -109,9 +205,11 @@ chatSchema.pre('save', function(next) {
         if (this.participants.length !== 2) {
             next(new Error('Private chats must have exactly 2 participants'));
         } else {
-            // Private chats don't need names or admins
+            // Private chats don't need names or roles
             this.name = undefined;
             this.admins = [];
+            this.moderators = [];
+            this.readOnlyMembers = [];
         }
     } else if (this.type === 'group') {
         if (this.participants.length < 2) {
@@ -121,9 +219,20 @@ chatSchema.pre('save', function(next) {
             next(new Error('Group chats must have a name'));
         }
         // Ensure creator is in admins
-        if (this.creator && !this.admins.includes(this.creator)) {
+        if (this.creator && !this.admins.some(id => id.equals(this.creator))) {
             this.admins.push(this.creator);
         }
+    } else if (this.type === 'channel') {
+        if (this.participants.length < 1) {
+            return next(new Error('Channels must have at least one admin'));
+        }
+        if (!this.name) {
+            return next(new Error('Channels must have a name'));
+        }
+        // Everyone who posts in a channel is one of its admins
+        this.admins = [...this.participants];
+        this.moderators = [];
+        this.readOnlyMembers = [];
     }
     next();
 });
@@ -148,32 +257,89 @@ chatSchema.methods.addParticipant = function(userId) {
 chatSchema.methods.removeParticipant = function(userId) {
     this.participants = this.participants.filter(id => !id.equals(userId));
     this.admins = this.admins.filter(id => !id.equals(userId));
+    this.moderators = this.moderators.filter(id => !id.equals(userId));
+    this.readOnlyMembers = this.readOnlyMembers.filter(id => !id.equals(userId));
     this.pinnedBy = this.pinnedBy.filter(id => !id.equals(userId));
     this.mutedBy = this.mutedBy.filter(m => !m.user.equals(userId));
     return this.save();
 };
 
-// Method to add admin
-chatSchema.methods.addAdmin = function(userId) {
-    if (this.participants.includes(userId) && !this.admins.includes(userId)) {
-        this.admins.push(userId);
-    }
-    return this.save();
+// Method to check if user is admin
+chatSchema.methods.isAdmin = function(userId) {
+    return this.admins.some(id => id.equals(userId));
+};
+
+// Method to get a participant's group role, or null if they aren't one.
+// Both people in a private chat are members; a channel's participants are
+// all admins, and its subscribers have no role.
+chatSchema.methods.getRole = function(userId) {
+    if (!this.isParticipant(userId)) return null;
+    if (this.type === 'private') return 'member';
+    if (this.creator && this.creator.equals(userId)) return 'owner';
+    if (this.isAdmin(userId)) return 'admin';
+    if (this.moderators.some(id => id.equals(userId))) return 'moderator';
+    if (this.readOnlyMembers.some(id => id.equals(userId))) return 'readonly';
+    return 'member';
 };
 
-// Method to remove admin
-chatSchema.methods.removeAdmin = function(userId) {
-    // Can't remove the creator
+// Method to check a user against the group's permission matrix. Outside
+// groups, participants can do anything: both people in a private chat, and
+// a channel's admins.
+chatSchema.methods.can = function(userId, permission) {
+    const role = this.getRole(userId);
+    if (!role) return false;
+    if (this.type !== 'group') return true;
+    if (role === 'readonly') return false;
+    return ROLE_RANK[role] >= ROLE_RANK[this.settings.permissions[permission]];
+};
+
+// Method to check if one user's role is above another's. Anyone outranks
+// someone who has left.
+chatSchema.methods.outranks = function(userId, otherUserId) {
+    const role = this.getRole(userId);
+    if (!role) return false;
+    const otherRole = this.getRole(otherUserId);
+    return !otherRole || ROLE_RANK[role] > ROLE_RANK[otherRole];
+};
+
+// Method to give a participant a role below owner
+chatSchema.methods.setRole = function(userId, role) {
     if (this.creator && this.creator.equals(userId)) {
-        throw new Error('Cannot remove creator as admin');
+        throw new Error('Transfer ownership to change the owner\'s role');
     }
+
     this.admins = this.admins.filter(id => !id.equals(userId));
+    this.moderators = this.moderators.filter(id => !id.equals(userId));
+    this.readOnlyMembers = this.readOnlyMembers.filter(id => !id.equals(userId));
+
+    if (role === 'admin') this.admins.push(userId);
+    if (role === 'moderator') this.moderators.push(userId);
+    if (role === 'readonly') this.readOnlyMembers.push(userId);
     return this.save();
 };
 
-// Method to check if user is admin
-chatSchema.methods.isAdmin = function(userId) {
-    return this.admins.some(id => id.equals(userId));
+// Method to make another participant the owner. The previous owner stays
+// on as an admin.
+chatSchema.methods.transferOwnership = function(userId) {
+    this.moderators = this.moderators.filter(id => !id.equals(userId));
+    this.readOnlyMembers = this.readOnlyMembers.filter(id => !id.equals(userId));
+    if (!this.isAdmin(userId)) {
+        this.admins.push(userId);
+    }
+    this.creator = userId;
+    return this.save();
+};
+
+// Method to pick who should own the group when the owner leaves: the
+// longest-standing admin, then moderator, then member. Read-only members
+// are only picked if nobody else is left.
+chatSchema.methods.findSuccessor = function() {
+    const others = this.participants.filter(id => !this.creator || !id.equals(this.creator));
+    for (const role of ['admin', 'moderator', 'member', 'readonly']) {
+        const successor = others.find(id => this.getRole(id) === role);
+        if (successor) return successor;
+    }
+    return null;
 };
 
 // Method to check if user is participant
@@ -181,6 +347,53 @@ chatSchema.methods.isParticipant = function(userId) {
     return this.participants.some(id => id.equals(userId));
 };
 
+// Method to check if user can read the chat: its participants, and for
+// channels its subscribers too
+chatSchema.methods.canView = async function(userId) {
+    if (this.isParticipant(userId)) return true;
+    if (this.type !== 'channel') return false;
+    return Boolean(await mongoose.model('ChannelSubscription').exists({ channel: this._id, user: userId }));
+};
+
+// Method to find a user's pending join request
+chatSchema.methods.findPendingJoinRequest = function(userId) {
+    return this.joinRequests.find(request =>
+        request.user.equals(userId) && request.status === 'pending'
+    );
+};
+
+// Method to ask to join. Asking again while a request is pending keeps the
+// original one.
+chatSchema.methods.addJoinRequest = function(userId, inviteId) {
+    if (!this.findPendingJoinRequest(userId)) {
+        this.joinRequests.push({ user: userId, invite: inviteId });
+    }
+    return this.save();
+};
+
+// Method to accept or reject pending join requests in one go. Accepted
+// users are added to the group. Resolves to the ids of the users whose
+// requests were pending; others are skipped.
+chatSchema.methods.reviewJoinRequests = async function(userIds, status) {
+    const reviewed = [];
+
+    for (const userId of userIds) {
+        const request = this.findPendingJoinRequest(userId);
+        if (!request) continue;
+
+        request.status = status;
+        if (status === 'accepted' && !this.isParticipant(request.user)) {
+            this.participants.push(request.user);
+        }
+        reviewed.push(request.user);
+    }
+
+    if (reviewed.length > 0) {
+        await this.save();
+    }
+    return reviewed;
+};
+
 // Method to mute chat for user
 chatSchema.methods.muteForUser = function(userId, duration = null) {
     const existingMute = this.mutedBy.find(m => m.user.equals(userId));
@@ -236,4 +449,44 @@ chatSchema.statics.findOrCreatePrivateChat = async function(user1Id, user2Id) {
     return chat;
 };
 
+chatSchema.statics.GROUP_ROLES = GROUP_ROLES;
+chatSchema.statics.ROLE_RANK = ROLE_RANK;
+chatSchema.statics.PERMISSIONS = Object.keys(chatSchema.obj.settings.permissions);
+
+// Maximum number of pinned messages per chat
+chatSchema.statics.MAX_PINNED_MESSAGES = 5;
+
+// Static method to pin a message. The limit and duplicate checks are part of
+// the update, so concurrent pins can't exceed the limit. Resolves to the
+// updated chat, or null if the message is already pinned or the limit is hit.
+chatSchema.statics.pinMessage = function(chatId, messageId, userId) {
+    return this.findOneAndUpdate(
+        {
+            _id: chatId,
+            'pinnedMessages.message': { $ne: messageId },
+            [`pinnedMessages.${this.MAX_PINNED_MESSAGES - 1}`]: { $exists: false }
+        },
+        {
+            $push: {
+                pinnedMessages: {
+                    message: messageId,
+                    pinnedBy: userId,
+                    pinnedAt: new Date()
+                }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Static method to unpin messages. Resolves to the updated chat, or null if
+// none of the messages were pinned.
+chatSchema.statics.unpinMessages = function(chatId, messageIds) {
+    return this.findOneAndUpdate(
+        { _id: chatId, 'pinnedMessages.message': { $in: messageIds } },
+        { $pull: { pinnedMessages: { message: { $in: messageIds } } } },
+        { new: true }
+    );
+};
+
 module.exports = mongoose.model('Chat', chatSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['web', 'ios', 'android', 'unknown'];
+
+const ID_PATTERN = /^[\w-]{8,64}$/;
+
+// Devices not seen for this long drop out of the registry
+const DEVICE_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// A browser or app install a user connects from. The id is made up by the
+// client and kept across sign-ins, so one device stays one entry while its
+// sessions come and go.
+const deviceSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required']
+    },
+    deviceId: {
+        type: String,
+        required: [true, 'Device ID is required'],
+        maxlength: [64, 'Device ID cannot exceed 64 characters']
+    },
+    platform: {
+        type: String,
+        enum: PLATFORMS,
+        default: 'unknown'
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: String,
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+deviceSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ lastActiveAt: 1 }, { expireAfterSeconds: DEVICE_RETENTION_SECONDS });
+
+// Static method to record a device connecting, adding it if it's new
+deviceSchema.statics.register = function(userId, { deviceId, platform, name, userAgent }) {
+    return this.findOneAndUpdate(
+        { user: userId, deviceId },
+        {
+            $set: {
+                platform,
+                lastActiveAt: new Date(),
+                ...(name && { name }),
+                ...(userAgent && { userAgent })
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+// Static method to note a device was just in use
+deviceSchema.statics.touch = function(userId, deviceId) {
+    return this.updateOne({ user: userId, deviceId }, { $set: { lastActiveAt: new Date() } });
+};
+
+// Static method to get the id of the device a socket or request comes
+// from, as the client claims it. Clients that don't say count as one
+// device per session.
+deviceSchema.statics.resolveId = function(claimedId, sessionId) {
+    return typeof claimedId === 'string' && ID_PATTERN.test(claimedId)
+        ? claimedId
+        : `session-${sessionId}`;
+};
+
+deviceSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Shareable link into a group. Links can expire, run out after a number
+// of uses, or send joiners to the admins for approval.
+const groupInviteSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: [true, 'Chat reference is required'],
+        index: true
+    },
+    code: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // No expiry or limit when unset
+    expiresAt: Date,
+    maxUses: {
+        type: Number,
+        min: [1, 'Maximum uses must be at least 1']
+    },
+    uses: {
+        type: Number,
+        default: 0
+    },
+    requiresApproval: {
+        type: Boolean,
+        default: false
+    },
+    revokedAt: Date
+}, {
+    timestamps: true,
+    toJSON: {
+        transform(doc, ret) {
+            delete ret.__v;
+            return ret;
+        }
+    }
+});
+
+// Method to check if the link can still be used to join
+groupInviteSchema.methods.isUsable = function() {
+    if (this.revokedAt) return false;
+    if (this.expiresAt && this.expiresAt <= new Date()) return false;
+    if (this.maxUses && this.uses >= this.maxUses) return false;
+    return true;
+};
+
+// Take one use of a link, atomically, so a link with one use left can't
+// let two people in at once. Resolves to the invite, or null when it's
+// revoked, expired or used up.
+groupInviteSchema.statics.consumeUse = function(inviteId) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            _id: inviteId,
+            revokedAt: null,
+            $and: [
+                { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+                { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+            ]
+        },
+        { $inc: { uses: 1 } },
+        { new: true }
+    );
+};
+
+module.exports = mongoose.model('GroupInvite', groupInviteSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in attempts for one account or one IP address. Accounts are
+// tracked by email, so addresses without an account behave the same as
+// real ones.
+const loginThrottleSchema = new mongoose.Schema({
+    // "account:<email>" or "ip:<address>"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    // How many times this key has been locked out, for growing lockouts
+    lockouts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedAt: Date,
+    // No attempts are accepted before this time
+    blockedUntil: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Forgotten once there have been no failures for a while
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
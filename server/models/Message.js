@@ -16,6 +16,62 @@ const reactionSchema = new mongoose.Schema({
     }
 }, { _id: false });
 
+const pollOptionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: [true, 'Option text is required'],
+        maxlength: [100, 'Option cannot exceed 100 characters'],
+        trim: true
+    },
+    votes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+});
+
+const pollSchema = new mongoose.Schema({
+    question: {
+        type: String,
+        required: [true, 'Poll question is required'],
+        maxlength: [300, 'Question cannot exceed 300 characters'],
+        trim: true
+    },
+    options: [pollOptionSchema],
+    multipleChoice: {
+        type: Boolean,
+        default: false
+    },
+    // Anonymous polls never expose who voted for what
+    anonymous: {
+        type: Boolean,
+        default: false
+    },
+    closesAt: Date,
+    closedAt: Date
+}, { _id: false });
+
+// Public view of a poll: vote counts, plus voters unless anonymous
+const projectPoll = (poll) => {
+    const voters = new Set();
+    poll.options.forEach(option => option.votes.forEach(id => voters.add(id.toString())));
+
+    return {
+        question: poll.question,
+        multipleChoice: poll.multipleChoice,
+        anonymous: poll.anonymous,
+        closesAt: poll.closesAt,
+        closedAt: poll.closedAt,
+        closed: !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= new Date()),
+        totalVoters: voters.size,
+        options: poll.options.map(option => ({
+            _id: option._id,
+            text: option.text,
+            voteCount: option.votes.length,
+            ...(poll.anonymous ? {} : { voters: option.votes })
+        }))
+    };
+};
+
 const messageSchema = new mongoose.Schema({
     chat: {
         type: mongoose.Schema.Types.ObjectId,
@@ -37,9 +93,15 @@ const messageSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['text', 'image', 'video', 'audio', 'file', 'system'],
+        enum: ['text', 'image', 'video', 'audio', 'file', 'system', 'poll'],
         default: 'text'
     },
+    // Made up by the sending client for each message it sends, and sent again
+    // with any retry, so a send repeated after a dropped connection is stored once
+    clientId: {
+        type: String,
+        maxlength: [64, 'Client ID cannot exceed 64 characters']
+    },
     file: {
         url: String,
         publicId: String,
@@ -52,6 +114,46 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Message'
     },
+    // Root message of the thread this message was posted in
+    threadRoot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    // Thread summary, only populated on root messages
+    thread: {
+        replyCount: {
+            type: Number,
+            default: 0
+        },
+        lastReplyAt: Date,
+        followers: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    },
+    // Participants mentioned by @username or @all, resolved when sent
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Forwarded copies point at the message they were copied from and count
+    // how many times the content has been forwarded along the way
+    forwarded: {
+        type: Boolean,
+        default: false
+    },
+    forwardedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    forwardCount: Number,
+    // Channel posts only: how many subscribers have seen it
+    viewCount: Number,
+    // Only set on poll messages; content holds the question
+    poll: {
+        type: pollSchema,
+        default: undefined
+    },
     reactions: [reactionSchema],
     readBy: [{
         user: {
@@ -63,11 +165,14 @@ const messageSchema = new mongoose.Schema({
             default: Date.now
         }
     }],
+    // One entry per device the message reached, so a user on a phone and a
+    // laptop has two
     deliveredTo: [{
         user: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        device: String,
         deliveredAt: {
             type: Date,
             default: Date.now
@@ -78,6 +183,16 @@ const messageSchema = new mongoose.Schema({
         default: false
     },
     editedAt: Date,
+    // Earlier revisions of the content, oldest first. Each entry records when
+    // that revision was written. Not selected by default, use '+editHistory'.
+    editHistory: {
+        type: [{
+            _id: false,
+            content: String,
+            createdAt: Date
+        }],
+        select: false
+    },
     deleted: {
         type: Boolean,
         default: false
@@ -87,6 +202,11 @@ const messageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Disappearing messages: lifetime in seconds, copied from the chat's
+    // timer when sent, and the time the sweeper removes the message. For
+    // timers that start on read, expiresAt is set on the first read.
+    expiresIn: Number,
+    expiresAt: Date,
     metadata: {
         linkPreview: {
             url: String,
@@ -111,6 +231,9 @@ const messageSchema = new mongoose.Schema({
         virtuals: true,
         transform(doc, ret) {
             delete ret.__v;
+            if (ret.poll) {
+                ret.poll = projectPoll(ret.poll);
+            }
             return ret;
         }
     },
@@ -118,9 +241,22 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Compound indexes for efficient queries
-messageSchema.index({ chat: 1, createdAt: -1 });
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
 messageSchema.index({ chat: 1, deleted: 1, createdAt: -1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1 });
+messageSchema.index({ chat: 1, mentions: 1 });
+messageSchema.index(
+    { sender: 1, clientId: 1 },
+    { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+messageSchema.index({ chat: 1, updatedAt: 1, _id: 1 });
+messageSchema.index({ 'file.publicId': 1 }, { sparse: true });
+messageSchema.index(
+    { content: 'text', 'file.filename': 'text' },
+    { name: 'message_text_search', weights: { content: 10, 'file.filename': 3 } }
+);
 
 // Virtual for read status
 messageSchema.virtual('isRead').get(function() {
@@ -151,30 +287,55 @@ messageSchema.methods.markAsReadBy = function(userId) {
             user: userId,
             readAt: new Date()
         });
+
+        // Start the disappearing timer on first read
+        if (this.expiresIn && !this.expiresAt) {
+            this.expiresAt = new Date(Date.now() + this.expiresIn * 1000);
+        }
     }
     
     return this.save();
 };
 
-// Method to mark as delivered to user
-messageSchema.methods.markAsDeliveredTo = function(userId) {
+// Method to mark as delivered to some of a user's devices
+messageSchema.methods.markAsDeliveredTo = function(userId, deviceIds = []) {
     // Don't mark own messages as delivered
     if (this.sender.equals(userId)) {
         return this;
     }
-    
-    const alreadyDelivered = this.deliveredTo.find(d => d.user.equals(userId));
-    
-    if (!alreadyDelivered) {
+
+    const newDeviceIds = deviceIds.filter(deviceId =>
+        !this.deliveredTo.some(d => d.user.equals(userId) && d.device === deviceId)
+    );
+    if (newDeviceIds.length === 0) {
+        return this;
+    }
+
+    newDeviceIds.forEach(deviceId => {
         this.deliveredTo.push({
             user: userId,
+            device: deviceId,
             deliveredAt: new Date()
         });
-    }
+    });
     
     return this.save();
 };
 
+// Static method to mark messages as delivered to one of a user's devices,
+// e.g. when it fetches or syncs them. Doesn't count as a change to sync.
+messageSchema.statics.markDeliveredToDevice = function(messageIds, userId, deviceId) {
+    return this.updateMany(
+        {
+            _id: { $in: messageIds },
+            sender: { $ne: userId },
+            deliveredTo: { $not: { $elemMatch: { user: userId, device: deviceId } } }
+        },
+        { $push: { deliveredTo: { user: userId, device: deviceId, deliveredAt: new Date() } } },
+        { timestamps: false }
+    );
+};
+
 // Method to add reaction
 messageSchema.methods.addReaction = function(userId, emoji) {
     const existingReaction = this.reactions.find(r => r.user.equals(userId));
@@ -201,8 +362,10 @@ messageSchema.methods.removeReaction = function(userId) {
     return this.save();
 };
 
-// Method to edit message content
-messageSchema.methods.editContent = function(newContent, userId) {
+// Method to edit message content. The replaced content is appended to the
+// edit history in the same update, conditioned on the content being unchanged,
+// so concurrent edits can't drop a revision.
+messageSchema.methods.editContent = async function(newContent, userId) {
     // Only sender can edit
     if (!this.sender.equals(userId)) {
         throw new Error('Only sender can edit message');
@@ -217,29 +380,138 @@ messageSchema.methods.editContent = function(newContent, userId) {
     if (this.type === 'system') {
         throw new Error('Cannot edit system message');
     }
-    
+
+    // Polls can't change once people may have voted
+    if (this.type === 'poll') {
+        throw new Error('Cannot edit poll');
+    }
+
+    // Nothing to record if the content is the same
+    if (newContent === this.content) {
+        return this;
+    }
+
+    const editedAt = new Date();
+    const result = await this.constructor.updateOne(
+        { _id: this._id, content: this.content, deleted: false },
+        {
+            $set: { content: newContent, edited: true, editedAt },
+            $push: {
+                editHistory: {
+                    content: this.content,
+                    createdAt: this.editedAt || this.createdAt
+                }
+            }
+        },
+        { runValidators: true }
+    );
+
+    if (result.matchedCount === 0) {
+        throw new Error('Message was changed, reload and try again');
+    }
+
     this.content = newContent;
     this.edited = true;
-    this.editedAt = new Date();
-    
-    return this.save();
+    this.editedAt = editedAt;
+
+    return this;
 };
 
-// Method to delete message
-messageSchema.methods.deleteMessage = function(userId, deleteForEveryone = false) {
+// Method to get every revision of the content, oldest first, ending with
+// the current one. Requires editHistory to be selected.
+messageSchema.methods.getRevisions = function() {
+    return [
+        ...(this.editHistory || []).map(revision => ({
+            content: revision.content,
+            createdAt: revision.createdAt
+        })),
+        {
+            content: this.content,
+            createdAt: this.editedAt || this.createdAt,
+            current: true
+        }
+    ];
+};
+
+// Method to get the poll options a user voted for
+messageSchema.methods.getPollVotes = function(userId) {
+    if (!this.poll) return [];
+    return this.poll.options
+        .filter(option => option.votes.some(id => id.equals(userId)))
+        .map(option => option._id);
+};
+
+// Method to check if a poll still accepts votes
+messageSchema.methods.isPollOpen = function() {
+    return !!this.poll && !this.deleted && !this.poll.closedAt &&
+        (!this.poll.closesAt || this.poll.closesAt > new Date());
+};
+
+// Static method to replace a user's votes on an open poll in one atomic
+// update. An empty optionIds retracts the user's votes. Resolves to the
+// updated message, or null if the poll was closed in the meantime.
+messageSchema.statics.setPollVotes = function(messageId, userId, optionIds) {
+    const voter = new mongoose.Types.ObjectId(userId);
+    const chosen = optionIds.map(id => new mongoose.Types.ObjectId(id));
+    const withoutVoter = { $setDifference: ['$$option.votes', [voter]] };
+
+    return this.findOneAndUpdate(
+        {
+            _id: messageId,
+            type: 'poll',
+            deleted: false,
+            'poll.closedAt': null,
+            $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: new Date() } }]
+        },
+        [{
+            $set: {
+                'poll.options': {
+                    $map: {
+                        input: '$poll.options',
+                        as: 'option',
+                        in: {
+                            $mergeObjects: ['$$option', {
+                                votes: {
+                                    $cond: [
+                                        { $in: ['$$option._id', chosen] },
+                                        { $concatArrays: [withoutVoter, [voter]] },
+                                        withoutVoter
+                                    ]
+                                }
+                            }]
+                        }
+                    }
+                }
+            }
+        }],
+        { new: true }
+    );
+};
+
+// Method to delete message for everyone, without checking who asked
+// (e.g. a moderator). Also unpins it.
+messageSchema.methods.deleteForEveryone = async function() {
+    this.deleted = true;
+    this.deletedAt = new Date();
+    this.content = 'This message was deleted';
+    await this.save();
+    await mongoose.model('Chat').unpinMessages(this.chat, [this._id]);
+    return this;
+};
+
+// Method to delete message. Deleting for everyone also unpins it.
+messageSchema.methods.deleteMessage = async function(userId, deleteForEveryone = false) {
     if (deleteForEveryone) {
         // Only sender can delete for everyone
         if (!this.sender.equals(userId)) {
             throw new Error('Only sender can delete message for everyone');
         }
-        this.deleted = true;
-        this.deletedAt = new Date();
-        this.content = 'This message was deleted';
-    } else {
-        // Delete for specific user
-        if (!this.deletedFor.includes(userId)) {
-            this.deletedFor.push(userId);
-        }
+        return this.deleteForEveryone();
+    }
+
+    // Delete for specific user
+    if (!this.deletedFor.includes(userId)) {
+        this.deletedFor.push(userId);
     }
     
     return this.save();
@@ -250,21 +522,327 @@ messageSchema.methods.isDeletedForUser = function(userId) {
     return this.deleted || this.deletedFor.some(id => id.equals(userId));
 };
 
-// Static method to get unread count for user in chat
+// Static method to get one page of a chat's timeline for a user.
+// Pages are keyed by message cursors: `before` and `after` load older and newer
+// messages than the cursor, `around` centres the page on the cursor message.
+// Ties on createdAt are broken by _id so pages never overlap or skip messages.
+// Resolves to null when the cursor message is not in the chat.
+messageSchema.statics.getTimelinePage = async function(chatId, userId, { before, after, around, limit = 50 } = {}) {
+    const visibleQuery = {
+        chat: chatId,
+        threadRoot: null,
+        deleted: false,
+        deletedFor: { $ne: userId }
+    };
+
+    const olderThan = (cursor) => ({
+        $or: [
+            { createdAt: { $lt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+        ]
+    });
+
+    const newerThan = (cursor) => ({
+        $or: [
+            { createdAt: { $gt: cursor.createdAt } },
+            { createdAt: cursor.createdAt, _id: { $gt: cursor._id } }
+        ]
+    });
+
+    // Fetch one extra message to know whether more exist in that direction
+    const fetchPage = async (condition, direction, count) => {
+        const results = await this.find({ $and: [visibleQuery, condition] })
+            .populate('sender', 'username avatar')
+            .populate('replyTo', 'content sender type')
+            .sort({ createdAt: direction, _id: direction })
+            .limit(count + 1);
+
+        const hasMore = results.length > count;
+        return { messages: hasMore ? results.slice(0, count) : results, hasMore };
+    };
+
+    const hasAny = async (condition) => {
+        return !!(await this.exists({ $and: [visibleQuery, condition] }));
+    };
+
+    const cursorId = before || after || around;
+    let cursor = null;
+
+    if (cursorId) {
+        cursor = await this.findOne({ _id: cursorId, chat: chatId }).select('createdAt');
+        if (!cursor) {
+            return null;
+        }
+    }
+
+    if (around) {
+        const olderCount = Math.floor(limit / 2);
+        const newerCount = Math.max(limit - olderCount - 1, 0);
+
+        const [older, newer, anchor] = await Promise.all([
+            fetchPage(olderThan(cursor), -1, olderCount),
+            fetchPage(newerThan(cursor), 1, newerCount),
+            this.findOne({ $and: [visibleQuery, { _id: cursor._id }] })
+                .populate('sender', 'username avatar')
+                .populate('replyTo', 'content sender type')
+        ]);
+
+        return {
+            messages: [...older.messages.reverse(), ...(anchor ? [anchor] : []), ...newer.messages],
+            hasMoreBefore: older.hasMore,
+            hasMoreAfter: newer.hasMore
+        };
+    }
+
+    if (after) {
+        const newer = await fetchPage(newerThan(cursor), 1, limit);
+        return {
+            messages: newer.messages,
+            hasMoreBefore: await hasAny({ $nor: [newerThan(cursor)] }),
+            hasMoreAfter: newer.hasMore
+        };
+    }
+
+    const older = await fetchPage(cursor ? olderThan(cursor) : {}, -1, limit);
+    return {
+        messages: older.messages.reverse(),
+        hasMoreBefore: older.hasMore,
+        hasMoreAfter: cursor ? await hasAny({ $nor: [olderThan(cursor)] }) : false
+    };
+};
+
+// Static method to get a chat's messages that changed after a point, in the
+// order they last changed. Every change to a message (sent, edited, deleted,
+// reacted to, read) moves its updatedAt, so `after` is the updatedAt and _id
+// of the last change already seen, or null to start from the beginning.
+// Thread replies are included; deleted messages are too, so callers can tell
+// who no longer sees them.
+messageSchema.statics.getChangesSince = async function(chatId, after, limit = 200) {
+    const condition = after ? {
+        $or: [
+            { updatedAt: { $gt: after.updatedAt } },
+            { updatedAt: after.updatedAt, _id: { $gt: after._id } }
+        ]
+    } : {};
+
+    const results = await this.find({ chat: chatId, ...condition })
+        .populate('sender', 'username avatar')
+        .populate('replyTo', 'content sender type')
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(limit + 1);
+
+    const hasMore = results.length > limit;
+    return { messages: hasMore ? results.slice(0, limit) : results, hasMore };
+};
+
+// Static method to get the last change in a chat, to sync from later
+messageSchema.statics.getLatestChange = function(chatId) {
+    return this.findOne({ chat: chatId })
+        .sort({ updatedAt: -1, _id: -1 })
+        .select('updatedAt');
+};
+
+// Static method to run a ranked search over messages matching `match`.
+// With search text, hits are ordered by text score; without it (filter-only
+// searches such as has:file) by recency. `after` is the sort key of the last
+// hit of the previous page.
+messageSchema.statics.searchPage = async function(match, { text, after, limit = 20 } = {}) {
+    const pipeline = [
+        { $match: text ? { $text: { $search: text }, ...match } : match },
+        { $addFields: { score: text ? { $meta: 'textScore' } : 0 } }
+    ];
+
+    if (after) {
+        const afterId = new mongoose.Types.ObjectId(after._id);
+        pipeline.push({
+            $match: {
+                $or: [
+                    { score: { $lt: after.score } },
+                    { score: after.score, createdAt: { $lt: after.createdAt } },
+                    { score: after.score, createdAt: after.createdAt, _id: { $lt: afterId } }
+                ]
+            }
+        });
+    }
+
+    pipeline.push(
+        { $sort: { score: -1, createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 }
+    );
+
+    const results = await this.aggregate(pipeline);
+    const hasMore = results.length > limit;
+
+    return { results: hasMore ? results.slice(0, limit) : results, hasMore };
+};
+
+// Static method to get unread count for user in chat (thread replies excluded)
 messageSchema.statics.getUnreadCount = async function(chatId, userId) {
     return await this.countDocuments({
         chat: chatId,
+        threadRoot: null,
         sender: { $ne: userId },
         'readBy.user': { $ne: userId },
         deleted: false
     });
 };
 
+// Static method to count unread messages that mention the user (thread replies excluded)
+messageSchema.statics.getUnreadMentionCount = async function(chatId, userId) {
+    return await this.countDocuments({
+        chat: chatId,
+        threadRoot: null,
+        mentions: userId,
+        'readBy.user': { $ne: userId },
+        deleted: false
+    });
+};
+
+// Static method to count channel posts a subscriber hasn't seen. Channels
+// track this with one mark per subscriber instead of readBy.
+messageSchema.statics.getUnseenPostCount = async function(chatId, lastViewedAt) {
+    return await this.countDocuments({
+        chat: chatId,
+        createdAt: { $gt: lastViewedAt },
+        type: { $ne: 'system' },
+        deleted: false
+    });
+};
+
+// Static method to count one more view on each channel post between two
+// of a subscriber's view marks
+messageSchema.statics.recordViews = function(chatId, from, to) {
+    return this.updateMany(
+        {
+            chat: chatId,
+            createdAt: { $gt: from, $lte: to },
+            type: { $ne: 'system' },
+            deleted: false
+        },
+        { $inc: { viewCount: 1 } }
+    );
+};
+
+// Static method to find the messages with the given ids that belong to a
+// chat, so ids from other chats can't be acted on through it
+messageSchema.statics.findInChat = function(chatId, messageIds) {
+    const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    return this.find({ _id: { $in: validIds }, chat: chatId });
+};
+
 // Static method to mark all messages as read in a chat
 messageSchema.statics.markAllAsRead = async function(chatId, userId) {
-    return await this.updateMany(
+    const result = await this.updateMany(
         {
             chat: chatId,
+            threadRoot: null,
+            sender: { $ne: userId },
+            'readBy.user': { $ne: userId },
+            deleted: false
+        },
+        {
+            $push: {
+                readBy: {
+                    user: userId,
+                    readAt: new Date()
+                }
+            }
+        }
+    );
+
+    await this.startReadExpiry({ chat: chatId, threadRoot: null }, userId);
+
+    return result;
+};
+
+// Static method to start the disappearing timer on messages matching
+// filter that userId has just read and whose timer starts on read
+messageSchema.statics.startReadExpiry = function(filter, userId) {
+    return this.updateMany(
+        {
+            ...filter,
+            sender: { $ne: userId },
+            'readBy.user': userId,
+            expiresIn: { $gt: 0 },
+            expiresAt: null
+        },
+        [{
+            $set: {
+                expiresAt: { $add: ['$$NOW', { $multiply: ['$expiresIn', 1000] }] }
+            }
+        }]
+    );
+};
+
+// Static method to resolve the root of the thread a reply should go to
+messageSchema.statics.findThreadRoot = async function(messageId, chatId) {
+    let root = await this.findById(messageId);
+
+    // Replying to a reply continues the same thread
+    if (root && root.threadRoot) {
+        root = await this.findById(root.threadRoot);
+    }
+
+    if (!root || !root.chat.equals(chatId) || root.deleted || root.type === 'system') {
+        return null;
+    }
+
+    return root;
+};
+
+// Static method to update a thread root after a reply is posted
+messageSchema.statics.registerThreadReply = async function(root, reply) {
+    return await this.findByIdAndUpdate(
+        root._id,
+        {
+            $inc: { 'thread.replyCount': 1 },
+            $set: { 'thread.lastReplyAt': reply.createdAt },
+            $addToSet: {
+                'thread.followers': { $each: [root.sender, reply.sender] }
+            }
+        },
+        { new: true }
+    );
+};
+
+// Static method to get unread reply count for user in a thread
+messageSchema.statics.getThreadUnreadCount = async function(rootId, userId) {
+    return await this.countDocuments({
+        threadRoot: rootId,
+        sender: { $ne: userId },
+        'readBy.user': { $ne: userId },
+        deleted: false
+    });
+};
+
+// Static method to get unread reply counts for several threads at once
+messageSchema.statics.getThreadUnreadCounts = async function(rootIds, userId) {
+    if (rootIds.length === 0) return {};
+
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const results = await this.aggregate([
+        {
+            $match: {
+                threadRoot: { $in: rootIds },
+                sender: { $ne: userObjectId },
+                'readBy.user': { $ne: userObjectId },
+                deleted: false
+            }
+        },
+        { $group: { _id: '$threadRoot', count: { $sum: 1 } } }
+    ]);
+
+    return results.reduce((counts, { _id, count }) => {
+        counts[_id.toString()] = count;
+        return counts;
+    }, {});
+};
+
+// Static method to mark all replies in a thread as read
+messageSchema.statics.markThreadAsRead = async function(rootId, userId) {
+    const result = await this.updateMany(
+        {
+            threadRoot: rootId,
             sender: { $ne: userId },
             'readBy.user': { $ne: userId },
             deleted: false
@@ -278,6 +856,10 @@ messageSchema.statics.markAllAsRead = async function(chatId, userId) {
             }
         }
     );
+
+    await this.startReadExpiry({ threadRoot: rootId }, userId);
+
+    return result;
 };
 
 module.exports = mongoose.model('Message', messageSchema);
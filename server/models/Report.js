@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A user's report of a message, another user or a group, reviewed by
+// moderators
+const reportSchema = new mongoose.Schema({
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Reporter is required']
+    },
+    targetType: {
+        type: String,
+        enum: ['message', 'user', 'group'],
+        required: [true, 'Report target type is required']
+    },
+    // The reported message, user or group, depending on targetType
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    reportedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat'
+    },
+    reason: {
+        type: String,
+        enum: ['spam', 'harassment', 'hate', 'violence', 'sexual', 'impersonation', 'other'],
+        required: [true, 'Reason is required']
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Details cannot exceed 1000 characters']
+    },
+    // Copy of the reported content and what surrounded it when the report
+    // was made, so edits, deletions and disappearing timers don't erase it
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['open', 'actioned', 'dismissed'],
+        default: 'open'
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date,
+    // What the moderator did when actioning the report
+    action: {
+        type: String,
+        enum: ['delete_message', 'suspend_user', 'remove_group', 'none']
+    },
+    resolutionNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// Moderation queue, oldest open reports first
+reportSchema.index({ status: 1, createdAt: 1 });
+// Finding a reporter's open report on the same target
+reportSchema.index({ reporter: 1, status: 1 });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const scheduledMessageSchema = new mongoose.Schema({
+    chat: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: [true, 'Chat reference is required'],
+        index: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Sender reference is required'],
+        index: true
+    },
+    content: {
+        type: String,
+        required: [true, 'Message content is required'],
+        maxlength: [5000, 'Message cannot exceed 5000 characters'],
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['text', 'image', 'video', 'audio', 'file'],
+        default: 'text'
+    },
+    file: {
+        url: String,
+        publicId: String,
+        filename: String,
+        size: Number,
+        mimeType: String,
+        thumbnail: String
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    replyTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    threadRoot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    scheduledFor: {
+        type: Date,
+        required: [true, 'Scheduled time is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    // Id the message will be created with, so a retried dispatch can never
+    // produce a second copy
+    messageId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: () => new mongoose.Types.ObjectId()
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: String,
+    // After a failed attempt, the next one waits until this time
+    nextAttemptAt: Date,
+    lockedAt: Date,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better performance
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ sender: 1, chat: 1, scheduledFor: 1 });
+
+// Static method to claim the next due message for dispatch, skipping any
+// still waiting to retry. The status switch is atomic, so concurrent
+// dispatchers never claim the same message.
+scheduledMessageSchema.statics.claimDue = function(now = new Date()) {
+    return this.findOneAndUpdate(
+        {
+            status: 'pending',
+            scheduledFor: { $lte: now },
+            $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+        },
+        { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { scheduledFor: 1 } }
+    );
+};
+
+// Static method to release messages left in processing by a crashed dispatcher
+scheduledMessageSchema.statics.releaseStale = function(staleBefore) {
+    return this.updateMany(
+        { status: 'processing', lockedAt: { $lt: staleBefore } },
+        { $set: { status: 'pending' }, $unset: { lockedAt: 1 } }
+    );
+};
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
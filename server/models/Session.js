@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token for a session rotates on every
+// use; only hashes of it are stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User reference is required'],
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // The hash the last rotation replaced, so a late duplicate refresh can be
+    // told apart from a stolen token being replayed
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+    rotatedAt: Date,
+    deviceName: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check if session can still be used
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to check a session by id without loading it
+sessionSchema.statics.isActiveById = async function(sessionId) {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+    return !!(await this.exists({
+        _id: sessionId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }));
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
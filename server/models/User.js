@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { httpError } = require('../utils/httpError');
+
+// Checked against when no account has the email, so a missing account
+// takes as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = '$2a$12$P/Kn0RVGWB.NpW2U2MlSLerOOhgTNFjszvQKE6rZ50wiL2GjnsWme';
 
 // Generate unique 8-digit Friend ID - MOVE THIS TO TOP
 async function generateUniqueFriendId() {
@@ -82,10 +87,6 @@ const userSchema = new mongoose.Schema({
         type: Date,
         default: Date.now
     },
-    socketId: {
-        type: String,
-        default: ''
-    },
     contacts: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
@@ -170,9 +171,76 @@ const userSchema = new mongoose.Schema({
             default: 'auto'
         }
     },
+    // Site-wide role, separate from admin rights in group chats.
+    // Moderators handle users and reports; admins can also manage roles.
+    role: {
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    // Set while the account is suspended. Without an end date it lasts
+    // until lifted.
+    suspension: {
+        suspendedAt: Date,
+        until: Date,
+        reason: {
+            type: String,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
     isEmailVerified: {
         type: Boolean,
         default: false
+    },
+    emailVerifiedAt: Date,
+    // Nonces of the outstanding verification and reset tokens
+    accountTokens: {
+        verifyEmail: {
+            type: String,
+            select: false
+        },
+        resetPassword: {
+            type: String,
+            select: false
+        }
+    },
+    // TOTP two-factor authentication. Recovery codes are stored hashed.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        // Set during setup until a code from the app confirms it
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Time step of the last code used, so codes can't be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        // Outstanding login challenge, see services/twoFactorService.js
+        challenge: {
+            type: {
+                nonce: String,
+                attempts: Number
+            },
+            select: false
+        }
     }
 }, {
     timestamps: true,
@@ -180,6 +248,10 @@ const userSchema = new mongoose.Schema({
         virtuals: true,
         transform(doc, ret) {
             delete ret.password;
+            delete ret.accountTokens;
+            if (ret.twoFactor) {
+                ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+            }
             delete ret.__v;
             return ret;
         }
@@ -192,6 +264,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ friendId: 1 });
 userSchema.index({ isOnline: 1 });
+userSchema.index({ 'suspension.suspendedAt': 1 });
 
 // FIRST: Generate unique Friend ID before saving - MUST BE BEFORE PASSWORD HASH
 userSchema.pre('save', async function(next) {
@@ -240,6 +313,21 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     }
 };
 
+// Method to check whether the account is suspended right now
+userSchema.methods.isSuspended = function() {
+    const { suspendedAt, until } = this.suspension || {};
+    return Boolean(suspendedAt) && (!until || until > new Date());
+};
+
+// Message shown to a suspended user
+userSchema.methods.getSuspensionMessage = function() {
+    const { until, reason } = this.suspension;
+    return [
+        until ? `Your account is suspended until ${until.toUTCString()}.` : 'Your account is suspended.',
+        reason ? `Reason: ${reason}` : null
+    ].filter(Boolean).join(' ');
+};
+
 // Get public profile method
 userSchema.methods.getPublicProfile = function() {
     return {
@@ -252,6 +340,9 @@ userSchema.methods.getPublicProfile = function() {
         bio: this.bio,
         isOnline: this.isOnline,
         lastSeen: this.lastSeen,
+        isEmailVerified: this.isEmailVerified,
+        isTwoFactorEnabled: Boolean(this.twoFactor?.enabled),
+        role: this.role,
         preferences: {
             theme: this.preferences.theme
         }
@@ -393,18 +484,17 @@ userSchema.methods.unblockUser = function(userId) {
 userSchema.statics.getAuthenticated = async function(email, password) {
     const user = await this.findOne({ email }).select('+password');
     
-    if (!user) {
-        throw new Error('Invalid credentials');
-    }
-    
-    // Test for matching password
-    const isMatch = await user.comparePassword(password);
+    // Test for matching password, doing the same work whether or not the
+    // account exists so the two failures can't be told apart
+    const isMatch = user
+        ? await user.comparePassword(password)
+        : (await bcrypt.compare(String(password || ''), DUMMY_PASSWORD_HASH)) && false;
     
     if (isMatch) {
         return user;
     }
     
-    throw new Error('Invalid credentials');
+    throw httpError(401, 'Invalid credentials');
 };
 
 // Static method to find user by Friend ID
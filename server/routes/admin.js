@@ -0,0 +1,467 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const Report = require('../models/Report');
+const { auth, requireRole } = require('../middleware/auth');
+const validators = require('../utils/validators');
+const { escapeRegex } = require('../utils/messageSearch');
+const { clearLoginFailures } = require('../services/loginThrottleService');
+const { revokeAllSessions } = require('../services/sessionService');
+const {
+    findManageableUser,
+    suspendUser,
+    unsuspendUser,
+    setUserRole
+} = require('../services/moderationService');
+const { ACTIONS_BY_TARGET, resolveReport } = require('../services/reportService');
+
+const router = express.Router();
+
+// Everything here is for moderators and admins
+router.use(auth, requireRole('moderator', 'admin'));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// What staff see about an account
+const toAdminView = (user) => ({
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    friendId: user.friendId,
+    avatar: user.avatar,
+    role: user.role,
+    isOnline: user.isOnline,
+    lastSeen: user.lastSeen,
+    createdAt: user.createdAt,
+    isEmailVerified: user.isEmailVerified,
+    isTwoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    isSuspended: user.isSuspended(),
+    suspension: user.isSuspended() ? user.suspension : null
+});
+
+const handleValidation = (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array().map(e => e.msg)
+        });
+        return false;
+    }
+    return true;
+};
+
+const userIdParam = (req, res, next) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+};
+
+// @route   GET api/admin/stats
+// @desc    Platform totals for the admin console
+// @access  Admin
+router.get('/stats', requireRole('admin'), async (req, res) => {
+    try {
+        const now = new Date();
+        const dayAgo = new Date(now - DAY);
+        const weekAgo = new Date(now - 7 * DAY);
+
+        const [
+            totalUsers,
+            newUsers,
+            onlineUsers,
+            suspendedUsers,
+            totalMessages,
+            messagesToday,
+            privateChats,
+            groupChats,
+            channels,
+            activeSessions,
+            openReports
+        ] = await Promise.all([
+            User.countDocuments(),
+            User.countDocuments({ createdAt: { $gte: weekAgo } }),
+            User.countDocuments({ isOnline: true }),
+            User.countDocuments({
+                'suspension.suspendedAt': { $ne: null },
+                $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: now } }]
+            }),
+            Message.estimatedDocumentCount(),
+            Message.countDocuments({ createdAt: { $gte: dayAgo } }),
+            Chat.countDocuments({ type: 'private' }),
+            Chat.countDocuments({ type: 'group' }),
+            Chat.countDocuments({ type: 'channel' }),
+            Session.countDocuments({ revokedAt: null, expiresAt: { $gt: now } }),
+            Report.countDocuments({ status: 'open' })
+        ]);
+
+        res.json({
+            success: true,
+            stats: {
+                users: { total: totalUsers, newThisWeek: newUsers, online: onlineUsers, suspended: suspendedUsers },
+                messages: { total: totalMessages, last24Hours: messagesToday },
+                chats: { private: privateChats, group: groupChats, channel: channels },
+                activeSessions,
+                openReports
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin stats error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/admin/users
+// @desc    List and search users
+// @access  Moderator
+router.get('/users', [
+    ...validators.pagination,
+    query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query is too long'),
+    query('role').optional().isIn(['user', 'moderator', 'admin']).withMessage('Invalid role'),
+    query('status').optional().isIn(['active', 'suspended']).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        if (!handleValidation(req, res)) return;
+
+        const { q, role, status, page = 1, limit = 20 } = req.query;
+        const filter = {};
+
+        if (q) {
+            const pattern = { $regex: escapeRegex(q), $options: 'i' };
+            filter.$or = [{ username: pattern }, { email: pattern }, { friendId: q }];
+        }
+        if (role) {
+            filter.role = role;
+        }
+
+        const now = new Date();
+        if (status === 'suspended') {
+            filter['suspension.suspendedAt'] = { $ne: null };
+            filter.$and = [{ $or: [{ 'suspension.until': null }, { 'suspension.until': { $gt: now } }] }];
+        } else if (status === 'active') {
+            filter.$and = [{
+                $or: [
+                    { 'suspension.suspendedAt': null },
+                    { 'suspension.until': { $lte: now } }
+                ]
+            }];
+        }
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((parseInt(page) - 1) * parseInt(limit))
+                .limit(parseInt(limit)),
+            User.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            users: users.map(toAdminView),
+            page: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            total
+        });
+
+    } catch (error) {
+        console.error('Admin list users error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/admin/users/:userId
+// @desc    Get one user with activity counts
+// @access  Moderator
+router.get('/users/:userId', userIdParam, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId)
+            .populate('suspension.by', 'username');
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const [messageCount, activeSessions, reportsAgainst] = await Promise.all([
+            Message.countDocuments({ sender: user._id }),
+            Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+            Report.countDocuments({ reportedUser: user._id })
+        ]);
+
+        res.json({
+            success: true,
+            user: {
+                ...toAdminView(user),
+                messageCount,
+                activeSessions,
+                reportsAgainst
+            }
+        });
+
+    } catch (error) {
+        console.error('Admin get user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/admin/users/:userId/suspend
+// @desc    Suspend a user, for a number of hours or until lifted, and sign them out
+// @access  Moderator
+router.post('/users/:userId/suspend', [
+    userIdParam,
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('durationHours').optional({ nullable: true }).isInt({ min: 1, max: 24 * 365 }).withMessage('Duration must be between 1 hour and a year')
+], async (req, res) => {
+    try {
+        if (!handleValidation(req, res)) return;
+
+        const target = await findManageableUser(req.user, req.params.userId);
+        const { reason, durationHours } = req.body;
+
+        const user = await suspendUser(req.app.get('io'), req.user, target, {
+            reason,
+            until: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+        });
+
+        res.json({
+            success: true,
+            message: 'User suspended',
+            user: toAdminView(user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Suspend user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/admin/users/:userId/unsuspend
+// @desc    Lift a user's suspension
+// @access  Moderator
+router.post('/users/:userId/unsuspend', userIdParam, async (req, res) => {
+    try {
+        const target = await findManageableUser(req.user, req.params.userId);
+        const user = await unsuspendUser(req.user, target);
+
+        res.json({
+            success: true,
+            message: 'Suspension lifted',
+            user: toAdminView(user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Unsuspend user error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/admin/users/:userId/logout
+// @desc    Sign a user out on every device
+// @access  Moderator
+router.post('/users/:userId/logout', userIdParam, async (req, res) => {
+    try {
+        const target = await findManageableUser(req.user, req.params.userId);
+
+        await revokeAllSessions(req.app.get('io'), target._id);
+
+        console.log(`[Moderation] ${req.user.username} signed out ${target.username} everywhere`);
+
+        res.json({
+            success: true,
+            message: 'User signed out on all devices'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Force logout error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT api/admin/users/:userId/role
+// @desc    Make a user a moderator, or back to a regular user
+// @access  Admin
+router.put('/users/:userId/role', [
+    requireRole('admin'),
+    userIdParam,
+    body('role').isIn(['user', 'moderator']).withMessage('Role must be user or moderator')
+], async (req, res) => {
+    try {
+        if (!handleValidation(req, res)) return;
+
+        const target = await findManageableUser(req.user, req.params.userId);
+        const user = await setUserRole(req.user, target, req.body.role);
+
+        res.json({
+            success: true,
+            message: 'Role updated',
+            user: toAdminView(user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Set role error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/admin/users/:userId/unlock
+// @desc    Clear failed sign-in attempts and lift any lockout on an account
+// @access  Admin
+router.post('/users/:userId/unlock', requireRole('admin'), userIdParam, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const wasLocked = await clearLoginFailures(user.email);
+
+        console.log(`[Admin] ${req.user.username} unlocked sign-in for ${user.username}`);
+
+        res.json({
+            success: true,
+            message: wasLocked ? 'Account unlocked' : 'Account had no failed sign-ins to clear'
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/admin/reports
+// @desc    List reports, oldest first, optionally by status
+// @access  Moderator
+router.get('/reports', [
+    ...validators.pagination,
+    query('status').optional().isIn(['open', 'actioned', 'dismissed']).withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        if (!handleValidation(req, res)) return;
+
+        const { status, page = 1, limit = 20 } = req.query;
+        const filter = status ? { status } : {};
+
+        const [reports, total] = await Promise.all([
+            Report.find(filter)
+                .select('-snapshot')
+                .populate('reporter', 'username avatar')
+                .populate('reportedUser', 'username avatar')
+                .populate('chat', 'name type')
+                .populate('resolvedBy', 'username')
+                .sort({ createdAt: 1 })
+                .skip((parseInt(page) - 1) * parseInt(limit))
+                .limit(parseInt(limit)),
+            Report.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            reports,
+            page: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            total
+        });
+
+    } catch (error) {
+        console.error('Admin list reports error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/admin/reports/:reportId
+// @desc    Get one report with its snapshot and the actions that apply
+// @access  Moderator
+router.get('/reports/:reportId', async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.reportId)) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        const report = await Report.findById(req.params.reportId)
+            .populate('reporter', 'username avatar')
+            .populate('reportedUser', 'username avatar role suspension')
+            .populate('chat', 'name type')
+            .populate('resolvedBy', 'username');
+
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        // How often the same target has been reported, by anyone
+        const filter = report.targetType === 'message'
+            ? { message: report.message }
+            : report.targetType === 'group'
+                ? { targetType: 'group', chat: report.chat?._id }
+                : { reportedUser: report.reportedUser?._id };
+        const timesReported = await Report.countDocuments(filter);
+
+        res.json({
+            success: true,
+            report,
+            timesReported,
+            actions: ACTIONS_BY_TARGET[report.targetType]
+        });
+
+    } catch (error) {
+        console.error('Admin get report error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/admin/reports/:reportId/resolve
+// @desc    Dismiss a report, or act on it: delete the message for everyone,
+//          suspend the user or remove the group
+// @access  Moderator
+router.post('/reports/:reportId/resolve', [
+    body('action')
+        .isIn(['dismiss', 'none', 'delete_message', 'suspend_user', 'remove_group'])
+        .withMessage('Invalid action'),
+    body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+    body('durationHours').optional({ nullable: true }).isInt({ min: 1, max: 24 * 365 }).withMessage('Duration must be between 1 hour and a year')
+], async (req, res) => {
+    try {
+        if (!handleValidation(req, res)) return;
+
+        const { action, note, reason, durationHours } = req.body;
+
+        const report = await resolveReport(req.app.get('io'), req.user, req.params.reportId, {
+            action,
+            note,
+            reason,
+            durationHours
+        });
+
+        res.json({
+            success: true,
+            message: action === 'dismiss' ? 'Report dismissed' : 'Report actioned',
+            report
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Resolve report error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
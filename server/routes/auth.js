@@ -1,20 +1,38 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Device = require('../models/Device');
+const { auth, getUnverifiedAccountPolicy } = require('../middleware/auth');
+const {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    suspendedError
+} = require('../services/sessionService');
+const { consumeAccountToken } = require('../services/accountTokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
+const twoFactorService = require('../services/twoFactorService');
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../services/loginThrottleService');
+const { getStateStore } = require('../config/stateStore');
+const { getOnlineDeviceIds } = require('../sockets/socketState');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-    return jwt.sign(
-        { userId }, 
-        process.env.JWT_SECRET, 
-        { expiresIn: '30d' }
-    );
+// Sensitive account changes ask for the password again
+const isCurrentPassword = async (userId, password) => {
+    const user = await User.findById(userId).select('+password');
+    return user.comparePassword(password);
 };
 
+const passwordRules = (field, label = 'Password') => body(field)
+    .isLength({ min: 6 })
+    .withMessage(`${label} must be at least 6 characters`)
+    .matches(/\d/)
+    .withMessage(`${label} must contain at least one number`);
+
 // @route   POST api/auth/register
 // @desc    Register new user
 // @access  Public
@@ -30,11 +48,7 @@ router.post('/register', [
         .isEmail()
         .normalizeEmail()
         .withMessage('Please provide a valid email'),
-    body('password')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters')
-        .matches(/\d/)
-        .withMessage('Password must contain at least one number')
+    passwordRules('password')
 ], async (req, res) => {
     try {
         // Validate request
@@ -70,15 +84,33 @@ router.post('/register', [
 
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // A mail failure shouldn't fail the sign-up; the user can ask for another link
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Verification email error:', mailError);
+        }
 
         // Log the registration
         console.log(`[Registration] New user: ${username} (${email})`);
+
+        // Under the strict policy there's no session until the email is verified
+        if (getUnverifiedAccountPolicy() === 'strict') {
+            return res.status(201).json({
+                success: true,
+                message: 'Account created. Check your email to verify it before signing in.',
+                requiresVerification: true
+            });
+        }
+
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             token,
+            refreshToken,
             user: user.getPublicProfile()
         });
 
@@ -116,16 +148,51 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        // Refuse outright while the account or this IP is backing off
+        await assertLoginAllowed(email, req.ip);
+
         // Authenticate user
-        const user = await User.getAuthenticated(email, password);
+        let user;
+        try {
+            user = await User.getAuthenticated(email, password);
+        } catch (authError) {
+            if (authError.statusCode === 401) {
+                await recordLoginFailure(req.app.get('io'), email, req.ip);
+            }
+            throw authError;
+        }
+
+        if (user.isSuspended()) {
+            throw suspendedError(user);
+        }
+
+        if (!user.isEmailVerified && getUnverifiedAccountPolicy() === 'strict') {
+            return res.status(403).json({
+                error: 'Please verify your email address before signing in',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        // With 2FA on, the password only earns a challenge for the second step
+        if (user.twoFactor?.enabled) {
+            const challengeToken = await twoFactorService.issueChallenge(user);
+
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken
+            });
+        }
+
+        await clearLoginFailures(email);
 
         // Update user status
         user.isOnline = true;
         user.lastSeen = new Date();
         await user.save();
 
-        // Generate token
-        const token = generateToken(user._id);
+        // Start a session for this device
+        const { token, refreshToken } = await createSession(user, req);
 
         // Log the login
         console.log(`[Login] User: ${user.username}`);
@@ -134,16 +201,535 @@ router.post('/login', [
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user: user.getPublicProfile()
         });
 
     } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                code: error.code,
+                retryAfter: error.retryAfter
+            });
+        }
+
         console.error('Login error:', error);
         
         // Don't expose internal error details
-        res.status(401).json({ 
-            error: error.message || 'Invalid credentials'
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const { token, refreshToken } = await refreshSession(req.app.get('io'), req.body.refreshToken);
+
+        res.json({
+            success: true,
+            token,
+            refreshToken
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/verify-email
+// @desc    Verify an email address with the token from the verification email
+// @access  Public
+router.post('/verify-email', [
+    body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const user = await consumeAccountToken(req.body.token, 'verifyEmail');
+
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+            await user.save();
+        }
+
+        // Let the user's open devices drop their "verify your email" prompts
+        req.app.get('io')?.to(`user_${user._id}`).emit('email_verified', { userId: user._id });
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Verify email error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Public
+router.post('/resend-verification', [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+
+        if (user && !user.isEmailVerified) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                console.error('Verification email error:', mailError);
+            }
+        }
+
+        // Same answer either way, so this can't be used to probe for accounts
+        res.json({
+            success: true,
+            message: 'If that account needs verifying, a new link is on its way'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+    body('email')
+        .trim()
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email });
+
+        if (user) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Password reset email error:', mailError);
+            }
+        }
+
+        // Same answer either way, so this can't be used to probe for accounts
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, a reset link is on its way'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with the token from the reset email
+// @access  Public
+router.post('/reset-password', [
+    body('token').isString().notEmpty().withMessage('Token is required'),
+    passwordRules('password')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const user = await consumeAccountToken(req.body.token, 'resetPassword');
+
+        user.password = req.body.password;
+
+        // The reset link reached the inbox, which proves the address too
+        if (!user.isEmailVerified) {
+            user.isEmailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+
+        await user.save();
+
+        // Whoever knew the old password is signed out everywhere
+        await revokeAllSessions(req.app.get('io'), user._id);
+
+        // The owner can sign in with the new password straight away
+        await clearLoginFailures(user.email);
+
+        console.log(`[Password Reset] User: ${user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully, please sign in with your new password'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/2fa/verify
+// @desc    Second login step: exchange a 2FA challenge and code for a session
+// @access  Public
+router.post('/2fa/verify', [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const { user, usedRecoveryCode } = await twoFactorService.verifyChallenge(
+            req.app.get('io'),
+            req.body.challengeToken,
+            req.body.code,
+            req.ip
+        );
+
+        if (user.isSuspended()) {
+            throw suspendedError(user);
+        }
+
+        user.isOnline = true;
+        user.lastSeen = new Date();
+        await user.save();
+
+        const { token, refreshToken } = await createSession(user, req);
+
+        console.log(`[Login] User: ${user.username} (2FA${usedRecoveryCode ? ', recovery code' : ''})`);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token,
+            refreshToken,
+            user: user.getPublicProfile(),
+            recoveryCodesLeft: usedRecoveryCode
+                ? await twoFactorService.getRecoveryCodesLeft(user._id)
+                : undefined
+        });
+
+    } catch (error) {
+        if (error.retryAfter) {
+            res.set('Retry-After', String(error.retryAfter));
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                code: error.code,
+                retryAfter: error.retryAfter
+            });
+        }
+        console.error('2FA verify error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/auth/2fa
+// @desc    Get the user's two-factor authentication status
+// @access  Private
+router.get('/2fa', auth, async (req, res) => {
+    try {
+        const enabled = Boolean(req.user.twoFactor?.enabled);
+
+        res.json({
+            success: true,
+            enabled,
+            enabledAt: enabled ? req.user.twoFactor.enabledAt : null,
+            recoveryCodesLeft: enabled
+                ? await twoFactorService.getRecoveryCodesLeft(req.user._id)
+                : 0
+        });
+
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start 2FA enrollment, returning the secret as an otpauth URI and QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+    try {
+        const { secret, otpauthUrl, qrCode } = await twoFactorService.beginEnrollment(req.user);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl,
+            qrCode
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('2FA setup error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/2fa/enable
+// @desc    Confirm 2FA enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', [
+    auth,
+    body('code').isString().trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+        console.log(`[2FA] Enabled for user: ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('2FA enable error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn 2FA off
+// @access  Private
+router.post('/2fa/disable', [
+    auth,
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        if (!(await isCurrentPassword(req.user._id, req.body.password))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        await twoFactorService.disableTwoFactor(req.user._id);
+
+        console.log(`[2FA] Disabled for user: ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/auth/2fa/recovery-codes
+// @desc    Replace the user's recovery codes with a new set
+// @access  Private
+router.post('/2fa/recovery-codes', [
+    auth,
+    body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        if (!(await isCurrentPassword(req.user._id, req.body.password))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+        res.json({
+            success: true,
+            recoveryCodes
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/auth/sessions
+// @desc    List the user's signed-in devices
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.findActiveForUser(req.user._id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                _id: session._id,
+                deviceName: session.deviceName,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                current: session._id.toString() === req.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/auth/devices
+// @desc    List the devices the user has connected from, and which are online
+// @access  Private
+router.get('/devices', auth, async (req, res) => {
+    try {
+        const [devices, onlineDeviceIds] = await Promise.all([
+            Device.find({ user: req.user._id }).sort({ lastActiveAt: -1 }),
+            getOnlineDeviceIds(getStateStore(), req.user._id)
+        ]);
+
+        res.json({
+            success: true,
+            devices: devices.map(device => ({
+                deviceId: device.deviceId,
+                platform: device.platform,
+                name: device.name,
+                userAgent: device.userAgent,
+                createdAt: device.createdAt,
+                lastActiveAt: device.lastActiveAt,
+                isOnline: onlineDeviceIds.includes(device.deviceId)
+            }))
         });
+
+    } catch (error) {
+        console.error('Get devices error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/auth/sessions/:sessionId
+// @desc    Sign out one of the user's devices
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const session = await Session.findOne({
+            _id: sessionId,
+            user: req.user._id,
+            revokedAt: null
+        });
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await revokeSession(req.app.get('io'), session);
+
+        res.json({
+            success: true,
+            message: 'Session signed out'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -244,12 +830,13 @@ router.post('/logout', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
         
-        user.isOnline = false;
         user.lastSeen = new Date();
-        user.socketId = '';
-        
         await user.save();
 
+        // End this device's session so its tokens stop working. Closing its
+        // sockets takes the user offline if no other device is connected.
+        await revokeSession(req.app.get('io'), { _id: req.sessionId });
+
         console.log(`User logged out: ${user.username}`);
 
         res.json({ 
@@ -269,11 +856,7 @@ router.post('/logout', auth, async (req, res) => {
 router.post('/change-password', [
     auth,
     body('currentPassword').notEmpty().withMessage('Current password is required'),
-    body('newPassword')
-        .isLength({ min: 6 })
-        .withMessage('New password must be at least 6 characters')
-        .matches(/\d/)
-        .withMessage('New password must contain at least one number')
+    passwordRules('newPassword', 'New password')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -299,6 +882,10 @@ router.post('/change-password', [
         user.password = newPassword;
         await user.save();
 
+        // Sign out every other device, so a stolen refresh token stops
+        // working along with the old password
+        await revokeAllSessions(req.app.get('io'), user._id, { except: req.sessionId });
+
         res.json({
             success: true,
             message: 'Password changed successfully'
@@ -317,12 +904,19 @@ router.delete('/delete-account', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
 
-        // Remove user from all chats
+        // Remove user from all chats, handing the groups they own on as if
+        // they'd left them
         const Chat = require('../models/Chat');
-        await Chat.updateMany(
-            { participants: user._id },
-            { $pull: { participants: user._id, admins: user._id } }
-        );
+        const chats = await Chat.find({ participants: user._id });
+        for (const chat of chats) {
+            if (chat.creator && chat.creator.equals(user._id)) {
+                const successorId = chat.findSuccessor();
+                if (successorId) {
+                    await chat.transferOwnership(successorId);
+                }
+            }
+            await chat.removeParticipant(user._id);
+        }
 
         // Delete user's messages
         const Message = require('../models/Message');
@@ -335,8 +929,12 @@ router.delete('/delete-account', auth, async (req, res) => {
             }
         );
 
+        // Sign out every device, and forget them
+        await revokeAllSessions(req.app.get('io'), user._id);
+        await Device.deleteMany({ user: user._id });
+
         // Delete user
-        await user.remove();
+        await user.deleteOne();
 
         res.json({
             success: true,
@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const validators = require('../utils/validators');
+const { withPrivacyFields, projectChatUsers } = require('../utils/privacy');
+const {
+    findChannel,
+    findChannelForAdmin,
+    createChannel,
+    subscribe,
+    unsubscribe,
+    listDirectory,
+    addAdmin,
+    removeAdmin
+} = require('../services/channelService');
+const { createInvite, revokeInvite } = require('../services/groupInviteService');
+
+const router = express.Router();
+
+// Subscribers see a channel's admins but never each other, and the admins
+// as their privacy settings allow
+const populateAdmins = async (chat, viewer) => {
+    await chat.populate('participants', withPrivacyFields('username avatar'));
+    await chat.populate('admins', withPrivacyFields('username avatar'));
+    return projectChatUsers(chat.toJSON(), viewer);
+};
+
+// @route   POST api/channels
+// @desc    Create a broadcast channel
+// @access  Private
+router.post('/', [
+    auth,
+    requireVerifiedEmail,
+    body('name').trim().notEmpty().withMessage('Channel name is required')
+        .isLength({ max: 100 }).withMessage('Channel name too long'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description too long'),
+    body('discoverable').optional().isBoolean().withMessage('discoverable must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const { name, description, discoverable } = req.body;
+        const chat = await createChannel(req.app.get('io'), req.user, {
+            name,
+            description,
+            discoverable: discoverable === true
+        });
+
+        res.status(201).json({
+            success: true,
+            chat: await populateAdmins(chat, req.user)
+        });
+
+    } catch (error) {
+        console.error('Create channel error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/channels/directory
+// @desc    Browse and search channels listed in the directory
+// @access  Private
+router.get('/directory', [
+    auth,
+    ...validators.pagination,
+    query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query is too long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { channels, total } = await listDirectory(req.user._id, { q: req.query.q, page, limit });
+
+        res.json({
+            success: true,
+            channels,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total
+        });
+
+    } catch (error) {
+        console.error('Channel directory error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/channels/:chatId/subscribe
+// @desc    Subscribe to a channel, with an invite code unless it's in the directory
+// @access  Private
+router.post('/:chatId/subscribe', [
+    auth,
+    body('code').optional().isString().withMessage('Invite code must be a string')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const chat = await subscribe(req.user, req.params.chatId, req.body.code);
+
+        res.json({
+            success: true,
+            message: `Subscribed to ${chat.name}`,
+            chat: await populateAdmins(chat, req.user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Subscribe to channel error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/channels/:chatId/subscribe
+// @desc    Unsubscribe from a channel
+// @access  Private
+router.delete('/:chatId/subscribe', auth, async (req, res) => {
+    try {
+        const chat = await unsubscribe(req.app.get('io'), req.user, req.params.chatId);
+
+        res.json({
+            success: true,
+            message: `Unsubscribed from ${chat.name}`
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Unsubscribe from channel error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/channels/:chatId/invites
+// @desc    Create an invite link to subscribe, optionally expiring or limited
+// @access  Private
+router.post('/:chatId/invites', [
+    auth,
+    body('expiresInHours').optional({ nullable: true }).isInt({ min: 1, max: 24 * 30 }).withMessage('Expiry must be between 1 hour and 30 days'),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('Maximum uses must be between 1 and 1000')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const chat = await findChannelForAdmin(req.params.chatId, req.user._id);
+        const { expiresInHours, maxUses } = req.body;
+        const invite = await createInvite(chat, req.user, { expiresInHours, maxUses });
+
+        res.status(201).json({
+            success: true,
+            invite
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Create channel invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/channels/:chatId/invites/:inviteId
+// @desc    Revoke a channel invite link
+// @access  Private
+router.delete('/:chatId/invites/:inviteId', auth, async (req, res) => {
+    try {
+        const chat = await findChannelForAdmin(req.params.chatId, req.user._id);
+        await revokeInvite(chat, req.user, req.params.inviteId);
+
+        res.json({
+            success: true,
+            message: 'Invite link revoked'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Revoke channel invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/channels/:chatId/admins
+// @desc    Let another user post in the channel
+// @access  Private
+router.post('/:chatId/admins', [
+    auth,
+    body('userId').isMongoId().withMessage('User ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const chat = await findChannel(req.params.chatId);
+        await addAdmin(req.app.get('io'), chat, req.user, req.body.userId);
+
+        res.json({
+            success: true,
+            message: 'Admin added',
+            chat: await populateAdmins(chat, req.user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Add channel admin error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/channels/:chatId/admins/:userId
+// @desc    Remove a channel admin, or step down
+// @access  Private
+router.delete('/:chatId/admins/:userId', auth, async (req, res) => {
+    try {
+        const chat = await findChannel(req.params.chatId);
+        await removeAdmin(req.app.get('io'), chat, req.user, req.params.userId);
+
+        res.json({
+            success: true,
+            message: 'Admin removed'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Remove channel admin error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
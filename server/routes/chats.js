@@ -3,10 +3,50 @@ const { body, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const GroupInvite = require('../models/GroupInvite');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const validators = require('../utils/validators');
+const { postSystemMessage } = require('../services/messageService');
+const {
+    findGroupForMember,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    listDirectory,
+    joinFromDirectory,
+    listJoinRequests,
+    reviewJoinRequests
+} = require('../services/groupInviteService');
+const {
+    changeRole,
+    transferOwnership,
+    updatePermissions,
+    removeMember
+} = require('../services/groupRoleService');
+const { assertCan } = require('../utils/groupPermissions');
+const { withPrivacyFields, projectUser, projectChatUsers } = require('../utils/privacy');
 
 const router = express.Router();
 
+// Populated users carry what privacy projection needs; responses project them
+const PARTICIPANT_FIELDS = withPrivacyFields('username email avatar isOnline lastSeen');
+const ADMIN_FIELDS = withPrivacyFields('username email avatar');
+
+const DISAPPEARING_TIMERS = Chat.schema.path('settings.disappearingMessages.timer').options.enum;
+const PERMISSION_LEVELS = Chat.schema.path('settings.permissions.sendMessages').options.enum;
+
+// Human readable disappearing timer, for system messages
+const describeTimer = (seconds) => {
+    if (seconds % 86400 === 0) {
+        const days = seconds / 86400;
+        return `${days} ${days === 1 ? 'day' : 'days'}`;
+    }
+    const hours = seconds / 3600;
+    return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
 // @route   GET api/chats
 // @desc    Get all chats for current user
 // @access  Private
@@ -15,13 +55,21 @@ router.get('/', auth, async (req, res) => {
         const { page = 1, limit = 20 } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
+        // Channels the user follows, besides the chats they're in
+        const subscriptions = await ChannelSubscription.find({ user: req.user._id })
+            .select('channel lastViewedAt');
+        const lastViewedAt = new Map(subscriptions.map(s => [s.channel.toString(), s.lastViewedAt]));
+
         const chats = await Chat.find({ 
-            participants: req.user._id,
+            $or: [
+                { participants: req.user._id },
+                { _id: { $in: subscriptions.map(s => s.channel) } }
+            ],
             isArchived: false
         })
-        .populate('participants', 'username email avatar isOnline lastSeen')
+        .populate('participants', PARTICIPANT_FIELDS)
         .populate('lastMessage')
-        .populate('admins', 'username email avatar')
+        .populate('admins', ADMIN_FIELDS)
         .sort({ lastActivity: -1 })
         .skip(skip)
         .limit(parseInt(limit));
@@ -29,12 +77,18 @@ router.get('/', auth, async (req, res) => {
         // Get unread count for each chat
         const chatsWithUnread = await Promise.all(
             chats.map(async (chat) => {
-                const unreadCount = await Message.getUnreadCount(chat._id, req.user._id);
-                const chatObj = chat.toObject();
+                const subscribedSince = lastViewedAt.get(chat._id.toString());
+                const unreadCount = subscribedSince
+                    ? await Message.getUnseenPostCount(chat._id, subscribedSince)
+                    : await Message.getUnreadCount(chat._id, req.user._id);
+                const mentionCount = subscribedSince
+                    ? 0
+                    : await Message.getUnreadMentionCount(chat._id, req.user._id);
+                const chatObj = projectChatUsers(chat.toObject(), req.user);
                 
                 // For private chats, set the chat name to the other participant's name
                 if (chat.type === 'private') {
-                    const otherParticipant = chat.participants.find(
+                    const otherParticipant = chatObj.participants.find(
                         p => p._id.toString() !== req.user._id.toString()
                     );
                     chatObj.name = otherParticipant?.username || 'Unknown User';
@@ -44,6 +98,8 @@ router.get('/', auth, async (req, res) => {
                 return {
                     ...chatObj,
                     unreadCount,
+                    mentionCount,
+                    isSubscribed: Boolean(subscribedSince),
                     isPinned: chat.pinnedBy.includes(req.user._id),
                     isMuted: chat.mutedBy.some(m => m.user.equals(req.user._id))
                 };
@@ -63,30 +119,66 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// @route   GET api/chats/directory
+// @desc    Browse and search groups listed in the directory
+// @access  Private
+router.get('/directory', [
+    auth,
+    ...validators.pagination,
+    query('q').optional().trim().isLength({ max: 100 }).withMessage('Search query is too long')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { groups, total } = await listDirectory(req.user._id, { q: req.query.q, page, limit });
+
+        res.json({
+            success: true,
+            groups,
+            page,
+            totalPages: Math.ceil(total / limit),
+            total
+        });
+
+    } catch (error) {
+        console.error('Group directory error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   GET api/chats/:chatId
 // @desc    Get chat by ID
 // @access  Private
 router.get('/:chatId', auth, async (req, res) => {
     try {
         const chat = await Chat.findById(req.params.chatId)
-            .populate('participants', 'username email avatar isOnline lastSeen')
-            .populate('admins', 'username email avatar')
-            .populate('creator', 'username email avatar');
+            .populate('participants', PARTICIPANT_FIELDS)
+            .populate('admins', ADMIN_FIELDS)
+            .populate('creator', ADMIN_FIELDS);
 
         if (!chat) {
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        // Check if user is participant
-        if (!chat.isParticipant(req.user._id)) {
+        // Check if user is participant, or follows the channel
+        if (!await chat.canView(req.user._id)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        const chatObj = chat.toObject();
+        const chatObj = projectChatUsers(chat.toObject(), req.user);
         
         // For private chats, set the chat name to the other participant's name
         if (chat.type === 'private') {
-            const otherParticipant = chat.participants.find(
+            const otherParticipant = chatObj.participants.find(
                 p => p._id.toString() !== req.user._id.toString()
             );
             chatObj.name = otherParticipant?.username || 'Unknown User';
@@ -109,6 +201,7 @@ router.get('/:chatId', auth, async (req, res) => {
 // @access  Private
 router.post('/private', [
     auth,
+    requireVerifiedEmail,
     body('userId').notEmpty().withMessage('User ID is required')
 ], async (req, res) => {
     try {
@@ -142,11 +235,11 @@ router.post('/private', [
         const chat = await Chat.findOrCreatePrivateChat(req.user._id, userId);
         
         // Populate the chat
-        await chat.populate('participants', 'username email avatar isOnline lastSeen');
+        await chat.populate('participants', PARTICIPANT_FIELDS);
 
-        const chatObj = chat.toObject();
+        const chatObj = projectChatUsers(chat.toObject(), req.user);
         chatObj.name = otherUser.username;
-        chatObj.avatar = otherUser.avatar;
+        chatObj.avatar = projectUser(otherUser, req.user).avatar;
 
         res.status(chat.isNew ? 201 : 200).json({
             success: true,
@@ -164,10 +257,13 @@ router.post('/private', [
 // @access  Private
 router.post('/group', [
     auth,
+    requireVerifiedEmail,
     body('name').trim().notEmpty().withMessage('Group name is required')
         .isLength({ max: 100 }).withMessage('Group name too long'),
     body('participants').isArray({ min: 1 }).withMessage('At least one participant required'),
-    body('description').optional().trim().isLength({ max: 500 })
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('discoverable').optional().isBoolean().withMessage('discoverable must be true or false'),
+    body('joinApproval').optional().isBoolean().withMessage('joinApproval must be true or false')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -178,7 +274,7 @@ router.post('/group', [
             });
         }
 
-        const { name, participants, description } = req.body;
+        const { name, participants, description, discoverable, joinApproval } = req.body;
 
         // Add creator to participants
         const allParticipants = [...new Set([req.user._id.toString(), ...participants])];
@@ -196,14 +292,18 @@ router.post('/group', [
             participants: allParticipants,
             creator: req.user._id,
             admins: [req.user._id],
-            description: description || ''
+            description: description || '',
+            settings: {
+                discoverable: discoverable === true,
+                joinApproval: joinApproval === true
+            }
         });
 
         await chat.save();
 
         // Populate the chat
-        await chat.populate('participants', 'username email avatar isOnline lastSeen');
-        await chat.populate('admins', 'username email avatar');
+        await chat.populate('participants', PARTICIPANT_FIELDS);
+        await chat.populate('admins', ADMIN_FIELDS);
 
         // Create system message
         const systemMessage = new Message({
@@ -216,7 +316,7 @@ router.post('/group', [
 
         res.status(201).json({
             success: true,
-            chat
+            chat: projectChatUsers(chat.toJSON(), req.user)
         });
 
     } catch (error) {
@@ -231,7 +331,9 @@ router.post('/group', [
 router.put('/:chatId', [
     auth,
     body('name').optional().trim().isLength({ max: 100 }),
-    body('description').optional().trim().isLength({ max: 500 })
+    body('description').optional().trim().isLength({ max: 500 }),
+    body('discoverable').optional().isBoolean().withMessage('discoverable must be true or false'),
+    body('joinApproval').optional().isBoolean().withMessage('joinApproval must be true or false')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -248,19 +350,22 @@ router.put('/:chatId', [
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        if (chat.type !== 'group') {
-            return res.status(400).json({ error: 'Only group chats can be updated' });
+        if (chat.type === 'private') {
+            return res.status(400).json({ error: 'Only groups and channels can be updated' });
         }
 
-        // Check if user is admin
-        if (!chat.isAdmin(req.user._id)) {
-            return res.status(403).json({ error: 'Only admins can update group' });
+        if (!chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        const { name, description } = req.body;
+        assertCan(chat, req.user._id, 'changeSettings');
+
+        const { name, description, discoverable, joinApproval } = req.body;
 
         if (name) chat.name = name;
         if (description !== undefined) chat.description = description;
+        if (discoverable !== undefined) chat.settings.discoverable = discoverable === true;
+        if (joinApproval !== undefined) chat.settings.joinApproval = joinApproval === true;
 
         await chat.save();
 
@@ -271,17 +376,21 @@ router.put('/:chatId', [
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Update chat error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// @route   POST api/chats/:chatId/participants
-// @desc    Add participant to group
+// @route   PUT api/chats/:chatId/disappearing
+// @desc    Set the disappearing messages timer
 // @access  Private
-router.post('/:chatId/participants', [
+router.put('/:chatId/disappearing', [
     auth,
-    body('userId').notEmpty().withMessage('User ID is required')
+    body('timer').isIn(DISAPPEARING_TIMERS).withMessage('Invalid timer'),
+    body('startOn').optional().isIn(['sent', 'read']).withMessage('Invalid timer start')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -292,22 +401,234 @@ router.post('/:chatId/participants', [
             });
         }
 
-        const { userId } = req.body;
         const chat = await Chat.findById(req.params.chatId);
 
         if (!chat) {
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        if (chat.type !== 'group') {
-            return res.status(400).json({ error: 'Can only add participants to groups' });
+        if (!chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        assertCan(chat, req.user._id, 'changeSettings');
+
+        const timer = parseInt(req.body.timer);
+        const startOn = req.body.startOn || chat.settings.disappearingMessages.startOn;
+        const current = chat.settings.disappearingMessages;
+
+        if (current.timer === timer && current.startOn === startOn) {
+            return res.json({
+                success: true,
+                settings: chat.settings
+            });
+        }
+
+        chat.settings.disappearingMessages = { timer, startOn };
+        await chat.save();
+
+        const io = req.app.get('io');
+        const notice = timer
+            ? `${req.user.username} set messages to disappear ${describeTimer(timer)} after they are ${startOn === 'read' ? 'read' : 'sent'}`
+            : `${req.user.username} turned off disappearing messages`;
+
+        await postSystemMessage(io, chat, req.user._id, notice);
+
+        if (io) {
+            io.to(`chat_${chat._id}`).emit('chat_settings_updated', {
+                chatId: chat._id,
+                settings: chat.settings
+            });
+        }
+
+        res.json({
+            success: true,
+            settings: chat.settings
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Update disappearing messages error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/chats/:chatId/pins
+// @desc    Get pinned messages
+// @access  Private
+router.get('/:chatId/pins', auth, async (req, res) => {
+    try {
+        const chat = await Chat.findById(req.params.chatId)
+            .populate({
+                path: 'pinnedMessages.message',
+                populate: { path: 'sender', select: 'username avatar' }
+            })
+            .populate('pinnedMessages.pinnedBy', 'username avatar');
+
+        if (!chat) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+
+        if (!await chat.canView(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const pins = chat.pinnedMessages.filter(pin =>
+            pin.message && !pin.message.isDeletedForUser(req.user._id)
+        );
+
+        res.json({
+            success: true,
+            pins,
+            limit: Chat.MAX_PINNED_MESSAGES
+        });
+
+    } catch (error) {
+        console.error('Get pinned messages error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/pins/:messageId
+// @desc    Pin a message
+// @access  Private
+router.post('/:chatId/pins/:messageId', auth, async (req, res) => {
+    try {
+        const chat = await Chat.findById(req.params.chatId);
+
+        if (!chat) {
+            return res.status(404).json({ error: 'Chat not found' });
         }
 
-        // Check if user can add participants
-        if (!chat.settings.allowInvites && !chat.isAdmin(req.user._id)) {
-            return res.status(403).json({ error: 'Only admins can add participants' });
+        if (!chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
+        assertCan(chat, req.user._id, 'pinMessages');
+
+        const message = await Message.findOne({
+            _id: req.params.messageId,
+            chat: chat._id,
+            threadRoot: null,
+            deleted: false,
+            type: { $ne: 'system' }
+        }).populate('sender', 'username avatar');
+
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        if (chat.pinnedMessages.some(pin => pin.message.equals(message._id))) {
+            return res.status(400).json({ error: 'Message is already pinned' });
+        }
+
+        const updated = await Chat.pinMessage(chat._id, message._id, req.user._id);
+        if (!updated) {
+            return res.status(400).json({ 
+                error: `You can pin up to ${Chat.MAX_PINNED_MESSAGES} messages` 
+            });
+        }
+
+        const pin = updated.pinnedMessages.find(p => p.message.equals(message._id));
+        const payload = {
+            message,
+            pinnedBy: { _id: req.user._id, username: req.user.username, avatar: req.user.avatar },
+            pinnedAt: pin.pinnedAt
+        };
+
+        const io = req.app.get('io');
+        await postSystemMessage(io, updated, req.user._id, `${req.user.username} pinned a message`);
+
+        if (io) {
+            io.to(`chat_${chat._id}`).emit('message_pinned', {
+                chatId: chat._id,
+                pin: payload
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            pin: payload
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Pin message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/chats/:chatId/pins/:messageId
+// @desc    Unpin a message
+// @access  Private
+router.delete('/:chatId/pins/:messageId', auth, async (req, res) => {
+    try {
+        const chat = await Chat.findById(req.params.chatId);
+
+        if (!chat) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+
+        if (!chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        assertCan(chat, req.user._id, 'pinMessages');
+
+        const updated = await Chat.unpinMessages(chat._id, [req.params.messageId]);
+        if (!updated) {
+            return res.status(404).json({ error: 'Message is not pinned' });
+        }
+
+        const io = req.app.get('io');
+        await postSystemMessage(io, updated, req.user._id, `${req.user.username} unpinned a message`);
+
+        if (io) {
+            io.to(`chat_${chat._id}`).emit('message_unpinned', {
+                chatId: chat._id,
+                messageId: req.params.messageId
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Message unpinned successfully'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Unpin message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/participants
+// @desc    Add participant to group
+// @access  Private
+router.post('/:chatId/participants', [
+    auth,
+    body('userId').notEmpty().withMessage('User ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { userId } = req.body;
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+
+        assertCan(chat, req.user._id, 'addMembers');
+
         // Check if user exists
         const newUser = await User.findById(userId);
         if (!newUser) {
@@ -337,130 +658,411 @@ router.post('/:chatId/participants', [
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Add participant error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
 // @route   DELETE api/chats/:chatId/participants/:userId
-// @desc    Remove participant from group
+// @desc    Remove participant from group, or leave it. An owner who leaves
+//          can name the new owner in `newOwnerId`.
 // @access  Private
-router.delete('/:chatId/participants/:userId', auth, async (req, res) => {
+router.delete('/:chatId/participants/:userId', [
+    auth,
+    body('newOwnerId').optional().isMongoId().withMessage('Invalid new owner')
+], async (req, res) => {
     try {
-        const chat = await Chat.findById(req.params.chatId);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
 
-        if (!chat) {
-            return res.status(404).json({ error: 'Chat not found' });
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const isRemovingSelf = req.params.userId === req.user._id.toString();
+
+        const { newOwner } = await removeMember(req.app.get('io'), chat, req.user, req.params.userId, {
+            newOwnerId: req.body.newOwnerId
+        });
+
+        res.json({
+            success: true,
+            message: isRemovingSelf ? 'Left group successfully' : 'Participant removed successfully',
+            newOwner: newOwner ? newOwner._id : undefined
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Remove participant error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (chat.type !== 'group') {
-            return res.status(400).json({ error: 'Can only remove participants from groups' });
+// @route   GET api/chats/:chatId/invites
+// @desc    List a group's active invite links
+// @access  Private
+router.get('/:chatId/invites', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const invites = await listInvites(chat, req.user._id);
+
+        res.json({
+            success: true,
+            invites
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('List invites error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/invites
+// @desc    Create an invite link, optionally expiring, limited or needing approval
+// @access  Private
+router.post('/:chatId/invites', [
+    auth,
+    body('expiresInHours').optional({ nullable: true }).isInt({ min: 1, max: 24 * 30 }).withMessage('Expiry must be between 1 hour and 30 days'),
+    body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('Maximum uses must be between 1 and 1000'),
+    body('requiresApproval').optional().isBoolean().withMessage('requiresApproval must be true or false')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
         }
 
-        const { userId } = req.params;
-        const isRemovingSelf = userId === req.user._id.toString();
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const { expiresInHours, maxUses, requiresApproval } = req.body;
+
+        const invite = await createInvite(chat, req.user, {
+            expiresInHours,
+            maxUses,
+            requiresApproval: requiresApproval === true || requiresApproval === 'true'
+        });
+
+        res.status(201).json({
+            success: true,
+            invite
+        });
 
-        // Only admins can remove others, anyone can leave
-        if (!isRemovingSelf && !chat.isAdmin(req.user._id)) {
-            return res.status(403).json({ error: 'Only admins can remove participants' });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Create invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/chats/:chatId/invites/:inviteId
+// @desc    Revoke an invite link
+// @access  Private
+router.delete('/:chatId/invites/:inviteId', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await revokeInvite(chat, req.user, req.params.inviteId);
+
+        res.json({
+            success: true,
+            message: 'Invite link revoked'
+        });
 
-        // Can't remove creator
-        if (chat.creator && chat.creator.equals(userId)) {
-            return res.status(403).json({ error: 'Cannot remove group creator' });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Revoke invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        const userToRemove = await User.findById(userId);
-        if (!userToRemove) {
-            return res.status(404).json({ error: 'User not found' });
+// @route   GET api/chats/:chatId/join-requests
+// @desc    List pending requests to join a group
+// @access  Private
+router.get('/:chatId/join-requests', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const requests = await listJoinRequests(chat, req.user);
+
+        res.json({
+            success: true,
+            requests,
+            count: requests.length
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('List join requests error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/join-requests/review
+// @desc    Accept or reject several requests to join at once
+// @access  Private
+router.post('/:chatId/join-requests/review', [
+    auth,
+    body('userIds').isArray({ min: 1, max: 100 }).withMessage('Choose between 1 and 100 requests'),
+    body('action').isIn(['accept', 'reject']).withMessage('Action must be accept or reject')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
         }
 
-        // Remove participant
-        await chat.removeParticipant(userId);
+        const { userIds, action } = req.body;
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const reviewed = await reviewJoinRequests(req.app.get('io'), chat, req.user, userIds.map(String), action);
 
-        // Create system message
-        const systemMessage = new Message({
-            chat: chat._id,
-            sender: req.user._id,
-            content: isRemovingSelf 
-                ? `${req.user.username} left the group`
-                : `${req.user.username} removed ${userToRemove.username}`,
-            type: 'system'
+        res.json({
+            success: true,
+            message: `${reviewed} ${reviewed === 1 ? 'request' : 'requests'} ${action === 'accept' ? 'accepted' : 'rejected'}`,
+            reviewed
         });
-        await systemMessage.save();
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Review join requests error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/join-requests/accept/:userId
+// @desc    Let a user who asked to join into the group
+// @access  Private
+router.post('/:chatId/join-requests/accept/:userId', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const reviewed = await reviewJoinRequests(req.app.get('io'), chat, req.user, [req.params.userId], 'accept');
+
+        if (!reviewed) {
+            return res.status(404).json({ error: 'Join request not found' });
+        }
 
         res.json({
             success: true,
-            message: isRemovingSelf ? 'Left group successfully' : 'Participant removed successfully'
+            message: 'Join request accepted'
         });
 
     } catch (error) {
-        console.error('Remove participant error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Accept join request error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// @route   POST api/chats/:chatId/admins/:userId
-// @desc    Make user admin
+// @route   POST api/chats/:chatId/join-requests/reject/:userId
+// @desc    Turn down a request to join
 // @access  Private
-router.post('/:chatId/admins/:userId', auth, async (req, res) => {
+router.post('/:chatId/join-requests/reject/:userId', auth, async (req, res) => {
     try {
-        const chat = await Chat.findById(req.params.chatId);
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        const reviewed = await reviewJoinRequests(req.app.get('io'), chat, req.user, [req.params.userId], 'reject');
 
-        if (!chat) {
-            return res.status(404).json({ error: 'Chat not found' });
+        if (!reviewed) {
+            return res.status(404).json({ error: 'Join request not found' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Join request rejected'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Reject join request error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/join
+// @desc    Join a group from the directory, or ask to when it needs approval
+// @access  Private
+router.post('/:chatId/join', auth, async (req, res) => {
+    try {
+        const { status, chat } = await joinFromDirectory(req.app.get('io'), req.user, req.params.chatId);
 
-        if (chat.type !== 'group') {
-            return res.status(400).json({ error: 'Only groups have admins' });
+        if (status !== 'pending') {
+            await chat.populate('participants', PARTICIPANT_FIELDS);
+            await chat.populate('admins', ADMIN_FIELDS);
         }
 
-        // Only admins can promote others
-        if (!chat.isAdmin(req.user._id)) {
-            return res.status(403).json({ error: 'Only admins can promote users' });
+        res.json({
+            success: true,
+            status,
+            message: status === 'pending'
+                ? 'Your request to join has been sent to the group admins'
+                : status === 'member' ? 'You are already in this group' : 'Joined the group',
+            chat: status === 'pending' ? undefined : projectChatUsers(chat.toJSON(), req.user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Join group error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        await chat.addAdmin(req.params.userId);
+// @route   PUT api/chats/:chatId/members/:userId/role
+// @desc    Make a member an admin, moderator, plain member or read-only
+// @access  Private
+router.put('/:chatId/members/:userId/role', [
+    auth,
+    body('role').isIn(['admin', 'moderator', 'member', 'readonly']).withMessage('Invalid role')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
 
-        const newAdmin = await User.findById(req.params.userId);
-        
-        // Create system message
-        const systemMessage = new Message({
-            chat: chat._id,
-            sender: req.user._id,
-            content: `${req.user.username} made ${newAdmin.username} an admin`,
-            type: 'system'
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await changeRole(req.app.get('io'), chat, req.user, req.params.userId, req.body.role);
+
+        res.json({
+            success: true,
+            message: 'Role updated',
+            role: chat.getRole(req.params.userId)
         });
-        await systemMessage.save();
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Change role error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/chats/:chatId/owner
+// @desc    Transfer ownership of a group to another member
+// @access  Private
+router.post('/:chatId/owner', [
+    auth,
+    body('userId').isMongoId().withMessage('User ID is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await transferOwnership(req.app.get('io'), chat, req.user, req.body.userId);
 
         res.json({
             success: true,
-            message: 'User promoted to admin'
+            message: 'Ownership transferred'
         });
 
     } catch (error) {
-        console.error('Add admin error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Transfer ownership error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// @route   DELETE api/chats/:chatId/admins/:userId
-// @desc    Remove admin
+// @route   PUT api/chats/:chatId/permissions
+// @desc    Set the lowest role allowed to do each thing in a group
 // @access  Private
-router.delete('/:chatId/admins/:userId', auth, async (req, res) => {
+router.put('/:chatId/permissions', [
+    auth,
+    body('permissions').isObject().withMessage('Permissions are required'),
+    body('permissions').custom(permissions => Object.keys(permissions).every(key => Chat.PERMISSIONS.includes(key)))
+        .withMessage('Unknown permission'),
+    body('permissions.*').isIn(PERMISSION_LEVELS).withMessage('Invalid permission level')
+], async (req, res) => {
     try {
-        const chat = await Chat.findById(req.params.chatId);
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
 
-        if (!chat) {
-            return res.status(404).json({ error: 'Chat not found' });
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await updatePermissions(req.app.get('io'), chat, req.user, req.body.permissions);
+
+        res.json({
+            success: true,
+            settings: chat.settings
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Update permissions error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Only creator can demote admins
-        if (!chat.creator.equals(req.user._id)) {
-            return res.status(403).json({ error: 'Only creator can remove admins' });
+// @route   POST api/chats/:chatId/admins/:userId
+// @desc    Make user admin
+// @access  Private
+router.post('/:chatId/admins/:userId', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await changeRole(req.app.get('io'), chat, req.user, req.params.userId, 'admin');
+
+        res.json({
+            success: true,
+            message: 'User promoted to admin'
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Add admin error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        await chat.removeAdmin(req.params.userId);
+// @route   DELETE api/chats/:chatId/admins/:userId
+// @desc    Remove admin
+// @access  Private
+router.delete('/:chatId/admins/:userId', auth, async (req, res) => {
+    try {
+        const chat = await findGroupForMember(req.params.chatId, req.user._id);
+        await changeRole(req.app.get('io'), chat, req.user, req.params.userId, 'member');
 
         res.json({
             success: true,
@@ -468,8 +1070,11 @@ router.delete('/:chatId/admins/:userId', auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Remove admin error:', error);
-        res.status(500).json({ error: error.message || 'Server error' });
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -586,16 +1191,20 @@ router.delete('/:chatId', auth, async (req, res) => {
             return res.status(400).json({ error: 'Cannot delete private chat' });
         }
 
-        // Only creator can delete group
-        if (!chat.creator.equals(req.user._id)) {
-            return res.status(403).json({ error: 'Only creator can delete group' });
+        // Only the owner can delete the group
+        if (!chat.creator || !chat.creator.equals(req.user._id)) {
+            return res.status(403).json({ error: 'Only the owner can delete the group' });
         }
 
-        // Delete all messages
+        // Delete all messages, and everything else that only means
+        // something with the chat around. Join requests go with the chat.
         await Message.deleteMany({ chat: chat._id });
+        await ScheduledMessage.deleteMany({ chat: chat._id });
+        await GroupInvite.deleteMany({ chat: chat._id });
+        await ChannelSubscription.deleteMany({ channel: chat._id });
 
         // Delete chat
-        await chat.remove();
+        await chat.deleteOne();
 
         res.json({
             success: true,
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const { withPrivacyFields, projectUser, projectChatUsers } = require('../utils/privacy');
 
 const router = express.Router();
 
@@ -10,6 +11,7 @@ const router = express.Router();
 // @access  Private
 router.post('/send', [
     auth,
+    requireVerifiedEmail,
     body('friendId').trim().isLength({ min: 8, max: 8 }).withMessage('Invalid Friend ID')
 ], async (req, res) => {
     try {
@@ -68,14 +70,14 @@ router.get('/', auth, async (req, res) => {
         const user = await User.findById(req.user._id)
             .populate({
                 path: 'friendRequests.from',
-                select: 'username email avatar friendId isOnline lastSeen'
+                select: withPrivacyFields('username email avatar friendId isOnline lastSeen')
             });
 
         const pendingRequests = user.friendRequests
             .filter(req => req.status === 'pending')
             .map(req => ({
                 _id: req._id,
-                from: req.from,
+                from: req.from && projectUser(req.from, user),
                 createdAt: req.createdAt,
                 status: req.status
             }));
@@ -114,7 +116,7 @@ router.post('/accept/:userId', auth, async (req, res) => {
                 participants: [req.user._id, userId]
             });
 
-            await chat.populate('participants', 'username email avatar isOnline lastSeen friendId');
+            await chat.populate('participants', withPrivacyFields('username email avatar isOnline lastSeen friendId'));
             
             console.log(`✅ Auto-created private chat for ${req.user.username} and ${sender.username}`);
         }
@@ -125,10 +127,10 @@ router.post('/accept/:userId', auth, async (req, res) => {
             friend: {
                 _id: sender._id,
                 username: sender.username,
-                avatar: sender.avatar,
+                avatar: projectUser(sender, req.user).avatar,
                 friendId: sender.friendId
             },
-            chat: chat
+            chat: projectChatUsers(chat.toJSON(), req.user)
         });
 
     } catch (error) {
@@ -166,14 +168,14 @@ router.get('/sent', auth, async (req, res) => {
         const user = await User.findById(req.user._id)
             .populate({
                 path: 'sentFriendRequests.to',
-                select: 'username email avatar friendId isOnline lastSeen'
+                select: withPrivacyFields('username email avatar friendId isOnline lastSeen')
             });
 
         const sentRequests = user.sentFriendRequests
             .filter(req => req.status === 'pending')
             .map(req => ({
                 _id: req._id,
-                to: req.to,
+                to: req.to && projectUser(req.to, user),
                 createdAt: req.createdAt,
                 status: req.status
             }));
@@ -0,0 +1,63 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { previewInvite, joinWithInvite } = require('../services/groupInviteService');
+const { withPrivacyFields, projectChatUsers } = require('../utils/privacy');
+
+const router = express.Router();
+
+const JOIN_MESSAGES = {
+    joined: 'Joined the group',
+    pending: 'Your request to join has been sent to the group admins',
+    member: 'You are already in this group'
+};
+
+// @route   GET api/invites/:code
+// @desc    Preview the group behind an invite link
+// @access  Private
+router.get('/:code', auth, async (req, res) => {
+    try {
+        const invite = await previewInvite(req.params.code, req.user._id);
+
+        res.json({
+            success: true,
+            invite
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Preview invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/invites/:code/join
+// @desc    Join a group with an invite link, or ask to when it needs approval
+// @access  Private
+router.post('/:code/join', auth, async (req, res) => {
+    try {
+        const { status, chat } = await joinWithInvite(req.app.get('io'), req.user, req.params.code);
+
+        if (status !== 'pending') {
+            await chat.populate('participants', withPrivacyFields('username email avatar isOnline lastSeen'));
+            await chat.populate('admins', withPrivacyFields('username email avatar'));
+        }
+
+        res.json({
+            success: true,
+            status,
+            message: JOIN_MESSAGES[status],
+            chat: status === 'pending' ? undefined : projectChatUsers(chat.toJSON(), req.user)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Join with invite error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -3,15 +3,173 @@ const { body, query, validationResult } = require('express-validator');
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
 const { auth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { sendMessage, forwardMessages, deleteMessage } = require('../services/messageService');
+const { castVote, closePoll } = require('../services/pollService');
+const { recordView } = require('../services/channelService');
+const { getSyncCursor, syncChats } = require('../services/syncService');
+const {
+    LINK_PATTERN,
+    escapeRegex,
+    parseSearchQuery,
+    getHighlightTerms,
+    buildSnippet,
+    encodeCursor,
+    decodeCursor
+} = require('../utils/messageSearch');
 
 const router = express.Router();
 
+// Serialize a message, adding the user's own choices to polls. Poll tallies
+// are public, but which options this user picked is only sent to them.
+const withMyVotes = (message, userId) => {
+    const json = message.toJSON();
+    if (message.poll) {
+        json.myVotes = message.getPollVotes(userId);
+    }
+    return json;
+};
+
+// @route   GET api/messages/search
+// @desc    Search messages across all of the user's chats
+//          (?q=&chat=&sender=&from=&to=&has=file,link&cursor=&limit=)
+// @access  Private
+router.get('/search', [
+    auth,
+    query('q').optional().trim().isLength({ max: 200 }).withMessage('Search query too long'),
+    query('chat').optional().isMongoId().withMessage('Invalid chat ID'),
+    query('sender').optional().isMongoId().withMessage('Invalid sender ID'),
+    query('from').optional().isISO8601().withMessage('Invalid from date'),
+    query('to').optional().isISO8601().withMessage('Invalid to date'),
+    query('has').optional().matches(/^(file|link)(,(file|link))?$/).withMessage('has must be file and/or link'),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { q = '', chat, sender, from, to, cursor, limit = 20 } = req.query;
+        const { text, has: inlineHas } = parseSearchQuery(q);
+        const has = new Set([...inlineHas, ...(req.query.has ? req.query.has.split(',') : [])]);
+
+        if (!text && has.size === 0 && !sender) {
+            return res.status(400).json({ error: 'Search query or filter is required' });
+        }
+
+        let after = null;
+        if (cursor) {
+            after = decodeCursor(cursor);
+            if (!after || !mongoose.Types.ObjectId.isValid(after._id)) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+        }
+
+        // Limit the search to chats the user is in
+        const userChats = await Chat.find({ participants: req.user._id }).select('_id');
+        let chatScope = userChats.map(c => c._id);
+
+        if (chat) {
+            if (!chatScope.some(id => id.equals(chat))) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            chatScope = [new mongoose.Types.ObjectId(chat)];
+        }
+
+        const match = {
+            chat: { $in: chatScope },
+            type: { $ne: 'system' },
+            deleted: false,
+            deletedFor: { $ne: req.user._id }
+        };
+
+        if (sender) match.sender = new mongoose.Types.ObjectId(sender);
+
+        if (from || to) {
+            match.createdAt = {};
+            if (from) match.createdAt.$gte = new Date(from);
+            if (to) match.createdAt.$lte = new Date(to);
+        }
+
+        if (has.has('file')) match['file.url'] = { $exists: true, $nin: [null, ''] };
+        if (has.has('link')) match.content = { $regex: LINK_PATTERN.source, $options: 'i' };
+
+        const { results, hasMore } = await Message.searchPage(match, {
+            text,
+            after,
+            limit: parseInt(limit)
+        });
+
+        await Message.populate(results, [
+            { path: 'sender', select: 'username avatar' },
+            {
+                path: 'chat',
+                select: 'name type avatar participants',
+                populate: { path: 'participants', select: 'username avatar' }
+            }
+        ]);
+
+        const terms = getHighlightTerms(text);
+        const hits = results.map(result => {
+            const resultChat = result.chat;
+            let chatName = resultChat.name;
+            let chatAvatar = resultChat.avatar;
+
+            // For private chats, use the other participant's name
+            if (resultChat.type === 'private') {
+                const otherParticipant = resultChat.participants.find(
+                    p => p._id.toString() !== req.user._id.toString()
+                );
+                chatName = otherParticipant?.username || 'Unknown User';
+                chatAvatar = otherParticipant?.avatar || { url: '' };
+            }
+
+            return {
+                _id: result._id,
+                chat: {
+                    _id: resultChat._id,
+                    name: chatName,
+                    type: resultChat.type,
+                    avatar: chatAvatar
+                },
+                sender: result.sender,
+                type: result.type,
+                content: result.content,
+                file: result.file,
+                threadRoot: result.threadRoot,
+                createdAt: result.createdAt,
+                score: result.score,
+                snippet: buildSnippet(result.content, terms)
+            };
+        });
+
+        res.json({
+            success: true,
+            results: hits,
+            count: hits.length,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(results[results.length - 1]) : null
+        });
+
+    } catch (error) {
+        console.error('Global search error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 // @route   GET api/messages/:chatId
-// @desc    Get messages for a chat
+// @desc    Get messages for a chat, paged by message cursors
+//          (?before=<messageId>, ?after=<messageId> or ?around=<messageId>)
 // @access  Private
 router.get('/:chatId', [
     auth,
-    query('page').optional().isInt({ min: 1 }),
+    query('before').optional().isMongoId().withMessage('Invalid cursor'),
+    query('after').optional().isMongoId().withMessage('Invalid cursor'),
+    query('around').optional().isMongoId().withMessage('Invalid cursor'),
     query('limit').optional().isInt({ min: 1, max: 100 })
 ], async (req, res) => {
     try {
@@ -24,8 +182,11 @@ router.get('/:chatId', [
         }
 
         const { chatId } = req.params;
-        const { page = 1, limit = 50 } = req.query;
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const { before, after, around, limit = 50 } = req.query;
+
+        if ([before, after, around].filter(Boolean).length > 1) {
+            return res.status(400).json({ error: 'Use only one of before, after or around' });
+        }
 
         // Check if chat exists and user is participant
         const chat = await Chat.findById(chatId);
@@ -33,42 +194,53 @@ router.get('/:chatId', [
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        if (!chat.isParticipant(req.user._id)) {
+        if (!await chat.canView(req.user._id)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
         // Get messages
-        const messages = await Message.find({ 
-            chat: chatId,
-            $or: [
-                { deleted: false },
-                { deleted: true, sender: req.user._id }
-            ]
-        })
-        .populate('sender', 'username avatar')
-        .populate('replyTo', 'content sender type')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit));
+        const page = await Message.getTimelinePage(chatId, req.user._id, {
+            before,
+            after,
+            around,
+            limit: parseInt(limit)
+        });
 
-        // Filter out messages deleted for this user
-        const filteredMessages = messages.filter(msg => 
-            !msg.isDeletedForUser(req.user._id)
-        );
+        if (!page) {
+            return res.status(404).json({ error: 'Cursor message not found' });
+        }
 
-        // Get total count
-        const total = await Message.countDocuments({ 
-            chat: chatId,
-            deleted: false
-        });
+        const { messages, hasMoreBefore, hasMoreAfter } = page;
+        const syncCursor = await getSyncCursor(chat._id);
+
+        // The messages have reached the device that asked for them
+        if (messages.length > 0 && chat.isParticipant(req.user._id)) {
+            await Message.markDeliveredToDevice(messages.map(msg => msg._id), req.user._id, req.deviceId);
+        }
+
+        // Attach per-thread unread counts to thread roots
+        const threadRootIds = messages
+            .filter(msg => msg.thread && msg.thread.replyCount > 0)
+            .map(msg => msg._id);
+        const threadUnread = await Message.getThreadUnreadCounts(threadRootIds, req.user._id);
+        const messagesWithThreads = messages.map(msg => ({
+            ...withMyVotes(msg, req.user._id),
+            threadUnreadCount: threadUnread[msg._id.toString()] || 0
+        }));
 
         res.json({
             success: true,
-            messages: filteredMessages.reverse(),
-            page: parseInt(page),
+            messages: messagesWithThreads,
             limit: parseInt(limit),
-            total,
-            hasMore: skip + filteredMessages.length < total
+            hasMoreBefore,
+            hasMoreAfter,
+            hasMore: hasMoreBefore,
+            cursors: {
+                before: messages.length > 0 ? messages[0]._id : null,
+                after: messages.length > 0 ? messages[messages.length - 1]._id : null
+            },
+            // Where to sync from to catch up on changes after this load
+            syncCursor
         });
 
     } catch (error) {
@@ -85,8 +257,11 @@ router.post('/', [
     body('chatId').notEmpty().withMessage('Chat ID is required'),
     body('content').trim().notEmpty().withMessage('Message content is required')
         .isLength({ max: 5000 }).withMessage('Message too long'),
-    body('type').optional().isIn(['text', 'image', 'video', 'audio', 'file', 'system']),
-    body('replyTo').optional().isMongoId()
+    body('type').optional().isIn(['text', 'image', 'video', 'audio', 'file', 'system', 'poll']),
+    body('replyTo').optional().isMongoId(),
+    body('threadRoot').optional().isMongoId(),
+    body('poll').optional().isObject(),
+    body('clientId').optional().matches(/^[\w-]{1,64}$/).withMessage('Invalid client ID')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -97,58 +272,363 @@ router.post('/', [
             });
         }
 
-        const { chatId, content, type = 'text', replyTo, file, metadata } = req.body;
+        const { chatId, content, type = 'text', replyTo, threadRoot, file, metadata, poll, clientId } = req.body;
 
-        // Check if chat exists and user is participant
-        const chat = await Chat.findById(chatId);
-        if (!chat) {
-            return res.status(404).json({ error: 'Chat not found' });
+        const message = await sendMessage(req.app.get('io'), {
+            chatId,
+            senderId: req.user._id,
+            content,
+            type,
+            replyTo,
+            threadRoot,
+            file,
+            metadata,
+            poll,
+            clientId
+        });
+
+        res.status(201).json({
+            success: true,
+            message
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Send message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (!chat.isParticipant(req.user._id)) {
-            return res.status(403).json({ error: 'Access denied' });
+// @route   POST api/messages/forward
+// @desc    Forward messages to one or more chats
+// @access  Private
+router.post('/forward', [
+    auth,
+    body('messageIds').isArray({ min: 1 }).withMessage('Message IDs are required'),
+    body('messageIds.*').isMongoId().withMessage('Invalid message ID'),
+    body('chatIds').isArray({ min: 1 }).withMessage('Chat IDs are required'),
+    body('chatIds.*').isMongoId().withMessage('Invalid chat ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
         }
 
-        // Check group settings
-        if (chat.type === 'group' && chat.settings.onlyAdminsCanMessage) {
-            if (!chat.isAdmin(req.user._id)) {
-                return res.status(403).json({ error: 'Only admins can send messages' });
-            }
+        const results = await forwardMessages(req.app.get('io'), {
+            senderId: req.user._id,
+            messageIds: req.body.messageIds,
+            chatIds: req.body.chatIds
+        });
+
+        const forwardedTo = results.filter(result => result.success).length;
+
+        res.status(forwardedTo > 0 ? 201 : 400).json({
+            success: forwardedTo > 0,
+            forwardedTo,
+            results
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        console.error('Forward messages error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Create message
-        const messageData = {
-            chat: chatId,
-            sender: req.user._id,
-            content,
-            type
+// @route   POST api/messages/sync
+// @desc    Get what changed in chats since per-chat sync cursors
+//          (body: { chats: [{ chatId, cursor }] })
+// @access  Private
+router.post('/sync', [
+    auth,
+    body('chats').isArray({ min: 1 }).withMessage('Chats are required'),
+    body('chats.*.chatId').isMongoId().withMessage('Invalid chat ID'),
+    body('chats.*.cursor').optional({ nullable: true }).isString().withMessage('Invalid sync cursor')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const chats = await syncChats(req.user._id, req.body.chats, { deviceId: req.deviceId });
+
+        res.json({
+            success: true,
+            chats
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Sync messages error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/messages/:messageId/thread
+// @desc    Get a thread (root message and its replies)
+// @access  Private
+router.get('/:messageId/thread', [
+    auth,
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { page = 1, limit = 50 } = req.query;
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const root = await Message.findById(req.params.messageId)
+            .populate('sender', 'username avatar');
+
+        if (!root || root.threadRoot || root.deletedFor.some(id => id.equals(req.user._id))) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        // Check if user is in the chat
+        const chat = await Chat.findById(root.chat);
+        if (!chat || !chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const replyQuery = {
+            threadRoot: root._id,
+            deleted: false,
+            deletedFor: { $ne: req.user._id }
         };
 
-        if (replyTo) messageData.replyTo = replyTo;
-        if (file) messageData.file = file;
-        if (metadata) messageData.metadata = metadata;
+        const replies = await Message.find(replyQuery)
+            .populate('sender', 'username avatar')
+            .populate('replyTo', 'content sender type')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(parseInt(limit));
+
+        const total = await Message.countDocuments(replyQuery);
+        const unreadCount = await Message.getThreadUnreadCount(root._id, req.user._id);
+
+        res.json({
+            success: true,
+            root: withMyVotes(root, req.user._id),
+            replies: replies.map(reply => withMyVotes(reply, req.user._id)),
+            unreadCount,
+            isFollowing: root.thread.followers.some(id => id.equals(req.user._id)),
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            hasMore: skip + replies.length < total
+        });
+
+    } catch (error) {
+        console.error('Get thread error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        const message = new Message(messageData);
-        await message.save();
+// @route   POST api/messages/:messageId/thread/read
+// @desc    Mark all replies in a thread as read
+// @access  Private
+router.post('/:messageId/thread/read', auth, async (req, res) => {
+    try {
+        const root = await Message.findById(req.params.messageId);
 
-        // Update chat's last message
-        chat.lastMessage = message._id;
-        chat.lastActivity = new Date();
-        await chat.save();
+        if (!root || root.threadRoot) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
 
-        // Populate message
-        await message.populate('sender', 'username avatar');
-        if (replyTo) {
-            await message.populate('replyTo', 'content sender type');
+        const chat = await Chat.findById(root.chat);
+        if (!chat || !chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
         }
 
-        res.status(201).json({
+        await Message.markThreadAsRead(root._id, req.user._id);
+
+        res.json({
             success: true,
-            message
+            message: 'Thread marked as read'
         });
 
     } catch (error) {
-        console.error('Send message error:', error);
+        console.error('Mark thread as read error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/messages/:messageId/thread/follow
+// @desc    Follow a thread
+// @access  Private
+router.post('/:messageId/thread/follow', auth, async (req, res) => {
+    try {
+        const root = await Message.findById(req.params.messageId);
+
+        if (!root || root.threadRoot) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        const chat = await Chat.findById(root.chat);
+        if (!chat || !chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await Message.updateOne(
+            { _id: root._id },
+            { $addToSet: { 'thread.followers': req.user._id } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Thread followed'
+        });
+
+    } catch (error) {
+        console.error('Follow thread error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/messages/:messageId/thread/follow
+// @desc    Unfollow a thread
+// @access  Private
+router.delete('/:messageId/thread/follow', auth, async (req, res) => {
+    try {
+        const root = await Message.findById(req.params.messageId);
+
+        if (!root || root.threadRoot) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        const chat = await Chat.findById(root.chat);
+        if (!chat || !chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await Message.updateOne(
+            { _id: root._id },
+            { $pull: { 'thread.followers': req.user._id } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Thread unfollowed'
+        });
+
+    } catch (error) {
+        console.error('Unfollow thread error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/messages/:messageId/poll/vote
+// @desc    Vote in a poll (replaces earlier votes, empty optionIds retracts)
+// @access  Private
+router.post('/:messageId/poll/vote', [
+    auth,
+    body('optionIds').isArray({ max: 10 }).withMessage('Option IDs must be an array'),
+    body('optionIds.*').isMongoId().withMessage('Invalid option ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ 
+                error: 'Validation failed', 
+                details: errors.array() 
+            });
+        }
+
+        const { message, myVotes } = await castVote(req.app.get('io'), {
+            messageId: req.params.messageId,
+            userId: req.user._id,
+            optionIds: req.body.optionIds
+        });
+
+        res.json({
+            success: true,
+            poll: message.toJSON().poll,
+            myVotes
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Poll vote error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/messages/:messageId/poll/close
+// @desc    Close a poll
+// @access  Private
+router.post('/:messageId/poll/close', auth, async (req, res) => {
+    try {
+        const message = await closePoll(req.app.get('io'), {
+            messageId: req.params.messageId,
+            userId: req.user._id
+        });
+
+        res.json({
+            success: true,
+            poll: message.toJSON().poll
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Close poll error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/messages/:messageId/history
+// @desc    Get a message's edit history
+// @access  Private
+router.get('/:messageId/history', auth, async (req, res) => {
+    try {
+        const message = await Message.findById(req.params.messageId)
+            .select('+editHistory')
+            .populate('sender', 'username avatar');
+
+        if (!message || message.isDeletedForUser(req.user._id)) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        // Check if user is participant
+        const chat = await Chat.findById(message.chat);
+        if (!chat || !await chat.canView(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json({
+            success: true,
+            messageId: message._id,
+            sender: message.sender,
+            edited: message.edited,
+            revisions: message.getRevisions()
+        });
+
+    } catch (error) {
+        console.error('Get message history error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
@@ -198,14 +678,12 @@ router.put('/:messageId', [
 router.delete('/:messageId', auth, async (req, res) => {
     try {
         const { deleteForEveryone = false } = req.query;
-        const message = await Message.findById(req.params.messageId);
-
-        if (!message) {
-            return res.status(404).json({ error: 'Message not found' });
-        }
 
-        // Delete message
-        await message.deleteMessage(req.user._id, deleteForEveryone === 'true');
+        await deleteMessage(req.app.get('io'), {
+            messageId: req.params.messageId,
+            userId: req.user._id,
+            forEveryone: deleteForEveryone === 'true'
+        });
 
         res.json({
             success: true,
@@ -213,8 +691,11 @@ router.delete('/:messageId', auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Delete message error:', error);
-        res.status(400).json({ error: error.message || 'Server error' });
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
@@ -241,9 +722,9 @@ router.post('/:messageId/reaction', [
             return res.status(404).json({ error: 'Message not found' });
         }
 
-        // Check if user is in the chat
+        // Check if user is in the chat, or follows the channel
         const chat = await Chat.findById(message.chat);
-        if (!chat.isParticipant(req.user._id)) {
+        if (!await chat.canView(req.user._id)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
@@ -305,20 +786,17 @@ router.post('/:chatId/read', [
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        if (!chat.isParticipant(req.user._id)) {
+        if (!await chat.canView(req.user._id)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
-        if (messageIds && messageIds.length > 0) {
+        // Subscribers count as views on channel posts rather than as readers
+        if (!chat.isParticipant(req.user._id)) {
+            await recordView(chat, req.user._id, messageIds);
+        } else if (messageIds && messageIds.length > 0) {
             // Mark specific messages as read
-            await Promise.all(
-                messageIds.map(async (msgId) => {
-                    const message = await Message.findById(msgId);
-                    if (message) {
-                        await message.markAsReadBy(req.user._id);
-                    }
-                })
-            );
+            const messages = await Message.findInChat(chat._id, messageIds);
+            await Promise.all(messages.map(message => message.markAsReadBy(req.user._id)));
         } else {
             // Mark all messages in chat as read
             await Message.markAllAsRead(chatId, req.user._id);
@@ -361,16 +839,17 @@ router.get('/search/:chatId', [
             return res.status(404).json({ error: 'Chat not found' });
         }
 
-        if (!chat.isParticipant(req.user._id)) {
+        if (!await chat.canView(req.user._id)) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
         // Search messages
         const messages = await Message.find({
             chat: chatId,
-            content: { $regex: q, $options: 'i' },
+            content: { $regex: escapeRegex(q), $options: 'i' },
             deleted: false,
-            type: 'text'
+            deletedFor: { $ne: req.user._id },
+            type: { $ne: 'system' }
         })
         .populate('sender', 'username avatar')
         .sort({ createdAt: -1 })
@@ -0,0 +1,62 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const { createReport } = require('../services/reportService');
+
+const router = express.Router();
+
+// @route   POST api/reports
+// @desc    Report a message, user or group to the moderators
+// @access  Private
+router.post('/', [
+    auth,
+    body('targetType').isIn(['message', 'user', 'group']).withMessage('Target type must be message, user or group'),
+    body('targetId').isMongoId().withMessage('Invalid target ID'),
+    body('reason')
+        .isIn(['spam', 'harassment', 'hate', 'violence', 'sexual', 'impersonation', 'other'])
+        .withMessage('Invalid reason'),
+    body('details').optional().trim().isLength({ max: 1000 }).withMessage('Details cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array().map(e => e.msg)
+            });
+        }
+
+        const { targetType, targetId, reason, details } = req.body;
+
+        const { report, duplicate } = await createReport(req.app.get('io'), req.user, {
+            targetType,
+            targetId,
+            reason,
+            details
+        });
+
+        // Don't hand the snapshot back; it's for moderators
+        res.status(duplicate ? 200 : 201).json({
+            success: true,
+            message: duplicate
+                ? 'You have already reported this. Our moderators will review it.'
+                : 'Thanks for reporting. Our moderators will review it.',
+            report: {
+                _id: report._id,
+                targetType: report.targetType,
+                reason: report.reason,
+                status: report.status,
+                createdAt: report.createdAt
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Create report error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
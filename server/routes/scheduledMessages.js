@@ -0,0 +1,263 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { auth } = require('../middleware/auth');
+const { MEDIA_TYPES, assertCan } = require('../utils/groupPermissions');
+
+const router = express.Router();
+
+// Scheduled times must be at least this far ahead, so the dispatcher can pick them up
+const MIN_LEAD_MS = 60 * 1000;
+// And no further ahead than this
+const MAX_LEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+const isValidScheduleTime = (value) => {
+    const lead = new Date(value).getTime() - Date.now();
+    if (lead < MIN_LEAD_MS) {
+        throw new Error('Scheduled time must be at least a minute in the future');
+    }
+    if (lead > MAX_LEAD_MS) {
+        throw new Error('Scheduled time must be within a year');
+    }
+    return true;
+};
+
+const populateScheduled = (queryOrDoc) => {
+    return queryOrDoc.populate('replyTo', 'content sender type');
+};
+
+// Keep the sender's other open sessions in sync
+const notifySender = (req, event, payload) => {
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`user_${req.user._id}`).emit(event, payload);
+    }
+};
+
+// @route   GET api/messages/scheduled
+// @desc    Get current user's scheduled messages
+// @access  Private
+router.get('/', [
+    auth,
+    query('chatId').optional().isMongoId().withMessage('Invalid chat ID'),
+    query('status').optional().isIn(['pending', 'sent', 'failed', 'cancelled'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { chatId, status = 'pending' } = req.query;
+
+        const filter = { sender: req.user._id };
+        if (chatId) filter.chat = chatId;
+
+        // Messages being dispatched right now are still pending to the user
+        filter.status = status === 'pending' ? { $in: ['pending', 'processing'] } : status;
+
+        const scheduledMessages = await populateScheduled(
+            ScheduledMessage.find(filter).sort({ scheduledFor: 1 }).limit(100)
+        );
+
+        res.json({
+            success: true,
+            scheduledMessages
+        });
+
+    } catch (error) {
+        console.error('Get scheduled messages error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   POST api/messages/scheduled
+// @desc    Schedule a message
+// @access  Private
+router.post('/', [
+    auth,
+    body('chatId').isMongoId().withMessage('Chat ID is required'),
+    body('content').trim().notEmpty().withMessage('Message content is required')
+        .isLength({ max: 5000 }).withMessage('Message too long'),
+    body('type').optional().isIn(['text', 'image', 'video', 'audio', 'file']),
+    body('replyTo').optional().isMongoId(),
+    body('threadRoot').optional().isMongoId(),
+    body('scheduledFor').isISO8601().withMessage('Scheduled time is required')
+        .custom(isValidScheduleTime)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { chatId, content, type = 'text', replyTo, threadRoot, file, metadata, scheduledFor } = req.body;
+
+        // Check if chat exists and user is participant
+        const chat = await Chat.findById(chatId);
+        if (!chat) {
+            return res.status(404).json({ error: 'Chat not found' });
+        }
+
+        if (!chat.isParticipant(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        // Checked again when it's sent, in case the group's permissions change
+        assertCan(chat, req.user._id, 'sendMessages');
+        if (MEDIA_TYPES.includes(type)) {
+            assertCan(chat, req.user._id, 'sendMedia');
+        }
+
+        if (threadRoot) {
+            const root = await Message.findThreadRoot(threadRoot, chatId);
+            if (!root) {
+                return res.status(404).json({ error: 'Thread not found' });
+            }
+        }
+
+        const scheduledData = {
+            chat: chatId,
+            sender: req.user._id,
+            content,
+            type,
+            scheduledFor: new Date(scheduledFor)
+        };
+
+        if (replyTo) scheduledData.replyTo = replyTo;
+        if (threadRoot) scheduledData.threadRoot = threadRoot;
+        if (file) scheduledData.file = file;
+        if (metadata) scheduledData.metadata = metadata;
+
+        const scheduledMessage = new ScheduledMessage(scheduledData);
+        await scheduledMessage.save();
+        await populateScheduled(scheduledMessage);
+
+        notifySender(req, 'scheduled_message_created', { scheduledMessage });
+
+        res.status(201).json({
+            success: true,
+            scheduledMessage
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Schedule message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   GET api/messages/scheduled/:id
+// @desc    Get a scheduled message
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const scheduledMessage = await populateScheduled(ScheduledMessage.findOne({
+            _id: req.params.id,
+            sender: req.user._id
+        }));
+
+        if (!scheduledMessage) {
+            return res.status(404).json({ error: 'Scheduled message not found' });
+        }
+
+        res.json({
+            success: true,
+            scheduledMessage
+        });
+
+    } catch (error) {
+        console.error('Get scheduled message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   PUT api/messages/scheduled/:id
+// @desc    Edit a pending scheduled message
+// @access  Private
+router.put('/:id', [
+    auth,
+    body('content').optional().trim().notEmpty().withMessage('Message content is required')
+        .isLength({ max: 5000 }).withMessage('Message too long'),
+    body('scheduledFor').optional().isISO8601().withMessage('Invalid scheduled time')
+        .custom(isValidScheduleTime)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const updates = {};
+        if (req.body.content !== undefined) updates.content = req.body.content;
+        if (req.body.scheduledFor !== undefined) updates.scheduledFor = new Date(req.body.scheduledFor);
+
+        // Only update while still pending, so an edit can't race the dispatcher
+        const scheduledMessage = await populateScheduled(ScheduledMessage.findOneAndUpdate(
+            { _id: req.params.id, sender: req.user._id, status: 'pending' },
+            { $set: updates },
+            { new: true, runValidators: true }
+        ));
+
+        if (!scheduledMessage) {
+            return res.status(404).json({ error: 'Scheduled message not found or already sent' });
+        }
+
+        notifySender(req, 'scheduled_message_updated', { scheduledMessage });
+
+        res.json({
+            success: true,
+            scheduledMessage
+        });
+
+    } catch (error) {
+        console.error('Update scheduled message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// @route   DELETE api/messages/scheduled/:id
+// @desc    Cancel a pending scheduled message
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: req.params.id, sender: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!scheduledMessage) {
+            return res.status(404).json({ error: 'Scheduled message not found or already sent' });
+        }
+
+        notifySender(req, 'scheduled_message_cancelled', {
+            scheduledId: scheduledMessage._id,
+            chatId: scheduledMessage.chat
+        });
+
+        res.json({
+            success: true,
+            message: 'Scheduled message cancelled'
+        });
+
+    } catch (error) {
+        console.error('Cancel scheduled message error:', error);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
 const User = require('../models/User');
 
@@ -95,7 +95,7 @@ router.post('/avatar', [auth, upload.single('avatar')], async (req, res) => {
 // @route   POST api/upload/file
 // @desc    Upload file for message
 // @access  Private
-router.post('/file', [auth, upload.single('file')], async (req, res) => {
+router.post('/file', [auth, requireVerifiedEmail, upload.single('file')], async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, requireVerifiedEmail } = require('../middleware/auth');
+const { withPrivacyFields, projectUser } = require('../utils/privacy');
 
 const router = express.Router();
 
@@ -35,12 +36,12 @@ router.get('/search', [
             _id: { $ne: req.user._id }, // Exclude current user
             _id: { $nin: req.user.blockedUsers } // Exclude blocked users
         })
-        .select('username email avatar status isOnline lastSeen')
+        .select(withPrivacyFields('username email avatar status isOnline lastSeen'))
         .limit(parseInt(limit));
 
         res.json({
             success: true,
-            users,
+            users: users.map(user => projectUser(user, req.user)),
             count: users.length
         });
 
@@ -56,41 +57,15 @@ router.get('/search', [
 router.get('/:userId', auth, async (req, res) => {
     try {
         const user = await User.findById(req.params.userId)
-            .select('username email avatar status bio isOnline lastSeen preferences.privacy');
+            .select(withPrivacyFields('username avatar status bio isOnline lastSeen'));
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Check privacy settings
-        const isContact = req.user.contacts.includes(user._id);
-        const publicProfile = {
-            _id: user._id,
-            username: user.username,
-            avatar: user.avatar
-        };
-
-        // Apply privacy settings
-        if (user.preferences.privacy.profilePhoto === 'nobody' || 
-            (user.preferences.privacy.profilePhoto === 'contacts' && !isContact)) {
-            publicProfile.avatar = { url: '' };
-        }
-
-        if (user.preferences.privacy.status === 'everyone' || 
-            (user.preferences.privacy.status === 'contacts' && isContact)) {
-            publicProfile.status = user.status;
-            publicProfile.bio = user.bio;
-        }
-
-        if (user.preferences.privacy.lastSeen === 'everyone' || 
-            (user.preferences.privacy.lastSeen === 'contacts' && isContact)) {
-            publicProfile.isOnline = user.isOnline;
-            publicProfile.lastSeen = user.lastSeen;
-        }
-
         res.json({
             success: true,
-            user: publicProfile
+            user: projectUser(user, req.user)
         });
 
     } catch (error) {
@@ -104,6 +79,7 @@ router.get('/:userId', auth, async (req, res) => {
 // @access  Private
 router.post('/contacts/add', [
     auth,
+    requireVerifiedEmail,
     body('userId').notEmpty().withMessage('User ID is required')
 ], async (req, res) => {
     try {
@@ -161,11 +137,11 @@ router.delete('/contacts/:userId', auth, async (req, res) => {
 router.get('/contacts/list', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user._id)
-            .populate('contacts', 'username email avatar status isOnline lastSeen');
+            .populate('contacts', withPrivacyFields('username email avatar status isOnline lastSeen'));
 
         res.json({
             success: true,
-            contacts: user.contacts,
+            contacts: user.contacts.map(contact => projectUser(contact, req.user)),
             count: user.contacts.length
         });
 
@@ -251,11 +227,11 @@ router.post('/unblock', [
 router.get('/blocked/list', auth, async (req, res) => {
     try {
         const user = await User.findById(req.user._id)
-            .populate('blockedUsers', 'username email avatar');
+            .populate('blockedUsers', withPrivacyFields('username email avatar'));
 
         res.json({
             success: true,
-            blockedUsers: user.blockedUsers,
+            blockedUsers: user.blockedUsers.map(blocked => projectUser(blocked, req.user)),
             count: user.blockedUsers.length
         });
 
@@ -0,0 +1,62 @@
+// Move groups from the old allowInvites / onlyAdminsCanMessage /
+// onlyAdminsCanEditInfo switches to the permissions matrix, keeping what
+// each group allowed:
+//   npm run migrate-group-permissions
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+
+const LEGACY_SETTINGS = ['allowInvites', 'onlyAdminsCanMessage', 'onlyAdminsCanEditInfo'];
+
+// The matrix matching a group's old switches. Editing info used to cover
+// pins and disappearing messages too.
+const permissionsFor = (settings = {}) => {
+    const adminsOnly = (flag) => (flag ? 'admin' : 'member');
+
+    return {
+        sendMessages: adminsOnly(settings.onlyAdminsCanMessage === true),
+        sendMedia: adminsOnly(settings.onlyAdminsCanMessage === true),
+        addMembers: adminsOnly(settings.allowInvites === false),
+        removeMembers: 'moderator',
+        pinMessages: adminsOnly(settings.onlyAdminsCanEditInfo !== false),
+        deleteMessages: 'moderator',
+        startCalls: 'member',
+        changeSettings: adminsOnly(settings.onlyAdminsCanEditInfo !== false)
+    };
+};
+
+const main = async () => {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // The legacy fields are gone from the schema, so read the raw documents
+    const cursor = Chat.collection.find({
+        type: 'group',
+        'settings.permissions': { $exists: false }
+    });
+
+    let migrated = 0;
+    for await (const chat of cursor) {
+        await Chat.collection.updateOne(
+            { _id: chat._id },
+            {
+                $set: { 'settings.permissions': permissionsFor(chat.settings) },
+                $unset: Object.fromEntries(LEGACY_SETTINGS.map(name => [`settings.${name}`, '']))
+            }
+        );
+        migrated++;
+    }
+
+    // Private chats never used the switches
+    await Chat.collection.updateMany(
+        { type: 'private' },
+        { $unset: Object.fromEntries(LEGACY_SETTINGS.map(name => [`settings.${name}`, ''])) }
+    );
+
+    console.log(`Migrated ${migrated} ${migrated === 1 ? 'group' : 'groups'}`);
+    await mongoose.disconnect();
+};
+
+main().catch(error => {
+    console.error('Migrate group permissions error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,38 @@
+// Set a user's site role from the command line, e.g. to appoint the first admin:
+//   npm run set-role -- someone@example.com admin
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const main = async () => {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const user = await User.findOneAndUpdate(
+        { email: email.trim().toLowerCase() },
+        { $set: { role } },
+        { new: true }
+    );
+
+    if (!user) {
+        console.error(`No user with email ${email}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${user.username} is now ${role}`);
+    }
+
+    await mongoose.disconnect();
+};
+
+main().catch(error => {
+    console.error('Set role error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,85 @@
+const { sendMail } = require('../config/mailer');
+const { issueAccountToken } = require('./accountTokenService');
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+// Plain layout shared by account emails: a greeting, a line of text,
+// a button and, if there is one, the raw token for pasting into the mobile app
+const renderEmail = ({ username, intro, action, link, token, outro }) => ({
+    text: [
+        `Hi ${username},`,
+        '',
+        intro,
+        '',
+        `${action}: ${link}`,
+        '',
+        ...(token ? [`Using the mobile app? Paste this code instead: ${token}`, ''] : []),
+        outro
+    ].join('\n'),
+    html: `
+        <p>Hi ${escapeHtml(username)},</p>
+        <p>${escapeHtml(intro)}</p>
+        <p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#3b82f6;color:#fff;border-radius:6px;text-decoration:none">${escapeHtml(action)}</a></p>
+        ${token ? `<p style="color:#6b7280;font-size:12px">Using the mobile app? Paste this code instead:<br><code style="word-break:break-all">${escapeHtml(token)}</code></p>` : ''}
+        <p style="color:#6b7280">${escapeHtml(outro)}</p>
+    `
+});
+
+// Send a fresh email verification link, replacing any earlier one
+const sendVerificationEmail = async (user) => {
+    const token = await issueAccountToken(user, 'verifyEmail');
+    const link = `${clientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your ChatMaster email',
+        ...renderEmail({
+            username: user.username,
+            intro: 'Confirm this is your email address to finish setting up your account.',
+            action: 'Verify email',
+            link,
+            token,
+            outro: "If you didn't create a ChatMaster account, you can ignore this email."
+        })
+    });
+};
+
+// Send a password reset link, replacing any earlier one
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueAccountToken(user, 'resetPassword');
+    const link = `${clientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your ChatMaster password',
+        ...renderEmail({
+            username: user.username,
+            intro: 'We received a request to reset your password. The link works once and expires soon.',
+            action: 'Reset password',
+            link,
+            token,
+            outro: "If you didn't ask for this, you can ignore this email and your password won't change."
+        })
+    });
+};
+
+// Let the owner know their account was locked after failed sign-ins
+const sendLockoutNoticeEmail = (user, lockedUntil) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Your ChatMaster account was temporarily locked',
+        ...renderEmail({
+            username: user.username,
+            intro: `After several failed sign-in attempts, signing in to your account is paused until ${lockedUntil.toUTCString()}.`,
+            action: 'Go to ChatMaster',
+            link: clientUrl(),
+            outro: "If this wasn't you, someone may be guessing your password. Once the lock ends, consider resetting your password and turning on two-factor authentication."
+        })
+    });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail, sendLockoutNoticeEmail };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+
+// Tokens are JWTs scoped to one purpose by their audience. Each carries a
+// nonce that is also stored on the user: issuing a new token replaces it,
+// and using a token clears it, so every token works once and only the
+// latest one works at all.
+const PURPOSES = {
+    verifyEmail: {
+        audience: 'verify-email',
+        nonceField: 'accountTokens.verifyEmail',
+        expiresIn: process.env.EMAIL_VERIFICATION_TOKEN_TTL || '24h'
+    },
+    resetPassword: {
+        audience: 'reset-password',
+        nonceField: 'accountTokens.resetPassword',
+        expiresIn: process.env.PASSWORD_RESET_TOKEN_TTL || '1h'
+    }
+};
+
+// Issue a token for a purpose, invalidating any earlier one
+const issueAccountToken = async (user, purpose) => {
+    const { audience, nonceField, expiresIn } = PURPOSES[purpose];
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    await User.updateOne({ _id: user._id }, { $set: { [nonceField]: nonce } });
+
+    // Bind the token to the address it was sent to
+    return jwt.sign(
+        { userId: user._id, email: user.email, nonce },
+        process.env.JWT_SECRET,
+        { audience, expiresIn }
+    );
+};
+
+// Check a token and use it up. Resolves to the user it was issued for.
+const consumeAccountToken = async (token, purpose) => {
+    const { audience, nonceField } = PURPOSES[purpose];
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET, { audience });
+    } catch (error) {
+        throw httpError(400, error.name === 'TokenExpiredError'
+            ? 'This link has expired, please request a new one'
+            : 'This link is invalid');
+    }
+
+    const user = await User.findOneAndUpdate(
+        { _id: decoded.userId, email: decoded.email, [nonceField]: decoded.nonce },
+        { $unset: { [nonceField]: 1 } },
+        { new: true }
+    );
+
+    if (!user) {
+        throw httpError(400, 'This link has already been used or replaced by a newer one');
+    }
+
+    return user;
+};
+
+module.exports = { issueAccountToken, consumeAccountToken };
@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const GroupInvite = require('../models/GroupInvite');
+const { postSystemMessage } = require('./messageService');
+const { unusableReason } = require('./groupInviteService');
+const { httpError } = require('../utils/httpError');
+const { escapeRegex } = require('../utils/messageSearch');
+
+// Load a channel by id
+const findChannel = async (chatId) => {
+    const chat = mongoose.Types.ObjectId.isValid(chatId) ? await Chat.findById(chatId) : null;
+    if (!chat || chat.type !== 'channel') {
+        throw httpError(404, 'Channel not found');
+    }
+    return chat;
+};
+
+// Load a channel and check the user is one of its admins
+const findChannelForAdmin = async (chatId, userId) => {
+    const chat = await findChannel(chatId);
+    if (!chat.isAdmin(userId)) {
+        throw httpError(403, 'Only channel admins can do that');
+    }
+    return chat;
+};
+
+// Start a channel, with its creator as the only admin
+const createChannel = async (io, user, { name, description = '', discoverable = false }) => {
+    const chat = await Chat.create({
+        name,
+        type: 'channel',
+        participants: [user._id],
+        creator: user._id,
+        description,
+        settings: { discoverable }
+    });
+
+    await postSystemMessage(io, chat, user._id, `${user.username} created the channel`);
+    return chat;
+};
+
+// Channels in the directory are open to anyone. The rest need one of
+// their invite links, which is used up only by a new subscriber.
+const subscribe = async (user, chatId, code) => {
+    const chat = await findChannel(chatId);
+    if (chat.isParticipant(user._id)) {
+        throw httpError(400, 'You already post in this channel');
+    }
+
+    if (!chat.settings.discoverable
+        && !await ChannelSubscription.exists({ channel: chat._id, user: user._id })) {
+        const invite = code && await GroupInvite.findOne({ code, chat: chat._id });
+        if (!invite) {
+            throw httpError(403, 'This channel can only be joined with an invite link');
+        }
+        if (!await GroupInvite.consumeUse(invite._id)) {
+            throw httpError(410, unusableReason(invite));
+        }
+    }
+
+    if (await ChannelSubscription.subscribe(chat._id, user._id)) {
+        await Chat.updateOne({ _id: chat._id }, { $inc: { subscriberCount: 1 } });
+        chat.subscriberCount += 1;
+    }
+    return chat;
+};
+
+// Stop following a channel. Open sockets leave its room straight away.
+const unsubscribe = async (io, user, chatId) => {
+    const chat = await findChannel(chatId);
+
+    if (!await ChannelSubscription.unsubscribe(chat._id, user._id)) {
+        throw httpError(400, 'You are not subscribed to this channel');
+    }
+    await Chat.updateOne({ _id: chat._id }, { $inc: { subscriberCount: -1 } });
+    chat.subscriberCount -= 1;
+
+    if (io) {
+        io.in(`user_${user._id}`).socketsLeave(`chat_${chat._id}`);
+    }
+    return chat;
+};
+
+// Channels listed in the directory, biggest first
+const listDirectory = async (userId, { q, page = 1, limit = 20 } = {}) => {
+    const filter = { type: 'channel', 'settings.discoverable': true };
+    if (q) {
+        filter.$or = [
+            { name: { $regex: escapeRegex(q), $options: 'i' } },
+            { description: { $regex: escapeRegex(q), $options: 'i' } }
+        ];
+    }
+
+    const [chats, total] = await Promise.all([
+        Chat.find(filter)
+            .select('name description avatar participants subscriberCount')
+            .sort({ subscriberCount: -1, lastActivity: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Chat.countDocuments(filter)
+    ]);
+
+    const subscriptions = await ChannelSubscription.find({
+        user: userId,
+        channel: { $in: chats.map(chat => chat._id) }
+    }).select('channel');
+    const subscribedIds = new Set(subscriptions.map(subscription => subscription.channel.toString()));
+
+    return {
+        channels: chats.map(chat => ({
+            _id: chat._id,
+            name: chat.name,
+            description: chat.description,
+            avatar: chat.avatar,
+            subscriberCount: chat.subscriberCount,
+            isAdmin: chat.isParticipant(userId),
+            isSubscribed: subscribedIds.has(chat._id.toString())
+        })),
+        total
+    };
+};
+
+// Let someone else post in the channel. Only the owner can.
+const addAdmin = async (io, chat, actor, userId) => {
+    if (!chat.creator.equals(actor._id)) {
+        throw httpError(403, 'Only the owner can add admins');
+    }
+
+    const user = mongoose.Types.ObjectId.isValid(userId) && await User.findById(userId).select('username');
+    if (!user) {
+        throw httpError(404, 'User not found');
+    }
+    if (chat.isParticipant(user._id)) {
+        throw httpError(400, 'Already an admin of this channel');
+    }
+
+    // Admins post to the channel rather than follow it
+    if (await ChannelSubscription.unsubscribe(chat._id, user._id)) {
+        await Chat.updateOne({ _id: chat._id }, { $inc: { subscriberCount: -1 } });
+    }
+
+    await chat.addParticipant(user._id);
+    await postSystemMessage(io, chat, actor._id, `${actor.username} made ${user.username} an admin`);
+    return chat;
+};
+
+// Take someone off the channel's admins, or step down. The owner stays.
+const removeAdmin = async (io, chat, actor, userId) => {
+    const isRemovingSelf = actor._id.equals(userId);
+
+    if (!isRemovingSelf && !chat.creator.equals(actor._id)) {
+        throw httpError(403, 'Only the owner can remove admins');
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId) || !chat.isParticipant(userId)) {
+        throw httpError(404, 'Admin not found');
+    }
+    if (chat.creator.equals(userId)) {
+        throw httpError(400, 'The owner cannot leave the channel');
+    }
+
+    const user = await User.findById(userId).select('username');
+    await chat.removeParticipant(userId);
+
+    await postSystemMessage(io, chat, actor._id, isRemovingSelf
+        ? `${actor.username} stepped down as admin`
+        : `${actor.username} removed ${user.username} as admin`);
+
+    if (io) {
+        io.in(`user_${userId}`).socketsLeave(`chat_${chat._id}`);
+    }
+    return chat;
+};
+
+// Count a subscriber as having seen the channel up to the newest of the
+// given posts, or up to now. Each post passed gets one more view.
+const recordView = async (chat, userId, messageIds = []) => {
+    let viewedAt = new Date();
+
+    const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length > 0) {
+        const newest = await Message.findOne({ _id: { $in: validIds }, chat: chat._id })
+            .sort({ createdAt: -1 })
+            .select('createdAt');
+        if (!newest) return;
+        viewedAt = newest.createdAt;
+    }
+
+    const previous = await ChannelSubscription.advanceView(chat._id, userId, viewedAt);
+    if (previous) {
+        await Message.recordViews(chat._id, previous, viewedAt);
+    }
+};
+
+module.exports = {
+    findChannel,
+    findChannelForAdmin,
+    createChannel,
+    subscribe,
+    unsubscribe,
+    listDirectory,
+    addAdmin,
+    removeAdmin,
+    recordView
+};
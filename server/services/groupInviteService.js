@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const GroupInvite = require('../models/GroupInvite');
+const { postSystemMessage } = require('./messageService');
+const { httpError } = require('../utils/httpError');
+const { assertCan } = require('../utils/groupPermissions');
+const { escapeRegex } = require('../utils/messageSearch');
+
+// 6 random bytes make an 8 character code, short enough to share by hand
+const INVITE_CODE_BYTES = 6;
+
+const generateUniqueCode = async () => {
+    let code;
+    do {
+        code = crypto.randomBytes(INVITE_CODE_BYTES).toString('base64url');
+    } while (await GroupInvite.exists({ code }));
+    return code;
+};
+
+// Load a group and check the user is in it
+const findGroupForMember = async (chatId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw httpError(404, 'Chat not found');
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        throw httpError(404, 'Chat not found');
+    }
+    if (chat.type !== 'group') {
+        throw httpError(400, 'This chat is not a group');
+    }
+    if (!chat.isParticipant(userId)) {
+        throw httpError(403, 'Access denied');
+    }
+
+    return chat;
+};
+
+// Why a link can't be used, for the person holding it
+const unusableReason = (invite) => {
+    if (invite.revokedAt) return 'This invite link has been revoked';
+    if (invite.expiresAt && invite.expiresAt <= new Date()) return 'This invite link has expired';
+    return 'This invite link has reached its limit';
+};
+
+const createInvite = async (chat, actor, { expiresInHours, maxUses, requiresApproval = false } = {}) => {
+    // Sharing a link is adding members, as far as permissions go
+    assertCan(chat, actor._id, 'addMembers');
+
+    const invite = await GroupInvite.create({
+        chat: chat._id,
+        code: await generateUniqueCode(),
+        createdBy: actor._id,
+        expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined,
+        maxUses: maxUses || undefined,
+        requiresApproval
+    });
+
+    await invite.populate('createdBy', 'username');
+    return invite;
+};
+
+// Links still in use. Admins see every link, members only their own.
+const listInvites = (chat, userId) => {
+    const filter = { chat: chat._id, revokedAt: null };
+    if (!chat.isAdmin(userId)) {
+        filter.createdBy = userId;
+    }
+
+    return GroupInvite.find(filter)
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 });
+};
+
+const revokeInvite = async (chat, actor, inviteId) => {
+    const invite = mongoose.Types.ObjectId.isValid(inviteId)
+        ? await GroupInvite.findOne({ _id: inviteId, chat: chat._id })
+        : null;
+    if (!invite) {
+        throw httpError(404, 'Invite link not found');
+    }
+    if (!invite.createdBy.equals(actor._id) && !chat.isAdmin(actor._id)) {
+        throw httpError(403, 'Only admins can revoke other members\' links');
+    }
+
+    if (!invite.revokedAt) {
+        invite.revokedAt = new Date();
+        await invite.save();
+    }
+    return invite;
+};
+
+// Load a link by its code along with its group. Channel links are only
+// good for subscribing, through the channel itself.
+const findInviteByCode = async (code) => {
+    const invite = await GroupInvite.findOne({ code });
+    const chat = invite && await Chat.findById(invite.chat);
+    if (!invite || !chat || chat.type !== 'group') {
+        throw httpError(404, 'Invite link not found');
+    }
+    return { invite, chat };
+};
+
+// Joins need approval when the link asks for it or the group always does
+const needsApproval = (chat, invite) => chat.settings.joinApproval || Boolean(invite?.requiresApproval);
+
+// What someone holding a link sees before joining
+const previewInvite = async (code, userId) => {
+    const { invite, chat } = await findInviteByCode(code);
+    const isMember = chat.isParticipant(userId);
+
+    if (!isMember && !invite.isUsable()) {
+        throw httpError(410, unusableReason(invite));
+    }
+
+    return {
+        code: invite.code,
+        requiresApproval: needsApproval(chat, invite),
+        expiresAt: invite.expiresAt,
+        group: {
+            _id: chat._id,
+            name: chat.name,
+            description: chat.description,
+            avatar: chat.avatar,
+            memberCount: chat.participants.length
+        },
+        isMember,
+        hasPendingRequest: Boolean(chat.findPendingJoinRequest(userId))
+    };
+};
+
+// Join new members' open sockets to the group's room, post the system
+// message and tell everyone there, the newcomers included. They must
+// already be participants.
+const announceNewMembers = async (io, chat, userIds, actorId, content) => {
+    if (io) {
+        for (const userId of userIds) {
+            io.in(`user_${userId}`).socketsJoin(`chat_${chat._id}`);
+        }
+    }
+    await postSystemMessage(io, chat, actorId, content);
+
+    if (io) {
+        for (const userId of userIds) {
+            io.to(`chat_${chat._id}`).emit('group_updated', {
+                chatId: chat._id,
+                action: 'user_added',
+                userId
+            });
+        }
+    }
+};
+
+// Put a user in a group
+const addMember = async (io, chat, user, actorId, content) => {
+    await chat.addParticipant(user._id);
+    await announceNewMembers(io, chat, [user._id], actorId, content);
+};
+
+// Ask a group's admins to let a user in, and ping them about it
+const requestToJoin = async (io, chat, user, inviteId) => {
+    await chat.addJoinRequest(user._id, inviteId);
+
+    if (io) {
+        const request = chat.findPendingJoinRequest(user._id);
+        for (const adminId of chat.admins) {
+            io.to(`user_${adminId}`).emit('group_join_request', {
+                chatId: chat._id,
+                chatName: chat.name,
+                request: {
+                    _id: request._id,
+                    user: { _id: user._id, username: user.username, avatar: user.avatar },
+                    createdAt: request.createdAt
+                }
+            });
+        }
+    }
+};
+
+
+// Join a group through a link. Resolves to { status, chat } where status is
+// 'joined', 'pending' (waiting for an admin) or 'member' (already in).
+const joinWithInvite = async (io, user, code) => {
+    const { invite, chat } = await findInviteByCode(code);
+
+    if (chat.isParticipant(user._id)) {
+        return { status: 'member', chat };
+    }
+    if (chat.findPendingJoinRequest(user._id)) {
+        return { status: 'pending', chat };
+    }
+
+    const claimed = await GroupInvite.consumeUse(invite._id);
+    if (!claimed) {
+        throw httpError(410, unusableReason(invite));
+    }
+
+    if (needsApproval(chat, invite)) {
+        await requestToJoin(io, chat, user, invite._id);
+        return { status: 'pending', chat };
+    }
+
+    await addMember(io, chat, user, user._id, `${user.username} joined using an invite link`);
+    return { status: 'joined', chat };
+};
+
+// Groups listed in the directory, most active first
+const listDirectory = async (userId, { q, page = 1, limit = 20 } = {}) => {
+    const filter = { type: 'group', 'settings.discoverable': true };
+    if (q) {
+        filter.$or = [
+            { name: { $regex: escapeRegex(q), $options: 'i' } },
+            { description: { $regex: escapeRegex(q), $options: 'i' } }
+        ];
+    }
+
+    const [chats, total] = await Promise.all([
+        Chat.find(filter)
+            .select('name description avatar participants settings.joinApproval joinRequests lastActivity')
+            .sort({ lastActivity: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Chat.countDocuments(filter)
+    ]);
+
+    return {
+        groups: chats.map(chat => ({
+            _id: chat._id,
+            name: chat.name,
+            description: chat.description,
+            avatar: chat.avatar,
+            memberCount: chat.participants.length,
+            joinApproval: chat.settings.joinApproval,
+            isMember: chat.isParticipant(userId),
+            hasPendingRequest: Boolean(chat.findPendingJoinRequest(userId))
+        })),
+        total
+    };
+};
+
+// Join a group found in the directory, or ask to when it needs approval.
+// Resolves like joinWithInvite.
+const joinFromDirectory = async (io, user, chatId) => {
+    const chat = mongoose.Types.ObjectId.isValid(chatId) ? await Chat.findById(chatId) : null;
+    if (!chat || chat.type !== 'group' || !chat.settings.discoverable) {
+        throw httpError(404, 'Group not found');
+    }
+
+    if (chat.isParticipant(user._id)) {
+        return { status: 'member', chat };
+    }
+    if (chat.findPendingJoinRequest(user._id)) {
+        return { status: 'pending', chat };
+    }
+
+    if (needsApproval(chat)) {
+        await requestToJoin(io, chat, user);
+        return { status: 'pending', chat };
+    }
+
+    await addMember(io, chat, user, user._id, `${user.username} joined the group`);
+    return { status: 'joined', chat };
+};
+
+// Pending requests to join, for the group's admins
+const listJoinRequests = async (chat, actor) => {
+    if (!chat.isAdmin(actor._id)) {
+        throw httpError(403, 'Only admins can see join requests');
+    }
+
+    await chat.populate('joinRequests.user', 'username avatar');
+    return chat.joinRequests.filter(request => request.status === 'pending');
+};
+
+// "a", "a and b", "a, b and c"
+const listNames = (names) => (names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0]);
+
+// Accept or reject pending requests, one or many at a time. Resolves to
+// the number reviewed; requests that were no longer pending are skipped.
+const reviewJoinRequests = async (io, chat, actor, userIds, action) => {
+    if (!chat.isAdmin(actor._id)) {
+        throw httpError(403, 'Only admins can review join requests');
+    }
+
+    const status = action === 'accept' ? 'accepted' : 'rejected';
+    const validIds = userIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const reviewed = await chat.reviewJoinRequests(validIds, status);
+
+    if (reviewed.length === 0) {
+        return 0;
+    }
+
+    if (status === 'accepted') {
+        const users = await User.find({ _id: { $in: reviewed } }).select('username');
+        await announceNewMembers(
+            io, chat, reviewed, actor._id,
+            `${actor.username} approved ${listNames(users.map(u => u.username))}`
+        );
+    }
+
+    // Let the people who asked know how it went
+    if (io) {
+        for (const userId of reviewed) {
+            io.to(`user_${userId}`).emit('join_request_reviewed', {
+                chatId: chat._id,
+                chatName: chat.name,
+                status
+            });
+        }
+    }
+
+    return reviewed.length;
+};
+
+module.exports = {
+    findGroupForMember,
+    unusableReason,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    previewInvite,
+    joinWithInvite,
+    listDirectory,
+    joinFromDirectory,
+    listJoinRequests,
+    reviewJoinRequests
+};
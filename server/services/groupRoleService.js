@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { postSystemMessage } = require('./messageService');
+const { httpError } = require('../utils/httpError');
+const { assertCan } = require('../utils/groupPermissions');
+
+const { ROLE_RANK } = Chat;
+
+// How a role reads in system messages, e.g. "Ann made Bob a moderator"
+const ROLE_LABELS = {
+    admin: 'an admin',
+    moderator: 'a moderator',
+    member: 'a member',
+    readonly: 'read-only'
+};
+
+// Load another member of the group, for the role and removal actions
+const findMember = async (chat, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(userId) || !chat.isParticipant(userId)) {
+        throw httpError(404, 'Member not found');
+    }
+    return User.findById(userId).select('username');
+};
+
+// Tell everyone in the group who holds which role
+const emitRoles = (io, chat) => {
+    if (!io) return;
+
+    io.to(`chat_${chat._id}`).emit('group_roles_updated', {
+        chatId: chat._id,
+        creator: chat.creator,
+        admins: chat.admins,
+        moderators: chat.moderators,
+        readOnlyMembers: chat.readOnlyMembers
+    });
+};
+
+// Give a member a new role. Admins and the owner can change the role of
+// anyone below them.
+const changeRole = async (io, chat, actor, userId, role) => {
+    const target = await findMember(chat, userId);
+
+    if (actor._id.equals(userId)) {
+        throw httpError(400, 'You cannot change your own role');
+    }
+    if (ROLE_RANK[chat.getRole(actor._id)] < ROLE_RANK.admin) {
+        throw httpError(403, 'Only admins can change member roles');
+    }
+    if (!chat.outranks(actor._id, userId)) {
+        throw httpError(403, 'You can only change the role of members below you');
+    }
+
+    if (chat.getRole(userId) === role) {
+        return chat;
+    }
+
+    await chat.setRole(target._id, role);
+    await postSystemMessage(io, chat, actor._id, `${actor.username} made ${target.username} ${ROLE_LABELS[role]}`);
+    emitRoles(io, chat);
+
+    return chat;
+};
+
+// Hand the group to another member. The old owner stays on as an admin.
+const transferOwnership = async (io, chat, actor, userId) => {
+    if (!chat.creator || !chat.creator.equals(actor._id)) {
+        throw httpError(403, 'Only the owner can transfer ownership');
+    }
+
+    const target = await findMember(chat, userId);
+    if (actor._id.equals(userId)) {
+        throw httpError(400, 'You already own this group');
+    }
+
+    await chat.transferOwnership(target._id);
+    await postSystemMessage(io, chat, actor._id, `${actor.username} made ${target.username} the owner`);
+    emitRoles(io, chat);
+
+    return chat;
+};
+
+// Change the lowest role allowed to do each thing. Nobody can move a
+// permission to or from a role above their own.
+const updatePermissions = async (io, chat, actor, permissions) => {
+    assertCan(chat, actor._id, 'changeSettings');
+
+    const actorRank = ROLE_RANK[chat.getRole(actor._id)];
+    const changes = Object.entries(permissions)
+        .filter(([permission, level]) => chat.settings.permissions[permission] !== level);
+
+    for (const [permission, level] of changes) {
+        if (ROLE_RANK[level] > actorRank || ROLE_RANK[chat.settings.permissions[permission]] > actorRank) {
+            throw httpError(403, 'You cannot change permissions held above your role');
+        }
+    }
+
+    if (changes.length === 0) {
+        return chat;
+    }
+
+    for (const [permission, level] of changes) {
+        chat.settings.permissions[permission] = level;
+    }
+    await chat.save();
+
+    await postSystemMessage(io, chat, actor._id, `${actor.username} changed the group's permissions`);
+
+    if (io) {
+        io.to(`chat_${chat._id}`).emit('chat_settings_updated', {
+            chatId: chat._id,
+            settings: chat.settings
+        });
+    }
+
+    return chat;
+};
+
+// Take someone out of a group, or let them leave. Removing others needs the
+// removeMembers permission and a role above theirs. When the owner leaves,
+// ownership goes to `newOwnerId` if given, otherwise to the longest-standing
+// member of the highest role.
+const removeMember = async (io, chat, actor, userId, { newOwnerId } = {}) => {
+    const isRemovingSelf = actor._id.equals(userId);
+
+    if (!isRemovingSelf) {
+        assertCan(chat, actor._id, 'removeMembers');
+        if (!chat.outranks(actor._id, userId)) {
+            throw httpError(403, 'You can only remove members below you');
+        }
+    }
+
+    const target = await findMember(chat, userId);
+
+    let newOwner = null;
+    if (chat.creator && chat.creator.equals(userId)) {
+        if (newOwnerId) {
+            if (String(newOwnerId) === String(userId)) {
+                throw httpError(400, 'Choose another member to own the group');
+            }
+            newOwner = await findMember(chat, newOwnerId);
+        } else {
+            const successorId = chat.findSuccessor();
+            newOwner = successorId && await User.findById(successorId).select('username');
+        }
+
+        if (newOwner) {
+            await chat.transferOwnership(newOwner._id);
+        }
+    }
+
+    await chat.removeParticipant(target._id);
+
+    await postSystemMessage(io, chat, actor._id, isRemovingSelf
+        ? `${actor.username} left the group`
+        : `${actor.username} removed ${target.username}`);
+    if (newOwner) {
+        await postSystemMessage(io, chat, actor._id, `${newOwner.username} is now the owner`);
+    }
+
+    if (io) {
+        io.in(`user_${target._id}`).socketsLeave(`chat_${chat._id}`);
+        if (!isRemovingSelf) {
+            io.to(`user_${target._id}`).emit('chat_removed', {
+                chatId: chat._id,
+                message: `You were removed from ${chat.name}`
+            });
+        }
+        // The person who left hears it too, so their chat list drops the group
+        io.to(`chat_${chat._id}`).to(`user_${target._id}`).emit('group_updated', {
+            chatId: chat._id,
+            action: 'user_removed',
+            userId: target._id
+        });
+    }
+    if (newOwner) {
+        emitRoles(io, chat);
+    }
+
+    return { chat, newOwner };
+};
+
+module.exports = {
+    changeRole,
+    transferOwnership,
+    updatePermissions,
+    removeMember
+};
@@ -0,0 +1,121 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+const { sendLockoutNoticeEmail } = require('./accountEmails');
+
+const MINUTE = 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * MINUTE;
+
+// Failed sign-ins are tracked per account and per IP address. Past
+// freeAttempts each failure doubles the wait before the next try, and
+// maxAttempts failures lock the key out. Each lockout lasts twice as long
+// as the one before.
+const POLICIES = {
+    account: {
+        freeAttempts: 3,
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10
+    },
+    ip: {
+        freeAttempts: 10,
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 10) || 50
+    }
+};
+
+const MAX_BACKOFF_MS = 5 * MINUTE;
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE;
+const FORGET_AFTER_MS = 24 * 60 * MINUTE;
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+
+const keysFor = (email, ip) => [
+    { key: accountKey(email), policy: POLICIES.account, isAccount: true },
+    ...(ip ? [{ key: `ip:${ip}`, policy: POLICIES.ip, isAccount: false }] : [])
+];
+
+const formatWait = (seconds) => {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Tell the owner their account was locked. Runs in the background so the
+// response doesn't take longer for accounts that exist.
+const notifyLockout = async (io, email, lockedUntil) => {
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (!user) return;
+
+    console.warn(`[Auth] Account locked after failed sign-ins: ${user.username}`);
+
+    io?.to(`user_${user._id}`).emit('account_locked', { lockedUntil });
+    await sendLockoutNoticeEmail(user, lockedUntil);
+};
+
+// Reject the attempt if the account or the IP is backing off or locked out.
+// The error carries retryAfter in seconds.
+const assertLoginAllowed = async (email, ip) => {
+    const blocked = await LoginThrottle.find({
+        key: { $in: keysFor(email, ip).map(({ key }) => key) },
+        blockedUntil: { $gt: new Date() }
+    });
+
+    if (!blocked.length) return;
+
+    const until = Math.max(...blocked.map(throttle => throttle.blockedUntil.getTime()));
+    const retryAfter = Math.ceil((until - Date.now()) / 1000);
+
+    const error = httpError(429, `Too many failed sign-in attempts. Try again in ${formatWait(retryAfter)}.`);
+    error.retryAfter = retryAfter;
+    throw error;
+};
+
+// Count a failed password or 2FA code against the account and the IP
+const recordLoginFailure = async (io, email, ip) => {
+    const now = Date.now();
+
+    for (const { key, policy, isAccount } of keysFor(email, ip)) {
+        const throttle = await LoginThrottle.findOneAndUpdate(
+            { key },
+            {
+                $inc: { failures: 1 },
+                $set: { lastFailedAt: new Date(now), expiresAt: new Date(now + FORGET_AFTER_MS) }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        if (throttle.failures >= policy.maxAttempts) {
+            const lockedUntil = new Date(now + Math.min(LOCKOUT_MS * 2 ** throttle.lockouts, MAX_LOCKOUT_MS));
+
+            // Only the request that reached the limit starts the lockout
+            const locked = await LoginThrottle.findOneAndUpdate(
+                { _id: throttle._id, failures: throttle.failures },
+                { $set: { failures: 0, blockedUntil: lockedUntil }, $inc: { lockouts: 1 } }
+            );
+
+            if (locked && isAccount) {
+                notifyLockout(io, email, lockedUntil).catch(error => {
+                    console.error('Lockout notice error:', error);
+                });
+            }
+        } else if (throttle.failures > policy.freeAttempts) {
+            const backoff = Math.min(1000 * 2 ** (throttle.failures - policy.freeAttempts - 1), MAX_BACKOFF_MS);
+
+            await LoginThrottle.updateOne(
+                { _id: throttle._id },
+                { $max: { blockedUntil: new Date(now + backoff) } }
+            );
+        }
+    }
+};
+
+// Forget an account's failures and lift any lockout, e.g. after a
+// successful sign-in. Resolves to whether there was anything to clear.
+const clearLoginFailures = async (email) => {
+    const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+    return result.deletedCount > 0;
+};
+
+module.exports = {
+    assertLoginAllowed,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { emitThreadReply } = require('../utils/threads');
+const { resolveMentions, emitMentions } = require('../utils/mentions');
+const { httpError } = require('../utils/httpError');
+const { MEDIA_TYPES, assertCan } = require('../utils/groupPermissions');
+const { emitChannelPost } = require('../utils/channelFanout');
+const { getStateStore } = require('../config/stateStore');
+const { getOnlineDeviceIds } = require('../sockets/socketState');
+
+const MAX_POLL_OPTIONS = 10;
+
+// Validate poll input and turn it into the stored poll
+const buildPoll = (poll = {}) => {
+    const question = typeof poll.question === 'string' ? poll.question.trim() : '';
+    if (!question) {
+        throw httpError(400, 'Poll question is required');
+    }
+
+    const options = (Array.isArray(poll.options) ? poll.options : [])
+        .map(option => (typeof option === 'string' ? option : option?.text || '').trim())
+        .filter(Boolean);
+
+    if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        throw httpError(400, `Polls need between 2 and ${MAX_POLL_OPTIONS} options`);
+    }
+
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        throw httpError(400, 'Poll options must be unique');
+    }
+
+    let closesAt;
+    if (poll.closesAt) {
+        closesAt = new Date(poll.closesAt);
+        if (isNaN(closesAt.getTime()) || closesAt <= new Date()) {
+            throw httpError(400, 'Poll close time must be in the future');
+        }
+    }
+
+    return {
+        question,
+        options: options.map(text => ({ text })),
+        multipleChoice: !!poll.multipleChoice,
+        anonymous: !!poll.anonymous,
+        closesAt
+    };
+};
+
+// Expiry fields for a new message under the chat's disappearing timer
+const getExpiry = (chat) => {
+    const { timer = 0, startOn = 'sent' } = chat.settings?.disappearingMessages || {};
+    if (!timer) return {};
+
+    return {
+        expiresIn: timer,
+        expiresAt: startOn === 'sent' ? new Date(Date.now() + timer * 1000) : undefined
+    };
+};
+
+const CLIENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// The message a sender already sent with this client ID, ready to return again
+const findClientMessage = async (senderId, clientId) => {
+    const message = await Message.findOne({ sender: senderId, clientId });
+    if (message) {
+        await message.populate('sender', 'username avatar');
+        if (message.replyTo) {
+            await message.populate('replyTo', 'content sender type');
+        }
+    }
+    return message;
+};
+
+// Send a message into a chat and broadcast it. This is the single send path
+// shared by the REST route, the socket `send_message` handler and the
+// scheduled message dispatcher. Pass `messageId` to make the send idempotent:
+// a second send with the same id fails with a duplicate key error. Clients
+// pass `clientId` instead: a repeated send with the same one resolves to the
+// message already stored, without sending it again.
+const sendMessage = async (io, {
+    chatId,
+    senderId,
+    content,
+    type = 'text',
+    replyTo,
+    threadRoot,
+    file,
+    metadata,
+    poll,
+    forwardOf,
+    messageId,
+    clientId
+}) => {
+    if (clientId !== undefined && clientId !== null) {
+        if (typeof clientId !== 'string' || !CLIENT_ID_PATTERN.test(clientId)) {
+            throw httpError(400, 'Invalid client ID');
+        }
+
+        const existing = await findClientMessage(senderId, clientId);
+        if (existing) return existing;
+    }
+
+    // Check if chat exists and user is participant
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        throw httpError(404, 'Chat not found');
+    }
+
+    if (!chat.isParticipant(senderId)) {
+        throw httpError(403, chat.type === 'channel' ? 'Only admins can post in this channel' : 'Access denied');
+    }
+
+    // Channel subscribers react instead of replying
+    if (chat.type === 'channel' && (replyTo || threadRoot)) {
+        throw httpError(400, 'Channel posts cannot be replied to');
+    }
+
+    // Check group permissions
+    assertCan(chat, senderId, 'sendMessages');
+    if (MEDIA_TYPES.includes(type)) {
+        assertCan(chat, senderId, 'sendMedia');
+    }
+
+    // Resolve thread root for thread replies
+    let root = null;
+    if (threadRoot) {
+        root = await Message.findThreadRoot(threadRoot, chatId);
+        if (!root) {
+            throw httpError(404, 'Thread not found');
+        }
+    }
+
+    // Create message. Poll messages carry the question as their content,
+    // so previews and search work as for any other message
+    const messageData = {
+        chat: chatId,
+        sender: senderId,
+        content,
+        type
+    };
+
+    if (type === 'poll') {
+        messageData.poll = buildPoll(poll);
+        messageData.content = messageData.poll.question;
+    }
+
+    if (messageId) messageData._id = messageId;
+    if (clientId) messageData.clientId = clientId;
+    if (replyTo) messageData.replyTo = replyTo;
+    if (root) messageData.threadRoot = root._id;
+    if (file) messageData.file = file;
+    if (metadata) messageData.metadata = metadata;
+    // Forwarded text was written for another chat, so its @names aren't resolved here
+    if (!forwardOf) {
+        const mentions = await resolveMentions(messageData.content, chat, senderId);
+        if (mentions.length > 0) messageData.mentions = mentions;
+    } else {
+        messageData.forwarded = true;
+        messageData.forwardedFrom = forwardOf._id;
+        messageData.forwardCount = (forwardOf.forwardCount || 0) + 1;
+    }
+    Object.assign(messageData, getExpiry(chat));
+
+    const message = new Message(messageData);
+    try {
+        await message.save();
+    } catch (error) {
+        // A retry that raced the first attempt: that one does the rest
+        if (clientId && error.code === 11000 && error.keyPattern?.clientId) {
+            return await findClientMessage(senderId, clientId);
+        }
+        throw error;
+    }
+
+    // Update chat's last message and activity (thread replies keep the last message)
+    if (!root) {
+        chat.lastMessage = message._id;
+    }
+    chat.lastActivity = new Date();
+    await chat.save();
+
+    // Populate message
+    await message.populate('sender', 'username avatar');
+    if (replyTo) {
+        await message.populate('replyTo', 'content sender type');
+    }
+
+    // Mark as delivered to each connected device of the other participants
+    if (io) {
+        for (const participantId of chat.participants) {
+            if (participantId.toString() === senderId.toString()) continue;
+
+            const deviceIds = await getOnlineDeviceIds(getStateStore(), participantId);
+            await message.markAsDeliveredTo(participantId, deviceIds);
+        }
+    }
+
+    // Broadcast message to chat participants, or to the thread
+    if (root) {
+        const updatedRoot = await Message.registerThreadReply(root, message);
+        emitThreadReply(io, updatedRoot, message);
+    } else if (io) {
+        io.to(`chat_${chatId}`).emit('new_message', message);
+    }
+
+    if (chat.type === 'channel') {
+        emitChannelPost(io, chat, message);
+    }
+
+    emitMentions(io, message);
+
+    return message;
+};
+
+const MAX_FORWARD_MESSAGES = 20;
+const MAX_FORWARD_CHATS = 10;
+
+// Check whether either side of a private chat has blocked the other
+const isBlockedInChat = async (chat, senderId) => {
+    if (chat.type !== 'private') return false;
+
+    const otherId = chat.participants.find(id => !id.equals(senderId));
+    const [sender, other] = await Promise.all([
+        User.findById(senderId).select('blockedUsers'),
+        User.findById(otherId).select('blockedUsers')
+    ]);
+
+    return !!(sender?.blockedUsers.some(id => id.equals(otherId)) ||
+        other?.blockedUsers.some(id => id.equals(senderId)));
+};
+
+// Forward messages into one or more chats. Files are reused as they are,
+// not uploaded again. Each target is checked on its own, so one chat the
+// user can't post in doesn't stop the others; the result lists per chat
+// what was sent or why it failed.
+const forwardMessages = async (io, { senderId, messageIds, chatIds }) => {
+    const uniqueMessageIds = [...new Set(messageIds.map(String))];
+    const uniqueChatIds = [...new Set(chatIds.map(String))];
+
+    if (uniqueMessageIds.length === 0 || uniqueMessageIds.length > MAX_FORWARD_MESSAGES) {
+        throw httpError(400, `You can forward between 1 and ${MAX_FORWARD_MESSAGES} messages`);
+    }
+    if (uniqueChatIds.length === 0 || uniqueChatIds.length > MAX_FORWARD_CHATS) {
+        throw httpError(400, `You can forward to between 1 and ${MAX_FORWARD_CHATS} chats`);
+    }
+
+    // Sources must be visible to the sender, in a chat they're still part of
+    const sources = await Message.find({
+        _id: { $in: uniqueMessageIds },
+        deleted: false,
+        deletedFor: { $ne: senderId },
+        type: { $ne: 'system' }
+    }).sort({ createdAt: 1, _id: 1 });
+
+    if (sources.length !== uniqueMessageIds.length) {
+        throw httpError(404, 'Message not found');
+    }
+
+    const sourceChatIds = [...new Set(sources.map(source => source.chat.toString()))];
+    const accessible = await Chat.countDocuments({
+        _id: { $in: sourceChatIds },
+        participants: senderId
+    });
+    if (accessible !== sourceChatIds.length) {
+        throw httpError(403, 'Access denied');
+    }
+
+    const results = [];
+    for (const chatId of uniqueChatIds) {
+        try {
+            const chat = await Chat.findById(chatId);
+            if (chat && chat.isParticipant(senderId) && await isBlockedInChat(chat, senderId)) {
+                throw httpError(403, 'Cannot message a blocked user');
+            }
+
+            const sent = [];
+            for (const source of sources) {
+                const { file, metadata } = source.toObject();
+
+                sent.push(await sendMessage(io, {
+                    chatId,
+                    senderId,
+                    content: source.content,
+                    type: source.type,
+                    file: file?.url ? file : undefined,
+                    metadata,
+                    // Polls start over with no votes and no close time
+                    poll: source.poll && {
+                        question: source.poll.question,
+                        options: source.poll.options.map(option => option.text),
+                        multipleChoice: source.poll.multipleChoice,
+                        anonymous: source.poll.anonymous
+                    },
+                    forwardOf: source
+                }));
+            }
+
+            results.push({ chatId, success: true, messages: sent });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('Forward message error:', error);
+            }
+            results.push({
+                chatId,
+                success: false,
+                error: error.statusCode ? error.message : 'Failed to forward messages'
+            });
+        }
+    }
+
+    return results;
+};
+
+// Post a system notice (settings changes and the like) into a chat on behalf
+// of the user who caused it. System notices never disappear.
+const postSystemMessage = async (io, chat, actorId, content) => {
+    const message = new Message({
+        chat: chat._id,
+        sender: actorId,
+        content,
+        type: 'system'
+    });
+    await message.save();
+
+    chat.lastMessage = message._id;
+    chat.lastActivity = new Date();
+    await chat.save();
+
+    await message.populate('sender', 'username avatar');
+
+    if (io) {
+        io.to(`chat_${chat._id}`).emit('new_message', message);
+    }
+
+    return message;
+};
+
+// Delete a message for the user, or for everyone in the chat. Senders can
+// always delete their own messages for everyone; other people's messages
+// need the group's deleteMessages permission and a role above the sender's.
+// Shared by the REST route and the socket `delete_message` handler.
+const deleteMessage = async (io, { messageId, userId, forEveryone = false }) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw httpError(404, 'Message not found');
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message) {
+        throw httpError(404, 'Message not found');
+    }
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat || !await chat.canView(userId)) {
+        throw httpError(403, 'Access denied');
+    }
+
+    if (!forEveryone) {
+        await message.deleteMessage(userId, false);
+        return message;
+    }
+
+    if (!message.sender.equals(userId)) {
+        assertCan(chat, userId, 'deleteMessages');
+        if (!chat.outranks(userId, message.sender)) {
+            throw httpError(403, 'You can only delete messages from members below you');
+        }
+    }
+
+    await message.deleteForEveryone();
+
+    if (io) {
+        io.to(`chat_${chat._id}`).emit('message_deleted', {
+            messageId: message._id,
+            deletedBy: userId
+        });
+    }
+
+    return message;
+};
+
+module.exports = { sendMessage, forwardMessages, postSystemMessage, deleteMessage };
@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessionService');
+const { httpError } = require('../utils/httpError');
+
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
+
+// Staff can only act on accounts below their own role, and never on themselves
+const assertCanManage = (actor, target) => {
+    if (actor._id.equals(target._id)) {
+        throw httpError(400, 'You cannot do this to your own account');
+    }
+    if (ROLE_RANK[target.role] >= ROLE_RANK[actor.role]) {
+        throw httpError(403, 'You cannot manage an account with this role');
+    }
+};
+
+// Load a user for a staff action, checking the actor may manage them
+const findManageableUser = async (actor, userId) => {
+    const target = await User.findById(userId);
+    if (!target) {
+        throw httpError(404, 'User not found');
+    }
+
+    assertCanManage(actor, target);
+    return target;
+};
+
+// Suspend an account until a date, or until lifted when there's none, and
+// sign it out everywhere
+const suspendUser = async (io, actor, target, { reason, until } = {}) => {
+    if (until && until <= new Date()) {
+        throw httpError(400, 'Suspension end must be in the future');
+    }
+
+    target.suspension = {
+        suspendedAt: new Date(),
+        until: until || undefined,
+        reason: reason || undefined,
+        by: actor._id
+    };
+    target.isOnline = false;
+    await target.save();
+
+    // Tell open clients why before their sessions end
+    io?.to(`user_${target._id}`).emit('account_suspended', {
+        message: target.getSuspensionMessage()
+    });
+    await revokeAllSessions(io, target._id);
+
+    console.log(`[Moderation] ${actor.username} suspended ${target.username}`);
+
+    return target;
+};
+
+const unsuspendUser = async (actor, target) => {
+    target.suspension = undefined;
+    await target.save();
+
+    console.log(`[Moderation] ${actor.username} lifted the suspension of ${target.username}`);
+
+    return target;
+};
+
+// Change a user's site role, after findManageableUser has checked the
+// actor outranks them. Admins are appointed with scripts/setUserRole.js.
+const setUserRole = async (actor, target, role) => {
+    if (!ROLE_RANK.hasOwnProperty(role)) {
+        throw httpError(400, 'Invalid role');
+    }
+    if (role === 'admin') {
+        throw httpError(403, 'Admins can only be appointed from the command line');
+    }
+
+    target.role = role;
+    await target.save();
+
+    console.log(`[Admin] ${actor.username} set the role of ${target.username} to ${role}`);
+
+    return target;
+};
+
+module.exports = {
+    assertCanManage,
+    findManageableUser,
+    suspendUser,
+    unsuspendUser,
+    setUserRole
+};
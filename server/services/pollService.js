@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { httpError } = require('../utils/httpError');
+
+// Load a poll message and check the user can see it
+const findPoll = async (messageId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw httpError(404, 'Poll not found');
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.type !== 'poll' || message.isDeletedForUser(userId)) {
+        throw httpError(404, 'Poll not found');
+    }
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat || !await chat.canView(userId)) {
+        throw httpError(403, 'Access denied');
+    }
+
+    return message;
+};
+
+// Broadcast the new tallies to everyone in the chat
+const emitPollUpdate = (io, message) => {
+    if (!io) return;
+
+    io.to(`chat_${message.chat}`).emit('poll_updated', {
+        chatId: message.chat,
+        messageId: message._id,
+        poll: message.toJSON().poll
+    });
+};
+
+// Replace a user's votes on a poll. An empty optionIds retracts them.
+// Resolves to the updated message and the options the user now has.
+const castVote = async (io, { messageId, userId, optionIds = [] }) => {
+    const message = await findPoll(messageId, userId);
+
+    if (!message.isPollOpen()) {
+        throw httpError(400, 'Poll is closed');
+    }
+
+    const ids = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).map(String))];
+    const known = new Set(message.poll.options.map(option => option._id.toString()));
+
+    if (ids.some(id => !known.has(id))) {
+        throw httpError(400, 'Invalid poll option');
+    }
+
+    if (!message.poll.multipleChoice && ids.length > 1) {
+        throw httpError(400, 'This poll allows only one choice');
+    }
+
+    const updated = await Message.setPollVotes(message._id, userId, ids);
+    if (!updated) {
+        throw httpError(400, 'Poll is closed');
+    }
+
+    emitPollUpdate(io, updated);
+
+    return { message: updated, myVotes: updated.getPollVotes(userId) };
+};
+
+// Close a poll early. Only the poll's creator can close it.
+const closePoll = async (io, { messageId, userId }) => {
+    const message = await findPoll(messageId, userId);
+
+    if (!message.sender.equals(userId)) {
+        throw httpError(403, 'Only the poll creator can close it');
+    }
+
+    if (!message.isPollOpen()) {
+        throw httpError(400, 'Poll is already closed');
+    }
+
+    message.poll.closedAt = new Date();
+    await message.save();
+
+    emitPollUpdate(io, message);
+
+    return message;
+};
+
+module.exports = { castVote, closePoll };
@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const Report = require('../models/Report');
+const { findManageableUser, suspendUser } = require('./moderationService');
+const { httpError } = require('../utils/httpError');
+
+// Messages kept either side of a reported message, and from a reported
+// user or group, so moderators can judge it in context
+const CONTEXT_MESSAGES = 5;
+const RECENT_MESSAGES = 10;
+
+// Which actions fit which kind of report
+const ACTIONS_BY_TARGET = {
+    message: ['delete_message', 'suspend_user'],
+    user: ['suspend_user'],
+    group: ['remove_group']
+};
+
+// Frozen copy of a message as it looked when reported
+const snapshotMessage = (message) => ({
+    _id: message._id,
+    sender: message.sender?._id
+        ? { _id: message.sender._id, username: message.sender.username }
+        : { _id: message.sender },
+    content: message.deleted ? null : message.content,
+    type: message.type,
+    file: message.deleted || !message.file?.url ? undefined : {
+        url: message.file.url,
+        filename: message.file.filename,
+        mimeType: message.file.mimeType
+    },
+    deleted: Boolean(message.deleted),
+    edited: Boolean(message.edited),
+    createdAt: message.createdAt
+});
+
+const snapshotUser = (user) => ({
+    _id: user._id,
+    username: user.username,
+    friendId: user.friendId,
+    avatar: user.avatar?.url || '',
+    status: user.status,
+    bio: user.bio,
+    createdAt: user.createdAt
+});
+
+// Messages in a chat as the reporter saw them, oldest first
+const findVisibleMessages = (filter, reporterId, sort, limit) =>
+    Message.find({ ...filter, deletedFor: { $ne: reporterId } })
+        .sort(sort)
+        .limit(limit)
+        .populate('sender', 'username');
+
+const loadReportedMessage = async (reporter, messageId) => {
+    const message = await Message.findById(messageId).populate('sender', 'username');
+    if (!message || message.isDeletedForUser(reporter._id)) {
+        throw httpError(404, 'Message not found');
+    }
+
+    const chat = await Chat.findById(message.chat);
+    if (!chat || !await chat.canView(reporter._id)) {
+        throw httpError(403, 'Access denied');
+    }
+    if (message.sender._id.equals(reporter._id)) {
+        throw httpError(400, 'You cannot report your own message');
+    }
+    if (message.type === 'system') {
+        throw httpError(400, 'System messages cannot be reported');
+    }
+
+    const [before, after] = await Promise.all([
+        findVisibleMessages(
+            { chat: chat._id, createdAt: { $lt: message.createdAt } },
+            reporter._id, { createdAt: -1 }, CONTEXT_MESSAGES
+        ),
+        findVisibleMessages(
+            { chat: chat._id, createdAt: { $gt: message.createdAt } },
+            reporter._id, { createdAt: 1 }, CONTEXT_MESSAGES
+        )
+    ]);
+
+    return {
+        target: { message: message._id, reportedUser: message.sender._id, chat: chat._id },
+        snapshot: {
+            message: snapshotMessage(message),
+            chat: { _id: chat._id, type: chat.type, name: chat.name },
+            context: {
+                before: before.reverse().map(snapshotMessage),
+                after: after.map(snapshotMessage)
+            }
+        }
+    };
+};
+
+const loadReportedUser = async (reporter, userId) => {
+    if (reporter._id.equals(userId)) {
+        throw httpError(400, 'You cannot report yourself');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+        throw httpError(404, 'User not found');
+    }
+
+    // Only what they said where the reporter could see it
+    const sharedChats = await Chat.find({
+        participants: { $all: [reporter._id, user._id] }
+    }).select('_id');
+
+    const recent = await findVisibleMessages(
+        { chat: { $in: sharedChats.map(c => c._id) }, sender: user._id, type: { $ne: 'system' } },
+        reporter._id, { createdAt: -1 }, RECENT_MESSAGES
+    );
+
+    return {
+        target: { reportedUser: user._id },
+        snapshot: {
+            user: snapshotUser(user),
+            recentMessages: recent.reverse().map(message => ({
+                ...snapshotMessage(message),
+                chat: message.chat
+            }))
+        }
+    };
+};
+
+const loadReportedGroup = async (reporter, chatId) => {
+    const chat = await Chat.findById(chatId).populate('creator', 'username');
+    if (!chat || chat.type !== 'group') {
+        throw httpError(404, 'Group not found');
+    }
+    if (!chat.isParticipant(reporter._id)) {
+        throw httpError(403, 'Access denied');
+    }
+
+    const recent = await findVisibleMessages(
+        { chat: chat._id, type: { $ne: 'system' } },
+        reporter._id, { createdAt: -1 }, RECENT_MESSAGES
+    );
+
+    return {
+        target: { chat: chat._id, reportedUser: chat.creator?._id },
+        snapshot: {
+            group: {
+                _id: chat._id,
+                name: chat.name,
+                description: chat.description,
+                avatar: chat.avatar?.url || '',
+                participantCount: chat.participants.length,
+                creator: chat.creator ? { _id: chat.creator._id, username: chat.creator.username } : null,
+                createdAt: chat.createdAt
+            },
+            recentMessages: recent.reverse().map(snapshotMessage)
+        }
+    };
+};
+
+const TARGET_LOADERS = {
+    message: loadReportedMessage,
+    user: loadReportedUser,
+    group: loadReportedGroup
+};
+
+// Reports about the same message, user or group
+const targetFilter = (report) => {
+    if (report.targetType === 'message') return { targetType: 'message', message: report.message };
+    if (report.targetType === 'group') return { targetType: 'group', chat: report.chat };
+    return { targetType: 'user', reportedUser: report.reportedUser };
+};
+
+// File a report against a message, user or group the reporter can see.
+// Reporting the same thing again while it's still open returns the
+// existing report rather than piling up duplicates.
+const createReport = async (io, reporter, { targetType, targetId, reason, details }) => {
+    const loadTarget = TARGET_LOADERS[targetType];
+    if (!loadTarget) {
+        throw httpError(400, 'Invalid report type');
+    }
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        throw httpError(404, 'Report target not found');
+    }
+
+    const { target, snapshot } = await loadTarget(reporter, targetId);
+
+    const existing = await Report.findOne({
+        ...targetFilter({ targetType, ...target }),
+        reporter: reporter._id,
+        status: 'open'
+    });
+    if (existing) {
+        return { report: existing, duplicate: true };
+    }
+
+    const report = await Report.create({
+        reporter: reporter._id,
+        targetType,
+        ...target,
+        reason,
+        details,
+        snapshot
+    });
+
+    io?.to('staff').emit('report_created', {
+        reportId: report._id,
+        targetType,
+        reason
+    });
+
+    return { report, duplicate: false };
+};
+
+const deleteReportedMessage = async (io, actor, report) => {
+    const message = await Message.findById(report.message);
+    if (!message) {
+        throw httpError(404, 'Message no longer exists');
+    }
+    if (!message.deleted) {
+        await message.deleteForEveryone();
+        io?.to(`chat_${message.chat}`).emit('message_deleted', {
+            messageId: message._id,
+            deletedBy: actor._id
+        });
+    }
+
+    console.log(`[Moderation] ${actor.username} deleted message ${message._id}`);
+};
+
+const removeReportedGroup = async (io, actor, report) => {
+    const chat = await Chat.findById(report.chat);
+    if (!chat || chat.type !== 'group') {
+        throw httpError(404, 'Group no longer exists');
+    }
+
+    await Message.deleteMany({ chat: chat._id });
+    await Chat.deleteOne({ _id: chat._id });
+
+    if (io) {
+        io.to(`chat_${chat._id}`).emit('chat_removed', {
+            chatId: chat._id,
+            message: `"${chat.name}" was removed by a moderator`
+        });
+        io.in(`chat_${chat._id}`).socketsLeave(`chat_${chat._id}`);
+    }
+
+    console.log(`[Moderation] ${actor.username} removed group ${chat.name} (${chat._id})`);
+};
+
+// Settle an open report: dismiss it, or take an action on what it's about
+// and mark it actioned. Other open reports on the same target go with it.
+const resolveReport = async (io, actor, reportId, { action, note, reason, durationHours }) => {
+    if (!mongoose.Types.ObjectId.isValid(reportId)) {
+        throw httpError(404, 'Report not found');
+    }
+
+    const report = await Report.findById(reportId);
+    if (!report) {
+        throw httpError(404, 'Report not found');
+    }
+    if (report.status !== 'open') {
+        throw httpError(409, 'Report has already been resolved');
+    }
+
+    if (action !== 'dismiss' && action !== 'none' &&
+        !ACTIONS_BY_TARGET[report.targetType].includes(action)) {
+        throw httpError(400, 'That action does not apply to this report');
+    }
+
+    if (action === 'delete_message') {
+        await deleteReportedMessage(io, actor, report);
+    } else if (action === 'suspend_user') {
+        const target = await findManageableUser(actor, report.reportedUser);
+        await suspendUser(io, actor, target, {
+            reason,
+            until: durationHours ? new Date(Date.now() + durationHours * 60 * 60 * 1000) : null
+        });
+    } else if (action === 'remove_group') {
+        await removeReportedGroup(io, actor, report);
+    }
+
+    const resolution = action === 'dismiss'
+        ? { status: 'dismissed' }
+        : { status: 'actioned', action };
+
+    await Report.updateMany({ ...targetFilter(report), status: 'open' }, {
+        $set: {
+            ...resolution,
+            resolvedBy: actor._id,
+            resolvedAt: new Date(),
+            resolutionNote: note || undefined
+        }
+    });
+
+    return Report.findById(report._id)
+        .populate('reporter', 'username avatar')
+        .populate('reportedUser', 'username avatar')
+        .populate('chat', 'name type')
+        .populate('resolvedBy', 'username');
+};
+
+module.exports = {
+    ACTIONS_BY_TARGET,
+    createReport,
+    resolveReport
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { httpError } = require('../utils/httpError');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Two tabs of the same browser can race to refresh with the same token.
+// A token replaced this recently is rejected, but not treated as theft.
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Access tokens carry their own audience so other tokens signed with the
+// same secret (2FA challenges, email links) are never accepted as one
+const ACCESS_TOKEN_AUDIENCE = 'access';
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived access token, tied to the session it was issued for
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign(
+        { userId, sessionId },
+        process.env.JWT_SECRET,
+        { audience: ACCESS_TOKEN_AUDIENCE, expiresIn: ACCESS_TOKEN_TTL }
+    );
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const issueTokens = (session, secret) => ({
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: `${session._id}.${secret}`
+});
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        throw httpError(401, 'Invalid refresh token');
+    }
+    return { sessionId, secret };
+};
+
+const getDeviceInfo = (req) => ({
+    deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip
+});
+
+// Start a session for a user who just signed in.
+// Resolves to the session with its access and refresh tokens.
+const createSession = async (user, req) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(secret),
+        expiresAt: refreshExpiry(),
+        ...getDeviceInfo(req)
+    });
+
+    return { session, ...issueTokens(session, secret) };
+};
+
+// Sign a session out: it can't be refreshed again, its access tokens stop
+// working, and any sockets it has open are told and disconnected
+const revokeSession = async (io, session) => {
+    await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    if (io) {
+        const room = `session_${session._id}`;
+        io.to(room).emit('session_revoked', { sessionId: session._id });
+        io.in(room).disconnectSockets(true);
+    }
+};
+
+// Sign out every device a user is signed in on, except the session given
+// as `except` if any
+const revokeAllSessions = async (io, userId, { except } = {}) => {
+    const sessions = await Session.find({
+        user: userId,
+        revokedAt: null,
+        ...(except && { _id: { $ne: except } })
+    }).select('_id');
+    for (const session of sessions) {
+        await revokeSession(io, session);
+    }
+};
+
+// Error for a suspended account, with a code clients can act on
+const suspendedError = (user) => {
+    const error = httpError(403, user.getSuspensionMessage());
+    error.code = 'ACCOUNT_SUSPENDED';
+    return error;
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting a token that was already rotated away (outside the grace
+// window) means it was copied, so the whole session is revoked.
+const refreshSession = async (io, refreshToken) => {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const presentedHash = hashToken(secret);
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            tokenHash: presentedHash,
+            revokedAt: null,
+            expiresAt: { $gt: now }
+        },
+        {
+            $set: {
+                tokenHash: hashToken(nextSecret),
+                previousTokenHash: presentedHash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: refreshExpiry()
+            }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const existing = await Session.findById(sessionId).select('+previousTokenHash');
+
+        if (existing && existing.isActive() && existing.previousTokenHash === presentedHash) {
+            const recentlyRotated = existing.rotatedAt && now - existing.rotatedAt < ROTATION_GRACE_MS;
+            if (!recentlyRotated) {
+                console.warn(`[Auth] Refresh token reuse detected, revoking session ${existing._id}`);
+                await revokeSession(io, existing);
+            }
+        }
+
+        throw httpError(401, 'Session expired, please login again');
+    }
+
+    const user = await User.findById(session.user).select('_id suspension');
+    if (!user) {
+        throw httpError(401, 'Session expired, please login again');
+    }
+    if (user.isSuspended()) {
+        throw suspendedError(user);
+    }
+
+    return { session, ...issueTokens(session, nextSecret) };
+};
+
+// Verify an access token and check its session is still live.
+// Resolves to the user (without password) and the session id.
+const authenticateAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_TOKEN_AUDIENCE });
+
+    // Tokens from before sessions existed can't be revoked, so they're refused
+    if (!decoded.sessionId || !(await Session.isActiveById(decoded.sessionId))) {
+        throw httpError(401, 'Session has been revoked, please login again');
+    }
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user) {
+        throw httpError(401, 'Token valid but user not found');
+    }
+    if (user.isSuspended()) {
+        throw suspendedError(user);
+    }
+
+    return { user, sessionId: decoded.sessionId };
+};
+
+module.exports = {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    suspendedError,
+    authenticateAccessToken
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { httpError } = require('../utils/httpError');
+
+const MAX_SYNC_CHATS = 50;
+const SYNC_PAGE_SIZE = 200;
+
+// updatedAt is stamped before a write commits, so a change can commit after
+// a cursor past its updatedAt was handed out. Cursors are held back by this
+// much to pick such changes up on the next sync.
+const SYNC_SAFETY_WINDOW_MS = 5000;
+const MIN_OBJECT_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// Sync cursors point at the last change a client has seen in a chat: the
+// updatedAt and _id of that message. Clients treat them as opaque strings.
+const encodeSyncCursor = ({ updatedAt, _id }) => {
+    return Buffer.from(JSON.stringify({
+        t: new Date(updatedAt).toISOString(),
+        id: _id.toString()
+    })).toString('base64url');
+};
+
+const decodeSyncCursor = (cursor) => {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const updatedAt = new Date(t);
+        if (isNaN(updatedAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+        return { updatedAt, _id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Move a cursor position back to the start of the safety window, if it's
+// inside it
+const holdBack = (position) => {
+    const windowStart = new Date(Date.now() - SYNC_SAFETY_WINDOW_MS);
+    if (new Date(position.updatedAt) <= windowStart) return position;
+    return { updatedAt: windowStart, _id: MIN_OBJECT_ID };
+};
+
+// The cursor for everything in a chat up to now. Null for a chat with no
+// messages yet, which syncs from the beginning.
+const getSyncCursor = async (chatId) => {
+    const latest = await Message.getLatestChange(chatId);
+    return latest ? encodeSyncCursor(holdBack(latest)) : null;
+};
+
+// Serialize a message for the user, with their own poll votes
+const serialize = (message, userId) => {
+    const json = message.toJSON();
+    if (message.poll) {
+        json.myVotes = message.getPollVotes(userId);
+    }
+    return json;
+};
+
+// Everything that changed in a chat since the cursor: new, edited, deleted
+// and reacted-to messages, oldest change first. Messages deleted for
+// everyone come back marked deleted; ones the user deleted for themselves
+// are only listed in removedIds. Messages removed by a disappearing timer
+// aren't listed; clients drop them once their expiresAt has passed.
+// With hasMore set, sync again from the returned cursor for the rest.
+// Changes from the last few seconds can come again on the next sync, so
+// clients merge what they get by _id.
+// Messages synced by a participant count as delivered to deviceId.
+const syncChat = async (userId, { chatId, cursor, deviceId }) => {
+    if (!mongoose.Types.ObjectId.isValid(chatId)) {
+        throw httpError(404, 'Chat not found');
+    }
+
+    let after = null;
+    if (cursor) {
+        after = decodeSyncCursor(cursor);
+        if (!after) {
+            throw httpError(400, 'Invalid sync cursor');
+        }
+    }
+
+    const chat = await Chat.findById(chatId);
+    if (!chat) {
+        throw httpError(404, 'Chat not found');
+    }
+
+    if (!await chat.canView(userId)) {
+        throw httpError(403, 'Access denied');
+    }
+
+    const { messages, hasMore } = await Message.getChangesSince(chat._id, after, SYNC_PAGE_SIZE);
+
+    const changed = [];
+    const removedIds = [];
+    messages.forEach(message => {
+        if (message.deletedFor.some(id => id.equals(userId))) {
+            removedIds.push(message._id);
+        } else {
+            changed.push(serialize(message, userId));
+        }
+    });
+
+    if (deviceId && changed.length > 0 && chat.isParticipant(userId)) {
+        await Message.markDeliveredToDevice(changed.map(message => message._id), userId, deviceId);
+    }
+
+    const last = messages[messages.length - 1];
+
+    return {
+        chatId: chat._id,
+        messages: changed,
+        removedIds,
+        // Only the last page is held back, so paging always moves forward
+        cursor: last ? encodeSyncCursor(hasMore ? last : holdBack(last)) : cursor || null,
+        hasMore
+    };
+};
+
+// Sync several chats at once. Each chat is synced on its own, so a chat the
+// user has left doesn't stop the others; its result carries the error.
+const syncChats = async (userId, chats, { deviceId } = {}) => {
+    if (!Array.isArray(chats) || chats.length === 0 || chats.length > MAX_SYNC_CHATS) {
+        throw httpError(400, `You can sync between 1 and ${MAX_SYNC_CHATS} chats`);
+    }
+
+    const results = [];
+    for (const entry of chats) {
+        const { chatId, cursor = null } = entry || {};
+        try {
+            results.push({ success: true, ...await syncChat(userId, { chatId, cursor, deviceId }) });
+        } catch (error) {
+            if (!error.statusCode) {
+                console.error('Sync chat error:', error);
+            }
+            results.push({
+                chatId,
+                success: false,
+                error: error.statusCode ? error.message : 'Failed to sync chat'
+            });
+        }
+    }
+
+    return results;
+};
+
+module.exports = { getSyncCursor, syncChat, syncChats };
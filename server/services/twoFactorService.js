@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../models/User');
+const { httpError } = require('../utils/httpError');
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require('./loginThrottleService');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ChatMaster';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept the code from the step before and after too, to allow for clock drift
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+// Recovery codes are random, so a plain hash is enough and lets a code be
+// looked up and removed in one update
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+// Ten codes like "4F7K-Q2ZD". Returns the plain codes, which are only
+// ever shown once.
+const generateRecoveryCodes = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Start enrolling: a new secret is kept aside until a code from it is confirmed
+const beginEnrollment = async (user) => {
+    if (user.twoFactor?.enabled) {
+        throw httpError(400, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = authenticator.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+// Finish enrolling with a code from the authenticator app.
+// Resolves to the recovery codes.
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor?.enabled) {
+        throw httpError(400, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw httpError(400, 'Start two-factor setup first');
+    }
+
+    const delta = authenticator.checkDelta(String(code), user.twoFactor.pendingSecret);
+    if (delta === null) {
+        throw httpError(400, 'Invalid authentication code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.enabledAt': new Date(),
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+            'twoFactor.lastUsedStep': currentStep() + delta
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    return recoveryCodes;
+};
+
+const disableTwoFactor = async (userId) => {
+    await User.updateOne({ _id: userId }, { $unset: { twoFactor: 1 } });
+};
+
+// Replace every recovery code with a fresh set
+const regenerateRecoveryCodes = async (userId) => {
+    const recoveryCodes = generateRecoveryCodes();
+
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.enabled': true },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+    );
+
+    if (!result.matchedCount) {
+        throw httpError(400, 'Two-factor authentication is not enabled');
+    }
+
+    return recoveryCodes;
+};
+
+const getRecoveryCodesLeft = async (userId) => {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+// Called once the password checks out for an account with 2FA on. The
+// challenge token only proves the first factor: it can't be used as an
+// access token, and only the latest one for a user works.
+const issueChallenge = async (user) => {
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    await User.updateOne({ _id: user._id }, {
+        $set: { 'twoFactor.challenge': { nonce, attempts: 0 } }
+    });
+
+    return jwt.sign(
+        { userId: user._id, nonce },
+        process.env.JWT_SECRET,
+        { audience: CHALLENGE_AUDIENCE, expiresIn: CHALLENGE_TTL }
+    );
+};
+
+// Each authenticator code works once, so a code seen over someone's
+// shoulder can't be replayed
+const useTotpCode = async (user, code) => {
+    const delta = authenticator.checkDelta(String(code), user.twoFactor.secret);
+    if (delta === null) return false;
+
+    const step = currentStep() + delta;
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+const useRecoveryCode = async (user, code) => {
+    const hash = hashRecoveryCode(code);
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+
+    return result.modifiedCount === 1;
+};
+
+// Second login step: check the challenge and a code from the authenticator
+// app or a recovery code. Too many wrong codes use the challenge up, and
+// each one counts as a failed sign-in. Resolves to the user and whether a
+// recovery code was spent.
+const verifyChallenge = async (io, challengeToken, code, ip) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    } catch (error) {
+        throw httpError(401, 'Sign-in expired, please login again');
+    }
+
+    const user = await User.findOne({
+        _id: decoded.userId,
+        'twoFactor.enabled': true,
+        'twoFactor.challenge.nonce': decoded.nonce
+    }).select('+twoFactor.secret +twoFactor.challenge');
+
+    if (!user) {
+        throw httpError(401, 'Sign-in expired, please login again');
+    }
+
+    await assertLoginAllowed(user.email, ip);
+
+    const input = String(code || '').trim();
+    const isTotp = /^\d{6}$/.test(input);
+    const valid = isTotp ? await useTotpCode(user, input) : await useRecoveryCode(user, input);
+
+    if (!valid) {
+        await recordLoginFailure(io, user.email, ip);
+
+        const attempts = user.twoFactor.challenge.attempts + 1;
+        await User.updateOne(
+            { _id: user._id, 'twoFactor.challenge.nonce': decoded.nonce },
+            attempts >= MAX_CHALLENGE_ATTEMPTS
+                ? { $unset: { 'twoFactor.challenge': 1 } }
+                : { $inc: { 'twoFactor.challenge.attempts': 1 } }
+        );
+
+        throw httpError(401, attempts >= MAX_CHALLENGE_ATTEMPTS
+            ? 'Too many invalid codes, please login again'
+            : 'Invalid authentication code');
+    }
+
+    // Spend the challenge, unless a concurrent request already did
+    const spent = await User.updateOne(
+        { _id: user._id, 'twoFactor.challenge.nonce': decoded.nonce },
+        { $unset: { 'twoFactor.challenge': 1 } }
+    );
+
+    if (!spent.modifiedCount) {
+        throw httpError(401, 'Sign-in expired, please login again');
+    }
+
+    await clearLoginFailures(user.email);
+
+    return { user, usedRecoveryCode: !isTotp };
+};
+
+module.exports = {
+    beginEnrollment,
+    confirmEnrollment,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getRecoveryCodesLeft,
+    issueChallenge,
+    verifyChallenge
+};
@@ -1,14 +1,83 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
+const Device = require('../models/Device');
+const { sendMessage, deleteMessage } = require('../services/messageService');
+const { castVote, closePoll } = require('../services/pollService');
+const { recordView } = require('../services/channelService');
+const { syncChats } = require('../services/syncService');
+const { authenticateAccessToken } = require('../services/sessionService');
+const { assertCan } = require('../utils/groupPermissions');
+const { PRIVACY_FIELDS, canSeeLastSeen } = require('../utils/privacy');
+const { getStateStore } = require('../config/stateStore');
+const { createStoreAdapter } = require('./storeAdapter');
+const { createSocketState } = require('./socketState');
+
+// The device a socket comes from, as the client describes it in the handshake
+const describeDevice = (socket) => {
+    const { deviceId, platform, deviceName } = socket.handshake.auth;
+
+    return {
+        deviceId: Device.resolveId(deviceId, socket.sessionId),
+        platform: Device.PLATFORMS.includes(platform) ? platform : 'unknown',
+        name: typeof deviceName === 'string' ? deviceName.slice(0, 100) : undefined,
+        userAgent: (socket.handshake.headers['user-agent'] || '').slice(0, 300)
+    };
+};
+
+// Answer through the client's acknowledgement callback, if it passed one
+const acknowledge = (ack, payload) => {
+    if (typeof ack === 'function') ack(payload);
+};
 
-// Store active users and typing status
-const activeUsers = new Map(); // userId -> { socketId, user }
-const typingUsers = new Map(); // chatId -> Set of userIds
-const activeCalls = new Map(); // callId -> { participants, type }
+// Report a failed request through its acknowledgement callback, or as an
+// error event to clients that didn't pass one
+const reject = (socket, ack, message) => {
+    if (typeof ack === 'function') {
+        ack({ success: false, error: message });
+    } else {
+        socket.emit('error', { message });
+    }
+};
 
+// Sets up the socket events. Presence, typing and calls are kept in the
+// shared state store, and broadcasts go through an adapter on the same
+// store, so any number of instances can serve clients side by side.
+// Returns the instance's socket state, and a stop function for shutdown.
 const socketHandler = (io) => {
+    const store = getStateStore();
+    const state = createSocketState(store);
+
+    io.adapter(createStoreAdapter(store));
+
+    // Set once stop has taken this instance's users offline
+    let stopping = false;
+
+    // Tell the user's contacts that their status changed, if they may see it
+    const broadcastStatus = (user, status) => {
+        user.contacts
+            .filter(contact => canSeeLastSeen(user, contact))
+            .forEach(contact => {
+                io.to(`user_${contact._id}`).emit('user_status_change', {
+                    userId: user._id.toString(),
+                    username: user.username,
+                    ...status
+                });
+            });
+    };
+
+    // Record a user as offline once their last device is gone, and tell their contacts
+    const markOffline = async (userId) => {
+        const user = await User.findByIdAndUpdate(userId, {
+            isOnline: false,
+            lastSeen: new Date()
+        }, { new: true }).populate('contacts', PRIVACY_FIELDS);
+
+        if (!user) return;
+
+        broadcastStatus(user, { isOnline: false, lastSeen: user.lastSeen });
+    };
+
     // Socket authentication middleware
     io.use(async (socket, next) => {
         try {
@@ -18,69 +87,95 @@ const socketHandler = (io) => {
                 return next(new Error('Authentication error: No token provided'));
             }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId);
-            
-            if (!user) {
-                return next(new Error('Authentication error: User not found'));
-            }
+            // Only access tokens for a live session get in. A 2FA challenge
+            // token from a half-finished login is refused like any other.
+            const { user, sessionId } = await authenticateAccessToken(token);
 
             socket.userId = user._id.toString();
             socket.user = user;
+            socket.sessionId = sessionId;
             next();
         } catch (error) {
-            console.error('Socket auth error:', error);
-            next(new Error('Authentication error: Invalid token'));
+            // Clients refresh and retry on an expired token, so don't log those
+            if (error.name === 'TokenExpiredError') {
+                return next(new Error('Authentication error: Token expired'));
+            }
+            console.error('Socket auth error:', error.message);
+            next(new Error(error.statusCode ? `Authentication error: ${error.message}` : 'Authentication error: Invalid token'));
         }
     });
 
-    io.on('connection', async (socket) => {
-        console.log(`[User Connected] ${socket.user.username} (${socket.id})`);
-
+    // Bring a new connection online: count it, join its rooms and tell
+    // whoever may see it. Failures are logged; the socket still works.
+    const setUpConnection = async (socket) => {
         try {
+            const device = describeDevice(socket);
+            socket.data.deviceId = device.deviceId;
+
+            // Count the connection. Other tabs and devices may be open too.
+            const comingOnline = await state.addConnection(socket.userId, socket.id, device.deviceId);
+            await Device.register(socket.userId, device);
+
             // Update user online status
             await User.findByIdAndUpdate(socket.userId, {
                 isOnline: true,
-                socketId: socket.id,
                 lastSeen: new Date()
             });
 
-            // Store active user
-            activeUsers.set(socket.userId, {
-                socketId: socket.id,
-                user: socket.user
-            });
-
-            // Join user's personal room
+            // Join user's personal room, and the session's so it can be signed out remotely
             socket.join(`user_${socket.userId}`);
+            socket.join(`session_${socket.sessionId}`);
+
+            // Moderators and admins hear about new reports as they come in
+            if (['moderator', 'admin'].includes(socket.user.role)) {
+                socket.join('staff');
+            }
 
-            // Join user's chat rooms
+            // Join user's chat rooms. Channel posts reach members through their
+            // user room instead, so big channels don't need a room join per
+            // subscriber on every connect.
             const userChats = await Chat.find({ 
-                participants: socket.userId 
+                participants: socket.userId,
+                type: { $ne: 'channel' }
             }).select('_id');
             
             userChats.forEach(chat => {
                 socket.join(`chat_${chat._id}`);
             });
 
-            // Broadcast user online status to contacts
-            const user = await User.findById(socket.userId).populate('contacts');
-            user.contacts.forEach(contact => {
-                io.to(`user_${contact._id}`).emit('user_status_change', {
-                    userId: socket.userId,
-                    username: socket.user.username,
-                    isOnline: true,
-                    lastSeen: new Date()
-                });
-            });
+            // Broadcast user online status to contacts, unless another
+            // device already had them online or they're back within the grace period
+            if (comingOnline) {
+                const user = await User.findById(socket.userId).populate('contacts', PRIVACY_FIELDS);
+                broadcastStatus(user, { isOnline: true, lastSeen: new Date() });
+            }
 
-            // Send online users list to the connected user
-            const onlineUsers = Array.from(activeUsers.keys());
-            socket.emit('online_users', onlineUsers);
+            // Send the connected user the online users whose status they may see
+            const onlineIds = await state.getOnlineUserIds();
+            const onlineUsers = await User.find({ _id: { $in: onlineIds } }).select(PRIVACY_FIELDS);
+            socket.emit('online_users', onlineUsers
+                .filter(user => canSeeLastSeen(user, socket.user))
+                .map(user => user._id.toString()));
 
         } catch (error) {
             console.error('Connection setup error:', error);
         }
+    };
+
+    io.on('connection', (socket) => {
+        console.log(`[User Connected] ${socket.user.username} (${socket.id})`);
+
+        // Chats this socket is typing in and calls it's part of, to clear up on disconnect
+        socket.data.typingIn = new Set();
+        socket.data.calls = new Set();
+
+        // Handlers are registered right away, since clients emit (sync,
+        // queued sends) as soon as they connect and Socket.IO drops events
+        // nobody listens for yet. Those events wait here for setup instead.
+        const ready = setUpConnection(socket);
+        socket.use((packet, next) => {
+            ready.then(() => next());
+        });
 
         // ==================== CHAT EVENTS ====================
 
@@ -94,7 +189,7 @@ const socketHandler = (io) => {
                     return socket.emit('error', { message: 'Chat not found' });
                 }
 
-                if (!chat.isParticipant(socket.userId)) {
+                if (!await chat.canView(socket.userId)) {
                     return socket.emit('error', { message: 'Access denied' });
                 }
 
@@ -118,100 +213,76 @@ const socketHandler = (io) => {
         // ==================== MESSAGE EVENTS ====================
 
         // Send message
-        socket.on('send_message', async (data) => {
+        // Clients that pass an acknowledgement callback get the result through
+        // it, and retry with the same clientId if it doesn't come in time.
+        // Others get message_sent or message_error.
+        socket.on('send_message', async (data, ack) => {
             try {
-                const { chatId, content, type = 'text', replyTo, file, metadata } = data;
+                const { chatId, content, type = 'text', replyTo, threadRoot, file, metadata, poll, clientId } = data;
 
-                // Validate chat access
-                const chat = await Chat.findById(chatId);
-                if (!chat) {
-                    return socket.emit('error', { message: 'Chat not found' });
-                }
-
-                if (!chat.isParticipant(socket.userId)) {
-                    return socket.emit('error', { message: 'Access denied' });
-                }
-
-                // Check group permissions
-                if (chat.type === 'group' && chat.settings.onlyAdminsCanMessage) {
-                    if (!chat.isAdmin(socket.userId)) {
-                        return socket.emit('error', { message: 'Only admins can send messages' });
-                    }
-                }
-
-                // Create message
-                const messageData = {
-                    chat: chatId,
-                    sender: socket.userId,
+                const message = await sendMessage(io, {
+                    chatId,
+                    senderId: socket.userId,
                     content,
-                    type
-                };
-
-                if (replyTo) messageData.replyTo = replyTo;
-                if (file) messageData.file = file;
-                if (metadata) messageData.metadata = metadata;
-
-                const message = new Message(messageData);
-                await message.save();
-
-                // Update chat's last message and activity
-                chat.lastMessage = message._id;
-                chat.lastActivity = new Date();
-                await chat.save();
-
-                // Populate message
-                await message.populate('sender', 'username avatar');
-                if (replyTo) {
-                    await message.populate('replyTo', 'content sender type');
-                }
+                    type,
+                    replyTo,
+                    threadRoot,
+                    file,
+                    metadata,
+                    poll,
+                    clientId
+                });
 
                 // Remove typing indicator
-                const chatTyping = typingUsers.get(chatId);
-                if (chatTyping) {
-                    chatTyping.delete(socket.userId);
+                // The shared mark may have expired while they were still typing
+                const wasTyping = socket.data.typingIn.delete(chatId);
+                if (await state.stopTyping(chatId, socket.userId) || wasTyping) {
                     io.to(`chat_${chatId}`).emit('typing_stop', {
                         userId: socket.userId,
                         chatId
                     });
                 }
 
-                // Mark as delivered to online participants
-                const onlineParticipants = chat.participants.filter(p => 
-                    activeUsers.has(p.toString()) && p.toString() !== socket.userId
-                );
-
-                for (const participantId of onlineParticipants) {
-                    await message.markAsDeliveredTo(participantId);
-                }
-
-                // Broadcast message to chat participants
-                io.to(`chat_${chatId}`).emit('new_message', message);
-
                 // Send acknowledgment to sender
-                socket.emit('message_sent', {
-                    tempId: data.tempId,
-                    message
-                });
+                if (typeof ack === 'function') {
+                    ack({ success: true, tempId: data.tempId, message });
+                } else {
+                    socket.emit('message_sent', {
+                        tempId: data.tempId,
+                        message
+                    });
+                }
 
                 console.log(`Message sent in chat ${chatId} by ${socket.user.username}`);
 
             } catch (error) {
                 console.error('Send message error:', error);
+
+                const reason = error.statusCode ? error.message : 'Failed to send message';
+                if (typeof ack === 'function') {
+                    return ack({ success: false, tempId: data?.tempId, error: reason });
+                }
+
+                // Rejected sends (no access, admin-only chat) carry a reason for the user
+                if (error.statusCode) {
+                    socket.emit('error', { message: error.message });
+                }
+
                 socket.emit('message_error', { 
                     tempId: data.tempId,
-                    error: 'Failed to send message' 
+                    error: reason
                 });
             }
         });
 
         // Edit message
-        socket.on('edit_message', async (data) => {
+        socket.on('edit_message', async (data, ack) => {
             try {
                 const { messageId, content } = data;
                 const message = await Message.findById(messageId);
 
                 if (!message) {
-                    return socket.emit('error', { message: 'Message not found' });
+                    return reject(socket, ack, 'Message not found');
                 }
 
                 await message.editContent(content, socket.userId);
@@ -221,55 +292,87 @@ const socketHandler = (io) => {
                     content,
                     editedAt: message.editedAt
                 });
+                acknowledge(ack, { success: true, messageId, editedAt: message.editedAt });
 
             } catch (error) {
                 console.error('Edit message error:', error);
-                socket.emit('error', { message: error.message });
+                reject(socket, ack, error.message);
             }
         });
 
         // Delete message
-        socket.on('delete_message', async (data) => {
+        socket.on('delete_message', async (data, ack) => {
             try {
                 const { messageId, deleteForEveryone = false } = data;
-                const message = await Message.findById(messageId);
 
-                if (!message) {
-                    return socket.emit('error', { message: 'Message not found' });
-                }
-
-                await message.deleteMessage(socket.userId, deleteForEveryone);
+                await deleteMessage(io, {
+                    messageId,
+                    userId: socket.userId,
+                    forEveryone: deleteForEveryone === true
+                });
 
-                if (deleteForEveryone) {
-                    io.to(`chat_${message.chat}`).emit('message_deleted', {
-                        messageId,
-                        deletedBy: socket.userId
-                    });
-                } else {
+                if (!deleteForEveryone) {
                     socket.emit('message_deleted_for_me', { messageId });
                 }
+                acknowledge(ack, { success: true, messageId });
 
             } catch (error) {
                 console.error('Delete message error:', error);
-                socket.emit('error', { message: error.message });
+                reject(socket, ack, error.statusCode ? error.message : 'Failed to delete message');
+            }
+        });
+
+        // ==================== POLL EVENTS ====================
+
+        // Vote in a poll (replaces earlier votes, empty optionIds retracts)
+        socket.on('poll_vote', async (data) => {
+            try {
+                const { messageId, optionIds } = data;
+
+                const { myVotes } = await castVote(io, {
+                    messageId,
+                    userId: socket.userId,
+                    optionIds
+                });
+
+                // Tallies go to the whole chat; the voter's own choices only to them
+                socket.emit('poll_vote_recorded', { messageId, myVotes });
+
+            } catch (error) {
+                console.error('Poll vote error:', error);
+                socket.emit('error', { message: error.statusCode ? error.message : 'Failed to vote' });
+            }
+        });
+
+        // Close a poll
+        socket.on('poll_close', async (data) => {
+            try {
+                await closePoll(io, {
+                    messageId: data.messageId,
+                    userId: socket.userId
+                });
+
+            } catch (error) {
+                console.error('Close poll error:', error);
+                socket.emit('error', { message: error.statusCode ? error.message : 'Failed to close poll' });
             }
         });
 
         // ==================== REACTION EVENTS ====================
 
         // Add reaction
-        socket.on('add_reaction', async (data) => {
+        socket.on('add_reaction', async (data, ack) => {
             try {
                 const { messageId, emoji } = data;
                 const message = await Message.findById(messageId);
 
                 if (!message) {
-                    return socket.emit('error', { message: 'Message not found' });
+                    return reject(socket, ack, 'Message not found');
                 }
 
                 const chat = await Chat.findById(message.chat);
-                if (!chat.isParticipant(socket.userId)) {
-                    return socket.emit('error', { message: 'Access denied' });
+                if (!await chat.canView(socket.userId)) {
+                    return reject(socket, ack, 'Access denied');
                 }
 
                 await message.addReaction(socket.userId, emoji);
@@ -280,21 +383,22 @@ const socketHandler = (io) => {
                     emoji,
                     reactions: message.reactions
                 });
+                acknowledge(ack, { success: true, messageId, reactions: message.reactions });
 
             } catch (error) {
                 console.error('Add reaction error:', error);
-                socket.emit('error', { message: 'Failed to add reaction' });
+                reject(socket, ack, 'Failed to add reaction');
             }
         });
 
         // Remove reaction
-        socket.on('remove_reaction', async (data) => {
+        socket.on('remove_reaction', async (data, ack) => {
             try {
                 const { messageId } = data;
                 const message = await Message.findById(messageId);
 
                 if (!message) {
-                    return socket.emit('error', { message: 'Message not found' });
+                    return reject(socket, ack, 'Message not found');
                 }
 
                 await message.removeReaction(socket.userId);
@@ -304,44 +408,64 @@ const socketHandler = (io) => {
                     userId: socket.userId,
                     reactions: message.reactions
                 });
+                acknowledge(ack, { success: true, messageId, reactions: message.reactions });
 
             } catch (error) {
                 console.error('Remove reaction error:', error);
-                socket.emit('error', { message: 'Failed to remove reaction' });
+                reject(socket, ack, 'Failed to remove reaction');
             }
         });
 
-        // ==================== TYPING EVENTS ====================
+        // ==================== SYNC EVENTS ====================
 
-        // Typing start
-        socket.on('typing_start', (data) => {
-            const { chatId } = data;
-            
-            if (!typingUsers.has(chatId)) {
-                typingUsers.set(chatId, new Set());
+        // Catch up on what changed in chats while disconnected, from the
+        // cursor the client last got for each: { chats: [{ chatId, cursor }] }
+        socket.on('sync', async (data, ack) => {
+            try {
+                const chats = await syncChats(socket.userId, data?.chats, { deviceId: socket.data.deviceId });
+                acknowledge(ack, { success: true, chats });
+
+            } catch (error) {
+                console.error('Sync error:', error);
+                reject(socket, ack, error.statusCode ? error.message : 'Failed to sync');
             }
-            
-            typingUsers.get(chatId).add(socket.userId);
-            
-            socket.to(`chat_${chatId}`).emit('typing_start', {
-                userId: socket.userId,
-                username: socket.user.username,
-                chatId
-            });
         });
 
-        // Typing stop
-        socket.on('typing_stop', (data) => {
-            const { chatId } = data;
-            
-            const chatTyping = typingUsers.get(chatId);
-            if (chatTyping) {
-                chatTyping.delete(socket.userId);
-                
-                socket.to(`chat_${chatId}`).emit('typing_stop', {
+        // ==================== TYPING EVENTS ====================
+
+        // Typing start
+        socket.on('typing_start', async (data) => {
+            try {
+                const { chatId } = data;
+
+                socket.data.typingIn.add(chatId);
+                await state.startTyping(chatId, socket.userId);
+
+                socket.to(`chat_${chatId}`).emit('typing_start', {
                     userId: socket.userId,
+                    username: socket.user.username,
                     chatId
                 });
+            } catch (error) {
+                console.error('Typing start error:', error);
+            }
+        });
+
+        // Typing stop
+        socket.on('typing_stop', async (data) => {
+            try {
+                const { chatId } = data;
+
+                // The shared mark may have expired while they were still typing
+                const wasTyping = socket.data.typingIn.delete(chatId);
+                if (await state.stopTyping(chatId, socket.userId) || wasTyping) {
+                    socket.to(`chat_${chatId}`).emit('typing_stop', {
+                        userId: socket.userId,
+                        chatId
+                    });
+                }
+            } catch (error) {
+                console.error('Typing stop error:', error);
             }
         });
 
@@ -353,19 +477,19 @@ const socketHandler = (io) => {
                 const { chatId, messageIds } = data;
 
                 const chat = await Chat.findById(chatId);
-                if (!chat || !chat.isParticipant(socket.userId)) {
+                if (!chat || !await chat.canView(socket.userId)) {
                     return;
                 }
 
+                // Subscribers add to a channel post's views instead of its
+                // readers, and nobody else is told
+                if (!chat.isParticipant(socket.userId)) {
+                    return await recordView(chat, socket.userId, messageIds);
+                }
+
                 if (messageIds && messageIds.length > 0) {
-                    await Promise.all(
-                        messageIds.map(async (msgId) => {
-                            const message = await Message.findById(msgId);
-                            if (message && !message.sender.equals(socket.userId)) {
-                                await message.markAsReadBy(socket.userId);
-                            }
-                        })
-                    );
+                    const messages = await Message.findInChat(chat._id, messageIds);
+                    await Promise.all(messages.map(message => message.markAsReadBy(socket.userId)));
                 } else {
                     await Message.markAllAsRead(chatId, socket.userId);
                 }
@@ -393,14 +517,17 @@ const socketHandler = (io) => {
                     return socket.emit('error', { message: 'Access denied' });
                 }
 
+                assertCan(chat, socket.userId, 'startCalls');
+
                 // Store active call
-                activeCalls.set(callId, {
+                await state.saveCall(callId, {
                     chatId,
                     callType,
                     initiator: socket.userId,
                     participants: [socket.userId],
                     startTime: new Date()
                 });
+                socket.data.calls.add(callId);
 
                 // Notify other participants
                 socket.to(`chat_${chatId}`).emit('call_incoming', {
@@ -418,7 +545,7 @@ const socketHandler = (io) => {
 
             } catch (error) {
                 console.error('Call initiate error:', error);
-                socket.emit('error', { message: 'Failed to initiate call' });
+                socket.emit('error', { message: error.statusCode ? error.message : 'Failed to initiate call' });
             }
         });
 
@@ -451,81 +578,105 @@ const socketHandler = (io) => {
         });
 
         // Call response
-        socket.on('call_response', (data) => {
-            const { callId, accepted, targetUserId } = data;
-            
-            if (accepted) {
-                const call = activeCalls.get(callId);
-                if (call) {
-                    call.participants.push(socket.userId);
+        socket.on('call_response', async (data) => {
+            try {
+                const { callId, accepted, targetUserId } = data;
+
+                if (accepted) {
+                    const call = await state.getCall(callId);
+                    if (call) {
+                        call.participants.push(socket.userId);
+                        await state.saveCall(callId, call);
+                        socket.data.calls.add(callId);
+                    }
                 }
-            }
 
-            io.to(`user_${targetUserId}`).emit('call_response', {
-                callId,
-                accepted,
-                from: socket.userId,
-                user: {
-                    id: socket.userId,
-                    username: socket.user.username,
-                    avatar: socket.user.avatar
-                }
-            });
+                io.to(`user_${targetUserId}`).emit('call_response', {
+                    callId,
+                    accepted,
+                    from: socket.userId,
+                    user: {
+                        id: socket.userId,
+                        username: socket.user.username,
+                        avatar: socket.user.avatar
+                    }
+                });
+            } catch (error) {
+                console.error('Call response error:', error);
+            }
         });
 
         // Call end
-        socket.on('call_end', (data) => {
-            const { callId, chatId } = data;
-            
-            const call = activeCalls.get(callId);
-            if (call) {
-                activeCalls.delete(callId);
-            }
+        socket.on('call_end', async (data) => {
+            try {
+                const { callId, chatId } = data;
 
-            socket.to(`chat_${chatId}`).emit('call_ended', {
-                callId,
-                endedBy: socket.userId
-            });
+                await state.endCall(callId);
+                socket.data.calls.delete(callId);
 
-            console.log(`Call ended: ${callId}`);
+                socket.to(`chat_${chatId}`).emit('call_ended', {
+                    callId,
+                    endedBy: socket.userId
+                });
+
+                console.log(`Call ended: ${callId}`);
+            } catch (error) {
+                console.error('Call end error:', error);
+            }
         });
 
         // ==================== GROUP EVENTS ====================
 
-        // User added to group
+        // User added to group. Membership changes go through the REST routes;
+        // this only syncs rooms, so check the change really happened.
         socket.on('user_added_to_group', async (data) => {
-            const { chatId, userId } = data;
-            
-            // Make the new user join the chat room
-            const userSocket = activeUsers.get(userId);
-            if (userSocket) {
-                io.sockets.sockets.get(userSocket.socketId)?.join(`chat_${chatId}`);
-            }
+            try {
+                const { chatId, userId } = data;
 
-            // Notify all participants
-            io.to(`chat_${chatId}`).emit('group_updated', {
-                chatId,
-                action: 'user_added',
-                userId
-            });
+                const chat = await Chat.findById(chatId);
+                if (!chat || !chat.isParticipant(socket.userId) || !chat.isParticipant(userId)) {
+                    return socket.emit('error', { message: 'Access denied' });
+                }
+
+                // Make the new user join the chat room
+                io.in(`user_${userId}`).socketsJoin(`chat_${chatId}`);
+
+                // Notify all participants
+                io.to(`chat_${chatId}`).emit('group_updated', {
+                    chatId,
+                    action: 'user_added',
+                    userId
+                });
+            } catch (error) {
+                console.error('User added to group error:', error);
+            }
         });
 
         // User removed from group
         socket.on('user_removed_from_group', async (data) => {
-            const { chatId, userId } = data;
-            
-            // Make the user leave the chat room
-            const userSocket = activeUsers.get(userId);
-            if (userSocket) {
-                io.sockets.sockets.get(userSocket.socketId)?.leave(`chat_${chatId}`);
-            }
+            try {
+                const { chatId, userId } = data;
 
-            // Notify all participants
-            io.to(`chat_${chatId}`).emit('group_updated', {
-                chatId,
-                action: 'user_removed',
-                userId
-            });
+                const chat = await Chat.findById(chatId);
+                if (!chat || chat.isParticipant(userId)) {
+                    return socket.emit('error', { message: 'Access denied' });
+                }
+                if (!chat.isParticipant(socket.userId) && String(userId) !== socket.userId) {
+                    return socket.emit('error', { message: 'Access denied' });
+                }
+
+                // Make the user leave the chat room
+                io.in(`user_${userId}`).socketsLeave(`chat_${chatId}`);
+
+                // Notify all participants
+                io.to(`chat_${chatId}`).emit('group_updated', {
+                    chatId,
+                    action: 'user_removed',
+                    userId
+                });
+            } catch (error) {
+                console.error('User removed from group error:', error);
+            }
         });
 
         // ==================== DISCONNECT ====================
@@ -533,49 +684,40 @@ const socketHandler = (io) => {
         socket.on('disconnect', async () => {
             console.log(`[User Disconnected] ${socket.user.username} (${socket.id})`);
 
-            try {
-                // Update user offline status
-                await User.findByIdAndUpdate(socket.userId, {
-                    isOnline: false,
-                    lastSeen: new Date(),
-                    socketId: ''
-                });
+            // Stopping already cleared up every connection, and the state
+            // store is about to close
+            if (stopping) return;
 
-                // Remove from active users
-                activeUsers.delete(socket.userId);
+            // Setup has to have counted the connection before it's removed
+            await ready;
 
+            try {
                 // Remove from all typing indicators
-                typingUsers.forEach((users, chatId) => {
-                    if (users.has(socket.userId)) {
-                        users.delete(socket.userId);
-                        io.to(`chat_${chatId}`).emit('typing_stop', {
-                            userId: socket.userId,
-                            chatId
-                        });
-                    }
-                });
+                for (const chatId of socket.data.typingIn) {
+                    await state.stopTyping(chatId, socket.userId);
+                    io.to(`chat_${chatId}`).emit('typing_stop', {
+                        userId: socket.userId,
+                        chatId
+                    });
+                }
 
-                // End any active calls
-                activeCalls.forEach((call, callId) => {
-                    if (call.participants.includes(socket.userId)) {
+                // Leave any active calls
+                for (const callId of socket.data.calls) {
+                    const call = await state.getCall(callId);
+                    if (call) {
                         io.to(`chat_${call.chatId}`).emit('call_participant_left', {
                             callId,
                             userId: socket.userId
                         });
                     }
-                });
+                }
 
-                // Broadcast user offline status to contacts
-                const user = await User.findById(socket.userId).populate('contacts');
-                if (user) {
-                    user.contacts.forEach(contact => {
-                        io.to(`user_${contact._id}`).emit('user_status_change', {
-                            userId: socket.userId,
-                            username: socket.user.username,
-                            isOnline: false,
-                            lastSeen: new Date()
-                        });
-                    });
+                await Device.touch(socket.userId, socket.data.deviceId);
+
+                // The user stays online while another tab or device is
+                // connected, and briefly after the last one goes
+                if (await state.removeConnection(socket.userId, socket.id, socket.data.deviceId)) {
+                    state.scheduleOffline(socket.userId, markOffline);
                 }
 
             } catch (error) {
@@ -632,19 +774,19 @@ socket.on('accept_friend_request', async (data) => {
         });
     });
 
-    // Periodic cleanup of typing indicators
-    setInterval(() => {
-        typingUsers.forEach((users, chatId) => {
-            users.forEach(userId => {
-                const user = activeUsers.get(userId);
-                if (!user) {
-                    users.delete(userId);
-                }
-            });
-        });
-    }, 30000); // Every 30 seconds
+    // Heartbeats let other instances clear up this one's users if it dies
+    state.start(markOffline).catch(error => console.error('Socket state start error:', error));
+
+    console.log(`[Socket.io] Handlers initialized (instance ${state.instanceId})`);
 
-    console.log('[Socket.io] Handlers initialized');
+    return {
+        state,
+        // Take this instance's users offline, e.g. on shutdown
+        stop: () => {
+            stopping = true;
+            return state.stop(markOffline);
+        }
+    };
 };
 
 
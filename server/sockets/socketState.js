@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+
+// How often an instance says it's alive, and how long until it's presumed gone
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const HEARTBEAT_TTL_SECONDS = 45;
+
+// Calls left behind by a crashed instance expire on their own
+const CALL_TTL_SECONDS = 12 * 60 * 60;
+
+// Typing marks left behind by a crashed instance or a client that never
+// said it stopped expire on their own too
+const TYPING_TTL_SECONDS = 30;
+
+// How long after a user's last socket closes before they count as offline,
+// so reloading the page doesn't flash them offline and back
+const OFFLINE_GRACE_SECONDS = parseInt(process.env.PRESENCE_OFFLINE_GRACE_SECONDS, 10) || 5;
+
+const keys = {
+    online: 'presence:online',
+    userConnections: (userId) => `presence:user:${userId}`,
+    instanceConnections: (instanceId) => `presence:instance:${instanceId}`,
+    instances: 'presence:instances',
+    alive: (instanceId) => `presence:alive:${instanceId}`,
+    leaving: (userId) => `presence:leaving:${userId}`,
+    typing: (chatId, userId) => `typing:${chatId}:${userId}`,
+    call: (callId) => `call:${callId}`
+};
+
+// Whether the user has a socket open on any instance
+const isUserOnline = async (store, userId) => {
+    return await store.scard(keys.userConnections(userId)) > 0;
+};
+
+// The devices the user has a socket open on, on any instance. Connections
+// are stored as "<instance>:<socket>:<device>".
+const getOnlineDeviceIds = async (store, userId) => {
+    const connections = await store.smembers(keys.userConnections(userId));
+    return Array.from(new Set(connections.map(connection => connection.split(':')[2])));
+};
+
+// Who is connected, who is typing and which calls are in progress, kept in
+// the state store so every instance sees the same picture. A user is online
+// while any socket on any of their devices is connected, on any instance,
+// and for a short grace period after the last one closes. Each instance
+// records its own connections, so when one stops sending heartbeats the
+// others can clear up after it.
+const createSocketState = (store, { instanceId = crypto.randomUUID() } = {}) => {
+    let heartbeatTimer = null;
+
+    // Resolves to true when the user is coming online: this is their first
+    // open socket, and they weren't in the grace period after closing another
+    const addConnection = async (userId, socketId, deviceId) => {
+        await store.sadd(keys.instanceConnections(instanceId), `${userId}:${socketId}:${deviceId}`);
+        await store.sadd(keys.online, userId);
+
+        // Counted in the same step as the add, so of devices connecting at
+        // once on different instances exactly one is the first
+        const { changed, size } = await store.saddAndCount(
+            keys.userConnections(userId),
+            `${instanceId}:${socketId}:${deviceId}`
+        );
+        if (!changed || size > 1) {
+            return false;
+        }
+
+        const wasLeaving = await store.get(keys.leaving(userId));
+        if (wasLeaving) {
+            await store.del(keys.leaving(userId));
+        }
+        return !wasLeaving;
+    };
+
+    // Resolves to true when the user has no sockets left open. They stay in
+    // the online list through the grace period; call goOffline after it.
+    const removeConnection = async (userId, socketId, deviceId, fromInstance = instanceId) => {
+        await store.srem(keys.instanceConnections(fromInstance), `${userId}:${socketId}:${deviceId}`);
+
+        // Likewise exactly one of several removals sees the last one go, and
+        // one that finds the connection already gone sees nothing
+        const { changed, size } = await store.sremAndCount(
+            keys.userConnections(userId),
+            `${fromInstance}:${socketId}:${deviceId}`
+        );
+        if (!changed || size > 0) {
+            return false;
+        }
+        await store.set(keys.leaving(userId), String(Date.now()), { ttl: OFFLINE_GRACE_SECONDS * 2 });
+        return true;
+    };
+
+    // Resolves to true if the user is still without sockets, and so is now offline
+    const goOffline = async (userId) => {
+        if (await isUserOnline(store, userId)) {
+            return false;
+        }
+        await store.del(keys.leaving(userId));
+        await store.srem(keys.online, userId);
+        return true;
+    };
+
+    // Once the grace period is over, call onUserOffline if the user hasn't
+    // come back on any device
+    const scheduleOffline = (userId, onUserOffline) => {
+        setTimeout(() => {
+            goOffline(userId)
+                .then(offline => offline && onUserOffline(userId))
+                .catch(error => console.error('Presence offline error:', error));
+        }, OFFLINE_GRACE_SECONDS * 1000);
+    };
+
+    const getOnlineUserIds = () => store.smembers(keys.online);
+
+    const startTyping = (chatId, userId) => {
+        return store.set(keys.typing(chatId, userId), String(Date.now()), { ttl: TYPING_TTL_SECONDS });
+    };
+
+    // Resolves to true if the user was marked as typing
+    const stopTyping = async (chatId, userId) => {
+        return await store.del(keys.typing(chatId, userId)) > 0;
+    };
+
+    const saveCall = (callId, call) => {
+        return store.set(keys.call(callId), JSON.stringify(call), { ttl: CALL_TTL_SECONDS });
+    };
+
+    const getCall = async (callId) => {
+        const call = await store.get(keys.call(callId));
+        return call ? JSON.parse(call) : null;
+    };
+
+    const endCall = (callId) => store.del(keys.call(callId));
+
+    // Drop the connections of instances that stopped sending heartbeats.
+    // onUserOffline is called for each user left with no sockets.
+    const sweepDeadInstances = async (onUserOffline) => {
+        const instances = await store.smembers(keys.instances);
+
+        for (const deadId of instances) {
+            if (deadId === instanceId || await store.get(keys.alive(deadId))) continue;
+
+            const connections = await store.smembers(keys.instanceConnections(deadId));
+            for (const connection of connections) {
+                const [userId, socketId, deviceId] = connection.split(':');
+                if (await removeConnection(userId, socketId, deviceId, deadId)) {
+                    scheduleOffline(userId, onUserOffline);
+                }
+            }
+
+            await store.del(keys.instanceConnections(deadId));
+            await store.srem(keys.instances, deadId);
+            console.log(`[Socket.io] Cleared ${connections.length} connections left by instance ${deadId}`);
+        }
+    };
+
+    const heartbeat = async () => {
+        await store.set(keys.alive(instanceId), String(Date.now()), { ttl: HEARTBEAT_TTL_SECONDS });
+        await store.sadd(keys.instances, instanceId);
+    };
+
+    // Send heartbeats, and sweep up after dead instances, until stopped
+    const start = async (onUserOffline) => {
+        await heartbeat();
+
+        heartbeatTimer = setInterval(() => {
+            heartbeat()
+                .then(() => sweepDeadInstances(onUserOffline))
+                .catch(error => console.error('Socket state heartbeat error:', error));
+        }, HEARTBEAT_INTERVAL_MS);
+    };
+
+    // Stop the heartbeat and forget this instance's connections, as its
+    // sockets are going away with it
+    const stop = async (onUserOffline) => {
+        clearInterval(heartbeatTimer);
+
+        // No grace period: this instance won't be around when it ends
+        const connections = await store.smembers(keys.instanceConnections(instanceId));
+        for (const connection of connections) {
+            const [userId, socketId, deviceId] = connection.split(':');
+            if (await removeConnection(userId, socketId, deviceId) && await goOffline(userId)) {
+                await onUserOffline?.(userId);
+            }
+        }
+
+        await store.del(keys.alive(instanceId));
+        await store.srem(keys.instances, instanceId);
+    };
+
+    return {
+        instanceId,
+        addConnection,
+        removeConnection,
+        scheduleOffline,
+        isUserOnline: (userId) => isUserOnline(store, userId),
+        getOnlineDeviceIds: (userId) => getOnlineDeviceIds(store, userId),
+        getOnlineUserIds,
+        startTyping,
+        stopTyping,
+        saveCall,
+        getCall,
+        endCall,
+        start,
+        stop
+    };
+};
+
+module.exports = { createSocketState, isUserOnline, getOnlineDeviceIds };
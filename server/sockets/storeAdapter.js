@@ -0,0 +1,50 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const CHANNEL_PREFIX = 'socket.io';
+
+// A Socket.IO adapter that relays broadcasts, room joins and leaves, and
+// fetchSockets between server instances over the state store's pub/sub, so
+// io.to('user_<id>') reaches the user whichever instance they're connected
+// to. Every namespace has a channel that all instances listen on, and each
+// instance a response channel of its own.
+//
+// Messages are sent as JSON, so binary payloads don't cross instances.
+const createStoreAdapter = (store, opts = {}) => {
+    return class StoreAdapter extends ClusterAdapterWithHeartbeat {
+        constructor(nsp) {
+            super(nsp, opts);
+            this.channel = `${CHANNEL_PREFIX}#${nsp.name}#`;
+            this.unsubscribers = [];
+        }
+
+        responseChannel(uid) {
+            return `${CHANNEL_PREFIX}-response#${this.nsp.name}#${uid}#`;
+        }
+
+        async init() {
+            this.unsubscribers = await Promise.all([
+                store.subscribe(this.channel, (raw) => this.onMessage(JSON.parse(raw))),
+                store.subscribe(this.responseChannel(this.uid), (raw) => this.onResponse(JSON.parse(raw)))
+            ]);
+
+            // Announce this instance once it can hear the replies
+            super.init();
+        }
+
+        async doPublish(message) {
+            await store.publish(this.channel, JSON.stringify(message));
+            return '';
+        }
+
+        async doPublishResponse(requesterUid, response) {
+            await store.publish(this.responseChannel(requesterUid), JSON.stringify(response));
+        }
+
+        async close() {
+            super.close();
+            await Promise.all(this.unsubscribers.map(unsubscribe => unsubscribe()));
+        }
+    };
+};
+
+module.exports = { createStoreAdapter };
@@ -0,0 +1,44 @@
+const ChannelSubscription = require('../models/ChannelSubscription');
+
+// Subscriptions read, and user rooms emitted to, per round
+const FANOUT_BATCH_SIZE = 500;
+
+// Deliver a channel post to everyone who isn't looking at the channel.
+// Subscribers only join a channel's room while they have it open, not when
+// they connect, so everyone else hears about posts in their own user room,
+// a batch of subscriptions at a time. Anyone in the channel room already
+// has the post and is skipped. Runs in the background so posting doesn't
+// wait on the size of the channel.
+const emitChannelPost = (io, chat, message) => {
+    if (!io) return;
+
+    const send = (rooms) => {
+        io.to(rooms).except(`chat_${chat._id}`).emit('new_message', message);
+    };
+
+    const fanOut = async () => {
+        // The channel's admins aren't subscribers, but want it in their lists too
+        send(chat.participants.map(userId => `user_${userId}`));
+
+        const cursor = ChannelSubscription.find({ channel: chat._id })
+            .select('user')
+            .lean()
+            .cursor({ batchSize: FANOUT_BATCH_SIZE });
+
+        let rooms = [];
+        for await (const subscription of cursor) {
+            rooms.push(`user_${subscription.user}`);
+            if (rooms.length === FANOUT_BATCH_SIZE) {
+                send(rooms);
+                rooms = [];
+            }
+        }
+        if (rooms.length > 0) {
+            send(rooms);
+        }
+    };
+
+    fanOut().catch(error => console.error('Channel fan-out error:', error));
+};
+
+module.exports = { emitChannelPost };
@@ -0,0 +1,28 @@
+const { httpError } = require('./httpError');
+
+// What members are told when the group's permissions stop them
+const DENIED_MESSAGES = {
+    sendMessages: 'You are not allowed to send messages in this group',
+    sendMedia: 'You are not allowed to send media in this group',
+    addMembers: 'You are not allowed to add members to this group',
+    removeMembers: 'You are not allowed to remove members from this group',
+    pinMessages: 'You are not allowed to pin messages in this group',
+    deleteMessages: 'You are not allowed to delete other members\' messages',
+    startCalls: 'You are not allowed to start calls in this group',
+    changeSettings: 'You are not allowed to change this group\'s settings'
+};
+
+// Message types that count as media for the sendMedia permission
+const MEDIA_TYPES = ['image', 'video', 'audio', 'file'];
+
+// Throw a 403 unless the user may do this in the chat. Callers check that
+// the user is a participant first.
+const assertCan = (chat, userId, permission) => {
+    if (chat.can(userId, permission)) return;
+
+    throw httpError(403, chat.getRole(userId) === 'readonly'
+        ? 'You are a read-only member of this group'
+        : DENIED_MESSAGES[permission]);
+};
+
+module.exports = { MEDIA_TYPES, assertCan };
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status, so callers can tell rejected requests
+// (no access, missing chat) from unexpected failures
+const httpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,57 @@
+const User = require('../models/User');
+
+// Same character set usernames are validated against. The lookbehind keeps
+// email addresses like bob@example.com from reading as mentions.
+const MENTION_PATTERN = /(?<![\w@])@([a-zA-Z0-9_]{3,20})\b/g;
+
+// Pull the mentioned usernames out of message text. `@all` is reported
+// separately rather than as a username.
+const parseMentions = (content = '') => {
+    const usernames = new Set();
+    let all = false;
+
+    for (const [, name] of String(content).matchAll(MENTION_PATTERN)) {
+        if (name.toLowerCase() === 'all') {
+            all = true;
+        } else {
+            usernames.add(name.toLowerCase());
+        }
+    }
+
+    return { usernames: [...usernames], all };
+};
+
+// Resolve the mentions in a message against the chat's participants.
+// Resolves to the IDs of mentioned participants, never including the sender.
+const resolveMentions = async (content, chat, senderId) => {
+    const { usernames, all } = parseMentions(content);
+    const others = chat.participants.filter(id => !id.equals(senderId));
+
+    if (all) return others;
+    if (usernames.length === 0 || others.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: others } }).select('username');
+
+    return users
+        .filter(user => usernames.includes(user.username.toLowerCase()))
+        .map(user => user._id);
+};
+
+// Notify each mentioned user in their own room. This goes out even when the
+// user has muted the chat: muting silences chatter, not direct mentions.
+const emitMentions = (io, message) => {
+    if (!io || !message.mentions?.length) return;
+
+    const chatId = message.chat.toString();
+
+    message.mentions.forEach(userId => {
+        io.to(`user_${userId}`).emit('mentioned', {
+            chatId,
+            messageId: message._id,
+            threadRoot: message.threadRoot || null,
+            message
+        });
+    });
+};
+
+module.exports = { parseMentions, resolveMentions, emitMentions };
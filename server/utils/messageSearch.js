@@ -0,0 +1,102 @@
+// Helpers for full-text message search: query parsing, cursors and snippets
+
+const LINK_PATTERN = /https?:\/\/\S+/i;
+const SNIPPET_RADIUS = 60;
+
+// Escape user input for safe use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a raw query into text terms and inline `has:` operators
+// e.g. "budget report has:file" -> { text: 'budget report', has: ['file'] }
+const parseSearchQuery = (rawQuery = '') => {
+    const has = [];
+    const textParts = [];
+
+    rawQuery.split(/\s+/).filter(Boolean).forEach(token => {
+        const match = token.match(/^has:(file|link)$/i);
+        if (match) {
+            has.push(match[1].toLowerCase());
+        } else {
+            textParts.push(token);
+        }
+    });
+
+    return { text: textParts.join(' '), has };
+};
+
+// Terms worth highlighting: quoted phrases and plain words, minus negations
+const getHighlightTerms = (text) => {
+    const terms = [];
+    const phrasePattern = /"([^"]+)"/g;
+    let match;
+
+    while ((match = phrasePattern.exec(text)) !== null) {
+        terms.push(match[1]);
+    }
+
+    text.replace(phrasePattern, ' ')
+        .split(/\s+/)
+        .filter(word => word && !word.startsWith('-'))
+        .forEach(word => terms.push(word));
+
+    return [...new Set(terms.map(term => term.toLowerCase()))];
+};
+
+// Build a short excerpt around the first matching term, with highlight ranges
+// relative to the excerpt so clients never need to render raw HTML
+const buildSnippet = (content = '', terms = []) => {
+    if (terms.length === 0) {
+        return { text: content.slice(0, SNIPPET_RADIUS * 2), highlights: [] };
+    }
+
+    const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+    const first = pattern.exec(content);
+
+    const start = first ? Math.max(0, first.index - SNIPPET_RADIUS) : 0;
+    const end = Math.min(content.length, start + SNIPPET_RADIUS * 2 + (first ? first[0].length : 0));
+    const excerpt = content.slice(start, end);
+
+    const highlights = [];
+    const excerptPattern = new RegExp(pattern.source, 'gi');
+    let match;
+
+    while ((match = excerptPattern.exec(excerpt)) !== null) {
+        highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return {
+        text: `${start > 0 ? '…' : ''}${excerpt}${end < content.length ? '…' : ''}`,
+        highlights: start > 0
+            ? highlights.map(h => ({ start: h.start + 1, end: h.end + 1 }))
+            : highlights
+    };
+};
+
+// Opaque cursors carry the sort key of the last hit on a page
+const encodeCursor = ({ score, createdAt, _id }) => {
+    return Buffer.from(JSON.stringify({
+        s: score,
+        t: new Date(createdAt).toISOString(),
+        id: _id.toString()
+    })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const { s, t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof s !== 'number' || !t || !id) return null;
+        return { score: s, createdAt: new Date(t), _id: id };
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    LINK_PATTERN,
+    escapeRegex,
+    parseSearchQuery,
+    getHighlightTerms,
+    buildSnippet,
+    encodeCursor,
+    decodeCursor
+};
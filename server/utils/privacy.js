@@ -0,0 +1,87 @@
+// Who sees what of a user's profile is up to them, through
+// preferences.privacy: everyone, contacts (people in their own contact
+// list) or nobody, for each of last seen (with online status), profile
+// photo and status (with bio). Anything that shows one user's profile to
+// another goes through projectUser, or canSeeLastSeen for presence.
+//
+// Last seen is reciprocal: someone who shows theirs to nobody sees nobody
+// else's either.
+//
+// Users to project need the PRIVACY_FIELDS selected besides the fields
+// shown. Without them every setting reads as nobody, so a missing select
+// hides too much rather than too little.
+
+const PRIVACY_FIELDS = 'preferences.privacy contacts';
+
+// A select for the given fields plus the ones projection needs
+const withPrivacyFields = (fields) => `${fields} ${PRIVACY_FIELDS}`;
+
+const idOf = (user) => (user?._id || user)?.toString();
+
+const isSelf = (target, viewer) => idOf(target) === idOf(viewer);
+
+// Whether a setting of the target's lets the viewer see what it covers
+const allows = (target, viewer, setting) => {
+    if (isSelf(target, viewer)) return true;
+
+    const visibility = target.preferences?.privacy?.[setting] || 'nobody';
+    if (visibility === 'everyone') return true;
+    if (visibility === 'contacts') {
+        return (target.contacts || []).some(contact => idOf(contact) === idOf(viewer));
+    }
+    return false;
+};
+
+// Whether the viewer may see the target's last seen and online status
+const canSeeLastSeen = (target, viewer) => {
+    if (isSelf(target, viewer)) return true;
+    return allows(target, viewer, 'lastSeen') && viewer.preferences?.privacy?.lastSeen !== 'nobody';
+};
+
+// The target's profile as the viewer may see it. Hidden fields are left
+// out, except the avatar, which is blanked so clients fall back to initials.
+// Accepts documents and plain objects alike.
+const projectUser = (target, viewer) => {
+    const profile = typeof target.toJSON === 'function' ? target.toJSON() : { ...target };
+    if (isSelf(target, viewer)) return profile;
+
+    // Only loaded to decide what to show
+    delete profile.preferences;
+    delete profile.contacts;
+
+    if ('avatar' in profile && !allows(target, viewer, 'profilePhoto')) {
+        profile.avatar = { url: '' };
+    }
+    if (!allows(target, viewer, 'status')) {
+        delete profile.status;
+        delete profile.bio;
+    }
+    if (!canSeeLastSeen(target, viewer)) {
+        delete profile.isOnline;
+        delete profile.lastSeen;
+    }
+
+    return profile;
+};
+
+// A serialized chat with its populated participants, admins and creator
+// projected for the viewer
+const projectChatUsers = (chat, viewer) => {
+    const isPopulated = (user) => Boolean(user && user.username !== undefined);
+    const project = (user) => (isPopulated(user) ? projectUser(user, viewer) : user);
+
+    return {
+        ...chat,
+        ...(Array.isArray(chat.participants) && { participants: chat.participants.map(project) }),
+        ...(Array.isArray(chat.admins) && { admins: chat.admins.map(project) }),
+        ...(chat.creator && { creator: project(chat.creator) })
+    };
+};
+
+module.exports = {
+    PRIVACY_FIELDS,
+    withPrivacyFields,
+    canSeeLastSeen,
+    projectUser,
+    projectChatUsers
+};
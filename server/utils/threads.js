@@ -0,0 +1,28 @@
+// Broadcast a new thread reply: a live update for everyone viewing the chat,
+// and a notification for each thread follower except the author
+const emitThreadReply = (io, root, reply) => {
+    if (!io) return;
+
+    const chatId = root.chat.toString();
+    const senderId = reply.sender._id || reply.sender;
+
+    io.to(`chat_${chatId}`).emit('thread_updated', {
+        chatId,
+        rootId: root._id,
+        replyCount: root.thread.replyCount,
+        lastReplyAt: root.thread.lastReplyAt,
+        reply
+    });
+
+    root.thread.followers
+        .filter(followerId => !followerId.equals(senderId))
+        .forEach(followerId => {
+            io.to(`user_${followerId}`).emit('thread_reply', {
+                chatId,
+                rootId: root._id,
+                message: reply
+            });
+        });
+};
+
+module.exports = { emitThreadReply };